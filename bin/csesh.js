@@ -10,16 +10,25 @@
 import { Command } from '../lib/cli.js';
 import chalk from '../lib/colors.js';
 import Table from '../lib/table.js';
-import { findSessionFiles, fullScan, fastScan, readMessages } from '../lib/scanner.js';
-import { getCached, setCached, flushCache, clearCache, cacheStats } from '../lib/cache.js';
-import { classifyAll, junkLabel, tierLabel, TIER_LABELS } from '../lib/classifier.js';
-import { filterSessions } from '../lib/search.js';
-import { computeStats } from '../lib/stats.js';
-import { trashSession, restoreSession, listTrash, emptyTrash, deleteFromTrash } from '../lib/cleanup.js';
-import { mergeMetadata, loadMetadata, setTitle as metaSetTitle, addTag as metaAddTag, removeTag as metaRemoveTag, toggleFavorite, setNote, getAllTags } from '../lib/metadata.js';
-import { formatBytes, formatDuration, formatDate, timeAgo, estimateCost, CLAUDE_DIR, PROJECTS_DIR, TOOL_DIR, CACHE_FILE } from '../lib/utils.js';
-import { getConfig } from '../lib/config.js';
+import { findSessionFiles, scanSession, scanSessions, readMessages, summarizeToolInput, usageTokens } from '../lib/scanner.js';
+import { tailSession } from '../lib/tail.js';
+import { flushCache, clearCache, cacheStats } from '../lib/cache.js';
+import { clearIndex, indexStats } from '../lib/search-index.js';
+import { classifyAll, explainClassification, junkLabel, tierLabel, TIER_LABELS } from '../lib/classifier.js';
+import { loadRules, readRulesFile } from '../lib/rules.js';
+import { filterSessions, searchContent } from '../lib/search.js';
+import { computeStats, costByModel, periodBounds, evaluateBudgets, validateBudgets, sessionDailyCost, costSince } from '../lib/stats.js';
+import { trashSession, restoreSession, listTrash, emptyTrash, deleteFromTrash, verifyTrash, matchTrashItems, trashItemKey } from '../lib/cleanup.js';
+import { archiveSession, unarchiveSession, loadArchivedSessions } from '../lib/archive.js';
+import { mergeMetadata, loadMetadata, setTitle as metaSetTitle, addTag as metaAddTag, removeTag as metaRemoveTag, toggleFavorite, setNote, getAllTags, setProtected, addProtectRule, removeProtectRule, getProtectRules, mergeMetadataStore, compactMetadata, getMetadataHistory, getMetadataStats, renameTag, mergeTags, deleteTag } from '../lib/metadata.js';
+import { buildTagTree } from '../lib/tags.js';
+import { formatBytes, formatDuration, formatDate, timeAgo, estimateCost, sessionCost, localDay, MODEL_PRICING, resolvePricing, CLAUDE_DIR, PROJECTS_DIR, TOOL_DIR, CACHE_FILE } from '../lib/utils.js';
+import { loadPricing, readPricingFile } from '../lib/pricing.js';
+import { getConfig, resolveClaudeDir } from '../lib/config.js';
+import { validateRetention, applyRetention, retentionLogFile } from '../lib/retention.js';
 import { renameSessionSlug, titleToSlug } from '../lib/rename.js';
+import { group, listSteps, describeStep } from '../lib/journal.js';
+import { undo } from '../lib/undo.js';
 import { stat as fsStat, access, readdir } from 'fs/promises';
 import { join } from 'path';
 import { homedir } from 'os';
@@ -27,19 +36,20 @@ import { createRequire } from 'module';
 
 const VERSION = createRequire(import.meta.url)('../package.json').version;
 const BRAND = '\u2B21'; // ⬡
-const INIT_MARKER = join(TOOL_DIR, '.csesh-init');
 
 const program = new Command();
 program
   .name('csesh')
   .description('Claude Code session manager')
-  .version(VERSION);
+  .version(VERSION)
+  .option('--claude-dir <path>', 'Claude data directory (default: ~/.claude, env: CSESH_CLAUDE_DIR)');
 
 // ── First-run experience ────────────────────────────────────────────────────
 
 async function checkFirstRun() {
+  const initMarker = join(TOOL_DIR, '.csesh-init');
   try {
-    await access(INIT_MARKER);
+    await access(initMarker);
     return; // marker exists, not first run
   } catch {
     // First run — show welcome
@@ -62,7 +72,7 @@ async function checkFirstRun() {
 
   try {
     await mkdir(TOOL_DIR, { recursive: true });
-    await writeFile(INIT_MARKER, new Date().toISOString(), 'utf-8');
+    await writeFile(initMarker, new Date().toISOString(), 'utf-8');
   } catch { /* best effort */ }
 }
 
@@ -103,46 +113,35 @@ program.configureHelp({
 
 // ── Session loading ──────────────────────────────────────────────────────────
 
-async function loadSessions({ project = null, mode = 'fast', showProgress = true, analyze = false } = {}) {
+async function loadSessions({ project = null, mode = 'fast', showProgress = true, analyze = false, archived = false } = {}) {
   const files = await findSessionFiles(project);
-  const results = [];
-  let cached = 0;
-  let scanned = 0;
 
   if (showProgress && files.length > 0) {
     process.stderr.write(`  ${BRAND} csesh ${chalk.dim(`\u2014 scanning ${files.length} sessions...`)}\n`);
   }
 
-  for (let i = 0; i < files.length; i += 50) {
-    const batch = files.slice(i, i + 50);
-    const batchResults = await Promise.all(batch.map(async f => {
-      const cachedData = await getCached(f.filePath, { requireAnalyzed: analyze });
-      if (cachedData) { cached++; return cachedData; }
-      try {
-        const summary = analyze
-          ? await fullScan(f, { analyze: true })
-          : await fastScan(f);
-        await setCached(f.filePath, summary);
-        scanned++;
-        return summary;
-      } catch (err) {
-        console.error(`csesh: scan error: ${err.message}`);
-        return null;
-      }
-    }));
-    results.push(...batchResults.filter(Boolean));
-    if (showProgress && i + 50 < files.length) {
-      process.stderr.write(`\r  Scanning... ${Math.min(i + 50, files.length)}/${files.length}`);
+  const onProgress = showProgress
+    ? (done, total) => {
+      if (done % 50 === 0 && done < total) process.stderr.write(`\r  Scanning... ${done}/${total}`);
     }
-  }
+    : null;
+  const { sessions: results, cached, scanned } = await scanSessions(files, { analyze, full: mode === 'full', onProgress });
 
   if (showProgress && files.length > 50) {
     process.stderr.write(`\r  Scanned ${scanned}, cached ${cached}, total ${results.length}\n`);
   }
 
   await flushCache();
-  classifyAll(results);
+  // Archived sessions come from their manifest summaries, only where viewing them makes sense
+  if (archived) {
+    for (const s of await loadArchivedSessions()) {
+      if (!project || s.slug === project) results.push(s);
+    }
+  }
+  // Metadata first: user rules can match on tags, and overrides apply
   await mergeMetadata(results);
+  await loadRules();
+  classifyAll(results);
 
   results.sort((a, b) => {
     if (!a.lastTimestamp) return 1;
@@ -265,12 +264,14 @@ program
   .option('--junk', 'Show only junk sessions (tier 1+2)')
   .option('--real', 'Show only real sessions (tier 4)')
   .option('--tier <n>', 'Filter by tier (1-4)')
-  .option('--tag <tag>', 'Filter by tag')
+  .option('--tag <tag>', 'Filter by tag (nested tags included)')
   .option('--favorites', 'Show only favorites')
+  .option('--archived', 'Show only archived sessions')
+  .option('--live', 'Hide archived sessions')
   .option('-n, --limit <n>', 'Limit results', parseInt)
   .option('--json', 'Output as JSON')
   .action(async (opts) => {
-    const sessions = await loadSessions({ project: opts.project });
+    const sessions = await loadSessions({ project: opts.project, archived: true });
     let category = null;
     if (opts.junk) category = 'junk';
     else if (opts.real) category = 'keep';
@@ -281,6 +282,7 @@ program
       tier: opts.tier ? parseInt(opts.tier) : null,
       tag: opts.tag,
       favorite: opts.favorites || null,
+      archived: opts.archived ? true : opts.live ? false : null,
       sort: opts.sort,
       limit: opts.limit || 50,
     });
@@ -296,6 +298,7 @@ program
         tier: s.tier,
         tierLabel: s.tierLabel,
         favorite: s.favorite || false,
+        archived: s.archived || false,
         tags: s.tags || [],
       }));
       process.stdout.write(JSON.stringify(data, null, 2) + '\n');
@@ -310,7 +313,8 @@ program
 
     for (const s of filtered) {
       const fav = s.favorite ? chalk.yellow('\u2605 ') : '';
-      const title = fav + (s.displayTitle || s.title).slice(0, 34);
+      const box = s.archived ? '\u{1F4E6} ' : '';
+      const title = box + fav + (s.displayTitle || s.title).slice(0, 34);
       table.push([
         formatDate(s.lastTimestamp),
         s.shortProject.slice(0, 14),
@@ -328,12 +332,27 @@ program
 
 // ── SHOW ─────────────────────────────────────────────────────────────────────
 
+/**
+ * Print sub-agents as a tree under the Task calls that spawned them.
+ */
+function printSubAgentTree(agents, parentId = null, prefix = '    ', depth = 0) {
+  const children = depth > 4 ? [] : agents.filter(a => (a.parentAgentId || null) === parentId);
+  children.forEach((a, i) => {
+    const last = i === children.length - 1;
+    const label = a.description || a.title;
+    const tokens = (a.tokenUsage.input + a.tokenUsage.output).toLocaleString();
+    console.log(`${prefix}${last ? '\u2514\u2500' : '\u251c\u2500'} ${chalk.magenta(a.subagentType || 'agent')} ${label} ` +
+      chalk.dim(`${a.messageCount} msgs \u00b7 ${a.toolCalls} tools \u00b7 ${tokens} tokens \u00b7 $${sessionCost(a).toFixed(4)} \u00b7 ${a.id}`));
+    printSubAgentTree(agents, a.id, prefix + (last ? '   ' : '\u2502  '), depth + 1);
+  });
+}
+
 program
   .command('show <id>')
   .description('Show session details')
   .option('--json', 'Output as JSON')
   .action(async (id, opts) => {
-    const sessions = await loadSessions({ showProgress: false });
+    const sessions = await loadSessions({ showProgress: false, archived: true });
     const session = sessions.find(s => s.id === id || s.id.startsWith(id));
     if (!session) {
       if (opts.json) {
@@ -344,8 +363,7 @@ program
       process.exit(1);
     }
 
-    const model = session.models[0] || 'default';
-    const cost = estimateCost(session.tokenUsage, model);
+    const cost = sessionCost(session);
 
     if (opts.json) {
       const data = {
@@ -359,6 +377,7 @@ program
         durationMs: session.durationMs,
         userMessageCount: session.userMessageCount,
         assistantMessageCount: session.assistantMessageCount,
+        compactions: session.compactions || 0,
         fileSizeBytes: session.fileSizeBytes,
         category: session.category,
         tier: session.tier,
@@ -366,13 +385,18 @@ program
         junkReasons: session.junkReasons,
         tags: session.tags || [],
         favorite: session.favorite || false,
+        protected: session.protectedReason || false,
+        archivedAt: session.archivedAt || null,
         notes: session.notes || '',
         gitBranch: session.gitBranch,
         cwd: session.cwd,
         version: session.version,
         models: session.models,
         tokenUsage: session.tokenUsage,
+        ownTokenUsage: session.ownTokenUsage || session.tokenUsage,
+        modelUsage: session.modelUsage || {},
         estimatedCost: cost,
+        subAgents: session.subAgents || [],
         filePath: session.filePath,
       };
       process.stdout.write(JSON.stringify(data, null, 2) + '\n');
@@ -386,7 +410,7 @@ program
     console.log(`  ${chalk.cyan('Project:')}   ${session.project}`);
     console.log(`  ${chalk.cyan('Date:')}      ${formatDate(session.firstTimestamp)} \u2192 ${formatDate(session.lastTimestamp)}`);
     console.log(`  ${chalk.cyan('Duration:')}  ${formatDuration(session.durationMs)}`);
-    console.log(`  ${chalk.cyan('Messages:')}  ${session.userMessageCount} user, ${session.assistantMessageCount} assistant`);
+    console.log(`  ${chalk.cyan('Messages:')}  ${session.userMessageCount} user, ${session.assistantMessageCount} assistant${session.compactions ? chalk.dim(` (compacted ${session.compactions}x)`) : ''}`);
     console.log(`  ${chalk.cyan('Size:')}      ${formatBytes(session.fileSizeBytes)}`);
     console.log(`  ${chalk.cyan('Category:')} ${session.category}`);
     console.log(`  ${chalk.cyan('Tier:')}      ${tierBadge(session.tier)}`);
@@ -397,6 +421,10 @@ program
       console.log(`  ${chalk.cyan('Tags:')}      ${session.tags.map(t => chalk.magenta(`#${t}`)).join(' ')}`);
     }
     if (session.favorite) console.log(`  ${chalk.cyan('Favorite:')}  ${chalk.yellow('\u2605 Yes')}`);
+    if (session.protected) console.log(`  ${chalk.cyan('Protected:')} ${session.protectedReason}`);
+    if (session.archived) {
+      console.log(`  ${chalk.cyan('Archived:')}  ${formatDate(session.archivedAt)} ${chalk.dim(`(${formatBytes(session.archivedSizeBytes)} compressed, "csesh unarchive ${session.id.slice(0, 8)}" to resume)`)}`);
+    }
     if (session.notes) console.log(`  ${chalk.cyan('Notes:')}     ${session.notes}`);
     console.log(`  ${chalk.cyan('Branch:')}    ${session.gitBranch || 'N/A'}`);
     console.log(`  ${chalk.cyan('CWD:')}       ${session.cwd || 'N/A'}`);
@@ -404,10 +432,197 @@ program
     console.log(`  ${chalk.cyan('Models:')}    ${session.models.join(', ') || 'N/A'}`);
     console.log(`  ${chalk.cyan('Tokens:')}    ${session.tokenUsage.input.toLocaleString()} in, ${session.tokenUsage.output.toLocaleString()} out, ${session.tokenUsage.cacheRead.toLocaleString()} cached`);
     console.log(`  ${chalk.cyan('Est. Cost:')} $${cost.toFixed(4)}`);
+    const modelUsage = Object.entries(session.modelUsage || {});
+    if (modelUsage.length > 1) {
+      for (const [model, u] of modelUsage.sort((a, b) => b[1].cost - a[1].cost)) {
+        console.log(chalk.dim(`             ${model.replace('claude-', '')}: ${u.messages} msgs, ${u.input.toLocaleString()} in, ${u.output.toLocaleString()} out, $${u.cost.toFixed(4)}`));
+      }
+    }
     console.log(`  ${chalk.cyan('File:')}      ${session.filePath}`);
+    const subAgents = session.subAgents || [];
+    if (subAgents.length > 0) {
+      const agentCost = subAgents.reduce((sum, a) => sum + sessionCost(a), 0);
+      console.log(`  ${chalk.cyan('Sub-agents:')} ${subAgents.length} ${chalk.dim(`(included in tokens and cost, $${agentCost.toFixed(4)})`)}`);
+      printSubAgentTree(subAgents);
+    }
     console.log();
   });
 
+// ── WATCH ────────────────────────────────────────────────────────────────────
+
+/**
+ * Find the session file with the latest modification time.
+ */
+async function mostRecentSessionFile(files) {
+  let latest = null;
+  let latestMtime = 0;
+  for (const f of files) {
+    try {
+      const { mtimeMs } = await fsStat(f.filePath);
+      if (mtimeMs > latestMtime) {
+        latest = f;
+        latestMtime = mtimeMs;
+      }
+    } catch { /* removed while listing */ }
+  }
+  return latest;
+}
+
+function clipText(text, full) {
+  const trimmed = text.trim();
+  if (full || trimmed.length <= 400) return trimmed;
+  return trimmed.slice(0, 400) + chalk.dim(` \u2026 (+${trimmed.length - 400} chars)`);
+}
+
+function indentText(text) {
+  return text.split('\n').map(l => `    ${l}`).join('\n');
+}
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+  return '';
+}
+
+/**
+ * Render one JSONL record for `csesh watch` as a block of lines (empty if
+ * there is nothing to show) and fold its usage into the running totals.
+ */
+function renderWatchRecord(rec, state, { full = false } = {}) {
+  const lines = [];
+  const time = rec.timestamp ? chalk.dim(new Date(rec.timestamp).toLocaleTimeString()) : '';
+  const content = rec.message?.content;
+
+  if (rec.type === 'system' && rec.subtype === 'compact_boundary') {
+    const trigger = rec.compactMetadata?.trigger;
+    lines.push(`\n  ${chalk.yellow('\u27f3 Conversation compacted')}${trigger ? chalk.dim(` (${trigger})`) : ''} ${time}`);
+  } else if (rec.type === 'user' && rec.isCompactSummary) {
+    const text = toolResultText(content);
+    lines.push(chalk.dim(`    \u2026 compaction summary (${text.length.toLocaleString()} chars)`));
+  } else if (rec.type === 'user') {
+    const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : (Array.isArray(content) ? content : []);
+    for (const block of blocks) {
+      if (block.type === 'text' && block.text?.trim()) {
+        if (lines.length === 0) lines.push(`\n  ${chalk.bold.cyan('\u25b8 You')} ${time}`);
+        lines.push(indentText(clipText(block.text, full)));
+      } else if (block.type === 'tool_result' && block.is_error) {
+        const name = state.toolNames.get(block.tool_use_id) || 'tool';
+        const firstLine = toolResultText(block.content).trim().split('\n')[0] || 'failed';
+        lines.push(`  ${chalk.red('\u2717')} ${chalk.red(name)} ${chalk.dim(clipText(firstLine, full))}`);
+      }
+    }
+  } else if (rec.type === 'assistant') {
+    const model = rec.message?.model;
+    const usage = rec.message?.usage;
+    if (usage) {
+      const tokens = usageTokens(usage);
+      for (const k of Object.keys(tokens)) state.tokens[k] += tokens[k];
+      state.cost += estimateCost(tokens, model || 'default', rec.timestamp);
+    }
+    for (const block of Array.isArray(content) ? content : []) {
+      if (block.type === 'text' && block.text?.trim()) {
+        lines.push(indentText(clipText(block.text, full)));
+      } else if (block.type === 'thinking' && block.thinking) {
+        lines.push(chalk.dim(`    \u2026 thinking (${block.thinking.length.toLocaleString()} chars)`));
+      } else if (block.type === 'tool_use') {
+        state.toolNames.set(block.id, block.name);
+        lines.push(`  ${chalk.yellow('\u2192')} ${chalk.bold(block.name)} ${chalk.dim(summarizeToolInput(block.name, block.input))}`);
+      }
+    }
+    if (lines.length > 0) {
+      lines.unshift(`  ${chalk.bold.magenta('\u25c6 Claude')} ${model ? chalk.dim(model.replace('claude-', '')) + ' ' : ''}${time}`);
+    }
+  }
+
+  if (rec.type === 'user' || rec.type === 'assistant') state.messages++;
+  return lines;
+}
+
+function watchTotalsLine(state) {
+  const t = state.tokens;
+  return chalk.dim(`  \u03a3 ${state.messages} messages \u00b7 ${t.input.toLocaleString()} in \u00b7 ` +
+    `${t.output.toLocaleString()} out \u00b7 ${t.cacheRead.toLocaleString()} cached \u00b7 $${state.cost.toFixed(4)}`);
+}
+
+program
+  .command('watch [id]')
+  .description('Follow a session live as it is written (default: most recently modified)')
+  .option('-n, --lines <n>', 'Number of past messages to show first', parseInt, 5)
+  .option('--full', 'Show full message text instead of truncating')
+  .action(async (id, opts) => {
+    const files = await findSessionFiles();
+    const file = id
+      ? files.find(f => f.id === id || f.id.startsWith(id))
+      : await mostRecentSessionFile(files);
+    if (!file) {
+      console.log(id ? chalk.red(`  \u2717 Session not found: ${id}`) : chalk.yellow('  No sessions found'));
+      process.exit(1);
+    }
+
+    const { summary } = await scanSession(file);
+    await mergeMetadata([summary]);
+    await flushCache();
+    console.log(`\n  ${BRAND} ${chalk.bold(summary.displayTitle || summary.title)}`);
+    console.log(chalk.dim(`  ${summary.shortProject} \u00b7 ${summary.id} \u00b7 Ctrl+C to stop\n`));
+
+    const newState = () => ({
+      tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+      cost: 0,
+      messages: 0,
+      toolNames: new Map(),
+    });
+    let state = newState();
+    // While replaying existing content, keep only the last --lines messages
+    let backlog = [];
+    let replaying = true;
+    let lastTotals = '';
+
+    const printTotals = () => {
+      const line = watchTotalsLine(state);
+      if (line === lastTotals) return;
+      lastTotals = line;
+      console.log(line + '\n');
+    };
+
+    const tail = tailSession(file.filePath, {
+      onRecord: rec => {
+        const lines = renderWatchRecord(rec, state, { full: opts.full });
+        if (lines.length === 0) return;
+        if (replaying) {
+          backlog.push(lines);
+          if (backlog.length > opts.lines) backlog.shift();
+        } else {
+          console.log(lines.join('\n'));
+        }
+      },
+      onIdle: () => { if (!replaying) printTotals(); },
+      // Rewritten shorter (rename, restore): totals start over from the new content
+      onReset: () => {
+        state = newState();
+        lastTotals = '';
+        if (replaying) backlog = [];
+        else console.log(chalk.yellow('\n  \u27f3 Session file was rewritten, replaying it'));
+      },
+      onError: err => {
+        console.log(chalk.red(`  \u2717 ${err.code === 'ENOENT' ? 'Session file was removed' : err.message}`));
+        tail.close();
+        process.exitCode = 1;
+      },
+    });
+
+    await tail.ready;
+    replaying = false;
+    for (const lines of backlog) console.log(lines.join('\n'));
+    backlog = null;
+    printTotals();
+
+    process.on('SIGINT', () => {
+      tail.close();
+      console.log();
+      process.exit(0);
+    });
+  });
+
 // ── ANALYZE ──────────────────────────────────────────────────────────────────
 
 program
@@ -423,10 +638,10 @@ program
         process.exit(1);
       }
       process.stderr.write('  Analyzing...\n');
-      const session = await fullScan(file, { analyze: true });
-      classifyAll([session]);
+      const { summary: session } = await scanSession(file, { analyze: true });
       await mergeMetadata([session]);
-      await setCached(file.filePath, session);
+      await loadRules();
+      classifyAll([session]);
       await flushCache();
 
       console.log(chalk.bold(`\n  Deep Analysis: ${session.displayTitle || session.title}\n`));
@@ -487,6 +702,119 @@ program
     }
   });
 
+// ── CLASSIFY ─────────────────────────────────────────────────────────────────
+
+function formatRuleValue(v) {
+  if (Array.isArray(v)) return `[${v.join(', ')}]`;
+  if (v == null) return 'none';
+  return typeof v === 'string' ? `"${v}"` : String(v);
+}
+
+program
+  .command('classify')
+  .description('Check classification and auto-tag rules (rules.json) and how often each fires')
+  .option('--explain <id>', 'Show which rule set a session\'s tier, condition by condition')
+  .option('--deep', 'Use deep analysis fields (turns, tool calls, files, auto-tags)')
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => {
+    const file = await readRulesFile();
+    const sessions = await loadSessions({ analyze: !!opts.deep, showProgress: !opts.json });
+
+    if (opts.explain) {
+      const session = sessions.find(s => s.id === opts.explain || s.id.startsWith(opts.explain));
+      if (!session) {
+        console.log(chalk.red(`  \u2717 Session not found: ${opts.explain}`));
+        process.exit(1);
+      }
+      const explained = explainClassification(session);
+      if (opts.json) {
+        const rules = explained.rules.map(r => ({
+          ...r,
+          conditions: r.conditions.map(({ key, op, text, actual, ok }) => ({ key, op, value: text, actual, ok })),
+        }));
+        console.log(JSON.stringify({ id: session.id, ...explained, rules }, null, 2));
+        return;
+      }
+
+      console.log(`\n  ${BRAND} ${chalk.bold(session.displayTitle || session.title)}`);
+      console.log(chalk.dim(`  ${session.shortProject} \u00b7 ${session.id}\n`));
+      if (explained.rules.length === 0) {
+        console.log(chalk.dim(`  No user rules${file.exists ? '' : ` (${file.file} not found)`}`));
+      }
+      let fired = false;
+      for (const r of explained.rules) {
+        const skipped = fired;
+        const mark = r.matched && !skipped ? chalk.green('\u2713') : chalk.dim(r.matched ? '\u2713' : '\u2717');
+        const note = r.matched && skipped ? chalk.dim(' (matches, but an earlier rule fired)') : '';
+        console.log(`  ${mark} ${chalk.bold(r.name)} ${chalk.dim('\u2192')} ${tierBadge(r.tier)}${note}`);
+        for (const c of r.conditions) {
+          console.log(`      ${c.ok ? chalk.green('\u2713') : chalk.red('\u2717')} ${c.key} ${c.op} ${c.text} ${chalk.dim(`(is ${formatRuleValue(c.actual)})`)}`);
+        }
+        if (r.matched) fired = true;
+      }
+      const builtIn = explained.builtIn;
+      console.log(`  ${explained.rule ? chalk.dim('\u2013') : chalk.green('\u2713')} ${chalk.bold('built-in')} ${chalk.dim('\u2192')} ${tierBadge(builtIn.tier)}${explained.rule ? chalk.dim(' (not used)') : ''}`);
+      for (const reason of builtIn.reasons) console.log(chalk.dim(`      ${reason}`));
+      console.log();
+      console.log(`  ${chalk.cyan('Tier:')} ${tierBadge(explained.tier)} ${chalk.dim(explained.rule ? `from rule "${explained.rule}"` : 'from built-in rules')}`);
+      if (explained.override != null) {
+        console.log(chalk.dim(`  Manual override wins over the ${TIER_LABELS[explained.autoTier]} tier the rules give`));
+      }
+      console.log();
+      return;
+    }
+
+    const hits = new Map(file.rules.map(r => [r.name, 0]));
+    for (const s of sessions) {
+      if (s.tierRule && hits.has(s.tierRule)) hits.set(s.tierRule, hits.get(s.tierRule) + 1);
+    }
+    const builtInCount = sessions.filter(s => !s.tierRule).length;
+    // Auto-tags only come with deep analysis
+    const tagged = rule => opts.deep ? sessions.filter(s => (s.autoTags || []).includes(rule.tag)).length : null;
+
+    if (opts.json) {
+      console.log(JSON.stringify({
+        file: file.file,
+        exists: file.exists,
+        errors: file.errors,
+        warnings: file.warnings,
+        rules: file.rules.map(r => ({ name: r.name, tier: r.tier, reason: r.reason, sessions: hits.get(r.name) })),
+        builtIn: builtInCount,
+        autoTags: file.autoTags.map(r => ({ tag: r.tag, min: r.min, patterns: r.text, sessions: tagged(r) })),
+      }, null, 2));
+    } else {
+      console.log(`\n  ${BRAND} ${chalk.bold('Classification rules')}`);
+      console.log(chalk.dim(`  ${file.exists ? file.file : `No ${file.file}: built-in rules only`}\n`));
+      for (const err of file.errors) console.log(chalk.red(`  \u2717 ${err}`));
+      for (const warning of file.warnings) console.log(chalk.yellow(`  ! ${warning}`));
+      const table = new Table({
+        head: ['#', 'RULE', 'TIER', 'CONDITIONS', 'SESSIONS'].map(h => chalk.cyan(h)),
+        colWidths: [4, 24, 20, 40, 10],
+      });
+      file.rules.forEach((r, i) => {
+        table.push([i + 1, r.name, tierBadge(r.tier), r.when.map(c => `${c.key} ${c.op} ${c.text}`).join(', '), hits.get(r.name)]);
+      });
+      table.push(['', chalk.dim('built-in'), chalk.dim('-'), chalk.dim('tier thresholds'), builtInCount]);
+      console.log(table.toString());
+      console.log(chalk.dim('  Rules are tried in order, the first match sets the tier. "csesh classify --explain <id>" shows why.\n'));
+      if (file.autoTags.length > 0) {
+        console.log(`  ${chalk.bold('Auto-tag rules')}\n`);
+        const tagTable = new Table({
+          head: ['TAG', 'PATTERNS', 'MIN', 'SESSIONS'].map(h => chalk.cyan(h)),
+          colWidths: [24, 50, 6, 10],
+        });
+        for (const r of file.autoTags) {
+          const count = tagged(r);
+          tagTable.push([chalk.magenta(`#${r.tag}`), r.text, r.min, count ?? chalk.dim('-')]);
+        }
+        console.log(tagTable.toString());
+        if (!opts.deep) console.log(chalk.dim('  Auto-tags come from deep analysis: add --deep to count sessions.'));
+        console.log();
+      }
+    }
+    if (file.errors.length > 0) process.exitCode = 1;
+  });
+
 // ── SEARCH ───────────────────────────────────────────────────────────────────
 
 program
@@ -495,9 +823,57 @@ program
   .option('-p, --project <name>', 'Filter by project')
   .option('--from <date>', 'From date (YYYY-MM-DD)')
   .option('--to <date>', 'To date (YYYY-MM-DD)')
+  .option('--content', 'Search inside conversation content (messages, tool inputs/results)')
+  .option('--hits <n>', 'Max hits shown per session with --content', parseInt, 3)
+  .option('--scan', 'With --content, bypass the search index and read every file')
   .option('--json', 'Output as JSON')
   .action(async (query, opts) => {
-    const sessions = await loadSessions();
+    const sessions = await loadSessions({ archived: true });
+
+    if (opts.content) {
+      const { sessions: scoped } = filterSessions(sessions, {
+        project: opts.project,
+        from: opts.from,
+        to: opts.to,
+        limit: 0,
+      });
+      const { sessions: results, total } = await searchContent(scoped, query, {
+        limit: 30,
+        maxHits: opts.hits,
+        useIndex: !opts.scan,
+      });
+
+      if (opts.json) {
+        const data = results.map(s => ({
+          id: s.id,
+          date: s.lastTimestamp,
+          project: s.shortProject,
+          title: s.displayTitle || s.title,
+          hitCount: s.hitCount,
+          hits: s.hits,
+        }));
+        process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+        return;
+      }
+
+      if (results.length === 0) {
+        console.log(chalk.yellow(`  No conversation content matches "${query}"`));
+        return;
+      }
+
+      console.log();
+      for (const s of results) {
+        console.log(`  ${s.archived ? '\u{1F4E6} ' : ''}${chalk.bold((s.displayTitle || s.title).slice(0, 60))} ${chalk.dim(s.id.slice(0, 8))}`);
+        console.log(`  ${chalk.dim(`${s.shortProject} \u00b7 ${formatDate(s.lastTimestamp)} \u00b7 ${s.hitCount} hit${s.hitCount === 1 ? '' : 's'}`)}`);
+        for (const hit of s.hits) {
+          const where = hit.kind === 'text' ? hit.type : hit.kind;
+          console.log(`    ${chalk.cyan(`#${hit.messageIndex}`)} ${chalk.dim(where.padEnd(11))} ${highlightSnippet(hit)}`);
+        }
+        console.log();
+      }
+      console.log(chalk.dim(`  Found ${total} sessions with matches (showing ${results.length})`));
+      return;
+    }
     const { sessions: results, total } = filterSessions(sessions, {
       query,
       project: opts.project,
@@ -515,6 +891,7 @@ program
         messages: s.userMessageCount + s.assistantMessageCount,
         tier: s.tier,
         tierLabel: s.tierLabel,
+        archived: s.archived || false,
       }));
       process.stdout.write(JSON.stringify(data, null, 2) + '\n');
       return;
@@ -535,7 +912,7 @@ program
       table.push([
         formatDate(s.lastTimestamp),
         s.shortProject.slice(0, 14),
-        (s.displayTitle || s.title).slice(0, 36),
+        (s.archived ? '\u{1F4E6} ' : '') + (s.displayTitle || s.title).slice(0, 36),
         s.userMessageCount + s.assistantMessageCount,
         tierBadge(s.tier),
         s.id.slice(0, 8),
@@ -546,6 +923,19 @@ program
     console.log(chalk.dim(`  Found ${total} matches (showing ${results.length})`));
   });
 
+/**
+ * Render a search hit snippet with its highlight ranges emphasized.
+ */
+function highlightSnippet(hit) {
+  let out = '';
+  let pos = 0;
+  for (const [start, end] of hit.highlights) {
+    out += hit.snippet.slice(pos, start) + chalk.bold.yellow(hit.snippet.slice(start, end));
+    pos = end;
+  }
+  return out + hit.snippet.slice(pos);
+}
+
 // ── STATS ────────────────────────────────────────────────────────────────────
 
 program
@@ -554,7 +944,7 @@ program
   .option('-p, --project <name>', 'Filter by project')
   .option('--json', 'Output as JSON')
   .action(async (opts) => {
-    const sessions = await loadSessions({ mode: 'fast' });
+    const sessions = await loadSessions({ mode: 'fast', archived: true });
     const stats = computeStats(sessions, opts.project);
 
     if (opts.json) {
@@ -623,27 +1013,32 @@ function sparkline(values) {
 }
 
 /**
- * Get the start of today, this week (Monday), and this month.
+ * Budget rows for `csesh cost`: with --project, only that project's budgets.
  */
-function getTimePeriodBounds() {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const dayOfWeek = now.getDay();
-  const mondayOffset = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-  const weekStart = new Date(today);
-  weekStart.setDate(weekStart.getDate() - mondayOffset);
-  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-  return { today, weekStart, monthStart };
+function budgetsFor(results, project) {
+  if (!project) return results;
+  const p = project.toLowerCase();
+  return results.filter(b => b.project && b.project.toLowerCase().includes(p));
 }
 
 program
   .command('cost')
-  .description('Show cost breakdown by time period')
+  .description('Show cost breakdown by time period and budget burn-down')
   .option('-p, --project <name>', 'Filter by project')
   .option('--daily', 'Show daily breakdown for the last 30 days')
   .option('--json', 'Output as JSON')
   .action(async (opts) => {
-    const sessions = await loadSessions({ mode: 'fast' });
+    // Exits 1 when a configured budget is exceeded
+    const config = await getConfig();
+    const budgetErrors = validateBudgets(config.budgets);
+    if (budgetErrors.length > 0) {
+      for (const err of budgetErrors) console.error(chalk.red(`  \u2717 ${err}`));
+      console.error(chalk.dim('  Fix "budgets" in config.json'));
+      process.exit(1);
+    }
+
+    // Full scans: a fast scan only reads each file's head and tail
+    const sessions = await loadSessions({ mode: 'full', archived: true });
     let filtered = sessions;
     if (opts.project) {
       const p = opts.project.toLowerCase();
@@ -654,46 +1049,43 @@ program
       );
     }
 
-    // Compute per-session cost
+    // Per-session cost, split by the day each message was sent
     const sessionCosts = filtered.map(s => {
-      const model = s.models[0] || 'default';
       return {
         session: s,
-        cost: estimateCost(s.tokenUsage, model),
-        date: s.lastTimestamp ? new Date(s.lastTimestamp) : null,
-        day: s.lastTimestamp ? s.lastTimestamp.slice(0, 10) : null,
+        cost: sessionCost(s),
+        days: sessionDailyCost(s),
       };
-    }).filter(sc => sc.date);
+    }).filter(sc => sc.session.lastTimestamp);
 
     // Time period bounds
-    const { today, weekStart, monthStart } = getTimePeriodBounds();
-
-    const todayCost = sessionCosts
-      .filter(sc => sc.date >= today)
-      .reduce((sum, sc) => sum + sc.cost, 0);
-    const weekCost = sessionCosts
-      .filter(sc => sc.date >= weekStart)
-      .reduce((sum, sc) => sum + sc.cost, 0);
-    const monthCost = sessionCosts
-      .filter(sc => sc.date >= monthStart)
-      .reduce((sum, sc) => sum + sc.cost, 0);
+    const { today, weekStart, monthStart } = periodBounds();
+    const spentSince = start => sessionCosts.reduce((sum, sc) => sum + costSince(sc.session, start), 0);
+    const activeSince = start => {
+      const from = localDay(start);
+      return sessionCosts.filter(sc => Object.keys(sc.days).some(day => day >= from)).length;
+    };
+
+    const todayCost = spentSince(today);
+    const weekCost = spentSince(weekStart);
+    const monthCost = spentSince(monthStart);
     const allTimeCost = sessionCosts
       .reduce((sum, sc) => sum + sc.cost, 0);
 
     // Daily breakdown (last 30 days)
     const dailyCosts = {};
-    const last30 = new Date();
-    last30.setDate(last30.getDate() - 30);
     for (const sc of sessionCosts) {
-      if (sc.date >= last30 && sc.day) {
-        dailyCosts[sc.day] = (dailyCosts[sc.day] || 0) + sc.cost;
+      for (const [day, cost] of Object.entries(sc.days)) {
+        dailyCosts[day] = (dailyCosts[day] || 0) + cost;
       }
     }
 
     // Build sorted daily array for last 30 days
     const dailyEntries = [];
+    const last30 = new Date();
+    last30.setDate(last30.getDate() - 30);
     for (let d = new Date(last30); d <= new Date(); d.setDate(d.getDate() + 1)) {
-      const key = d.toISOString().slice(0, 10);
+      const key = localDay(d);
       dailyEntries.push({ date: key, cost: dailyCosts[key] || 0 });
     }
 
@@ -701,6 +1093,11 @@ program
     const last14 = dailyEntries.slice(-14);
     const sparkValues = last14.map(e => e.cost);
     const spark = sparkline(sparkValues);
+    const byModel = costByModel(sessionCosts.map(sc => sc.session));
+
+    // Budgets are checked against all sessions, then narrowed to --project
+    const budgets = budgetsFor(evaluateBudgets(sessions, config.budgets), opts.project);
+    if (budgets.some(b => b.exceeded)) process.exitCode = 1;
 
     if (opts.json) {
       const data = {
@@ -710,6 +1107,14 @@ program
         thisMonth: Math.round(monthCost * 10000) / 10000,
         allTime: Math.round(allTimeCost * 10000) / 10000,
         daily: dailyEntries.map(e => ({ date: e.date, cost: Math.round(e.cost * 10000) / 10000 })),
+        byModel: byModel.map(m => ({ ...m, cost: Math.round(m.cost * 10000) / 10000 })),
+        budgets: budgets.map(b => ({
+          ...b,
+          spent: Math.round(b.spent * 10000) / 10000,
+          remaining: Math.round(b.remaining * 10000) / 10000,
+          percent: Math.round(b.percent * 10) / 10,
+          projected: b.projected == null ? null : Math.round(b.projected * 10000) / 10000,
+        })),
         sessions: sessionCosts.length,
       };
       process.stdout.write(JSON.stringify(data, null, 2) + '\n');
@@ -726,9 +1131,9 @@ program
       colWidths: [20, 14, 12],
     });
 
-    const todaySessions = sessionCosts.filter(sc => sc.date >= today).length;
-    const weekSessions = sessionCosts.filter(sc => sc.date >= weekStart).length;
-    const monthSessions = sessionCosts.filter(sc => sc.date >= monthStart).length;
+    const todaySessions = activeSince(today);
+    const weekSessions = activeSince(weekStart);
+    const monthSessions = activeSince(monthStart);
 
     costTable.push(
       ['Today', chalk.green(`$${todayCost.toFixed(2)}`), todaySessions],
@@ -746,6 +1151,27 @@ program
     const maxDay = Math.max(...sparkValues);
     console.log(`  ${chalk.dim(`$${minDay.toFixed(2)} .. $${maxDay.toFixed(2)}`)}`);
 
+    // Per-model breakdown
+    if (byModel.length > 0) {
+      console.log();
+      console.log(chalk.bold('  By model (all time)\n'));
+      const modelTable = new Table({
+        head: ['MODEL', 'MESSAGES', 'INPUT', 'OUTPUT', 'COST', 'SHARE'].map(h => chalk.cyan(h)),
+        colWidths: [30, 10, 12, 12, 12, 8],
+      });
+      for (const m of byModel) {
+        modelTable.push([
+          m.model.replace('claude-', ''),
+          m.messages,
+          m.input.toLocaleString(),
+          m.output.toLocaleString(),
+          chalk.green(`$${m.cost.toFixed(2)}`),
+          allTimeCost > 0 ? `${Math.round((m.cost / allTimeCost) * 100)}%` : '-',
+        ]);
+      }
+      console.log(modelTable.toString());
+    }
+
     // Daily breakdown
     if (opts.daily) {
       console.log();
@@ -759,7 +1185,7 @@ program
       for (const entry of dailyEntries) {
         const barLen = Math.round((entry.cost / maxCost) * 30);
         const bar = entry.cost > 0 ? chalk.cyan('\u2588'.repeat(barLen)) : chalk.dim('\u00b7');
-        const isToday = entry.date === new Date().toISOString().slice(0, 10);
+        const isToday = entry.date === localDay(new Date());
         const dateStr = isToday ? chalk.bold(entry.date) : entry.date;
         dailyTable.push([
           dateStr,
@@ -770,6 +1196,37 @@ program
       console.log(dailyTable.toString());
     }
 
+    // Budgets
+    if (budgets.length > 0) {
+      console.log();
+      console.log(chalk.bold('  Budgets\n'));
+      const budgetTable = new Table({
+        head: ['SCOPE', 'PERIOD', 'SPENT', 'BUDGET', 'LEFT', 'USED', 'PROJECTED'].map(h => chalk.cyan(h)),
+        colWidths: [20, 9, 11, 11, 11, 20, 11],
+      });
+      for (const b of budgets) {
+        const color = b.exceeded ? chalk.red : b.percent >= 80 ? chalk.yellow : chalk.green;
+        const filled = Math.min(Math.round(b.percent / 10), 10);
+        const bar = color('\u2588'.repeat(filled)) + chalk.dim('\u00b7'.repeat(10 - filled));
+        const projected = b.projected == null ? chalk.dim('-')
+          : (b.projected > b.limit ? chalk.yellow : chalk.dim)(`$${b.projected.toFixed(2)}`);
+        budgetTable.push([
+          b.project || 'All projects',
+          b.period,
+          color(`$${b.spent.toFixed(2)}`),
+          `$${b.limit.toFixed(2)}`,
+          b.exceeded ? chalk.red(`-$${(-b.remaining).toFixed(2)}`) : `$${b.remaining.toFixed(2)}`,
+          `${bar} ${Math.round(b.percent)}%`,
+          projected,
+        ]);
+      }
+      console.log(budgetTable.toString());
+      const over = budgets.filter(b => b.exceeded);
+      if (over.length > 0) {
+        console.log(chalk.red(`  \u2717 ${over.length} budget${over.length === 1 ? '' : 's'} exceeded`));
+      }
+    }
+
     console.log();
   });
 
@@ -859,7 +1316,8 @@ program
     try {
       const meta = await loadMetadata();
       const metaCount = Object.keys(meta.sessions || {}).length;
-      ok('Metadata file', `${metaCount} session entries`);
+      const { changes, devices } = await getMetadataStats();
+      ok('Metadata file', `${metaCount} session entries, ${changes} changes from ${devices} device${devices === 1 ? '' : 's'}`);
     } catch (err) {
       if (err.code === 'ENOENT') {
         warn('Metadata file', 'Not found (will be created when needed)');
@@ -868,7 +1326,26 @@ program
       }
     }
 
-    // 6. Versions
+    // 6. Trash integrity: every manifest entry has its file, unchanged
+    try {
+      const items = await listTrash();
+      const problems = await verifyTrash();
+      const missing = problems.filter(p => p.problem === 'missing');
+      const mismatched = problems.filter(p => p.problem === 'mismatch');
+      if (problems.length === 0) {
+        ok('Trash integrity', `${items.length} items, all files present`);
+      }
+      if (missing.length > 0) {
+        fail('Trash files missing', `${missing.length} manifest entr${missing.length === 1 ? 'y has' : 'ies have'} no file: ${missing.map(p => p.id.slice(0, 8)).join(', ')}`);
+      }
+      if (mismatched.length > 0) {
+        fail('Trash checksum mismatch', `${mismatched.map(p => p.id.slice(0, 8)).join(', ')} changed since trashed (restore needs --force)`);
+      }
+    } catch (err) {
+      fail('Trash manifest', `Error: ${err.message}`);
+    }
+
+    // 7. Versions
     ok('csesh version', `v${VERSION}`);
     ok('Node.js version', process.version);
 
@@ -907,9 +1384,14 @@ program
   .action(async (opts) => {
     const sessions = await loadSessions();
 
-    const tier1 = sessions.filter(s => s.tier === 1);
-    const tier2 = sessions.filter(s => s.tier === 2);
+    // Protected sessions are never offered (trashSession refuses them anyway)
+    const shielded = sessions.filter(s => s.protected && (s.tier === 1 || s.tier === 2));
+    const tier1 = sessions.filter(s => s.tier === 1 && !s.protected);
+    const tier2 = sessions.filter(s => s.tier === 2 && !s.protected);
 
+    if (shielded.length > 0) {
+      console.log(chalk.dim(`  \u{1F512} ${shielded.length} protected session${shielded.length === 1 ? '' : 's'} skipped (csesh protect --list)`));
+    }
     if (tier1.length === 0 && tier2.length === 0) {
       console.log(chalk.green(`  \u2713 No junk sessions found!`));
       return;
@@ -980,9 +1462,11 @@ program
       if (ans1.toLowerCase() === 'y') {
         let trashed = 0;
         let skipped = 0;
-        for (const s of tier1) {
-          try { await trashSession(s, 'cleanup-tier1'); trashed++; } catch { skipped++; }
-        }
+        await group('cleanup tier 1', async () => {
+          for (const s of tier1) {
+            try { await trashSession(s, 'cleanup-tier1'); trashed++; } catch { skipped++; }
+          }
+        });
         console.log(chalk.green(`  \u2713 Trashed ${trashed} Tier 1 sessions`) + (skipped > 0 ? chalk.yellow(` (${skipped} skipped due to errors)`) : ''));
       }
     }
@@ -998,24 +1482,99 @@ program
       if (ans2.toLowerCase() === 'y') {
         let trashed = 0;
         let skipped = 0;
-        for (const s of tier2) {
-          try { await trashSession(s, 'cleanup-tier2'); trashed++; } catch { skipped++; }
-        }
+        await group('cleanup tier 2', async () => {
+          for (const s of tier2) {
+            try { await trashSession(s, 'cleanup-tier2'); trashed++; } catch { skipped++; }
+          }
+        });
         console.log(chalk.green(`  \u2713 Trashed ${trashed} Tier 2 sessions`) + (skipped > 0 ? chalk.yellow(` (${skipped} skipped due to errors)`) : ''));
       }
     }
 
     await clearCache();
-    console.log(chalk.dim('\n  Use "csesh trash list" to review, "csesh trash restore <id>" to undo'));
+    console.log(chalk.dim('\n  Use "csesh trash list" to review, "csesh undo" to take back the last batch'));
   });
 
+// ── PROTECT ──────────────────────────────────────────────────────────────────
+
+async function protectAction(id, opts, value) {
+  const verb = value ? 'Protected' : 'Unprotected';
+  if (opts.project || opts.tag) {
+    const [kind, name] = opts.project ? ['project', opts.project] : ['tag', opts.tag];
+    const changed = value ? await addProtectRule(kind, name) : await removeProtectRule(kind, name);
+    const label = kind === 'tag' ? chalk.magenta('#' + name.toLowerCase().trim()) : chalk.bold(name);
+    if (changed) console.log(chalk.green(`  \u2713 ${verb} every session ${kind === 'tag' ? 'tagged' : 'in project'} ${label}`));
+    else console.log(chalk.dim(`  ${kind === 'tag' ? 'Tag' : 'Project'} ${label} was ${value ? 'already' : 'not'} protected`));
+    return;
+  }
+  if (!id) {
+    console.log(chalk.red('  \u2717 Give a session id, --project <name> or --tag <tag>'));
+    process.exit(1);
+  }
+  const sessions = await loadSessions({ showProgress: false, archived: true });
+  const session = sessions.find(s => s.id === id || s.id.startsWith(id));
+  if (!session) {
+    console.log(chalk.red(`  \u2717 Session not found: ${id}`));
+    process.exit(1);
+  }
+  await setProtected(session.id, value);
+  console.log(chalk.green(`  \u2713 ${verb} ${session.id.slice(0, 8)} ${chalk.dim(session.displayTitle || session.title)}`));
+  if (!value && session.protectedReason && session.protectedReason !== 'protected') {
+    console.log(chalk.yellow(`  ! Still protected: ${session.protectedReason}`));
+  }
+}
+
+program
+  .command('protect [id]')
+  .description('Protect a session, project or tag from cleanup and trashing')
+  .option('--project <name>', 'Protect every session of a project (slug, name or path)')
+  .option('--tag <tag>', 'Protect every session with a tag')
+  .option('--list', 'List protected sessions and rules')
+  .option('--json', 'Output as JSON (with --list)')
+  .action(async (id, opts) => {
+    if (!opts.list) return protectAction(id, opts, true);
+
+    const rules = await getProtectRules();
+    const sessions = (await loadSessions({ showProgress: false, archived: true })).filter(s => s.protected);
+    if (opts.json) {
+      console.log(JSON.stringify({
+        ...rules,
+        sessions: sessions.map(s => ({ id: s.id, title: s.displayTitle || s.title, project: s.shortProject, reason: s.protectedReason })),
+      }, null, 2));
+      return;
+    }
+    console.log(`\n  ${BRAND} ${chalk.bold('Protected')}\n`);
+    console.log(`  ${chalk.cyan('Projects:')} ${rules.projects.length > 0 ? rules.projects.join(', ') : chalk.dim('none')}`);
+    console.log(`  ${chalk.cyan('Tags:')}     ${rules.tags.length > 0 ? rules.tags.map(t => chalk.magenta('#' + t)).join(' ') : chalk.dim('none')}\n`);
+    if (sessions.length === 0) {
+      console.log(chalk.dim('  No protected sessions\n'));
+      return;
+    }
+    const table = new Table({
+      head: ['ID', 'PROJECT', 'TITLE', 'WHY'].map(h => chalk.cyan(h)),
+      colWidths: [10, 16, 36, 30],
+    });
+    for (const s of sessions) {
+      table.push([s.id.slice(0, 8), s.shortProject.slice(0, 14), (s.displayTitle || s.title).slice(0, 34), s.protectedReason]);
+    }
+    console.log(table.toString());
+    console.log();
+  });
+
+program
+  .command('unprotect [id]')
+  .description('Lift protection from a session, project or tag')
+  .option('--project <name>', 'Remove a protect-by-project rule')
+  .option('--tag <tag>', 'Remove a protect-by-tag rule')
+  .action((id, opts) => protectAction(id, opts, false));
+
 // ── TAG ──────────────────────────────────────────────────────────────────────
 
 program
   .command('tag <id> <tag>')
   .description('Add a tag to a session')
   .action(async (id, tag) => {
-    const sessions = await loadSessions({ showProgress: false });
+    const sessions = await loadSessions({ showProgress: false, archived: true });
     const session = sessions.find(s => s.id === id || s.id.startsWith(id));
     if (!session) {
       console.log(chalk.red(`  \u2717 Session not found: ${id}`));
@@ -1025,19 +1584,90 @@ program
     console.log(chalk.green(`  \u2713 Tagged ${session.id.slice(0, 8)} with ${chalk.magenta('#' + tag)}`));
   });
 
+// ── TAGS ─────────────────────────────────────────────────────────────────────
+
+const tagsCmd = program.command('tags').description('Manage tags across all sessions (a slash nests them: client/acme)');
+
+// Run a tag operation, turning its expected refusals into a message
+async function tagOperation(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (!['ENOTAG', 'EEXIST', 'EINVALID'].includes(err.code)) throw err;
+    console.log(chalk.red(`  \u2717 ${err.message}`));
+    process.exit(1);
+  }
+}
+
+function printTagResult(verb, result, opts) {
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  for (const tag of result.tags) {
+    const [from, to] = Array.isArray(tag) ? tag : [tag, null];
+    console.log(`  ${chalk.magenta('#' + from)}${to ? ` \u2192 ${chalk.magenta('#' + to)}` : ''}`);
+  }
+  console.log(chalk.green(`  \u2713 ${verb} on ${result.sessions} session${result.sessions === 1 ? '' : 's'}`) +
+    chalk.dim('  ("csesh undo" takes it back)'));
+}
+
+tagsCmd.command('tree').description('Show tags as a tree with session counts')
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => {
+    const sessions = await loadSessions({ showProgress: false, archived: true });
+    const tree = buildTagTree(sessions, await getAllTags());
+    if (opts.json) {
+      console.log(JSON.stringify(tree, null, 2));
+      return;
+    }
+    if (tree.length === 0) {
+      console.log(chalk.dim('  No tags yet (csesh tag <id> <tag>)'));
+      return;
+    }
+    const walk = (nodes, indent) => nodes.forEach((node, i) => {
+      const last = i === nodes.length - 1;
+      const branch = indent == null ? '' : indent + (last ? '\u2514\u2500 ' : '\u251c\u2500 ');
+      console.log(`  ${chalk.dim(branch)}${chalk.magenta('#' + (indent == null ? node.path : node.name))} ${chalk.dim(String(node.count))}`);
+      walk(node.children, indent == null ? '' : indent + (last ? '   ' : '\u2502  '));
+    });
+    walk(tree, null);
+  });
+
+tagsCmd.command('rename <from> <to>').description('Rename a tag (and the tags nested in it) on every session')
+  .option('--json', 'Output as JSON')
+  .action(async (from, to, opts) => {
+    const result = await tagOperation(() => renameTag(from, to));
+    printTagResult('Renamed', result, opts);
+  });
+
+tagsCmd.command('merge <from> <into>').description('Merge a tag into another one on every session')
+  .option('--json', 'Output as JSON')
+  .action(async (from, into, opts) => {
+    const result = await tagOperation(() => mergeTags(from, into));
+    printTagResult('Merged', result, opts);
+  });
+
+tagsCmd.command('delete <tag>').description('Remove a tag (and the tags nested in it) from every session')
+  .option('--json', 'Output as JSON')
+  .action(async (tag, opts) => {
+    const result = await tagOperation(() => deleteTag(tag));
+    printTagResult('Deleted', result, opts);
+  });
+
 // ── TITLE ────────────────────────────────────────────────────────────────────
 
 program
   .command('title <id> <title>')
   .description('Set a custom title for a session')
   .action(async (id, title) => {
-    const sessions = await loadSessions({ showProgress: false });
+    const sessions = await loadSessions({ showProgress: false, archived: true });
     const session = sessions.find(s => s.id === id || s.id.startsWith(id));
     if (!session) {
       console.log(chalk.red(`  \u2717 Session not found: ${id}`));
       process.exit(1);
     }
-    await metaSetTitle(session.id, title);
+    await metaSetTitle(session.id, title, { nativeTitle: session.nativeTitle });
     console.log(chalk.green(`  \u2713 Title updated`));
   });
 
@@ -1049,6 +1679,7 @@ program
   .option('-f, --format <fmt>', 'Format: json, csv', 'json')
   .option('-o, --output <file>', 'Output file (stdout if omitted)')
   .option('--session <id>', 'Export single session conversation as markdown')
+  .option('--branch <n>', 'Conversation branch to export with --session (0 = main, "all" = every message)', '0')
   .action(async (opts) => {
     // Validate output path if specified
     if (opts.output) {
@@ -1085,19 +1716,37 @@ program
 
     if (opts.session) {
       // Export single session as markdown
-      const sessions = await loadSessions({ showProgress: false });
+      const sessions = await loadSessions({ showProgress: false, archived: true });
       const session = sessions.find(s => s.id === opts.session || s.id.startsWith(opts.session));
       if (!session) {
         console.log(chalk.red(`  \u2717 Session not found: ${opts.session}`));
         process.exit(1);
       }
-      const { messages } = await readMessages(session.filePath, { limit: 10000 });
+      const branch = opts.branch === 'all' ? 'all' : parseInt(opts.branch, 10);
+      if (branch !== 'all' && !(branch >= 0)) {
+        console.log(chalk.red(`  \u2717 Invalid branch: ${opts.branch}`));
+        process.exit(1);
+      }
+      const { messages, branches } = await readMessages(session.filePath, { limit: 10000, branch });
+      if (branch !== 'all' && branches.length > 0 && !branches[branch]) {
+        console.log(chalk.red(`  \u2717 Session has no branch ${branch} (branches: 0-${branches.length - 1})`));
+        process.exit(1);
+      }
       let md = `# ${session.displayTitle || session.title}\n\n`;
       md += `- **Project:** ${session.shortProject}\n`;
       md += `- **Date:** ${formatDate(session.firstTimestamp)}\n`;
-      md += `- **Duration:** ${formatDuration(session.durationMs)}\n\n---\n\n`;
+      md += `- **Duration:** ${formatDuration(session.durationMs)}\n`;
+      if (branches.length > 1) {
+        md += `- **Branch:** ${branch === 'all' ? 'all (file order)' : branch === 0 ? 'main' : `${branch} of ${branches.length - 1} alternates`}\n`;
+      }
+      md += `\n---\n\n`;
       for (const msg of messages) {
-        const role = msg.type === 'user' ? '**User**' : '**Assistant**';
+        if (msg.compaction) {
+          const { trigger, preTokens } = msg.compaction;
+          const details = [trigger, preTokens ? `${preTokens.toLocaleString('en-US')} tokens before` : null].filter(Boolean);
+          md += `*\u27f3 Conversation compacted${details.length ? ` (${details.join(', ')})` : ''}*\n\n---\n\n`;
+        }
+        const role = msg.compactSummary ? '**Compaction summary**' : msg.type === 'user' ? '**User**' : '**Assistant**';
         md += `### ${role}\n\n${msg.content || '(no text)'}\n\n---\n\n`;
       }
       if (opts.output) {
@@ -1107,15 +1756,23 @@ program
       } else {
         process.stdout.write(md);
       }
+      if (branch === 0 && branches.length > 1) {
+        console.error(chalk.dim(`  Exported the main branch. ${branches.length - 1} alternate branch(es):`));
+        for (const b of branches.slice(1)) {
+          console.error(chalk.dim(`    --branch ${b.index}  ${b.messageCount} messages, ${b.forkIndex} shared with main${b.preview ? `: ${b.preview}` : ''}`));
+        }
+      }
       return;
     }
 
     const sessions = await loadSessions();
     if (opts.format === 'csv') {
-      const headers = 'id,date,project,title,tier,messages,size,duration,models,cost\n';
+      const headers = 'id,date,project,title,tier,messages,size,duration,models,cost,model_costs\n';
       const rows = sessions.map(s => {
-        const model = s.models[0] || '';
-        const cost = estimateCost(s.tokenUsage, model).toFixed(4);
+        const cost = sessionCost(s).toFixed(4);
+        // model=cost pairs, so mixed-model sessions can be split in a spreadsheet
+        const modelCosts = Object.entries(s.modelUsage || {})
+          .map(([model, u]) => `${model}=${u.cost.toFixed(4)}`).join('; ');
         return [
           s.id,
           s.lastTimestamp?.slice(0, 10) || '',
@@ -1127,6 +1784,7 @@ program
           s.durationMs,
           `"${s.models.join(', ')}"`,
           cost,
+          `"${modelCosts}"`,
         ].join(',');
       }).join('\n');
       const csv = headers + rows;
@@ -1156,7 +1814,7 @@ program
   .description('Pick a session and resume it in Claude Code')
   .option('-p, --project <name>', 'Filter by project')
   .option('--favorites', 'Show only favorites')
-  .option('--tag <tag>', 'Filter by tag')
+  .option('--tag <tag>', 'Filter by tag (nested tags included)')
   .action(async (opts) => {
     const sessions = await loadSessions({ project: opts.project });
 
@@ -1245,11 +1903,17 @@ program.command('rename')
     const slug = titleToSlug(title);
     console.log(chalk.dim(`  Renaming to: ${title}`));
     try {
-      const result = await renameSessionSlug(sessionId, title);
-      await metaSetTitle(result.filePath.match(/([a-f0-9-]{36})\.jsonl/)?.[1] || sessionId, title);
+      // The JSONL rename and the metadata title are undone together
+      const result = await group(`rename "${title}"`, async () => {
+        const renamed = await renameSessionSlug(sessionId, title);
+        await metaSetTitle(renamed.filePath.match(/([a-f0-9-]{36})\.jsonl/)?.[1] || sessionId, title, { native: true });
+        return renamed;
+      });
       console.log(chalk.green(`  ${BRAND} Renamed successfully`));
-      console.log(chalk.dim(`  ${result.originalSlug} → ${result.newSlug}`));
-      console.log(chalk.dim(`  ${result.linesModified} records updated`));
+      if (result.linesModified > 0) {
+        console.log(chalk.dim(`  ${result.originalSlug} → ${result.newSlug}`));
+        console.log(chalk.dim(`  ${result.linesModified} records updated`));
+      }
       console.log();
       console.log(`  Title will appear in ${chalk.bold('claude --resume')} picker as ${chalk.cyan(title)}`);
     } catch (err) {
@@ -1258,6 +1922,118 @@ program.command('rename')
     }
   });
 
+// ── ARCHIVE ──────────────────────────────────────────────────────────────────
+
+program
+  .command('archive [id]')
+  .description('Compress sessions into the archive (still listed and searchable)')
+  .option('-p, --project <name>', 'Archive the sessions of a project')
+  .option('--tier <n>', 'Archive the sessions of a tier (1-4)')
+  .option('--tag <tag>', 'Archive the sessions with a tag')
+  .option('--older-than <days>', 'Only sessions whose last message is older than this', parseInt)
+  .option('--dry-run', 'Show what would be archived without doing it')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('--json', 'Output as JSON')
+  .action(async (id, opts) => {
+    const filtered = opts.project || opts.tier || opts.tag || opts.olderThan != null;
+    if (!id && !filtered) {
+      console.log(chalk.red('  \u2717 Give a session id or a filter (--project, --tier, --tag, --older-than)'));
+      process.exit(1);
+    }
+
+    const sessions = await loadSessions({ showProgress: !opts.json });
+    let targets;
+    if (id) {
+      targets = sessions.some(s => s.id === id) ? sessions.filter(s => s.id === id) : sessions.filter(s => s.id.startsWith(id));
+      if (targets.length === 0) {
+        console.log(chalk.red(`  \u2717 Session not found: ${id}`));
+        process.exit(1);
+      }
+      if (targets.length > 1) {
+        console.log(chalk.red(`  \u2717 ${id} matches ${targets.length} sessions, give more of the id:`));
+        for (const s of targets) console.log(`    ${s.id}  ${chalk.dim((s.displayTitle || s.title).slice(0, 50))}`);
+        process.exit(1);
+      }
+    } else {
+      const cutoff = opts.olderThan != null ? Date.now() - opts.olderThan * 86_400_000 : null;
+      targets = filterSessions(sessions, {
+        project: opts.project,
+        tier: opts.tier ? parseInt(opts.tier) : null,
+        tag: opts.tag,
+        limit: 0,
+      }).sessions.filter(s => cutoff == null || (s.lastTimestamp && Date.parse(s.lastTimestamp) < cutoff));
+    }
+
+    if (opts.dryRun) {
+      if (opts.json) {
+        console.log(JSON.stringify(targets.map(s => ({ id: s.id, title: s.displayTitle || s.title, project: s.shortProject, size: s.fileSizeBytes })), null, 2));
+        return;
+      }
+      for (const s of targets) console.log(`  Would archive ${chalk.dim(s.id.slice(0, 8))} ${(s.displayTitle || s.title).slice(0, 50)}`);
+      console.log(chalk.dim(`  ${targets.length} session${targets.length === 1 ? '' : 's'}, ${formatBytes(targets.reduce((n, s) => n + s.fileSizeBytes, 0))}`));
+      return;
+    }
+    if (targets.length === 0) {
+      console.log(chalk.dim('  No sessions match'));
+      return;
+    }
+    if (targets.length > 1 && !opts.yes) {
+      const readline = await import('readline');
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const ans = await new Promise(resolve => {
+        rl.question(chalk.yellow(`  Archive ${targets.length} sessions? (y/N) `), resolve);
+      });
+      rl.close();
+      if (ans.toLowerCase() !== 'y') {
+        console.log(chalk.dim('  Cancelled'));
+        return;
+      }
+    }
+
+    const archived = [];
+    const failed = [];
+    // One journal step, undone as a whole
+    await group(targets.length > 1 ? `archive ${targets.length} sessions` : null, async () => {
+      for (const s of targets) {
+        try {
+          const result = await archiveSession(s);
+          archived.push({ ...result, title: s.displayTitle || s.title });
+          if (!opts.json) {
+            console.log(chalk.green(`  \u2713 Archived ${s.id.slice(0, 8)} `) + chalk.dim(`${(s.displayTitle || s.title).slice(0, 40)} (${formatBytes(result.fileSizeBytes)} \u2192 ${formatBytes(result.archivedSizeBytes)})`));
+          }
+        } catch (err) {
+          failed.push({ id: s.id, error: err.message });
+          if (!opts.json) console.log(chalk.red(`  \u2717 ${s.id.slice(0, 8)}: ${err.message}`));
+        }
+      }
+    });
+    if (failed.length > 0) process.exitCode = 1;
+
+    if (opts.json) {
+      console.log(JSON.stringify({ archived, failed }, null, 2));
+      return;
+    }
+    if (archived.length > 1) {
+      const before = archived.reduce((n, a) => n + a.fileSizeBytes, 0);
+      const after = archived.reduce((n, a) => n + a.archivedSizeBytes, 0);
+      console.log(chalk.green(`  \u2713 Archived ${archived.length} sessions, ${formatBytes(before)} \u2192 ${formatBytes(after)}`));
+    }
+    console.log(chalk.dim('  Use "csesh list --archived" to review, "csesh unarchive <id>" to resume one again, "csesh undo" to take it back'));
+  });
+
+program
+  .command('unarchive <id>')
+  .description('Restore an archived session so Claude Code can resume it')
+  .action(async (id) => {
+    try {
+      const result = await unarchiveSession(id);
+      console.log(chalk.green(`  \u2713 Unarchived ${result.id.slice(0, 8)} \u2192 ${result.restoredTo}`));
+    } catch (err) {
+      console.log(chalk.red(`  \u2717 ${err.message}`));
+      process.exit(1);
+    }
+  });
+
 // ── TRASH ────────────────────────────────────────────────────────────────────
 
 const trashCmd = program.command('trash').description('Manage trashed sessions');
@@ -1275,6 +2051,9 @@ trashCmd.command('list').description('List trashed sessions').action(async () =>
     wordWrap: true,
   });
 
+  // An id trashed more than once is shown by item key, to pick one of them
+  const seen = {};
+  for (const item of items) seen[item.id] = (seen[item.id] || 0) + 1;
   for (const item of items) {
     table.push([
       item.trashedAt?.slice(0, 10) || 'N/A',
@@ -1282,7 +2061,7 @@ trashCmd.command('list').description('List trashed sessions').action(async () =>
       (item.title || '').slice(0, 33),
       (item.junkScore || 0).toFixed(1),
       formatBytes(item.fileSizeBytes || 0),
-      item.id.slice(0, 8),
+      seen[item.id] > 1 ? trashItemKey(item) : item.id.slice(0, 8),
     ]);
   }
 
@@ -1290,30 +2069,42 @@ trashCmd.command('list').description('List trashed sessions').action(async () =>
   console.log(chalk.dim(`  ${items.length} items in trash`));
 });
 
-trashCmd.command('restore <id>').description('Restore a session from trash').action(async (id) => {
-  try {
-    const items = await listTrash();
-    const match = items.find(i => i.id === id || i.id.startsWith(id));
-    if (!match) {
-      console.log(chalk.red(`  \u2717 Session not found in trash: ${id}`));
-      process.exit(1);
+/**
+ * The one trash item `ref` picks (see cleanup.matchTrashItems), or exit 1
+ * listing the candidates when it picks none or several.
+ */
+async function pickTrashItem(ref) {
+  const matches = matchTrashItems(await listTrash(), ref);
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) {
+    console.log(chalk.red(`  \u2717 Session not found in trash: ${ref}`));
+  } else {
+    console.log(chalk.red(`  \u2717 ${ref} matches ${matches.length} trash items, pick one by its key:`));
+    for (const i of matches) {
+      console.log(`    ${trashItemKey(i)}  ${chalk.dim(`${i.project || ''} \u00b7 trashed ${i.trashedAt?.slice(0, 10) || 'N/A'}`)}`);
     }
-    const result = await restoreSession(match.id);
-    console.log(chalk.green(`  \u2713 Restored ${result.id} \u2192 ${result.restoredTo}`));
-    await clearCache();
-  } catch (err) {
-    console.log(chalk.red(`  \u2717 Error: ${err.message}`));
   }
-});
+  process.exit(1);
+}
 
-trashCmd.command('delete <id>').description('Permanently delete a session from trash').action(async (id) => {
-  try {
-    const items = await listTrash();
-    const match = items.find(i => i.id === id || i.id.startsWith(id));
-    if (!match) {
-      console.log(chalk.red(`  \u2717 Session not found in trash: ${id}`));
-      process.exit(1);
+trashCmd.command('restore <id>').description('Restore a session from trash (by id, or item key from "trash list")')
+  .option('--force', 'Restore even if the trashed file does not match its checksum or its original path is taken')
+  .action(async (id, opts) => {
+    try {
+      const match = await pickTrashItem(id);
+      const result = await restoreSession(match.id, { force: opts.force, trashPath: match.trashPath });
+      console.log(chalk.green(`  \u2713 Restored ${result.id} \u2192 ${result.restoredTo}`));
+      await clearCache();
+    } catch (err) {
+      console.log(chalk.red(`  \u2717 Error: ${err.message}`));
+      if (err.code === 'ECHECKSUM') console.log(chalk.dim('  Check the file, then use --force to restore it anyway'));
+      if (err.code === 'EEXIST') console.log(chalk.dim('  Move that file away, or use --force to replace it'));
     }
+  });
+
+trashCmd.command('delete <id>').description('Permanently delete a session from trash (by id, or item key from "trash list")').action(async (id) => {
+  try {
+    const match = await pickTrashItem(id);
 
     const readline = await import('readline');
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
@@ -1327,7 +2118,7 @@ trashCmd.command('delete <id>').description('Permanently delete a session from t
       return;
     }
 
-    await deleteFromTrash(match.id);
+    await deleteFromTrash(match.id, { trashPath: match.trashPath });
     console.log(chalk.green(`  \u2713 Permanently deleted ${match.id.slice(0, 8)}`));
   } catch (err) {
     console.log(chalk.red(`  \u2717 Error: ${err.message}`));
@@ -1338,7 +2129,186 @@ trashCmd.command('empty').description('Permanently delete old trashed sessions')
   .option('--older-than <days>', 'Days threshold (0 = all)', parseInt, 30)
   .action(async (opts) => {
     const result = await emptyTrash(opts.olderThan);
-    console.log(chalk.green(`  \u2713 Removed ${result.removed} items, ${result.remaining} remaining`));
+    console.log(chalk.green(`  \u2713 Removed ${result.removed} items, ${result.remaining} remaining`) +
+      (result.protected > 0 ? chalk.dim(` (${result.protected} protected kept)`) : ''));
+  });
+
+// ── HISTORY / UNDO ───────────────────────────────────────────────────────────
+
+program.command('history').description('Show recent changes from the operation journal')
+  .option('-n, --limit <n>', 'Number of steps to show', parseInt, 20)
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => {
+    const steps = (await listSteps()).slice(0, opts.limit);
+    if (opts.json) {
+      console.log(JSON.stringify(steps.map(s => ({ ...s, description: describeStep(s) })), null, 2));
+      return;
+    }
+    if (steps.length === 0) {
+      console.log(chalk.dim('  No changes recorded yet'));
+      return;
+    }
+
+    const table = new Table({
+      head: ['#', 'WHEN', 'CHANGE', 'STATUS'].map(h => chalk.cyan(h)),
+      colWidths: [5, 14, 52, 15],
+    });
+    let n = 0;
+    for (const s of steps) {
+      // Numbered like "csesh undo <n>" counts: undoable steps only
+      const status = s.undone ? chalk.dim('undone') : !s.undoable ? chalk.yellow('permanent')
+        : s.undoneEntries.length > 0 ? chalk.yellow('partly undone') : '';
+      table.push([s.undoable ? String(++n) : '', timeAgo(s.at), describeStep(s).slice(0, 50), status]);
+    }
+    console.log(table.toString());
+    console.log(chalk.dim('  "csesh undo <n>" takes back the last n numbered changes'));
+  });
+
+program.command('undo [n]').description('Undo the last change (or the last n) from the journal')
+  .option('--json', 'Output as JSON')
+  .action(async (n, opts) => {
+    const count = n == null ? 1 : parseInt(n, 10);
+    if (!(count > 0)) {
+      console.log(chalk.red(`  \u2717 Not a number of changes: ${n}`));
+      process.exit(1);
+    }
+    const results = await undo({ count });
+    if (results.some(r => r.undone.length > 0)) await clearCache();
+    if (results.some(r => r.failed.length > 0)) process.exitCode = 1;
+    if (opts.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+    if (results.length === 0) {
+      console.log(chalk.dim('  Nothing to undo'));
+      return;
+    }
+    for (const r of results) {
+      const line = r.complete ? chalk.green(`  \u2713 Undid ${r.description}`) : chalk.yellow(`  ! Partly undid ${r.description}`);
+      console.log(line + chalk.dim(` (${timeAgo(r.at)})`));
+      for (const f of r.failed) console.log(chalk.red(`    \u2717 ${f.description}: ${f.error}`));
+      if (!r.complete) console.log(chalk.dim('    Fix the problem above and run "csesh undo" again to retry the rest'));
+    }
+  });
+
+// ── METADATA STORE ───────────────────────────────────────────────────────────
+
+const metadataCmd = program.command('metadata').description('Sync and inspect the metadata change log');
+
+metadataCmd.command('merge <file>').description("Fold in another machine's metadata.jsonl (or an old metadata.json)")
+  .option('--json', 'Output as JSON')
+  .action(async (file, opts) => {
+    let result;
+    try {
+      result = await mergeMetadataStore(file);
+    } catch (err) {
+      console.log(chalk.red(`  \u2717 ${err.code === 'ENOENT' ? `File not found: ${file}` : err.message}`));
+      process.exit(1);
+    }
+    if (opts.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    if (result.added === 0) {
+      console.log(chalk.dim('  Already up to date: no new changes'));
+      return;
+    }
+    const n = result.sessions.length;
+    console.log(chalk.green(`  \u2713 Merged ${result.added} changes, ${n} session${n === 1 ? '' : 's'} updated`));
+  });
+
+metadataCmd.command('compact').description('Drop edits superseded by a later one from the change log')
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => {
+    const result = await compactMetadata();
+    if (opts.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    const dropped = result.before - result.after;
+    if (dropped === 0) {
+      console.log(chalk.dim('  Nothing to compact: every change is still current'));
+      return;
+    }
+    console.log(chalk.green(`  \u2713 Dropped ${dropped} superseded change${dropped === 1 ? '' : 's'}, ${result.after} left`));
+  });
+
+metadataCmd.command('history <id>').description('Show every recorded edit of a session, with time and device')
+  .option('--json', 'Output as JSON')
+  .action(async (id, opts) => {
+    const sessions = await loadSessions({ showProgress: false, archived: true });
+    const session = sessions.find(s => s.id === id || s.id.startsWith(id));
+    const changes = await getMetadataHistory(session?.id || id);
+    if (opts.json) {
+      console.log(JSON.stringify(changes, null, 2));
+      return;
+    }
+    if (changes.length === 0) {
+      console.log(chalk.dim(`  No metadata edits recorded for ${id}`));
+      return;
+    }
+
+    const table = new Table({
+      head: ['WHEN', 'DEVICE', 'FIELD', 'VALUE'].map(h => chalk.cyan(h)),
+      colWidths: [14, 20, 18, 40],
+    });
+    for (const c of changes) {
+      const value = c.value == null ? chalk.dim('(cleared)') : String(c.value).slice(0, 38);
+      table.push([timeAgo(c.at), c.device.slice(0, 18), c.field.slice(0, 16), value]);
+    }
+    console.log(table.toString());
+  });
+
+// ── RETENTION ────────────────────────────────────────────────────────────────
+
+const retentionCmd = program.command('retention').description('Apply the retention policies from config.json');
+
+retentionCmd.command('apply').description('Trash and purge sessions by policy (safe to run from cron)')
+  .option('--dry-run', 'Show what would be trashed and purged without doing it')
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => {
+    const config = validateRetention((await getConfig()).retention);
+    if (config.errors.length > 0) {
+      for (const err of config.errors) console.error(chalk.red(`  \u2717 ${err}`));
+      console.error(chalk.dim('  Nothing applied: fix "retention" in config.json'));
+      process.exit(1);
+    }
+    if (config.policies.length === 0 && config.purgeTrashAfter == null) {
+      if (opts.json) console.log(JSON.stringify({ dryRun: !!opts.dryRun, trashed: [], protected: [], archived: [], failed: [], purged: [] }, null, 2));
+      else console.log(chalk.dim('  No retention policies configured (see "retention" in config.json)'));
+      return;
+    }
+
+    const sessions = config.policies.length > 0
+      ? await loadSessions({ showProgress: !opts.json && process.stderr.isTTY })
+      : [];
+    const result = await applyRetention(sessions, config, { dryRun: !!opts.dryRun });
+    if (result.trashed.length > 0 && !opts.dryRun) await clearCache();
+    if (result.failed.length > 0) process.exitCode = 1;
+
+    if (opts.json) {
+      console.log(JSON.stringify({ dryRun: !!opts.dryRun, ...result }, null, 2));
+      return;
+    }
+
+    const verb = opts.dryRun ? 'Would trash' : 'Trashed';
+    for (const item of result.trashed) {
+      console.log(`  ${verb} ${chalk.dim(item.id.slice(0, 8))} ${(item.title || '').slice(0, 50)} ${chalk.dim(`[${item.policy}]`)}`);
+    }
+    for (const item of result.purged) {
+      console.log(`  ${opts.dryRun ? 'Would purge' : 'Purged'} ${chalk.dim(item.id.slice(0, 8))} ${(item.title || '').slice(0, 50)} ${chalk.dim(`(trashed ${item.trashedAt?.slice(0, 10)})`)}`);
+    }
+    for (const item of result.failed) {
+      console.log(chalk.red(`  \u2717 ${item.id.slice(0, 8)}: ${item.error}`));
+    }
+
+    console.log(chalk.green(`  \u2713 ${verb} ${result.trashed.length}, ${opts.dryRun ? 'would purge' : 'purged'} ${result.purged.length}`) +
+      (result.protected.length > 0 ? chalk.dim(` (\u{1F512} ${result.protected.length} protected skipped)`) : '') +
+      (result.archived.length > 0 ? chalk.dim(` (${result.archived.length} archived skipped)`) : '') +
+      (result.failed.length > 0 ? chalk.red(`, ${result.failed.length} failed`) : ''));
+    if (!opts.dryRun && (result.trashed.length > 0 || result.purged.length > 0)) {
+      console.log(chalk.dim(`  Logged to ${retentionLogFile()}`));
+    }
   });
 
 // ── WEB ──────────────────────────────────────────────────────────────────────
@@ -1354,18 +2324,119 @@ program.command('web').description('Start web dashboard')
 
 const cacheCmd = program.command('cache').description('Manage scan cache');
 
-cacheCmd.command('clear').description('Clear the scan cache').action(async () => {
+cacheCmd.command('clear').description('Clear the scan cache and search index').action(async () => {
   await clearCache();
-  console.log(chalk.green('  \u2713 Cache cleared'));
+  await clearIndex();
+  console.log(chalk.green('  \u2713 Cache and search index cleared'));
 });
 
 cacheCmd.command('stats').description('Show cache statistics').action(async () => {
   const stats = await cacheStats();
+  const index = await indexStats();
   console.log(`  ${chalk.cyan('Entries:')}  ${stats.entries} (${stats.analyzed} analyzed)`);
   console.log(`  ${chalk.cyan('Disk:')}     ${formatBytes(stats.diskSize)}`);
+  console.log(`  ${chalk.cyan('Index:')}    ${index.files} files, ${index.tokens.toLocaleString()} tokens, ${formatBytes(index.diskSize)}`);
 });
 
+// ── PRICING ──────────────────────────────────────────────────────────────────
+
+const pricingCmd = program.command('pricing').description('Show and check model pricing');
+
+function pricingDate(ms) {
+  if (ms == null) return '';
+  const iso = new Date(ms).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+function formatRate(n) {
+  return `$${+n.toFixed(4)}`;
+}
+
+pricingCmd.command('list').description('List the rates in effect (pricing.json, then built-in)')
+  .option('--model <id>', 'Show the rates that apply to one model')
+  .option('--at <date>', 'Resolve --model at this date instead of now')
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => {
+    const pricing = await loadPricing();
+    if (opts.at && Number.isNaN(Date.parse(opts.at))) {
+      console.log(chalk.red(`  \u2717 Invalid date: ${opts.at}`));
+      process.exit(1);
+    }
+
+    if (opts.model) {
+      const rates = resolvePricing(opts.model, opts.at || null);
+      const source = pricing.entries.includes(rates) || rates === pricing.default ? 'pricing.json' : 'built-in';
+      const match = rates.match || (Object.hasOwn(MODEL_PRICING, opts.model) ? opts.model : 'default');
+      const { input, output, cacheRead, cacheWrite } = rates;
+      if (opts.json) {
+        console.log(JSON.stringify({ model: opts.model, at: opts.at || null, match, source, input, output, cacheRead, cacheWrite }, null, 2));
+        return;
+      }
+      console.log(`\n  ${BRAND} ${chalk.bold(opts.model)}${opts.at ? chalk.dim(` at ${opts.at}`) : ''}`);
+      console.log(`  ${chalk.cyan('Match:')}  ${match} ${chalk.dim(`(${source})`)}`);
+      console.log(`  ${chalk.cyan('Rates:')}  ${formatRate(input)} in \u00b7 ${formatRate(output)} out \u00b7 ${formatRate(cacheRead)} cache read \u00b7 ${formatRate(cacheWrite)} cache write`);
+      console.log(chalk.dim('  USD per million tokens\n'));
+      return;
+    }
+
+    const rows = [
+      ...pricing.entries.map(e => ({ ...e, source: 'pricing.json' })),
+      ...(pricing.default ? [{ match: 'default', ...pricing.default, source: 'pricing.json' }] : []),
+      ...Object.entries(MODEL_PRICING).map(([match, rates]) => ({ match, ...rates, source: 'built-in' })),
+    ];
+
+    if (opts.json) {
+      console.log(JSON.stringify({
+        file: pricing.file,
+        exists: pricing.exists,
+        errors: pricing.errors,
+        rates: rows.map(r => ({ ...r, from: r.from == null ? null : pricingDate(r.from), until: r.until == null ? null : pricingDate(r.until) })),
+      }, null, 2));
+      return;
+    }
+
+    console.log(`\n  ${BRAND} ${chalk.bold('Model pricing')}`);
+    console.log(chalk.dim(`  ${pricing.exists ? pricing.file : `No ${pricing.file}: built-in rates only`}\n`));
+    const table = new Table({
+      head: ['MATCH', 'INPUT', 'OUTPUT', 'CACHE R', 'CACHE W', 'FROM', 'UNTIL', 'SOURCE'].map(h => chalk.cyan(h)),
+      colWidths: [30, 9, 9, 9, 9, 12, 12, 14],
+    });
+    for (const r of rows) {
+      table.push([
+        r.match, formatRate(r.input), formatRate(r.output), formatRate(r.cacheRead), formatRate(r.cacheWrite),
+        pricingDate(r.from), pricingDate(r.until), r.source,
+      ]);
+    }
+    console.log(table.toString());
+    console.log(chalk.dim('  USD per million tokens. The most specific match in effect at a message\'s date wins; pricing.json before built-in.'));
+    if (pricing.errors.length > 0) {
+      console.log(chalk.yellow(`  ${pricing.errors.length} invalid entr${pricing.errors.length === 1 ? 'y' : 'ies'} ignored, run "csesh pricing validate"`));
+    }
+    console.log('');
+  });
+
+pricingCmd.command('validate [file]').description('Check a pricing file (default: pricing.json)')
+  .action(async (file) => {
+    const result = await readPricingFile(file || undefined);
+    if (!result.exists) {
+      console.log(chalk.red(`  \u2717 Not found: ${result.file}`));
+      process.exit(1);
+    }
+    for (const err of result.errors) console.log(chalk.red(`  \u2717 ${err}`));
+    for (const warning of result.warnings) console.log(chalk.yellow(`  ! ${warning}`));
+    if (result.errors.length > 0) {
+      process.exitCode = 1;
+      return;
+    }
+    const n = result.entries.length;
+    console.log(chalk.green(`  \u2713 ${result.file}: ${n} model entr${n === 1 ? 'y' : 'ies'}${result.default ? ' and a default' : ''}`));
+  });
+
 // ── Run ─────────────────────────────────────────────────────────────────────
 
-await checkFirstRun();
+program.hook('preAction', async () => {
+  await resolveClaudeDir(program.opts().claudeDir);
+  await checkFirstRun();
+});
+
 program.parse();
@@ -55,99 +55,154 @@ const LANG_HINTS = {
   de: /\b(der|die|das|ein|eine|ist|sind|in|für|mit|und|aber|wie|gut|alles|mehr|weniger|hier|danke|hallo|ja|nein)\b/i,
 };
 
+// User auto-tag rules (rules.json "autoTag", compiled by rules.js), each
+// { tag, min, messages, bash, files, tools }
+let autoTagRules = [];
+
 /**
- * Analyze all records from a session for deep metadata extraction.
+ * Install user auto-tag rules for the analyses that follow. Counts are kept
+ * per rule index in the state, so cached states are only valid for the rules
+ * they were built with (cache.js checks the rules fingerprint).
  */
-export function analyzeRecords(records) {
-  const analysis = {
+export function setAutoTagRules(rules) {
+  autoTagRules = Array.isArray(rules) ? rules : [];
+}
+
+export function getAutoTagRules() {
+  return autoTagRules;
+}
+
+/**
+ * Create an empty analysis state.
+ * Feed records with analyzeRecord() and read results with finalizeAnalysis(),
+ * so a growing session can be analyzed incrementally (see scanner checkpoints).
+ * It is JSON-serializable through serializeAnalysisState().
+ */
+export function createAnalysisState() {
+  return {
     toolUsage: {},
     totalToolCalls: 0,
     failedToolCalls: 0,
     thinkingBlocks: 0,
     thinkingCharacters: 0,
     turnCount: 0,
-    avgResponseLength: 0,
+    lastRecType: null,
+    responseLengthSum: 0,
+    responseCount: 0,
     hasSubAgents: false,
-    filesTouched: [],
-    uniqueFilesCount: 0,
+    files: new Set(),
+    toolTags: {},
     firstUserMessage: '',
     lastUserMessage: '',
-    autoTags: [],
-    language: null,
+    userTextCount: 0,
+    userTextLength: 0,
+    keywordMatches: {},
+    langMatches: {},
+    ruleMatches: {},
   };
+}
 
-  const fileSet = new Set();
-  const tagCounts = new Map();
-  let lastRecType = null;
-  const responseLengths = [];
-  const userTexts = [];
+/**
+ * Analysis state as plain JSON (the file set as an array), for a checkpoint.
+ */
+export function serializeAnalysisState(state) {
+  return { ...state, files: [...state.files] };
+}
 
-  for (const rec of records) {
-    // Sub-agent detection
-    if (rec.type === 'progress' && rec.data?.type === 'agent_progress') {
-      analysis.hasSubAgents = true;
-    }
+/**
+ * Analysis state back from serializeAnalysisState().
+ */
+export function restoreAnalysisState(saved) {
+  return { ...saved, files: new Set(saved.files) };
+}
 
-    // Assistant message analysis
-    if (rec.type === 'assistant' && Array.isArray(rec.message?.content)) {
-      for (const block of rec.message.content) {
-        if (block.type === 'thinking') {
-          analysis.thinkingBlocks++;
-          analysis.thinkingCharacters += (block.thinking || '').length;
-        }
-        if (block.type === 'tool_use') {
-          const name = block.name || 'unknown';
-          analysis.toolUsage[name] = (analysis.toolUsage[name] || 0) + 1;
-          analysis.totalToolCalls++;
-          extractFilePaths(block, fileSet);
-
-          // Tool-based tags (only for distinctive tools, not common ones)
-          if (TOOL_TAGS[name]) {
-            incrTag(tagCounts, TOOL_TAGS[name]);
-          }
+/**
+ * Accumulate one record into an analysis state. Mutates state.
+ */
+export function analyzeRecord(state, rec) {
+  // Sub-agent detection
+  if (rec.type === 'progress' && rec.data?.type === 'agent_progress') {
+    state.hasSubAgents = true;
+  }
+
+  // Assistant message analysis
+  if (rec.type === 'assistant' && Array.isArray(rec.message?.content)) {
+    for (const block of rec.message.content) {
+      if (block.type === 'thinking') {
+        state.thinkingBlocks++;
+        state.thinkingCharacters += (block.thinking || '').length;
+      }
+      if (block.type === 'tool_use') {
+        const name = block.name || 'unknown';
+        state.toolUsage[name] = (state.toolUsage[name] || 0) + 1;
+        state.totalToolCalls++;
+        extractFilePaths(block, state.files);
+
+        // Tool-based tags (only for distinctive tools, not common ones)
+        if (TOOL_TAGS[name]) {
+          state.toolTags[TOOL_TAGS[name]] = (state.toolTags[TOOL_TAGS[name]] || 0) + 1;
         }
-        if (block.type === 'text') {
-          responseLengths.push((block.text || '').length);
+        if (name === 'Bash' && typeof block.input?.command === 'string') {
+          addBashCommand(state, block.input.command);
         }
       }
+      if (block.type === 'text') {
+        state.responseLengthSum += (block.text || '').length;
+        state.responseCount++;
+      }
     }
+  }
 
-    // Failed tool calls from tool_result blocks
-    if (rec.type === 'user' && Array.isArray(rec.message?.content)) {
-      for (const block of rec.message.content) {
-        if (block.type === 'tool_result' && block.is_error) {
-          analysis.failedToolCalls++;
-        }
+  // Failed tool calls from tool_result blocks
+  if (rec.type === 'user' && Array.isArray(rec.message?.content)) {
+    for (const block of rec.message.content) {
+      if (block.type === 'tool_result' && block.is_error) {
+        state.failedToolCalls++;
       }
     }
+  }
 
-    // Turn counting (alternating user/assistant pairs)
-    if (rec.type === 'user' || rec.type === 'assistant') {
-      if (rec.type !== lastRecType) analysis.turnCount++;
-      lastRecType = rec.type;
-    }
+  // Turn counting (alternating user/assistant pairs)
+  if (rec.type === 'user' || rec.type === 'assistant') {
+    if (rec.type !== state.lastRecType) state.turnCount++;
+    state.lastRecType = rec.type;
+  }
 
-    // Collect user message text (skip tool results)
-    if (rec.type === 'user') {
-      const text = extractTextFromContent(rec.message?.content);
-      if (text) userTexts.push(text);
-    }
+  // Collect user message text (skip tool results)
+  if (rec.type === 'user') {
+    const text = extractTextFromContent(rec.message?.content);
+    if (text) addUserText(state, text);
   }
+  return state;
+}
 
-  // First and last user messages
-  analysis.firstUserMessage = userTexts[0] || '';
-  analysis.lastUserMessage = userTexts[userTexts.length - 1] || '';
+/**
+ * Compute the analysis result from an accumulated state.
+ */
+export function finalizeAnalysis(state) {
+  const analysis = {
+    toolUsage: { ...state.toolUsage },
+    totalToolCalls: state.totalToolCalls,
+    failedToolCalls: state.failedToolCalls,
+    thinkingBlocks: state.thinkingBlocks,
+    thinkingCharacters: state.thinkingCharacters,
+    turnCount: state.turnCount,
+    avgResponseLength: 0,
+    hasSubAgents: state.hasSubAgents,
+    filesTouched: [...state.files],
+    uniqueFilesCount: state.files.size,
+    firstUserMessage: state.firstUserMessage,
+    lastUserMessage: state.lastUserMessage,
+    autoTags: [],
+    language: null,
+  };
 
   // Avg response length
-  if (responseLengths.length > 0) {
-    analysis.avgResponseLength = Math.round(
-      responseLengths.reduce((a, b) => a + b, 0) / responseLengths.length
-    );
+  if (state.responseCount > 0) {
+    analysis.avgResponseLength = Math.round(state.responseLengthSum / state.responseCount);
   }
 
-  // Files touched
-  analysis.filesTouched = [...fileSet];
-  analysis.uniqueFilesCount = fileSet.size;
+  const tagCounts = new Map(Object.entries(state.toolTags));
 
   // Task/agents tag — only if sub-agents were used or Task called 2+ times
   if (analysis.hasSubAgents || (analysis.toolUsage['Task'] || 0) >= 2) {
@@ -155,7 +210,7 @@ export function analyzeRecords(records) {
   }
 
   // File extension tags
-  for (const f of fileSet) {
+  for (const f of state.files) {
     const ext = getExtension(f);
     if (ext && EXTENSION_TAGS[ext]) {
       incrTag(tagCounts, EXTENSION_TAGS[ext]);
@@ -163,37 +218,111 @@ export function analyzeRecords(records) {
   }
 
   // Keyword tags from user messages (require 2+ matches to reduce noise)
-  const allUserText = userTexts.join(' ');
-  for (const { pattern, tag } of KEYWORD_TAGS) {
-    const matches = allUserText.match(new RegExp(pattern.source, 'gi'));
-    if (matches && matches.length >= 2) {
-      tagCounts.set(tag, (tagCounts.get(tag) || 0) + matches.length);
+  for (const { tag } of KEYWORD_TAGS) {
+    const matches = state.keywordMatches[tag] || 0;
+    if (matches >= 2) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + matches);
     }
   }
 
-  // Top 5 auto-tags by frequency
-  analysis.autoTags = [...tagCounts.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([tag]) => tag);
+  // Top 5 auto-tags by frequency, after every tag a user rule gave
+  const ruleTags = userRuleTags(state);
+  analysis.autoTags = [
+    ...ruleTags,
+    ...[...tagCounts.entries()]
+      .filter(([tag]) => !ruleTags.includes(tag))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([tag]) => tag),
+  ];
 
   // Language detection
-  analysis.language = detectLanguage(allUserText);
+  analysis.language = detectLanguage(state);
 
   return analysis;
 }
 
-function extractFilePaths(toolUseBlock, fileSet) {
-  const input = toolUseBlock.input;
-  if (!input) return;
-  if (input.file_path && typeof input.file_path === 'string') {
-    fileSet.add(input.file_path);
+/**
+ * Analyze all records from a session for deep metadata extraction.
+ */
+export function analyzeRecords(records) {
+  const state = createAnalysisState();
+  for (const rec of records) analyzeRecord(state, rec);
+  return finalizeAnalysis(state);
+}
+
+/**
+ * Streaming variant of analyzeRecords(): accepts any iterable or async
+ * iterable of records (e.g. scanner.streamRecords) and holds one at a time.
+ */
+export async function analyzeRecordStream(records) {
+  const state = createAnalysisState();
+  for await (const rec of records) analyzeRecord(state, rec);
+  return finalizeAnalysis(state);
+}
+
+// Keyword and language counts are kept per message so the state stays small;
+// summing per-message regex matches equals matching the space-joined text.
+function addUserText(state, text) {
+  if (state.userTextCount === 0) state.firstUserMessage = text;
+  state.lastUserMessage = text;
+  state.userTextLength += text.length + (state.userTextCount > 0 ? 1 : 0);
+  state.userTextCount++;
+
+  for (const { pattern, tag } of KEYWORD_TAGS) {
+    const matches = text.match(new RegExp(pattern.source, 'gi'));
+    if (matches) state.keywordMatches[tag] = (state.keywordMatches[tag] || 0) + matches.length;
   }
-  if (input.path && typeof input.path === 'string') {
-    fileSet.add(input.path);
+  autoTagRules.forEach((rule, i) => {
+    if (rule.messages) addRuleMatches(state, i, text.match(rule.messages)?.length || 0);
+  });
+  for (const [lang, regex] of Object.entries(LANG_HINTS)) {
+    const matches = text.match(new RegExp(regex.source, 'gi'));
+    if (matches) state.langMatches[lang] = (state.langMatches[lang] || 0) + matches.length;
   }
 }
 
+// Rule counts live in state.ruleMatches by rule index (states cached before
+// rules existed have none)
+function addRuleMatches(state, i, count) {
+  if (count === 0) return;
+  state.ruleMatches ??= {};
+  state.ruleMatches[i] = (state.ruleMatches[i] || 0) + count;
+}
+
+function addBashCommand(state, command) {
+  autoTagRules.forEach((rule, i) => {
+    if (rule.bash?.test(command)) addRuleMatches(state, i, 1);
+  });
+}
+
+// Tags of the user rules whose matches reach their threshold: regex matches
+// in user messages and one per matching bash command (counted as records
+// come), plus files touched and tool calls whose name match a glob.
+function userRuleTags(state) {
+  const tags = [];
+  autoTagRules.forEach((rule, i) => {
+    let count = state.ruleMatches?.[i] || 0;
+    if (rule.files.length > 0) {
+      for (const f of state.files) if (rule.files.some(re => re.test(f))) count++;
+    }
+    if (rule.tools.length > 0) {
+      for (const [name, calls] of Object.entries(state.toolUsage)) {
+        if (rule.tools.some(re => re.test(name))) count += calls;
+      }
+    }
+    if (count >= rule.min && !tags.includes(rule.tag)) tags.push(rule.tag);
+  });
+  return tags;
+}
+
+function extractFilePaths(toolUseBlock, files) {
+  const input = toolUseBlock.input;
+  if (!input) return;
+  if (input.file_path && typeof input.file_path === 'string') files.add(input.file_path);
+  if (input.path && typeof input.path === 'string') files.add(input.path);
+}
+
 function extractTextFromContent(content) {
   if (!content) return '';
   if (typeof content === 'string') return content;
@@ -215,16 +344,15 @@ function incrTag(map, tag) {
   map.set(tag, (map.get(tag) || 0) + 1);
 }
 
-function detectLanguage(text) {
-  if (!text || text.length < 20) return 'en';
+function detectLanguage(state) {
+  if (state.userTextLength < 20) return 'en';
 
-  // Count matches for each language
+  // Pick the language with the most matches (at least 3)
   let bestLang = 'en';
   let bestCount = 0;
 
-  for (const [lang, regex] of Object.entries(LANG_HINTS)) {
-    const matches = text.match(new RegExp(regex.source, 'gi'));
-    const count = matches ? matches.length : 0;
+  for (const lang of Object.keys(LANG_HINTS)) {
+    const count = state.langMatches[lang] || 0;
     if (count > bestCount && count >= 3) {
       bestCount = count;
       bestLang = lang;
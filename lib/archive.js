@@ -0,0 +1,258 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Session archive: cold storage between keeping a session and trashing it.
+ * An archived session is gzipped to ARCHIVE_DIR/<slug>/<id>.jsonl.gz (its
+ * companion directory, sub-agent transcripts included, file by file next to
+ * it) and leaves ~/.claude/projects, so `claude --resume` no longer lists it.
+ * The manifest keeps its deep-analysis summary, so csesh still lists, searches
+ * and shows it; streamRecords() reads the .gz files directly. Archiving and
+ * unarchiving are journaled, so `csesh undo` takes them back.
+ */
+
+import { readFile, mkdir, readdir, stat, unlink, rm, rename, access } from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { createGzip, createGunzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import { join, basename, dirname, relative, resolve } from 'path';
+import { ARCHIVE_DIR, ARCHIVE_MANIFEST, PROJECTS_DIR } from './utils.js';
+import { scanSession } from './scanner.js';
+import { record } from './journal.js';
+import { withLock, writeAtomic } from './lock.js';
+
+async function loadManifest() {
+  try {
+    return JSON.parse(await readFile(ARCHIVE_MANIFEST, 'utf-8'));
+  } catch {
+    return { items: [] };
+  }
+}
+
+async function saveManifest(manifest) {
+  await writeAtomic(ARCHIVE_MANIFEST, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Locked read-modify-write of the archive manifest, like the trash manifest
+ * (cleanup.js). fn edits the manifest in place; nothing is saved if it throws.
+ */
+function updateManifest(fn) {
+  return withLock(ARCHIVE_MANIFEST, async () => {
+    const manifest = await loadManifest();
+    const result = await fn(manifest);
+    await saveManifest(manifest);
+    return result;
+  });
+}
+
+function alreadyArchived(id) {
+  const err = new Error(`Session ${id.slice(0, 8)} is already in the archive`);
+  err.code = 'EEXIST';
+  return err;
+}
+
+// Write through a temp file so an interrupted run never leaves a truncated copy
+async function transform(src, dest, stream) {
+  await mkdir(dirname(dest), { recursive: true });
+  const tmp = `${dest}.tmp`;
+  try {
+    await pipeline(createReadStream(src), stream, createWriteStream(tmp));
+    await rename(tmp, dest);
+  } catch (err) {
+    await rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+// Files under dir, as paths relative to it ([] when dir does not exist)
+async function listFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await readdir(join(dir, prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const e of entries) {
+    const rel = join(prefix, e.name);
+    if (e.isDirectory()) files.push(...await listFiles(dir, rel));
+    else if (e.isFile()) files.push(rel);
+  }
+  return files;
+}
+
+async function exists(p) {
+  try { await access(p); return true; } catch { return false; }
+}
+
+// Size and mtime of a session file and its companion files, to tell whether
+// any was written to (or added) while being packed
+async function sourceState(filePath, companion) {
+  const files = [filePath, ...(await listFiles(companion)).map(rel => join(companion, rel))];
+  const stats = await Promise.all(files.map(f => stat(f)));
+  return files.map((f, i) => `${f}:${stats[i].size}:${stats[i].mtimeMs}`).join('\n');
+}
+
+function archivePathOf(item) {
+  return resolve(ARCHIVE_DIR, item.archivePath);
+}
+
+/**
+ * Gzip a session into the archive and remove it from the projects directory.
+ * The session is deep-scanned first so the manifest keeps a full summary.
+ * The originals are only removed once every file is written, and only if
+ * none changed meanwhile: a session Claude Code is still writing is left in
+ * place and the archive copy dropped (code 'ESTALE').
+ */
+export async function archiveSession(session) {
+  if (session.archived) throw new Error(`Session ${session.id.slice(0, 8)} is already archived`);
+  if ((await loadManifest()).items.some(i => i.id === session.id)) throw alreadyArchived(session.id);
+
+  const slug = session.slug || basename(dirname(session.filePath));
+  const { summary } = await scanSession({ id: session.id, filePath: session.filePath, projectSlug: slug }, { analyze: true });
+
+  const archivePath = join(ARCHIVE_DIR, slug, `${session.id}.jsonl.gz`);
+  const companion = session.filePath.replace(/\.jsonl$/, '');
+  const archiveCompanion = join(ARCHIVE_DIR, slug, session.id);
+  const packed = await sourceState(session.filePath, companion);
+  const companionFiles = await listFiles(companion);
+  let fileSizeBytes = 0;
+  let archivedSizeBytes = 0;
+  const pack = async (src, dest) => {
+    await transform(src, dest, createGzip());
+    fileSizeBytes += (await stat(src)).size;
+    archivedSizeBytes += (await stat(dest)).size;
+  };
+  const dropArchive = async () => {
+    await rm(archivePath, { force: true });
+    await rm(archiveCompanion, { recursive: true, force: true });
+  };
+  try {
+    await pack(session.filePath, archivePath);
+    for (const rel of companionFiles) await pack(join(companion, rel), join(archiveCompanion, `${rel}.gz`));
+  } catch (err) {
+    await dropArchive();
+    throw err;
+  }
+
+  const { filePath, ...rest } = summary;
+  // Sub-agent paths relative to the companion directory, resolved on load
+  if (rest.subAgents) rest.subAgents = rest.subAgents.map(a => ({ ...a, filePath: relative(companion, a.filePath) }));
+  const item = {
+    id: session.id,
+    originalPath: relative(PROJECTS_DIR, session.filePath),
+    archivePath: relative(ARCHIVE_DIR, archivePath),
+    archivedAt: new Date().toISOString(),
+    fileSizeBytes,
+    archivedSizeBytes,
+    summary: rest,
+  };
+  // Checked again under the lock: another process may have archived it meanwhile
+  await updateManifest(manifest => {
+    if (manifest.items.some(i => i.id === session.id)) throw alreadyArchived(session.id);
+    manifest.items.push(item);
+  });
+
+  if (await sourceState(session.filePath, companion) !== packed) {
+    await updateManifest(manifest => {
+      manifest.items = manifest.items.filter(i => i.archivePath !== item.archivePath);
+    });
+    await dropArchive();
+    const err = new Error(`Session ${session.id.slice(0, 8)} changed while it was archived (still in use?), nothing was archived`);
+    err.code = 'ESTALE';
+    throw err;
+  }
+  await unlink(session.filePath);
+  await rm(companion, { recursive: true, force: true });
+  await record('archive', { id: session.id, title: summary.title, originalPath: session.filePath });
+  return { id: session.id, archivePath, fileSizeBytes, archivedSizeBytes };
+}
+
+/**
+ * Decompress an archived session back to where it was, so Claude Code can
+ * resume it again. Refuses to overwrite a file that exists there (code
+ * 'EEXIST'); an id missing from the archive throws with code 'ENOENT', and
+ * a prefix of several archived ids with code 'EAMBIGUOUS'.
+ */
+export async function unarchiveSession(id) {
+  // Locked throughout, so two processes cannot unarchive the same item
+  const { item, originalPath, archivePath, archiveCompanion } = await updateManifest(async manifest => {
+    const matches = manifest.items.some(i => i.id === id)
+      ? manifest.items.filter(i => i.id === id)
+      : manifest.items.filter(i => i.id.startsWith(id));
+    if (matches.length === 0) {
+      const err = new Error(`Session ${id} not found in archive`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+    if (matches.length > 1) {
+      const err = new Error(`${id} matches ${matches.length} archived sessions: ${matches.map(i => i.id).join(', ')}`);
+      err.code = 'EAMBIGUOUS';
+      err.items = matches;
+      throw err;
+    }
+    const idx = manifest.items.indexOf(matches[0]);
+
+    const item = manifest.items[idx];
+    const originalPath = resolve(PROJECTS_DIR, item.originalPath);
+    if (await exists(originalPath)) {
+      const err = new Error(`${originalPath} already exists`);
+      err.code = 'EEXIST';
+      throw err;
+    }
+
+    const archivePath = archivePathOf(item);
+    const archiveCompanion = archivePath.replace(/\.jsonl\.gz$/, '');
+    const companion = originalPath.replace(/\.jsonl$/, '');
+    for (const rel of await listFiles(archiveCompanion)) {
+      await transform(join(archiveCompanion, rel), join(companion, rel.replace(/\.gz$/, '')), createGunzip());
+    }
+    // The session file last: once it is back, the session is live
+    await transform(archivePath, originalPath, createGunzip());
+
+    manifest.items.splice(idx, 1);
+    return { item, originalPath, archivePath, archiveCompanion };
+  });
+  await unlink(archivePath);
+  await rm(archiveCompanion, { recursive: true, force: true });
+  await record('unarchive', { id: item.id, title: item.summary?.title, restoredTo: originalPath });
+  return { id: item.id, restoredTo: originalPath };
+}
+
+/**
+ * List the archive manifest items.
+ */
+export async function listArchive() {
+  return (await loadManifest()).items;
+}
+
+/**
+ * Archived sessions as session summaries, flagged `archived` and pointing at
+ * their .gz files, ready for mergeMetadata() and classifyAll().
+ */
+export async function loadArchivedSessions() {
+  const items = await listArchive();
+  return items.map(item => {
+    const filePath = archivePathOf(item);
+    const archiveCompanion = filePath.replace(/\.jsonl\.gz$/, '');
+    const session = {
+      ...item.summary,
+      filePath,
+      archived: true,
+      archivedAt: item.archivedAt,
+      archivedSizeBytes: item.archivedSizeBytes,
+    };
+    if (session.subAgents) {
+      session.subAgents = session.subAgents.map(a => ({
+        ...a,
+        filePath: join(archiveCompanion, `${a.filePath}.gz`),
+      }));
+    }
+    return session;
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Conversation tree reconstruction from uuid/parentUuid links.
+ * Editing a message or rewinding makes Claude Code start a new child of an
+ * earlier record, so a session file holds a tree whose abandoned branches are
+ * interleaved with the live one in file order. The main branch is the path to
+ * the last message written, which is the one `claude --resume` continues.
+ */
+
+import { truncate } from './utils.js';
+
+/**
+ * Create an empty tree. Feed records with addTreeRecord() in file order and
+ * read the branches with resolveBranches(). Only a few fields per record are
+ * kept, so a large session can be streamed through it.
+ */
+export function createConversationTree() {
+  return { nodes: new Map(), order: 0 };
+}
+
+/**
+ * Add one record to a tree. Records without uuid/parentUuid links and
+ * sidechain records (sub-agent turns written into the parent file) are not
+ * part of the tree.
+ */
+export function addTreeRecord(tree, rec) {
+  if (!rec.uuid || !('parentUuid' in rec) || rec.isSidechain) return;
+  tree.nodes.set(rec.uuid, {
+    // A compact_boundary record starts a new chain; logicalParentUuid keeps
+    // it attached to the conversation it summarizes
+    parent: rec.parentUuid || rec.logicalParentUuid || null,
+    order: tree.order++,
+    message: rec.type === 'user' || rec.type === 'assistant',
+    timestamp: rec.timestamp || null,
+    preview: rec.type === 'user' ? userPreview(rec.message?.content) : '',
+  });
+}
+
+/**
+ * Resolve the branches of a tree, main branch first, then alternates from the
+ * most recently written. Each branch is
+ * { index, leafUuid, forkUuid, forkIndex, messageCount, lastTimestamp, preview, path }
+ * where path lists its message uuids from the root, forkUuid is the last
+ * message it shares with the main branch (null if none), forkIndex the
+ * position in path where it diverges, and preview the first user text after
+ * the fork. Returns [] when the records carry no links.
+ */
+export function resolveBranches(tree) {
+  // Links are followed from message to message, so system and progress
+  // records inside the chain neither break it nor count as branches
+  const nearest = new Map();
+  const nearestMessage = (start) => {
+    const walked = [];
+    let uuid = start;
+    let result = null;
+    while (uuid != null) {
+      if (nearest.has(uuid)) { result = nearest.get(uuid); break; }
+      const node = tree.nodes.get(uuid);
+      if (!node) break;
+      if (node.message) { result = uuid; break; }
+      if (walked.includes(uuid)) break;
+      walked.push(uuid);
+      uuid = node.parent;
+    }
+    for (const w of walked) nearest.set(w, result);
+    return result;
+  };
+
+  const parentOf = new Map();
+  const hasChildren = new Set();
+  for (const [uuid, node] of tree.nodes) {
+    if (!node.message) continue;
+    const parent = nearestMessage(node.parent);
+    parentOf.set(uuid, parent);
+    if (parent) hasChildren.add(parent);
+  }
+
+  const leaves = [...parentOf.keys()]
+    .filter(uuid => !hasChildren.has(uuid))
+    .sort((a, b) => tree.nodes.get(b).order - tree.nodes.get(a).order);
+
+  const pathTo = (leaf) => {
+    const path = [];
+    const seen = new Set();
+    for (let uuid = leaf; uuid && !seen.has(uuid); uuid = parentOf.get(uuid)) {
+      seen.add(uuid);
+      path.push(uuid);
+    }
+    return path.reverse();
+  };
+
+  const main = leaves.length > 0 ? pathTo(leaves[0]) : [];
+  return leaves.map((leaf, index) => {
+    const path = index === 0 ? main : pathTo(leaf);
+    let forkIndex = 0;
+    if (index > 0) {
+      while (forkIndex < path.length && path[forkIndex] === main[forkIndex]) forkIndex++;
+    }
+    const previewUuid = path.slice(forkIndex).find(uuid => tree.nodes.get(uuid).preview);
+    return {
+      index,
+      leafUuid: leaf,
+      forkUuid: forkIndex > 0 ? path[forkIndex - 1] : null,
+      forkIndex,
+      messageCount: path.length,
+      lastTimestamp: tree.nodes.get(leaf).timestamp,
+      preview: previewUuid ? tree.nodes.get(previewUuid).preview : '',
+      path,
+    };
+  });
+}
+
+function userPreview(content) {
+  let text = '';
+  if (typeof content === 'string') text = content;
+  else if (Array.isArray(content)) text = content.find(b => b.type === 'text')?.text || '';
+  return truncate(text.replace(/\s+/g, ' ').trim());
+}
@@ -5,34 +5,73 @@
  * https://github.com/ArthurPcd/csesh
  */
 
-import { readFile, writeFile, stat, mkdir } from 'fs/promises';
-import { dirname } from 'path';
+import { readFile, stat } from 'fs/promises';
 import { CACHE_FILE, migrateFromOldDir } from './utils.js';
+import { loadPricing } from './pricing.js';
+import { loadRules } from './rules.js';
+import { withLock, writeAtomic } from './lock.js';
 
-const CACHE_VERSION = 2;
+const CACHE_VERSION = 8;
 const PRUNE_INTERVAL = 10;
 let memoryCache = null;
 let flushCounter = 0;
+// Entries this process dropped, so a save does not bring them back from disk
+const removed = new Set();
 
-async function loadCache() {
-  if (memoryCache) return memoryCache;
-  await migrateFromOldDir();
+// Fingerprints of the user files that summaries depend on:
+// { pricing, autoTags } (pricing.json and the rules.json auto-tag rules)
+async function loadFingerprints() {
+  const [pricing, rules] = await Promise.all([loadPricing(), loadRules()]);
+  return { pricing: pricing.fingerprint, autoTags: rules.fingerprint };
+}
+
+// cache.json as usable by this version, pricing and auto-tag rules, or null
+async function readCacheFile({ pricing, autoTags }) {
   try {
-    const data = await readFile(CACHE_FILE, 'utf-8');
-    const parsed = JSON.parse(data);
-    if (!parsed.version || parsed.version < CACHE_VERSION) {
-      parsed.version = CACHE_VERSION;
-    }
-    memoryCache = parsed;
+    const parsed = JSON.parse(await readFile(CACHE_FILE, 'utf-8'));
+    // Summaries from an older version lack fields, and costs computed with
+    // other rates or tags from other rules are stale: rescan rather than reuse
+    if (!parsed.version || parsed.version < CACHE_VERSION) return null;
+    if ((parsed.pricing || '') !== pricing || (parsed.autoTags || '') !== autoTags) return null;
+    return parsed;
   } catch {
-    memoryCache = { version: CACHE_VERSION, sessions: {} };
+    return null;
   }
+}
+
+async function loadCache() {
+  if (memoryCache) return memoryCache;
+  await migrateFromOldDir();
+  const fingerprints = await loadFingerprints();
+  memoryCache = await readCacheFile(fingerprints) || { version: CACHE_VERSION, ...fingerprints, sessions: {} };
   return memoryCache;
 }
 
-async function saveCache(cache) {
-  await mkdir(dirname(CACHE_FILE), { recursive: true });
-  await writeFile(CACHE_FILE, JSON.stringify(cache), 'utf-8');
+// The newer of two entries for the same file (deep analysis wins a tie)
+function newer(a, b) {
+  if (a.mtime !== b.mtime) return a.mtime > b.mtime ? a : b;
+  if (a.size !== b.size) return a.size > b.size ? a : b;
+  return b.data?.analyzed && !a.data?.analyzed ? b : a;
+}
+
+/**
+ * Save under the cache lock, merged with what other processes saved since
+ * this one loaded: per file, the newer entry is kept. `replace` writes the
+ * cache as is (clearCache).
+ */
+async function saveCache(cache, { replace = false } = {}) {
+  await withLock(CACHE_FILE, async () => {
+    const disk = replace ? null : await readCacheFile({ pricing: cache.pricing || '', autoTags: cache.autoTags || '' });
+    if (disk) {
+      for (const [filePath, entry] of Object.entries(disk.sessions)) {
+        if (removed.has(filePath)) continue;
+        const mine = cache.sessions[filePath];
+        cache.sessions[filePath] = mine ? newer(mine, entry) : entry;
+      }
+    }
+    await writeAtomic(CACHE_FILE, JSON.stringify(cache));
+  });
+  removed.clear();
   memoryCache = cache;
 }
 
@@ -46,14 +85,16 @@ function isValid(entry, fileInfo) {
 
 /**
  * Get a session summary from cache, or null if not cached/stale.
- * If requireAnalyzed=true, only return if deep analysis was done.
+ * If requireAnalyzed=true, only return if deep analysis was done; if
+ * requireFull=true, only if the whole file was read (not a fast scan).
  */
-export async function getCached(filePath, { requireAnalyzed = false } = {}) {
+export async function getCached(filePath, { requireAnalyzed = false, requireFull = false } = {}) {
   const cache = await loadCache();
   const entry = cache.sessions[filePath];
   if (!entry) return null;
 
   if (requireAnalyzed && !entry.data?.analyzed) return null;
+  if (requireFull && entry.data?.fastScan) return null;
 
   try {
     const fileInfo = await stat(filePath);
@@ -62,14 +103,43 @@ export async function getCached(filePath, { requireAnalyzed = false } = {}) {
     }
   } catch {
     delete cache.sessions[filePath];
+    removed.add(filePath);
   }
   return null;
 }
 
 /**
- * Store a session summary in cache.
+ * Get the incremental-scan checkpoint stored for a file, even if the entry
+ * is stale (that is the point: resume parsing where the last scan stopped).
+ */
+export async function getCheckpoint(filePath) {
+  const cache = await loadCache();
+  const entry = cache.sessions[filePath];
+  return entry?.checkpoint ? unpackCheckpoint(entry.checkpoint, entry.data) : null;
+}
+
+// The files an analysis checkpoint has seen are, unless the summary also
+// parsed a still unterminated last line, the summary's filesTouched: the
+// cache keeps that list once, with null in the checkpoint
+function packCheckpoint(checkpoint, data) {
+  const files = checkpoint.state?.analysis?.files;
+  const touched = data?.filesTouched;
+  if (!Array.isArray(files) || !Array.isArray(touched) || files.length !== touched.length ||
+    !files.every((f, i) => f === touched[i])) return checkpoint;
+  return { ...checkpoint, state: { ...checkpoint.state, analysis: { ...checkpoint.state.analysis, files: null } } };
+}
+
+function unpackCheckpoint(checkpoint, data) {
+  const analysis = checkpoint.state?.analysis;
+  if (!analysis || analysis.files !== null) return checkpoint;
+  return { ...checkpoint, state: { ...checkpoint.state, analysis: { ...analysis, files: [...(data?.filesTouched || [])] } } };
+}
+
+/**
+ * Store a session summary in cache, with an optional scan checkpoint
+ * (see scanner.incrementalScan).
  */
-export async function setCached(filePath, data) {
+export async function setCached(filePath, data, checkpoint = null) {
   const cache = await loadCache();
   try {
     const fileInfo = await stat(filePath);
@@ -77,6 +147,7 @@ export async function setCached(filePath, data) {
       mtime: fileInfo.mtimeMs,
       size: fileInfo.size,
       data,
+      ...(checkpoint ? { checkpoint: packCheckpoint(checkpoint, data) } : {}),
     };
   } catch {
     return;
@@ -96,6 +167,7 @@ export async function pruneCache() {
       await stat(filePath);
     } catch {
       delete cache.sessions[filePath];
+      removed.add(filePath);
       prunedCount++;
     }
   }
@@ -126,8 +198,8 @@ export async function flushCache() {
  * Clear the entire cache.
  */
 export async function clearCache() {
-  memoryCache = { version: CACHE_VERSION, sessions: {} };
-  await saveCache(memoryCache);
+  memoryCache = { version: CACHE_VERSION, ...(await loadFingerprints()), sessions: {} };
+  await saveCache(memoryCache, { replace: true });
 }
 
 /**
@@ -15,6 +15,7 @@
  */
 
 import { isJunkMessage } from './utils.js';
+import { tagMatches } from './tags.js';
 
 export const TIER_AUTO_DELETE = 1;
 export const TIER_SUGGESTED = 2;
@@ -43,31 +44,53 @@ const TIER_SCORES = {
   [TIER_KEEP]: 0.1,
 };
 
+// User rules from rules.json (see rules.js), evaluated before the built-ins:
+// [{ name, tier, reason, when: [{ key, op, value, text }] }], where glob and
+// matches conditions hold a RegExp
+let userRules = [];
+
+/**
+ * Install user classification rules (rules.loadRules).
+ */
+export function setClassificationRules(rules) {
+  userRules = rules || [];
+}
+
 /**
- * Classify a session into one of 4 tiers.
- * Mutates session in-place. Returns the session.
+ * Classify a session into one of 4 tiers: the first user rule that matches,
+ * else the built-in rules. Mutates session in-place. Returns the session.
  */
 export function classify(session) {
+  const rule = userRules.find(r => ruleMatches(r, session));
+  if (rule) {
+    return applyTier(session, rule.tier, [rule.reason || `rule "${rule.name}"`], rule.name);
+  }
+  const { tier, reasons } = builtInTier(session);
+  return applyTier(session, tier, reasons);
+}
+
+function builtInTier(session) {
   const reasons = [];
 
   // ── Tier 1: AUTO-DELETE (100% safe) ───────────────────────────
   if (isTier1(session, reasons)) {
-    return applyTier(session, TIER_AUTO_DELETE, reasons);
+    return { tier: TIER_AUTO_DELETE, reasons };
   }
 
   // ── Tier 4: KEEP (check before 2/3 — be conservative) ────────
-  if (isTier4(session)) {
-    return applyTier(session, TIER_KEEP, []);
+  const keep = [];
+  if (isTier4(session, keep)) {
+    return { tier: TIER_KEEP, reasons: [], keep };
   }
 
   // ── Tier 2: SUGGESTED DELETE ──────────────────────────────────
   if (isTier2(session, reasons)) {
-    return applyTier(session, TIER_SUGGESTED, reasons);
+    return { tier: TIER_SUGGESTED, reasons };
   }
 
   // ── Tier 3: REVIEW (default fallback) ─────────────────────────
   computeReviewReasons(session, reasons);
-  return applyTier(session, TIER_REVIEW, reasons);
+  return { tier: TIER_REVIEW, reasons };
 }
 
 function isTier1(session, reasons) {
@@ -94,7 +117,7 @@ function isTier1(session, reasons) {
   return false;
 }
 
-function isTier4(session) {
+function isTier4(session, reasons) {
   // Deep analysis fields (present after full scan with analyzer)
   const turnCount = session.turnCount || 0;
   const toolCalls = session.totalToolCalls || 0;
@@ -102,17 +125,19 @@ function isTier4(session) {
   const filesCount = session.uniqueFilesCount || 0;
 
   // If deep analysis data is available, use it
-  if (turnCount >= 4) return true;
-  if (toolCalls >= 3) return true;
-  if (thinkingBlocks >= 2) return true;
-  if (filesCount >= 2) return true;
-
-  // Fallback for sessions without deep analysis
-  if (session.durationMs > 300_000) return true; // 5+ minutes
-  if (session.userMessageCount >= 3 && session.assistantMessageCount >= 3) return true;
-  if (session.fileSizeBytes > 50_000 && session.userMessageCount >= 2) return true;
-
-  return false;
+  const checks = [
+    [turnCount >= 4, '4+ turns'],
+    [toolCalls >= 3, '3+ tool calls'],
+    [thinkingBlocks >= 2, '2+ thinking blocks'],
+    [filesCount >= 2, '2+ files touched'],
+    // Fallback for sessions without deep analysis
+    [session.durationMs > 300_000, 'longer than 5 minutes'],
+    [session.userMessageCount >= 3 && session.assistantMessageCount >= 3, '3+ messages each way'],
+    [session.fileSizeBytes > 50_000 && session.userMessageCount >= 2, 'over 50KB with 2+ user messages'],
+  ];
+  const hit = checks.find(([ok]) => ok);
+  if (hit) reasons.push(hit[1]);
+  return !!hit;
 }
 
 function isTier2(session, reasons) {
@@ -157,18 +182,102 @@ function computeReviewReasons(session, reasons) {
   if (reasons.length === 0) reasons.push('needs manual review');
 }
 
-function applyTier(session, tier, reasons) {
+function applyTier(session, tier, reasons, rule = null) {
   // Allow user override via metadata
   const effectiveTier = session.tierOverride != null ? session.tierOverride : tier;
 
   session.tier = effectiveTier;
   session.tierLabel = TIER_LABELS[effectiveTier];
   session.autoTier = tier; // original computed tier (before override)
+  session.tierRule = rule; // name of the user rule that set autoTier, if any
   session.junkScore = TIER_SCORES[effectiveTier]; // backward compat
   session.junkReasons = reasons;
   return session;
 }
 
+// ── User rules ──────────────────────────────────────────────────
+
+// Condition keys with a meaning beyond the session field of that name;
+// `tool.<Name>` is the call count of one tool, anything else a field path.
+const RULE_FIELDS = {
+  project: s => [s.project, s.shortProject, s.slug],
+  tag: s => [...(s.tags || []), ...(s.autoTags || [])],
+  title: s => s.displayTitle || s.title,
+  size: s => s.fileSizeBytes,
+  duration: s => s.durationMs,
+  messages: s => (s.userMessageCount || 0) + (s.assistantMessageCount || 0),
+  tools: s => s.totalToolCalls || 0,
+};
+
+/**
+ * The value a rule condition key reads from a session.
+ */
+export function ruleValue(session, key) {
+  if (Object.hasOwn(RULE_FIELDS, key)) return RULE_FIELDS[key](session);
+  if (key.startsWith('tool.')) return session.toolUsage?.[key.slice(5)] || 0;
+  return key.split('.').reduce((v, k) => v?.[k], session);
+}
+
+function testValue(actual, op, expected) {
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'in': return expected.includes(actual);
+    case 'glob':
+    case 'matches': return typeof actual === 'string' && expected.test(actual);
+    case 'lt': return typeof actual === 'number' && actual < expected;
+    case 'lte': return typeof actual === 'number' && actual <= expected;
+    case 'gt': return typeof actual === 'number' && actual > expected;
+    case 'gte': return typeof actual === 'number' && actual >= expected;
+    default: return false;
+  }
+}
+
+/**
+ * Check one rule condition. A list value (tags, project names) passes when
+ * any element does, and `ne` when none equals. For `tag`, `eq`, `ne` and `in`
+ * also count nested tags, as `--tag` does: `svc` matches `svc/billing`.
+ */
+export function testCondition(session, { key, op, value }) {
+  const actual = ruleValue(session, key);
+  if (key === 'tag' && ['eq', 'ne', 'in'].includes(op)) {
+    const wanted = op === 'in' ? value : [value];
+    const found = actual.some(t => wanted.some(v => typeof v === 'string' && tagMatches(t, v)));
+    return op === 'ne' ? !found : found;
+  }
+  if (op === 'ne') {
+    return Array.isArray(actual) ? !actual.includes(value) : actual !== value;
+  }
+  if (Array.isArray(actual)) return actual.some(v => testValue(v, op, value));
+  return testValue(actual, op, value);
+}
+
+function ruleMatches(rule, session) {
+  return rule.when.every(c => testCondition(session, c));
+}
+
+/**
+ * Explain how a session was classified: every user rule with the outcome of
+ * each condition, which rule fired (null for the built-ins), and the
+ * built-in verdict it took precedence over.
+ */
+export function explainClassification(session) {
+  const rules = userRules.map(r => {
+    const conditions = r.when.map(c => ({ ...c, actual: ruleValue(session, c.key), ok: testCondition(session, c) }));
+    return { name: r.name, tier: r.tier, reason: r.reason, matched: conditions.every(c => c.ok), conditions };
+  });
+  const fired = rules.find(r => r.matched) || null;
+  const builtIn = builtInTier(session);
+  const autoTier = fired ? fired.tier : builtIn.tier;
+  return {
+    rule: fired?.name ?? null,
+    rules,
+    builtIn: { tier: builtIn.tier, reasons: builtIn.keep || builtIn.reasons },
+    autoTier,
+    override: session.tierOverride ?? null,
+    tier: session.tierOverride ?? autoTier,
+  };
+}
+
 /**
  * Classify all sessions in an array.
  */
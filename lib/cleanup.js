@@ -5,9 +5,14 @@
  * https://github.com/ArthurPcd/csesh
  */
 
-import { readFile, writeFile, rename, mkdir, readdir, stat, unlink, rm } from 'fs/promises';
+import { readFile, rename, mkdir, stat, unlink, rm, access } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
 import { join, basename, dirname, relative, isAbsolute, resolve } from 'path';
 import { TRASH_DIR, TRASH_MANIFEST, PROJECTS_DIR, migrateFromOldDir } from './utils.js';
+import { protectionReason } from './metadata.js';
+import { record } from './journal.js';
+import { withLock, writeAtomic } from './lock.js';
 
 /**
  * Resolve an originalPath from manifest — handles both old absolute and new relative formats.
@@ -35,82 +40,264 @@ async function loadManifest() {
  */
 async function saveManifest(manifest) {
   await mkdir(TRASH_DIR, { recursive: true });
-  await writeFile(TRASH_MANIFEST, JSON.stringify(manifest, null, 2), 'utf-8');
+  await writeAtomic(TRASH_MANIFEST, JSON.stringify(manifest, null, 2));
 }
 
 /**
- * Move a session file to trash.
+ * Locked read-modify-write of the trash manifest, so concurrent csesh
+ * processes never drop each other's items. fn edits the manifest in place;
+ * nothing is saved if it throws.
  */
-export async function trashSession(session, reason = 'manual') {
-  await mkdir(TRASH_DIR, { recursive: true });
+function updateManifest(fn) {
+  return withLock(TRASH_MANIFEST, async () => {
+    const manifest = await loadManifest();
+    const result = await fn(manifest);
+    await saveManifest(manifest);
+    return result;
+  });
+}
 
-  const fileName = basename(session.filePath);
-  const trashPath = join(TRASH_DIR, fileName);
+/**
+ * Throw if a session is protected (metadata.protectionReason). The error has
+ * code 'EPROTECTED' and the reason in `reason`.
+ */
+export async function assertNotProtected(session) {
+  const reason = await protectionReason(session);
+  if (!reason) return;
+  const err = new Error(`Session ${session.id.slice(0, 8)} is protected (${reason}), run "csesh unprotect" first`);
+  err.code = 'EPROTECTED';
+  err.reason = reason;
+  throw err;
+}
 
-  // Move the file
-  await rename(session.filePath, trashPath);
+/**
+ * SHA-256 of a file's contents, hex.
+ */
+export async function fileChecksum(filePath) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
 
-  // Also move the companion directory if it exists (same name without .jsonl)
-  const companionDir = session.filePath.replace('.jsonl', '');
+// Items trashed before per-item directories sit directly in TRASH_DIR
+function itemDir(item) {
+  const dir = dirname(item.trashPath);
+  return resolve(dir) === resolve(TRASH_DIR) ? null : dir;
+}
+
+/**
+ * Name that tells a trash item apart when its id is in the trash more than
+ * once: its directory name, <id>-<timestamp>. Items trashed before per-item
+ * directories cannot share an id, so their key is the id.
+ */
+export function trashItemKey(item) {
+  const dir = itemDir(item);
+  return dir ? basename(dir) : item.id;
+}
+
+/**
+ * Trash items a reference picks: a trash path or item key (trashItemKey),
+ * else an exact session id, else an id prefix.
+ */
+export function matchTrashItems(items, ref) {
+  const exact = items.filter(i => i.trashPath === ref || trashItemKey(i) === ref);
+  if (exact.length > 0) return exact;
+  const byId = items.filter(i => i.id === ref);
+  if (byId.length > 0) return byId;
+  return items.filter(i => i.id.startsWith(ref));
+}
+
+// Manifest index of the one item `ref` picks; throws 'ENOENT' for none and
+// 'EAMBIGUOUS' (with the candidates in `items`) for several
+function findItem(manifest, ref) {
+  const matches = matchTrashItems(manifest.items, ref);
+  if (matches.length === 0) {
+    const err = new Error(`Session ${ref} not found in trash`);
+    err.code = 'ENOENT';
+    throw err;
+  }
+  if (matches.length > 1) {
+    const err = new Error(`${ref} matches ${matches.length} trash items, pick one by its key: ${matches.map(trashItemKey).join(', ')}`);
+    err.code = 'EAMBIGUOUS';
+    err.items = matches;
+    throw err;
+  }
+  return manifest.items.indexOf(matches[0]);
+}
+
+// Delete an item's trashed file, companion directory and item directory
+async function removeTrashFiles(item) {
+  const dir = itemDir(item);
+  if (dir) {
+    await rm(dir, { recursive: true, force: true });
+    return;
+  }
+  try { await unlink(item.trashPath); } catch { /* already gone */ }
+  const companion = item.trashPath.replace('.jsonl', '');
   try {
-    const dirStat = await stat(companionDir);
+    const dirStat = await stat(companion);
     if (dirStat.isDirectory()) {
-      const trashCompanion = join(TRASH_DIR, basename(companionDir));
-      await rename(companionDir, trashCompanion);
+      await rm(companion, { recursive: true, force: true });
     }
-  } catch { /* no companion dir */ }
+  } catch { /* no companion */ }
+}
 
-  // Update manifest — store path relative to projects dir for portability
-  const manifest = await loadManifest();
-  manifest.items.push({
-    id: session.id,
-    originalPath: relative(PROJECTS_DIR, session.filePath),
-    trashPath,
-    trashedAt: new Date().toISOString(),
-    reason,
-    junkScore: session.junkScore,
-    junkReasons: session.junkReasons,
-    fileSizeBytes: session.fileSizeBytes,
-    title: session.title,
-    project: session.shortProject,
-  });
-  await saveManifest(manifest);
+async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Trash manifest item as the session fields protection rules look at
+function itemSession(item) {
+  return { id: item.id, shortProject: item.project, slug: basename(dirname(item.originalPath)) };
+}
+
+/**
+ * Move a session file to trash. Refuses protected and archived sessions.
+ * Each item gets its own directory, TRASH_DIR/<id>-<timestamp>/, so
+ * same-named files from different projects, or a session trashed again after
+ * a restore, never overwrite each other. The manifest keeps the file's
+ * SHA-256, checked on restore.
+ */
+export async function trashSession(session, reason = 'manual') {
+  await assertNotProtected(session);
+  if (session.archived) {
+    const err = new Error(`Session ${session.id.slice(0, 8)} is archived, run "csesh unarchive" first`);
+    err.code = 'EARCHIVED';
+    throw err;
+  }
+  const trashedAt = new Date();
+  await mkdir(TRASH_DIR, { recursive: true });
+  // The same id twice in one millisecond (same file name in two projects)
+  let stamp = trashedAt.getTime();
+  let dir;
+  for (;;) {
+    dir = join(TRASH_DIR, `${session.id}-${stamp}`);
+    try {
+      await mkdir(dir);
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      stamp++;
+    }
+  }
+
+  const trashPath = join(dir, basename(session.filePath));
+  const companionDir = session.filePath.replace('.jsonl', '');
+  const companionTrash = join(dir, basename(companionDir));
+  let moved = false;
+  let movedCompanion = false;
+  try {
+    const sha256 = await fileChecksum(session.filePath);
+
+    // Move the file
+    await rename(session.filePath, trashPath);
+    moved = true;
+
+    // Also move the companion directory if it exists (same name without .jsonl)
+    if (await isDirectory(companionDir)) {
+      await rename(companionDir, companionTrash);
+      movedCompanion = true;
+    }
+
+    // Update manifest — store path relative to projects dir for portability
+    await updateManifest(manifest => {
+      manifest.items.push({
+        id: session.id,
+        originalPath: relative(PROJECTS_DIR, session.filePath),
+        trashPath,
+        sha256,
+        trashedAt: trashedAt.toISOString(),
+        reason,
+        junkScore: session.junkScore,
+        junkReasons: session.junkReasons,
+        fileSizeBytes: session.fileSizeBytes,
+        title: session.title,
+        project: session.shortProject,
+      });
+    });
+  } catch (err) {
+    // Put back what was moved, then drop the item directory so a failed
+    // trash leaves neither an orphan directory nor a session hidden in it
+    if (movedCompanion) await rename(companionTrash, companionDir);
+    if (moved) await rename(trashPath, session.filePath);
+    await rm(dir, { recursive: true, force: true });
+    throw err;
+  }
+  await record('trash', { id: session.id, title: session.title, trashPath });
 
   return { id: session.id, trashPath };
 }
 
 /**
- * Restore a session from trash.
+ * Restore a session from trash. `id` is a session id, id prefix or trash
+ * item key (see matchTrashItems); `trashPath` picks the item directly, as
+ * the journal does for undo. An id in the trash more than once throws with
+ * code 'EAMBIGUOUS'. The trashed file must still match the checksum taken
+ * when it was trashed ('ECHECKSUM'), and nothing may have been written at
+ * the original path since ('EEXIST'); `force` restores anyway, replacing
+ * what is there.
  */
-export async function restoreSession(id) {
-  const manifest = await loadManifest();
-  const idx = manifest.items.findIndex(i => i.id === id);
-  if (idx === -1) throw new Error(`Session ${id} not found in trash`);
+export async function restoreSession(id, { force = false, trashPath = null } = {}) {
+  // Locked throughout, so two processes cannot restore the same item
+  const { item, originalPath } = await updateManifest(async manifest => {
+    const idx = findItem(manifest, trashPath || id);
+    const item = manifest.items[idx];
+    const originalPath = resolveOriginalPath(item.originalPath);
+    const companionTrash = item.trashPath.replace('.jsonl', '');
+    const companionOriginal = originalPath.replace('.jsonl', '');
+    const hasCompanion = await isDirectory(companionTrash);
 
-  const item = manifest.items[idx];
-  const originalPath = resolveOriginalPath(item.originalPath);
+    if (item.sha256 && !force) {
+      const actual = await fileChecksum(item.trashPath);
+      if (actual !== item.sha256) {
+        const err = new Error(`Trashed file of ${item.id.slice(0, 8)} does not match its checksum, it was modified or replaced`);
+        err.code = 'ECHECKSUM';
+        throw err;
+      }
+    }
+    const taken = await exists(originalPath) ? originalPath
+      : hasCompanion && await exists(companionOriginal) ? companionOriginal : null;
+    if (taken && !force) {
+      const err = new Error(`Cannot restore ${item.id.slice(0, 8)}: ${taken} already exists`);
+      err.code = 'EEXIST';
+      throw err;
+    }
 
-  // Ensure original directory exists
-  await mkdir(dirname(originalPath), { recursive: true });
+    // Ensure original directory exists
+    await mkdir(dirname(originalPath), { recursive: true });
 
-  // Move back
-  await rename(item.trashPath, originalPath);
+    // Move back
+    await rename(item.trashPath, originalPath);
 
-  // Restore companion directory if it exists
-  const companionTrash = item.trashPath.replace('.jsonl', '');
-  const companionOriginal = originalPath.replace('.jsonl', '');
-  try {
-    const dirStat = await stat(companionTrash);
-    if (dirStat.isDirectory()) {
+    // Restore companion directory if it exists (a forced restore replaces
+    // the one in its way, as it does the file)
+    if (hasCompanion) {
+      if (force) await rm(companionOriginal, { recursive: true, force: true });
       await rename(companionTrash, companionOriginal);
     }
-  } catch { /* no companion dir */ }
+    const dir = itemDir(item);
+    if (dir) await rm(dir, { recursive: true, force: true });
 
-  // Remove from manifest
-  manifest.items.splice(idx, 1);
-  await saveManifest(manifest);
+    // Remove from manifest
+    manifest.items.splice(idx, 1);
+    return { item, originalPath };
+  });
+  await record('restore', { id: item.id, title: item.title, restoredTo: originalPath, item });
 
-  return { id, restoredTo: originalPath };
+  return { id: item.id, restoredTo: originalPath };
 }
 
 /**
@@ -122,65 +309,99 @@ export async function listTrash() {
 }
 
 /**
- * Permanently delete a single session from trash.
+ * Permanently delete a single session from trash, picked like restoreSession()
+ * picks it. Refuses sessions that were protected after being trashed.
  */
-export async function deleteFromTrash(id) {
-  const manifest = await loadManifest();
-  const idx = manifest.items.findIndex(i => i.id === id || i.id.startsWith(id));
-  if (idx === -1) throw new Error(`Session ${id} not found in trash`);
+export async function deleteFromTrash(id, { trashPath = null } = {}) {
+  const item = await updateManifest(async manifest => {
+    const idx = findItem(manifest, trashPath || id);
 
-  const item = manifest.items[idx];
-
-  // Delete the file
-  try { await unlink(item.trashPath); } catch { /* already gone */ }
-  // Delete companion directory
-  const companion = item.trashPath.replace('.jsonl', '');
-  try {
-    const dirStat = await stat(companion);
-    if (dirStat.isDirectory()) {
-      await rm(companion, { recursive: true, force: true });
-    }
-  } catch { /* no companion */ }
+    const item = manifest.items[idx];
+    await assertNotProtected(itemSession(item));
+    await removeTrashFiles(item);
 
-  manifest.items.splice(idx, 1);
-  await saveManifest(manifest);
+    manifest.items.splice(idx, 1);
+    return item;
+  });
+  await record('delete', { id: item.id, title: item.title, permanent: true });
 
   return { id: item.id, deleted: true };
 }
 
 /**
  * Empty trash: remove items older than `olderThanDays` (default 30).
- * Pass olderThanDays=0 to empty everything.
+ * Pass olderThanDays=0 to empty everything. Protected sessions stay.
+ * With dryRun, only report; `items` lists what was (or would be) removed.
+ * onRemove(item) is awaited after each item's files are deleted; if it or
+ * a deletion throws, the other items are still removed, then the first
+ * error is thrown.
  */
-export async function emptyTrash(olderThanDays = 30) {
-  const manifest = await loadManifest();
+export async function emptyTrash(olderThanDays = 30, { dryRun = false, onRemove = null } = {}) {
   const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
-  const toRemove = [];
-  const toKeep = [];
-
-  for (const item of manifest.items) {
-    if (new Date(item.trashedAt).getTime() < cutoff) {
-      toRemove.push(item);
-    } else {
-      toKeep.push(item);
+  const sort = async manifest => {
+    const toRemove = [];
+    const toKeep = [];
+    let kept = 0;
+    for (const item of manifest.items) {
+      if (new Date(item.trashedAt).getTime() >= cutoff) {
+        toKeep.push(item);
+      } else if (await protectionReason(itemSession(item))) {
+        toKeep.push(item);
+        kept++;
+      } else {
+        toRemove.push(item);
+      }
     }
+    return { toRemove, toKeep, kept };
+  };
+
+  if (dryRun) {
+    const { toRemove, toKeep, kept } = await sort(await loadManifest());
+    return { removed: toRemove.length, remaining: toKeep.length, protected: kept, items: toRemove };
   }
 
-  // Actually delete the files
+  const { toRemove, toKeep, kept } = await updateManifest(async manifest => {
+    const sorted = await sort(manifest);
+    manifest.items = sorted.toKeep;
+    return sorted;
+  });
+  // Files go once the manifest is saved without them: a failure past this
+  // point can leave a stray file, never an entry whose file is gone
+  let error = null;
   for (const item of toRemove) {
-    try { await unlink(item.trashPath); } catch { /* already gone */ }
-    // Remove companion directory
-    const companion = item.trashPath.replace('.jsonl', '');
     try {
-      const dirStat = await stat(companion);
-      if (dirStat.isDirectory()) {
-        await rm(companion, { recursive: true, force: true });
-      }
-    } catch { /* no companion */ }
+      await removeTrashFiles(item);
+      if (onRemove) await onRemove(item);
+    } catch (err) {
+      error ||= err;
+    }
   }
+  if (toRemove.length > 0) await record('empty', { ids: toRemove.map(i => i.id), permanent: true });
+  if (error) throw error;
 
-  manifest.items = toKeep;
-  await saveManifest(manifest);
+  return { removed: toRemove.length, remaining: toKeep.length, protected: kept, items: toRemove };
+}
 
-  return { removed: toRemove.length, remaining: toKeep.length };
+/**
+ * Check every manifest entry against the trash directory. Returns the
+ * problems found: [{ id, title, trashPath, problem }] where problem is
+ * 'missing' (no trashed file) or 'mismatch' (checksum differs). Items
+ * trashed before checksums were recorded can only be missing.
+ */
+export async function verifyTrash() {
+  const manifest = await loadManifest();
+  const problems = [];
+  for (const item of manifest.items) {
+    const entry = { id: item.id, title: item.title, trashPath: item.trashPath };
+    try {
+      await access(item.trashPath);
+    } catch {
+      problems.push({ ...entry, problem: 'missing' });
+      continue;
+    }
+    if (item.sha256 && await fileChecksum(item.trashPath) !== item.sha256) {
+      problems.push({ ...entry, problem: 'mismatch' });
+    }
+  }
+  return problems;
 }
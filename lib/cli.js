@@ -8,7 +8,8 @@
 /**
  * Minimal CLI framework — replaces commander with zero dependencies.
  * Supports: commands, nested subcommands, typed options, arguments,
- * variadic arguments, auto-generated help, version flag.
+ * variadic arguments, global (root-level) options, preAction hooks,
+ * auto-generated help, version flag.
  */
 
 import { parseArgs } from 'node:util';
@@ -24,6 +25,8 @@ class Command {
     this._version = null;
     this._helpFormatter = null;
     this._parent = null;
+    this._hooks = { preAction: [] };
+    this._globalValues = {};
   }
 
   name(n) { if (n !== undefined) { this._name = n; return this; } return this._name; }
@@ -97,6 +100,19 @@ class Command {
     return this;
   }
 
+  /**
+   * Register a hook. Only 'preAction' is supported: fn(rootCommand, actionCommand)
+   * is awaited before any command action runs (not for --help / --version).
+   */
+  hook(event, fn) {
+    if (!this._hooks[event]) this._hooks[event] = [];
+    this._hooks[event].push(fn);
+    return this;
+  }
+
+  // Values of root-level (global) options, camelCased
+  opts() { return this._globalValues; }
+
   // Get all options including inherited
   get options() { return this._options; }
   get commands() { return [...this._commands.values()]; }
@@ -130,8 +146,38 @@ class Command {
     process.stdout.write(out);
   }
 
+  // Remove root options from args wherever they appear and store their values
+  _extractGlobalOptions(args) {
+    const rest = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+      const flag = eq !== -1 ? arg.slice(0, eq) : arg;
+      const opt = this._options.find(o => o.long === flag || o.short === flag);
+      if (!opt) {
+        rest.push(arg);
+        continue;
+      }
+      let value = true;
+      if (opt.takesValue) {
+        value = eq !== -1 ? arg.slice(eq + 1) : args[++i];
+      }
+      const camelName = opt.long.replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      this._globalValues[camelName] = value !== undefined && opt.parse ? opt.parse(value) : value;
+    }
+    for (const opt of this._options) {
+      if (!opt.long) continue;
+      const camelName = opt.long.replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      if (this._globalValues[camelName] === undefined && opt.default !== undefined) {
+        this._globalValues[camelName] = opt.default;
+      }
+    }
+    return rest;
+  }
+
   async parse(argv = process.argv) {
-    const args = argv.slice(2); // skip node and script path
+    // skip node and script path; root options are global (valid before or after the command)
+    const args = this._extractGlobalOptions(argv.slice(2));
 
     // Check --version at root level
     if (this._version && (args.includes('-v') || args.includes('--version'))) {
@@ -263,6 +309,7 @@ class Command {
 
     // Call action: action(arg1, arg2, opts) or action(opts)
     if (cmd._action) {
+      for (const fn of this._hooks.preAction) await fn(this, cmd);
       await cmd._action(...actionArgs, opts);
     }
   }
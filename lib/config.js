@@ -11,19 +11,32 @@
 
 import { readFile } from 'fs/promises';
 import { join } from 'path';
-import { TOOL_DIR } from './utils.js';
+import { TOOL_DIR, CLAUDE_DIR, setClaudeDir } from './utils.js';
 
 const DEFAULTS = {
   webPort: 3456,
   scanMode: 'fast',
   defaultSort: 'date',
   pageSize: 50,
+  claudeDir: null,
+  scanWorkers: null,
+  budgets: null,
+  retention: null,
 };
 
+// The config read from TOOL_DIR, re-read once setClaudeDir points elsewhere
 let cachedConfig = null;
+let cachedDir = null;
+// { dir, config }: the keys of the config.json whose "claudeDir" chose dir
+let inherited = null;
 
+/**
+ * The configuration for the Claude directory in use: DEFAULTS, then the
+ * config.json that named this directory as "claudeDir" (if one did), then
+ * this directory's own config.json, which wins.
+ */
 export async function getConfig() {
-  if (cachedConfig) return cachedConfig;
+  if (cachedConfig && cachedDir === TOOL_DIR) return cachedConfig;
 
   let userConfig = {};
   try {
@@ -37,6 +50,28 @@ export async function getConfig() {
     } catch { /* use defaults */ }
   }
 
-  cachedConfig = { ...DEFAULTS, ...userConfig };
+  const base = inherited?.dir === TOOL_DIR ? inherited.config : {};
+  cachedConfig = { ...DEFAULTS, ...base, ...userConfig };
+  cachedDir = TOOL_DIR;
   return cachedConfig;
 }
+
+/**
+ * Resolve the Claude data directory, in order of precedence:
+ * --claude-dir flag, CSESH_CLAUDE_DIR env var, "claudeDir" config key, ~/.claude.
+ * Returns the resolved directory.
+ */
+export async function resolveClaudeDir(flagValue = null) {
+  inherited = null;
+  cachedConfig = null;
+  if (flagValue) return setClaudeDir(flagValue);
+  if (process.env.CSESH_CLAUDE_DIR) return CLAUDE_DIR;
+  const config = await getConfig();
+  if (config.claudeDir) {
+    const { claudeDir, ...rest } = config;
+    const dir = setClaudeDir(claudeDir);
+    inherited = { dir: TOOL_DIR, config: rest };
+    return dir;
+  }
+  return CLAUDE_DIR;
+}
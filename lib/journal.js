@@ -0,0 +1,202 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Operation journal: every change made through lib/cleanup.js,
+ * lib/archive.js, lib/rename.js and lib/metadata.js appends a JSON line to
+ * TOOL_DIR/journal.jsonl, with what it takes to invert it (the previous
+ * metadata entry, the trash item, the slugs swapped by a rename).
+ *
+ * Entries belong to steps. One user action (a cleanup run, a batch trash, a
+ * rename with its metadata title) is one step, undone as a whole: calls made
+ * inside group() share its step, any other entry is a step of its own.
+ * Undoing a step appends an { op: 'undo', step } line (with `entries`, the
+ * positions of the entries undone so far, while part of the step could not
+ * be undone yet); the journal itself is never rewritten (only compacted once
+ * it grows past MAX_BYTES). Permanent operations (deleting from trash) are
+ * recorded with `permanent: true` and cannot be undone. Renames made in
+ * Claude Code are not journaled: they are read from the session file, never
+ * written by csesh (see mergeMetadata).
+ */
+
+import { appendFile, readFile, mkdir, stat } from 'fs/promises';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { TOOL_DIR } from './utils.js';
+import { withLock, writeAtomic } from './lock.js';
+
+const MAX_BYTES = 2 * 1024 * 1024;
+const KEEP_STEPS = 500;
+
+const context = new AsyncLocalStorage();
+
+export function journalFile() {
+  return join(TOOL_DIR, 'journal.jsonl');
+}
+
+function newStep() {
+  return `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Run fn as one journal step: everything it records is undone together.
+ * fn gets the step id. Nested groups join the outer step (and stay silent
+ * inside silently()).
+ */
+export function group(label, fn) {
+  const outer = context.getStore();
+  if (outer) return fn(outer.step);
+  const step = newStep();
+  return context.run({ step, label }, () => fn(step));
+}
+
+/**
+ * Run fn without journaling what it does (used while undoing).
+ */
+export function silently(fn) {
+  return context.run({ silent: true }, fn);
+}
+
+/**
+ * Append an entry for operation `op`.
+ */
+export async function record(op, data = {}) {
+  const ctx = context.getStore();
+  if (ctx?.silent) return;
+  const entry = { at: new Date().toISOString(), step: ctx?.step || newStep(), op, ...data };
+  if (ctx?.label) entry.label = ctx.label;
+  await append(entry);
+}
+
+// Append a line under the journal lock, so a compaction by another process
+// cannot drop it
+async function append(line) {
+  await mkdir(TOOL_DIR, { recursive: true });
+  await withLock(journalFile(), async () => {
+    await appendFile(journalFile(), JSON.stringify(line) + '\n', 'utf-8');
+    await compact();
+  });
+}
+
+/**
+ * All journal lines, oldest first. Unreadable lines are skipped.
+ */
+export async function readJournal() {
+  let data;
+  try {
+    data = await readFile(journalFile(), 'utf-8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); } catch { /* torn write */ }
+  }
+  return entries;
+}
+
+/**
+ * Journal steps, newest first: [{ step, at, label, entries, undone,
+ * undoneEntries, undoable }]. `undone` is the time it was undone or null;
+ * undoneEntries lists the positions in `entries` already undone by a partial
+ * undo. A step is undoable while it is not undone and has an entry left that
+ * is not permanent.
+ */
+export async function listSteps() {
+  const steps = new Map();
+  const undone = new Map();
+  const partial = new Map();
+  for (const entry of await readJournal()) {
+    if (entry.op === 'undo') {
+      if (Array.isArray(entry.entries)) partial.set(entry.step, entry.entries);
+      else undone.set(entry.step, entry.at);
+      continue;
+    }
+    let s = steps.get(entry.step);
+    if (!s) {
+      s = { step: entry.step, at: entry.at, label: entry.label || null, entries: [] };
+      steps.set(entry.step, s);
+    }
+    s.entries.push(entry);
+  }
+  return [...steps.values()].reverse().map(s => {
+    const undoneEntries = partial.get(s.step) || [];
+    return {
+      ...s,
+      undone: undone.get(s.step) || null,
+      undoneEntries,
+      undoable: !undone.has(s.step) && s.entries.some((e, i) => !e.permanent && !undoneEntries.includes(i)),
+    };
+  });
+}
+
+/**
+ * Mark a step as undone, or, given `entries` (positions in the step), as
+ * partly undone: the other entries are tried again by the next undo.
+ */
+export async function markUndone(step, entries = null) {
+  await append({ at: new Date().toISOString(), step, op: 'undo', ...(entries ? { entries } : {}) });
+}
+
+// Keep the last KEEP_STEPS steps once the file passes MAX_BYTES (called with
+// the journal lock held)
+async function compact() {
+  try {
+    if ((await stat(journalFile())).size < MAX_BYTES) return;
+  } catch {
+    return;
+  }
+  const entries = await readJournal();
+  const keep = new Set();
+  for (let i = entries.length - 1; i >= 0 && keep.size < KEEP_STEPS; i--) keep.add(entries[i].step);
+  const kept = entries.filter(e => keep.has(e.step));
+  await writeAtomic(journalFile(), kept.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+const short = id => (id || '').slice(0, 8);
+
+/**
+ * One-line description of a journal entry.
+ */
+export function describeEntry(e) {
+  switch (e.op) {
+    case 'title': return `title ${short(e.id)} "${e.title}"`;
+    case 'tag': return `tag ${short(e.id)} #${e.tag}`;
+    case 'untag': return `untag ${short(e.id)} #${e.tag}`;
+    case 'batch-tag': return `tag ${e.ids.length} sessions #${e.tag}`;
+    case 'favorite': return `${e.value ? 'favorite' : 'unfavorite'} ${short(e.id)}`;
+    case 'note': return `note on ${short(e.id)}`;
+    case 'tier': return `tier ${e.tier} for ${short(e.id)}`;
+    case 'protect': return `${e.value ? 'protect' : 'unprotect'} ${short(e.id)}`;
+    case 'protect-rule': return `protect ${e.kind} ${e.value}`;
+    case 'unprotect-rule': return `unprotect ${e.kind} ${e.value}`;
+    case 'trash': return `trash ${short(e.id)} "${e.title || ''}"`;
+    case 'restore': return `restore ${short(e.id)} "${e.title || ''}"`;
+    case 'delete': return `delete ${short(e.id)} from trash`;
+    case 'empty': return `empty trash (${e.ids.length} sessions)`;
+    case 'rename': return `rename ${short(e.id)} to ${e.newSlug}`;
+    case 'archive': return `archive ${short(e.id)} "${e.title || ''}"`;
+    case 'unarchive': return `unarchive ${short(e.id)} "${e.title || ''}"`;
+    case 'restore-backup': return `restore ${short(e.id)} from backup`;
+    case 'tag-rename': return `rename tag #${e.from} to #${e.to} (${e.sessions} sessions)`;
+    case 'tag-merge': return `merge tag #${e.from} into #${e.to} (${e.sessions} sessions)`;
+    case 'tag-delete': return `delete tag #${e.tag} (${e.sessions} sessions)`;
+    case 'merge': return `merge metadata from ${e.file} (${e.added} changes)`;
+    default: return e.op;
+  }
+}
+
+/**
+ * One-line description of a step: its label, or its only entry.
+ */
+export function describeStep(step) {
+  if (step.label) return step.entries.length > 1 ? `${step.label} (${step.entries.length} changes)` : step.label;
+  if (step.entries.length === 1) return describeEntry(step.entries[0]);
+  return `${describeEntry(step.entries[0])} and ${step.entries.length - 1} more`;
+}
@@ -0,0 +1,142 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Advisory file locks for the JSON stores several csesh processes update at
+ * once (`csesh web` running while a CLI command tags a session). withLock()
+ * holds <file>.lock, created exclusively, for the length of a
+ * read-modify-write; writeAtomic() replaces a file through a temp file and a
+ * rename, so readers never see half of it.
+ *
+ * A lock whose process is gone, or older than STALE_MS, is taken over.
+ */
+
+import { open, readFile, writeFile, rename, stat, rm, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+
+const RETRY_MS = 20;
+const STALE_MS = 30_000;
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// The content of the lock at lockPath if it is stale, else null
+async function staleContent(lockPath) {
+  let content;
+  let info;
+  try {
+    content = await readFile(lockPath, 'utf-8');
+    info = await stat(lockPath);
+  } catch {
+    return null; // released meanwhile, just retry
+  }
+  if (Date.now() - info.mtimeMs > STALE_MS) return content;
+  try {
+    const { pid } = JSON.parse(content);
+    return Number.isInteger(pid) && !processAlive(pid) ? content : null;
+  } catch {
+    return null; // being written
+  }
+}
+
+// Remove the lock if it still has `content`: a lock judged stale with it, or
+// the lock this process acquired. Two processes may judge the same lock
+// stale, and by the time the slower one removes it the faster one may hold a
+// fresh lock there; a holder slower than STALE_MS may have lost its lock the
+// same way. So removal happens under <lock>.takeover, created exclusively,
+// and only if the lock still has that content (each lock's content is
+// unique). Returns false if another process holds the guard, to wait for it.
+async function removeIfCurrent(lockPath, content) {
+  const guard = `${lockPath}.takeover`;
+  try {
+    await (await open(guard, 'wx')).close();
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    // Another process is taking over; a guard left by a crash is cleared
+    try {
+      if (Date.now() - (await stat(guard)).mtimeMs > STALE_MS) await rm(guard, { force: true });
+    } catch { /* released meanwhile */ }
+    return false;
+  }
+  try {
+    let current = null;
+    try { current = await readFile(lockPath, 'utf-8'); } catch { /* released meanwhile */ }
+    if (current === content) await rm(lockPath, { force: true });
+  } finally {
+    await rm(guard, { force: true });
+  }
+  return true;
+}
+
+async function acquire(lockPath, timeout) {
+  const deadline = Date.now() + timeout;
+  await mkdir(dirname(lockPath), { recursive: true });
+  for (;;) {
+    try {
+      const fh = await open(lockPath, 'wx');
+      const content = JSON.stringify({ pid: process.pid, at: new Date().toISOString(), id: randomUUID() });
+      try {
+        await fh.writeFile(content);
+      } finally {
+        await fh.close();
+      }
+      return content;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const stale = await staleContent(lockPath);
+    if (stale !== null && await removeIfCurrent(lockPath, stale)) continue;
+    if (Date.now() >= deadline) {
+      const err = new Error(`${lockPath} is held by another csesh process (remove it if no csesh is running)`);
+      err.code = 'ELOCKED';
+      throw err;
+    }
+    await sleep(RETRY_MS);
+  }
+}
+
+/**
+ * Run fn while holding the lock on `file`. Waits up to `timeout` ms for
+ * another holder, then throws with code 'ELOCKED'. Locks are not reentrant:
+ * fn must not lock the same file again.
+ */
+export async function withLock(file, fn, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const lockPath = `${file}.lock`;
+  const content = await acquire(lockPath, timeout);
+  try {
+    return await fn();
+  } finally {
+    // Only our own lock: it may have been taken over and be another's now
+    while (!await removeIfCurrent(lockPath, content)) await sleep(RETRY_MS);
+  }
+}
+
+/**
+ * Write a file through a temp file in the same directory and a rename.
+ */
+export async function writeAtomic(file, data) {
+  await mkdir(dirname(file), { recursive: true });
+  // Unique per write: the same process may write the same file twice at once
+  const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  try {
+    await writeFile(tmp, data, 'utf-8');
+    await rename(tmp, file);
+  } catch (err) {
+    await rm(tmp, { force: true });
+    throw err;
+  }
+}
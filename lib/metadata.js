@@ -6,38 +6,234 @@
  */
 
 /**
- * Sidecar metadata management — custom titles, tags, favorites, notes.
- * Stored in metadata.json (never modifies original JSONL files).
+ * Sidecar metadata management — custom titles, tags, favorites, notes and
+ * protection. Stored as a change log in metadata.jsonl (never modifies
+ * original JSONL files), one line per field edit with its time and device;
+ * see lib/metalog.js for the format and how it folds into the view callers
+ * get from loadMetadata(). Every edit is journaled with the entries it
+ * replaced (see revertMetadata).
+ *
+ * Edits go through updateMetadata(), a locked read-modify-write: fn edits a
+ * copy of the view and the fields it changed are appended to the log, so a
+ * CLI command and a running `csesh web` never overwrite each other's changes.
+ * The in-memory copy is reloaded whenever the file changed on disk.
+ *
+ * mergeMetadataStore() folds in the store of another machine (csesh metadata
+ * merge) and compactMetadata() drops superseded edits. A metadata.json from
+ * before the change log is converted on first load and kept as
+ * metadata.v1.json.
  */
 
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFile, appendFile, rename, stat, mkdir } from 'fs/promises';
+import { join } from 'path';
 import { TOOL_DIR, migrateFromOldDir } from './utils.js';
+import { record } from './journal.js';
+import { withLock, writeAtomic } from './lock.js';
+import { deviceId, parseLog, serializeLog, foldChanges, compactLog, diffViews, changesFromV1, mergeLogs, compareChanges } from './metalog.js';
+import { normalizeTag, tagMatches, moveTag } from './tags.js';
 
-const METADATA_FILE = join(TOOL_DIR, 'metadata.json');
+// Resolved per call — TOOL_DIR follows the configured Claude directory
+export function metadataFile() {
+  return join(TOOL_DIR, 'metadata.jsonl');
+}
+
+function legacyFile() {
+  return join(TOOL_DIR, 'metadata.json');
+}
 
-let memoryMeta = null;
+// { file, version (mtime + size), changes, view, torn } as last read or written
+let memory = null;
 
-function emptyMetadata() {
-  return { version: 1, sessions: {}, globalTags: [] };
+async function fileVersion(file) {
+  try {
+    const info = await stat(file);
+    return `${info.mtimeMs}:${info.size}`;
+  } catch {
+    return null;
+  }
+}
+
+async function readStore() {
+  const file = metadataFile();
+  const version = await fileVersion(file);
+  if (memory && memory.file === file && memory.version === version) return memory;
+  let text = '';
+  try {
+    text = await readFile(file, 'utf-8');
+  } catch { /* no store yet */ }
+  const changes = parseLog(text);
+  memory = { file, version, changes, view: foldChanges(changes), torn: text.length > 0 && !text.endsWith('\n') };
+  return memory;
+}
+
+async function remember(file, changes, view = foldChanges(changes)) {
+  memory = { file, version: await fileVersion(file), changes, view, torn: false };
+}
+
+/**
+ * Convert a metadata.json left by an older csesh (or copied from one) into
+ * changes from this device, then move it aside as metadata.v1.json.
+ */
+async function migrateLegacy() {
+  const legacy = legacyFile();
+  if (await fileVersion(legacy) === null) return;
+  await withLock(metadataFile(), async () => {
+    let meta;
+    try {
+      meta = JSON.parse(await readFile(legacy, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return; // migrated meanwhile
+      meta = {}; // unreadable: only set aside
+    }
+    const store = await readStore();
+    const device = deviceId();
+    const seq = Math.max(0, ...store.changes.filter(c => c.device === device).map(c => c.seq));
+    const { changes, added } = mergeLogs(store.changes, changesFromV1(meta, device, seq));
+    if (added > 0) {
+      await writeAtomic(store.file, serializeLog(changes));
+      await remember(store.file, changes);
+    }
+    await rename(legacy, join(TOOL_DIR, 'metadata.v1.json'));
+  });
 }
 
 export async function loadMetadata() {
-  if (memoryMeta) return memoryMeta;
   await migrateFromOldDir();
-  try {
-    const data = await readFile(METADATA_FILE, 'utf-8');
-    memoryMeta = JSON.parse(data);
-  } catch {
-    memoryMeta = emptyMetadata();
+  await migrateLegacy();
+  return (await readStore()).view;
+}
+
+// Time, device and sequence number for new edits. Times never go back past
+// the latest change in the log, so an edit made here always wins over what
+// it replaced, even with this machine's clock behind another's.
+function stamp(store, edits) {
+  const device = deviceId();
+  let seq = 0;
+  let latest = 0;
+  for (const c of store.changes) {
+    if (c.device === device && c.seq > seq) seq = c.seq;
+    latest = Math.max(latest, Date.parse(c.at) || 0);
   }
-  return memoryMeta;
+  const at = new Date(Math.max(Date.now(), latest + 1)).toISOString();
+  return edits.map(edit => ({ at, device, seq: ++seq, ...edit }));
 }
 
+async function appendChanges(store, changes) {
+  await mkdir(TOOL_DIR, { recursive: true });
+  // A torn last line (a crash mid-append) must not swallow the first change
+  await appendFile(store.file, (store.torn ? '\n' : '') + serializeLog(changes), 'utf-8');
+  await remember(store.file, [...store.changes, ...changes]);
+}
+
+/**
+ * Make the store match `meta` (a view as returned by loadMetadata), by
+ * appending the fields that differ.
+ */
 export async function saveMetadata(meta) {
-  await mkdir(dirname(METADATA_FILE), { recursive: true });
-  await writeFile(METADATA_FILE, JSON.stringify(meta, null, 2), 'utf-8');
-  memoryMeta = meta;
+  await updateMetadata(view => {
+    Object.assign(view, structuredClone(meta));
+  });
+}
+
+/**
+ * Locked read-modify-write of the metadata view: fn gets a copy of the
+ * current view (re-read if another process changed it) and edits it in
+ * place; the fields it changed are appended to the log. Returns what fn
+ * returns. Nothing is written if fn throws.
+ */
+export async function updateMetadata(fn) {
+  await migrateLegacy();
+  return withLock(metadataFile(), async () => {
+    const store = await readStore();
+    const view = structuredClone(store.view);
+    const result = await fn(view);
+    const edits = diffViews(store.view, view);
+    if (edits.length > 0) await appendChanges(store, stamp(store, edits));
+    return result;
+  });
+}
+
+/**
+ * Parse another machine's store: a metadata.jsonl change log, or a
+ * metadata.json from before change logs.
+ */
+function parseStore(text, file) {
+  try {
+    const meta = JSON.parse(text);
+    if (meta?.sessions && typeof meta.sessions === 'object') return changesFromV1(meta);
+  } catch { /* a change log */ }
+  const changes = parseLog(text);
+  if (changes.length === 0 && text.trim()) {
+    const err = new Error(`${file} is not a csesh metadata store`);
+    err.code = 'EINVALID';
+    throw err;
+  }
+  return changes;
+}
+
+/**
+ * Fold another machine's metadata store into this one (csesh metadata
+ * merge). Changes this store already has are skipped; the merged log is
+ * compacted (see compactMetadata) and written sorted, so two machines that
+ * merge each other's stores end up with the same file. Each field keeps its
+ * latest edit from either side. Returns { added, sessions }: the number of
+ * new changes kept (edits already superseded here do not count) and the ids
+ * of the sessions whose metadata changed.
+ */
+export async function mergeMetadataStore(file) {
+  const theirs = parseStore(await readFile(file, 'utf-8'), file);
+  await migrateLegacy();
+  const { added, sessions, before } = await withLock(metadataFile(), async () => {
+    const store = await readStore();
+    const changes = compactLog(mergeLogs(store.changes, theirs).changes);
+    // Their changes that are still current: older edits are dropped again
+    const ours = new Set(store.changes);
+    const added = changes.filter(c => !ours.has(c)).length;
+    if (added === 0) return { added, sessions: [] };
+    const view = foldChanges(changes);
+    const sessions = [...new Set(diffViews(store.view, view).filter(e => e.session != null).map(e => e.session))];
+    const before = { ...snapshot(store.view, sessions), protect: structuredClone(store.view.protect) };
+    await writeAtomic(store.file, serializeLog(changes));
+    await remember(store.file, changes, view);
+    return { added, sessions, before };
+  });
+  if (added > 0) await record('merge', { file, added, before });
+  return { added, sessions };
+}
+
+/**
+ * Rewrite metadata.jsonl with only the latest change of each field (csesh
+ * metadata compact): the view stays the same, the history of the edits
+ * superseded since is dropped. Returns { before, after }: the number of
+ * changes in the log.
+ */
+export async function compactMetadata() {
+  await migrateLegacy();
+  return withLock(metadataFile(), async () => {
+    const store = await readStore();
+    const changes = compactLog(store.changes);
+    if (changes.length < store.changes.length) {
+      await writeAtomic(store.file, serializeLog(changes));
+      await remember(store.file, changes, store.view);
+    }
+    return { before: store.changes.length, after: changes.length };
+  });
+}
+
+/**
+ * Every change recorded for a session, oldest first.
+ */
+export async function getMetadataHistory(id) {
+  await loadMetadata();
+  return memory.changes.filter(c => c.session === id).sort(compareChanges);
+}
+
+/**
+ * Size of the change log: { changes, devices }.
+ */
+export async function getMetadataStats() {
+  await loadMetadata();
+  return { changes: memory.changes.length, devices: new Set(memory.changes.map(c => c.device)).size };
 }
 
 function ensureSession(meta, id) {
@@ -47,61 +243,194 @@ function ensureSession(meta, id) {
   return meta.sessions[id];
 }
 
-export async function setTitle(id, title) {
-  const meta = await loadMetadata();
-  const s = ensureSession(meta, id);
-  s.customTitle = title;
-  s.updatedAt = new Date().toISOString();
-  await saveMetadata(meta);
+// Copies of session entries (null when absent), kept in the journal for undo
+function snapshot(meta, ids) {
+  return { sessions: Object.fromEntries(ids.map(id => [id, meta.sessions[id] ? structuredClone(meta.sessions[id]) : null])) };
+}
+
+/**
+ * Set a session's custom title. Pass { native: true } once the title was
+ * also written to the JSONL as a `custom-title` record (rename.renameSessionSlug),
+ * else the session's current { nativeTitle }, so that the title set here
+ * wins over it (see mergeMetadata).
+ */
+export async function setTitle(id, title, { native = false, nativeTitle = null } = {}) {
+  const before = await updateMetadata(meta => {
+    const before = snapshot(meta, [id]);
+    const s = ensureSession(meta, id);
+    s.customTitle = title;
+    if (native) s.nativeTitle = title;
+    else if (nativeTitle) s.nativeTitle = nativeTitle;
+    s.updatedAt = new Date().toISOString();
+    return before;
+  });
+  await record('title', { id, title, before });
+}
+
+function tagError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Normalized tag (see tags.normalizeTag), refusing one that is left empty
+function cleanTag(tag) {
+  const clean = normalizeTag(tag);
+  if (!clean) throw tagError(`Invalid tag: "${tag}"`, 'EINVALID');
+  return clean;
 }
 
 export async function addTag(id, tag) {
-  const meta = await loadMetadata();
-  const s = ensureSession(meta, id);
-  if (!s.tags) s.tags = [];
-  tag = tag.toLowerCase().trim();
-  if (!s.tags.includes(tag)) {
+  tag = cleanTag(tag);
+  const before = await updateMetadata(meta => {
+    const before = snapshot(meta, [id]);
+    const s = ensureSession(meta, id);
+    if (!s.tags) s.tags = [];
+    if (s.tags.includes(tag)) return null;
     s.tags.push(tag);
     s.updatedAt = new Date().toISOString();
     // Also add to globalTags
     if (!meta.globalTags.includes(tag)) meta.globalTags.push(tag);
-    await saveMetadata(meta);
-  }
+    return before;
+  });
+  if (before) await record('tag', { id, tag, before });
 }
 
 export async function removeTag(id, tag) {
-  const meta = await loadMetadata();
-  const s = meta.sessions[id];
-  if (!s?.tags) return;
-  tag = tag.toLowerCase().trim();
-  s.tags = s.tags.filter(t => t !== tag);
-  s.updatedAt = new Date().toISOString();
-  await saveMetadata(meta);
+  tag = normalizeTag(tag);
+  const before = await updateMetadata(meta => {
+    const s = meta.sessions[id];
+    if (!s?.tags?.includes(tag)) return null;
+    const before = snapshot(meta, [id]);
+    s.tags = s.tags.filter(t => t !== tag);
+    s.updatedAt = new Date().toISOString();
+    return before;
+  });
+  if (before) await record('untag', { id, tag, before });
 }
 
 export async function toggleFavorite(id) {
-  const meta = await loadMetadata();
-  const s = ensureSession(meta, id);
-  s.favorite = !s.favorite;
-  s.updatedAt = new Date().toISOString();
-  await saveMetadata(meta);
-  return s.favorite;
+  const { before, favorite } = await updateMetadata(meta => {
+    const before = snapshot(meta, [id]);
+    const s = ensureSession(meta, id);
+    s.favorite = !s.favorite;
+    s.updatedAt = new Date().toISOString();
+    return { before, favorite: s.favorite };
+  });
+  await record('favorite', { id, value: favorite, before });
+  return favorite;
 }
 
 export async function setNote(id, note) {
-  const meta = await loadMetadata();
-  const s = ensureSession(meta, id);
-  s.notes = note;
-  s.updatedAt = new Date().toISOString();
-  await saveMetadata(meta);
+  const before = await updateMetadata(meta => {
+    const before = snapshot(meta, [id]);
+    const s = ensureSession(meta, id);
+    s.notes = note;
+    s.updatedAt = new Date().toISOString();
+    return before;
+  });
+  await record('note', { id, before });
 }
 
 export async function setTierOverride(id, tier) {
+  const before = await updateMetadata(meta => {
+    const before = snapshot(meta, [id]);
+    const s = ensureSession(meta, id);
+    s.tierOverride = tier;
+    s.updatedAt = new Date().toISOString();
+    return before;
+  });
+  await record('tier', { id, tier, before });
+}
+
+/**
+ * Protect a session from trashing (cleanup, web, batch), or lift it.
+ */
+export async function setProtected(id, value = true) {
+  const before = await updateMetadata(meta => {
+    const before = snapshot(meta, [id]);
+    const s = ensureSession(meta, id);
+    s.protected = !!value;
+    s.updatedAt = new Date().toISOString();
+    return before;
+  });
+  await record('protect', { id, value: !!value, before });
+}
+
+const PROTECT_KINDS = { project: 'projects', tag: 'tags' };
+
+function protectRules(meta) {
+  meta.protect ||= {};
+  meta.protect.projects ||= [];
+  meta.protect.tags ||= [];
+  return meta.protect;
+}
+
+/**
+ * Protect every session of a project or with a tag. kind: 'project' | 'tag'.
+ * Returns false if the rule already existed.
+ */
+export async function addProtectRule(kind, value) {
+  if (!PROTECT_KINDS[kind]) throw new Error(`Unknown protect rule kind: ${kind}`);
+  value = kind === 'tag' ? normalizeTag(value) : value.trim();
+  const before = await updateMetadata(meta => {
+    const list = protectRules(meta)[PROTECT_KINDS[kind]];
+    if (list.includes(value)) return null;
+    const before = { protect: structuredClone(meta.protect) };
+    list.push(value);
+    return before;
+  });
+  if (!before) return false;
+  await record('protect-rule', { kind, value, before });
+  return true;
+}
+
+/**
+ * Remove a protect-by-project or protect-by-tag rule. Returns false if there
+ * was no such rule.
+ */
+export async function removeProtectRule(kind, value) {
+  const key = PROTECT_KINDS[kind];
+  if (!key) throw new Error(`Unknown protect rule kind: ${kind}`);
+  value = kind === 'tag' ? normalizeTag(value) : value.trim();
+  const before = await updateMetadata(meta => {
+    const rules = protectRules(meta);
+    if (!rules[key].includes(value)) return null;
+    const before = { protect: structuredClone(rules) };
+    rules[key] = rules[key].filter(v => v !== value);
+    return before;
+  });
+  if (!before) return false;
+  await record('unprotect-rule', { kind, value, before });
+  return true;
+}
+
+export async function getProtectRules() {
   const meta = await loadMetadata();
-  const s = ensureSession(meta, id);
-  s.tierOverride = tier;
-  s.updatedAt = new Date().toISOString();
-  await saveMetadata(meta);
+  const { projects = [], tags = [] } = meta.protect || {};
+  return { projects: [...projects], tags: [...tags] };
+}
+
+function reasonFor(session, meta) {
+  const sm = meta.sessions[session.id];
+  if (sm?.protected) return 'protected';
+  const { projects = [], tags = [] } = meta.protect || {};
+  const names = [session.slug, session.shortProject, session.project].filter(Boolean).map(n => n.toLowerCase());
+  const project = projects.find(p => names.includes(p.toLowerCase()));
+  if (project) return `project "${project}" is protected`;
+  const sessionTags = [...(sm?.tags || []), ...(session.autoTags || [])];
+  const tag = tags.find(t => sessionTags.some(st => tagMatches(st, t)));
+  if (tag) return `tag #${tag} is protected`;
+  return null;
+}
+
+/**
+ * Why a session may not be trashed, or null: its own flag, then project
+ * rules (slug, short name or path), then tag rules (user and auto tags,
+ * nested tags included: protecting `client` protects `client/acme`).
+ */
+export async function protectionReason(session) {
+  return reasonFor(session, await loadMetadata());
 }
 
 export async function getSessionMeta(id) {
@@ -119,39 +448,152 @@ export async function getAllTags() {
 }
 
 export async function batchSetTag(ids, tag) {
-  const meta = await loadMetadata();
-  tag = tag.toLowerCase().trim();
-  for (const id of ids) {
-    const s = ensureSession(meta, id);
-    if (!s.tags) s.tags = [];
-    if (!s.tags.includes(tag)) s.tags.push(tag);
+  tag = cleanTag(tag);
+  const before = await updateMetadata(meta => {
+    const before = snapshot(meta, ids);
+    for (const id of ids) {
+      const s = ensureSession(meta, id);
+      if (!s.tags) s.tags = [];
+      if (!s.tags.includes(tag)) s.tags.push(tag);
+      s.updatedAt = new Date().toISOString();
+    }
+    if (!meta.globalTags.includes(tag)) meta.globalTags.push(tag);
+    return before;
+  });
+  await record('batch-tag', { ids, tag, before });
+}
+
+// Every tag in use: on sessions, then the global list
+function tagsInUse(meta) {
+  const tags = new Set();
+  for (const s of Object.values(meta.sessions)) (s.tags || []).forEach(t => tags.add(t));
+  meta.globalTags.forEach(t => tags.add(t));
+  return [...tags];
+}
+
+// Replace every tag in the `from` subtree by fn(tag), or drop it when fn
+// returns null, on sessions and in the global list (and in protect-by-tag
+// rules with { rules: true }). Returns the ids of the sessions changed.
+function rewriteTags(meta, from, fn, { rules = false } = {}) {
+  const rewrite = tags => {
+    const out = [];
+    for (const tag of tags) {
+      const next = tagMatches(tag, from) ? fn(tag) : tag;
+      if (next && !out.includes(next)) out.push(next);
+    }
+    return out;
+  };
+  const changed = [];
+  for (const [id, s] of Object.entries(meta.sessions)) {
+    if (!s.tags?.some(t => tagMatches(t, from))) continue;
+    s.tags = rewrite(s.tags);
     s.updatedAt = new Date().toISOString();
+    changed.push(id);
   }
-  if (!meta.globalTags.includes(tag)) meta.globalTags.push(tag);
-  await saveMetadata(meta);
+  meta.globalTags = rewrite(meta.globalTags);
+  if (rules) protectRules(meta).tags = rewrite(meta.protect.tags);
+  return changed;
+}
+
+// What a tag operation replaces: entries of the sessions carrying a tag of
+// the `from` subtree, the global list and the protect rules
+function tagSnapshot(meta, from) {
+  const ids = Object.keys(meta.sessions).filter(id => meta.sessions[id].tags?.some(t => tagMatches(t, from)));
+  return { ...snapshot(meta, ids), globalTags: [...meta.globalTags], protect: structuredClone(protectRules(meta)) };
+}
+
+/**
+ * Rename a tag on every session, in the global tag list and in
+ * protect-by-tag rules. Nested tags move along: renaming `client` to
+ * `customer` turns `client/acme` into `customer/acme`. Refuses (code
+ * 'EEXIST') a new name already in use unless { merge: true }, see mergeTags.
+ * Returns { sessions, tags }: the number of sessions changed and the
+ * [old, new] name of every tag moved.
+ */
+export async function renameTag(from, to, { merge = false } = {}) {
+  from = cleanTag(from);
+  to = cleanTag(to);
+  if (from === to) throw tagError(`#${from} is already named that way`, 'EINVALID');
+  const { before, sessions, tags } = await updateMetadata(meta => {
+    const inUse = tagsInUse(meta);
+    const moved = inUse.filter(t => tagMatches(t, from));
+    if (moved.length === 0) throw tagError(`Tag not found: #${from}`, 'ENOTAG');
+    const tags = moved.map(t => [t, moveTag(t, from, to)]);
+    // Tags of the subtree move themselves, so they never clash
+    const clash = tags.find(([, t]) => inUse.includes(t) && !tagMatches(t, from));
+    if (clash && !merge) throw tagError(`Tag #${clash[1]} already exists (merge into it with csesh tags merge)`, 'EEXIST');
+    const before = tagSnapshot(meta, from);
+    const sessions = rewriteTags(meta, from, t => moveTag(t, from, to), { rules: true }).length;
+    return { before, sessions, tags };
+  });
+  await record(merge ? 'tag-merge' : 'tag-rename', { from, to, sessions, before });
+  return { sessions, tags };
+}
+
+/**
+ * Fold tag `from` (and the tags nested in it) into `into`, which may
+ * already exist: sessions carrying both keep one. Returns what renameTag
+ * returns.
+ */
+export async function mergeTags(from, into) {
+  return renameTag(from, into, { merge: true });
+}
+
+/**
+ * Remove a tag and the tags nested in it from every session and from the
+ * global tag list. Protect-by-tag rules are left in place: deleting a tag
+ * never lifts a protection. Returns { sessions, tags }: the number of
+ * sessions changed and the tags removed.
+ */
+export async function deleteTag(tag) {
+  tag = cleanTag(tag);
+  const { before, sessions, tags } = await updateMetadata(meta => {
+    const tags = tagsInUse(meta).filter(t => tagMatches(t, tag));
+    if (tags.length === 0) throw tagError(`Tag not found: #${tag}`, 'ENOTAG');
+    const before = tagSnapshot(meta, tag);
+    const sessions = rewriteTags(meta, tag, () => null).length;
+    return { before, sessions, tags };
+  });
+  await record('tag-delete', { tag, sessions, before });
+  return { sessions, tags };
+}
+
+/**
+ * Put back the session entries, protect rules and global tags a journal
+ * entry saved before its edit (csesh undo).
+ */
+export async function revertMetadata(before) {
+  await updateMetadata(meta => {
+    for (const [id, s] of Object.entries(before.sessions || {})) {
+      if (s) meta.sessions[id] = s;
+      else delete meta.sessions[id];
+    }
+    if (before.protect) meta.protect = before.protect;
+    if (before.globalTags) meta.globalTags = before.globalTags;
+  });
 }
 
 /**
  * Merge metadata into session summaries.
- * Mutates sessions in-place.
+ * Mutates sessions in-place; the store is only read.
+ *
+ * A session's nativeTitle (its last `custom-title` record) is reconciled
+ * with the stored customTitle: metadata remembers the native title it last
+ * saw, so a different one means the session was renamed in Claude Code or on
+ * another machine since, and it is shown instead of the custom title.
  */
 export async function mergeMetadata(sessions) {
   const meta = await loadMetadata();
   for (const session of sessions) {
-    const sm = meta.sessions[session.id];
-    if (sm) {
-      session.customTitle = sm.customTitle || null;
-      session.displayTitle = sm.customTitle || session.title;
-      session.tags = sm.tags || [];
-      session.favorite = sm.favorite || false;
-      session.notes = sm.notes || '';
-      if (sm.tierOverride != null) session.tierOverride = sm.tierOverride;
-    } else {
-      session.customTitle = null;
-      session.displayTitle = session.title;
-      session.tags = [];
-      session.favorite = false;
-      session.notes = '';
-    }
+    const sm = meta.sessions[session.id] || {};
+    const renamed = session.nativeTitle && session.nativeTitle !== sm.nativeTitle;
+    session.customTitle = (renamed ? session.nativeTitle : sm.customTitle) || null;
+    session.displayTitle = session.customTitle || session.title;
+    session.tags = sm.tags || [];
+    session.favorite = sm.favorite || false;
+    session.notes = sm.notes || '';
+    if (sm.tierOverride != null) session.tierOverride = sm.tierOverride;
+    session.protectedReason = reasonFor(session, meta);
+    session.protected = session.protectedReason != null;
   }
 }
@@ -0,0 +1,206 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Metadata change log. metadata.jsonl holds one change per line:
+ *
+ *   { "at": "2026-03-01T10:00:00.000Z", "device": "laptop-3f2a1c", "seq": 12,
+ *     "session": "<id>", "field": "customTitle", "value": "Fix login bug" }
+ *
+ * Session fields are customTitle, nativeTitle, notes, favorite, tierOverride
+ * and protected, plus one "tag:<name>" flag per tag. Changes without a
+ * session set the store-wide "globalTag:<name>", "protect.project:<name>"
+ * and "protect.tag:<name>" flags. A null value clears a field, false clears
+ * a flag.
+ *
+ * The view the rest of csesh reads (the old metadata.json shape) is folded
+ * from the changes, the last change of each field winning. "Last" is a total
+ * order, (at, device, seq), so two machines folding the same changes agree
+ * whatever order they were appended in: that is what makes merging another
+ * machine's store deterministic.
+ */
+
+import { createHash } from 'crypto';
+import { hostname, userInfo, homedir } from 'os';
+
+export const SESSION_FIELDS = ['customTitle', 'nativeTitle', 'notes', 'favorite', 'tierOverride', 'protected'];
+
+// Device of changes converted from a metadata.json that predates change logs
+export const V1_DEVICE = 'v1';
+
+const EPOCH = new Date(0).toISOString();
+
+export function emptyView() {
+  return { version: 1, sessions: {}, globalTags: [], protect: { projects: [], tags: [] } };
+}
+
+/**
+ * This machine's id in the change log: CSESH_DEVICE_ID, or the host name
+ * with a short hash of host, user and home directory. It is derived rather
+ * than stored, since TOOL_DIR is the directory people sync.
+ */
+export function deviceId() {
+  if (process.env.CSESH_DEVICE_ID) return process.env.CSESH_DEVICE_ID;
+  let user = '';
+  try { user = userInfo().username; } catch { /* no passwd entry */ }
+  const host = hostname();
+  const hash = createHash('sha1').update(`${host}\0${user}\0${homedir()}`).digest('hex').slice(0, 6);
+  const name = host.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-|-$/g, '') || 'device';
+  return `${name}-${hash}`;
+}
+
+/**
+ * Total order of changes: time, then device, then sequence number.
+ */
+export function compareChanges(a, b) {
+  if (a.at !== b.at) return a.at < b.at ? -1 : 1;
+  if (a.device !== b.device) return a.device < b.device ? -1 : 1;
+  return a.seq - b.seq;
+}
+
+/**
+ * Parse metadata.jsonl text. Lines that are not changes (a torn write) are
+ * skipped.
+ */
+export function parseLog(text) {
+  const changes = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const c = JSON.parse(line);
+      if (typeof c.at === 'string' && typeof c.device === 'string' && typeof c.field === 'string') changes.push(c);
+    } catch { /* torn write */ }
+  }
+  return changes;
+}
+
+export function serializeLog(changes) {
+  return changes.map(c => JSON.stringify(c)).join('\n') + (changes.length ? '\n' : '');
+}
+
+const fieldKey = c => `${c.session ?? ''}\0${c.field}`;
+
+/**
+ * The latest change of each field, sorted: the changes foldChanges reads,
+ * without the edits they superseded. Clearing changes are kept, since they
+ * must still win over an older edit merged in from another machine.
+ */
+export function compactLog(changes) {
+  const latest = new Map();
+  for (const c of changes) {
+    const prev = latest.get(fieldKey(c));
+    if (!prev || compareChanges(c, prev) > 0) latest.set(fieldKey(c), c);
+  }
+  return [...latest.values()].sort(compareChanges);
+}
+
+/**
+ * Fold changes into the current view. Session entries get `updatedAt` from
+ * their latest change; entries left with nothing set are dropped.
+ */
+export function foldChanges(changes) {
+  const view = emptyView();
+  // Applied in order, so tags and rules list in the order they were set
+  for (const c of compactLog(changes)) {
+    if (c.session != null) {
+      const s = view.sessions[c.session] ||= {};
+      if (!s.updatedAt || c.at > s.updatedAt) s.updatedAt = c.at;
+      if (c.field.startsWith('tag:')) {
+        if (c.value) (s.tags ||= []).push(c.field.slice(4));
+      } else if (c.value != null) {
+        s[c.field] = c.value;
+      }
+    } else if (c.value) {
+      const [kind, name] = splitField(c.field);
+      if (kind === 'globalTag') view.globalTags.push(name);
+      else if (kind === 'protect.project') view.protect.projects.push(name);
+      else if (kind === 'protect.tag') view.protect.tags.push(name);
+    }
+  }
+  for (const [id, s] of Object.entries(view.sessions)) {
+    if (Object.keys(s).length === 1) delete view.sessions[id];
+  }
+  return view;
+}
+
+function splitField(field) {
+  const i = field.indexOf(':');
+  return [field.slice(0, i), field.slice(i + 1)];
+}
+
+function setDiff(field, before = [], after = [], session) {
+  const out = [];
+  const base = session != null ? { session } : {};
+  for (const name of after) if (!before.includes(name)) out.push({ ...base, field: `${field}:${name}`, value: true });
+  for (const name of before) if (!after.includes(name)) out.push({ ...base, field: `${field}:${name}`, value: false });
+  return out;
+}
+
+/**
+ * The changes that turn view `before` into view `after`, as
+ * { session?, field, value } (no time, device or sequence yet). Only the
+ * fields listed in SESSION_FIELDS, tags, global tags and protect rules are
+ * stored; anything else set on a view is not.
+ */
+export function diffViews(before, after) {
+  const out = [];
+  const ids = new Set([...Object.keys(before.sessions), ...Object.keys(after.sessions)]);
+  for (const id of ids) {
+    const b = before.sessions[id] || {};
+    const a = after.sessions[id] || {};
+    for (const field of SESSION_FIELDS) {
+      if ((b[field] ?? null) !== (a[field] ?? null)) out.push({ session: id, field, value: a[field] ?? null });
+    }
+    out.push(...setDiff('tag', b.tags, a.tags, id));
+  }
+  out.push(...setDiff('globalTag', before.globalTags, after.globalTags));
+  out.push(...setDiff('protect.project', before.protect?.projects, after.protect?.projects));
+  out.push(...setDiff('protect.tag', before.protect?.tags, after.protect?.tags));
+  return out;
+}
+
+/**
+ * Changes equivalent to a metadata.json from before change logs, numbered
+ * after `seq`. Session fields are dated by the entry's updatedAt, store-wide
+ * ones by the epoch so that any later change wins over them.
+ */
+export function changesFromV1(meta, device = V1_DEVICE, seq = 0) {
+  const all = [];
+  const push = (at, change) => all.push({ at, device, seq: ++seq, ...change });
+  const entries = Object.entries(meta.sessions || {}).sort(([a], [b]) => (a < b ? -1 : 1));
+  for (const [id, s] of entries) {
+    const at = typeof s.updatedAt === 'string' ? s.updatedAt : EPOCH;
+    for (const field of SESSION_FIELDS) {
+      if (s[field] != null) push(at, { session: id, field, value: s[field] });
+    }
+    for (const tag of s.tags || []) push(at, { session: id, field: `tag:${tag}`, value: true });
+  }
+  for (const tag of meta.globalTags || []) push(EPOCH, { field: `globalTag:${tag}`, value: true });
+  for (const p of meta.protect?.projects || []) push(EPOCH, { field: `protect.project:${p}`, value: true });
+  for (const t of meta.protect?.tags || []) push(EPOCH, { field: `protect.tag:${t}`, value: true });
+  return all;
+}
+
+const changeIdentity = c => JSON.stringify([c.at, c.device, c.seq, c.session ?? null, c.field, c.value]);
+
+/**
+ * Union of two change logs, sorted, without duplicates. Returns { changes,
+ * added } where added counts the changes only `theirs` had.
+ */
+export function mergeLogs(ours, theirs) {
+  const seen = new Set(ours.map(changeIdentity));
+  const changes = [...ours];
+  let added = 0;
+  for (const c of theirs) {
+    const id = changeIdentity(c);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    changes.push(c);
+    added++;
+  }
+  return { changes: changes.sort(compareChanges), added };
+}
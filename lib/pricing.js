@@ -0,0 +1,169 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * User pricing file: TOOL_DIR/pricing.json overrides the built-in
+ * MODEL_PRICING table, so costs can follow price changes without a release.
+ *
+ *   {
+ *     "models": [
+ *       { "match": "claude-opus-4-5*", "input": 5, "output": 25 },
+ *       { "match": "claude-opus-*", "input": 15, "output": 75, "until": "2025-11-24" }
+ *     ],
+ *     "default": { "input": 3, "output": 15 }
+ *   }
+ *
+ * Rates are USD per million tokens. `match` is a model ID or a pattern where
+ * `*` matches anything; `from` (inclusive) and `until` (exclusive) bound the
+ * dates an entry applies to, so old sessions keep the rates of their time.
+ * cacheRead and cacheWrite default to 0.1x and 1.25x the input rate.
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { TOOL_DIR, setUserPricing } from './utils.js';
+
+const RATE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+let loaded = null;
+
+export function pricingFile() {
+  return join(TOOL_DIR, 'pricing.json');
+}
+
+/**
+ * Validate parsed pricing data. Returns { entries, default, errors, warnings }
+ * where entries holds the valid model entries with defaults filled in and
+ * dates as epoch ms. Invalid entries are reported and left out.
+ */
+export function validatePricing(data) {
+  const errors = [];
+  const warnings = [];
+  const entries = [];
+  let fallback = null;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { entries, default: null, errors: ['expected an object with a "models" array'], warnings };
+  }
+  if (data.models != null && !Array.isArray(data.models)) {
+    errors.push('"models" must be an array');
+  }
+
+  (Array.isArray(data.models) ? data.models : []).forEach((raw, i) => {
+    const where = `models[${i}]`;
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where}: expected an object`);
+      return;
+    }
+    const problems = [];
+    if (typeof raw.match !== 'string' || !raw.match.trim()) problems.push('"match" must be a non-empty string');
+    const rates = parseRates(raw, problems);
+    const from = parseDate(raw.from, 'from', problems);
+    const until = parseDate(raw.until, 'until', problems);
+    if (from != null && until != null && from >= until) problems.push('"from" must be before "until"');
+    for (const key of Object.keys(raw)) {
+      if (!['match', 'from', 'until', ...RATE_FIELDS].includes(key)) warnings.push(`${where}: unknown field "${key}"`);
+    }
+    if (problems.length > 0) {
+      for (const p of problems) errors.push(`${where}${raw.match ? ` (${raw.match})` : ''}: ${p}`);
+      return;
+    }
+    entries.push({ match: raw.match.trim(), ...rates, from, until });
+  });
+
+  if (data.default != null) {
+    const problems = [];
+    const rates = parseRates(data.default, problems);
+    if (problems.length > 0) for (const p of problems) errors.push(`default: ${p}`);
+    else fallback = rates;
+  }
+
+  // Two entries for the same match in effect at the same time: the first wins
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.match !== b.match) continue;
+      const overlap = (a.from ?? -Infinity) < (b.until ?? Infinity) && (b.from ?? -Infinity) < (a.until ?? Infinity);
+      if (overlap) warnings.push(`"${a.match}": date ranges overlap, the first entry wins`);
+    }
+  }
+
+  return { entries, default: fallback, errors, warnings };
+}
+
+/**
+ * Read and validate a pricing file. Returns the validatePricing() result plus
+ * { file, exists, fingerprint }; a missing file is valid and empty.
+ */
+export async function readPricingFile(file = pricingFile()) {
+  let text;
+  try {
+    text = await readFile(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { file, exists: false, fingerprint: '', entries: [], default: null, errors: [], warnings: [] };
+    }
+    return { file, exists: true, fingerprint: '', entries: [], default: null, errors: [err.message], warnings: [] };
+  }
+  const fingerprint = createHash('sha1').update(text).digest('hex').slice(0, 16);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { file, exists: true, fingerprint, entries: [], default: null, errors: [`invalid JSON: ${err.message}`], warnings: [] };
+  }
+  return { file, exists: true, fingerprint, ...validatePricing(data) };
+}
+
+/**
+ * Load the user pricing file once and install it for estimateCost(). Problems
+ * are reported on stderr (`csesh pricing validate` lists them); the valid
+ * entries are used regardless.
+ */
+export async function loadPricing() {
+  if (loaded) return loaded;
+  loaded = await readPricingFile();
+  if (loaded.errors.length > 0) {
+    console.error(`csesh: ${loaded.file}: ${loaded.errors.length} error(s), run "csesh pricing validate"`);
+  }
+  setUserPricing(loaded);
+  return loaded;
+}
+
+function parseRates(raw, problems) {
+  if (!raw || typeof raw !== 'object') {
+    problems.push('expected an object of rates');
+    return null;
+  }
+  for (const field of RATE_FIELDS) {
+    const value = raw[field];
+    const required = field === 'input' || field === 'output';
+    if (value == null) {
+      if (required) problems.push(`"${field}" is required`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      problems.push(`"${field}" must be a non-negative number`);
+    }
+  }
+  return {
+    input: raw.input,
+    output: raw.output,
+    cacheRead: raw.cacheRead ?? raw.input * 0.1,
+    cacheWrite: raw.cacheWrite ?? raw.input * 1.25,
+  };
+}
+
+function parseDate(value, field, problems) {
+  if (value == null) return null;
+  const ms = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(ms)) {
+    problems.push(`"${field}" must be a date (YYYY-MM-DD or ISO timestamp)`);
+    return null;
+  }
+  return ms;
+}
@@ -13,10 +13,16 @@
  * - Creates .jsonl.bak backup before any modification
  * - Atomic write via temp file + rename
  * - Only touches the "slug" field, preserves everything else
+ *
+ * A `custom-title` record is appended as well, which is what /rename writes
+ * in Claude Code; the scanner reads the last one back as nativeTitle.
+ * Renames are journaled; revertRename() takes one back in place, keeping
+ * whatever Claude Code appended to the session since.
  */
 
 import { readFile, writeFile, rename as fsRename, copyFile, appendFile } from 'fs/promises';
 import { findSessionFiles } from './scanner.js';
+import { record } from './journal.js';
 
 /**
  * Convert a human title to a Claude-compatible slug.
@@ -36,7 +42,9 @@ export function titleToSlug(title) {
 }
 
 /**
- * Rename a session's slug in the JSONL file.
+ * Rename a session's slug in the JSONL file and append a custom-title record.
+ * Sessions from Claude Code versions without slugs only get the record
+ * (linesModified 0, no backup).
  * Returns { success, backupPath, linesModified, originalSlug, newSlug }
  */
 export async function renameSessionSlug(sessionId, newTitle) {
@@ -81,22 +89,22 @@ export async function renameSessionSlug(sessionId, newTitle) {
     }
   }
 
-  if (linesModified === 0) {
-    throw new Error('No slug field found in session file');
-  }
-
-  // Create backup
-  const backupPath = filePath + '.bak';
-  await copyFile(filePath, backupPath);
+  let backupPath = null;
+  if (linesModified > 0) {
+    // Create backup
+    backupPath = filePath + '.bak';
+    await copyFile(filePath, backupPath);
 
-  // Atomic write: write to temp, then rename
-  const tmpPath = filePath + '.tmp';
-  await writeFile(tmpPath, newLines.join('\n'), 'utf-8');
-  await fsRename(tmpPath, filePath);
+    // Atomic write: write to temp, then rename
+    const tmpPath = filePath + '.tmp';
+    await writeFile(tmpPath, newLines.join('\n'), 'utf-8');
+    await fsRename(tmpPath, filePath);
+  }
 
   // Append a custom-title record that Claude Code reads natively for --resume
   const titleRecord = JSON.stringify({ type: 'custom-title', customTitle: newTitle, sessionId: match.id });
   await appendFile(filePath, '\n' + titleRecord + '\n', 'utf-8');
+  await record('rename', { id: match.id, title: newTitle, originalSlug, newSlug });
 
   return {
     success: true,
@@ -119,8 +127,46 @@ export async function restoreSessionBackup(sessionId) {
   const backupPath = match.filePath + '.bak';
   try {
     await copyFile(backupPath, match.filePath);
-    return { success: true, restoredFrom: backupPath };
   } catch {
     throw new Error('No backup found for this session');
   }
+  // The overwritten content is gone, so this one cannot be undone
+  await record('restore-backup', { id: match.id, permanent: true });
+  return { success: true, restoredFrom: backupPath };
+}
+
+/**
+ * Undo a rename recorded in the journal: drop the custom-title record it
+ * appended and put the original slug back. Lines added after the rename stay.
+ */
+export async function revertRename(sessionId, { title, originalSlug, newSlug }) {
+  const allFiles = await findSessionFiles();
+  const match = allFiles.find(f => f.id === sessionId);
+  if (!match) throw new Error(`Session not found: ${sessionId}`);
+
+  const lines = (await readFile(match.filePath, 'utf-8')).split('\n');
+  const parse = line => { try { return JSON.parse(line); } catch { return null; } };
+  const idx = lines.findLastIndex(line => {
+    const r = parse(line);
+    return r?.type === 'custom-title' && r.customTitle === title;
+  });
+  if (idx !== -1) {
+    // Along with the blank line the append left after a trailing newline
+    const start = idx > 0 && lines[idx - 1] === '' ? idx - 1 : idx;
+    lines.splice(start, idx - start + 1);
+  }
+  if (originalSlug) {
+    for (let i = 0; i < lines.length; i++) {
+      const r = parse(lines[i]);
+      if (r?.slug === newSlug) {
+        r.slug = originalSlug;
+        lines[i] = JSON.stringify(r);
+      }
+    }
+  }
+
+  const tmpPath = match.filePath + '.tmp';
+  await writeFile(tmpPath, lines.join('\n'), 'utf-8');
+  await fsRename(tmpPath, match.filePath);
+  return { id: match.id, filePath: match.filePath };
 }
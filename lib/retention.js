@@ -0,0 +1,169 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Retention policies: the "retention" config key says which sessions to
+ * trash and when to purge the trash, so cleanup can run unattended.
+ *
+ *   "retention": {
+ *     "policies": [
+ *       { "name": "junk", "when": { "tier": 1 } },
+ *       { "name": "suggested", "when": { "tier": 2 }, "olderThan": "14d" },
+ *       { "name": "scratch", "when": { "project": "*scratch*", "favorite": false }, "olderThan": "90d" }
+ *     ],
+ *     "purgeTrashAfter": "30d"
+ *   }
+ *
+ * `when` takes the same conditions as rules.json. `olderThan` is measured
+ * from the session's last message. The first matching policy trashes a
+ * session; protected and archived sessions are never touched. Every action
+ * of a real run is appended to TOOL_DIR/retention.log as a JSON line as soon
+ * as it is done, and the run is one journal step, so `csesh undo` brings
+ * back what it trashed.
+ */
+
+import { appendFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { TOOL_DIR } from './utils.js';
+import { testCondition } from './classifier.js';
+import { compileConditions, parseQuantity } from './rules.js';
+import { trashSession, emptyTrash } from './cleanup.js';
+import { group } from './journal.js';
+
+const DAY = 86_400_000;
+
+export function retentionLogFile() {
+  return join(TOOL_DIR, 'retention.log');
+}
+
+// "14d" / "12h" / a number of days, to ms
+function parseAge(value) {
+  return typeof value === 'number' ? value * DAY : parseQuantity(value);
+}
+
+/**
+ * Validate the "retention" config value. Returns { policies, purgeTrashAfter,
+ * errors } with conditions compiled and ages in ms (purgeTrashAfter null when
+ * unset). Unlike rules.json, any error makes the whole config unusable:
+ * an unattended cleanup should not run on half its policies.
+ */
+export function validateRetention(retention) {
+  const errors = [];
+  const policies = [];
+  if (retention == null) return { policies, purgeTrashAfter: null, errors };
+  if (typeof retention !== 'object' || Array.isArray(retention)) {
+    return { policies, purgeTrashAfter: null, errors: ['"retention" must be an object'] };
+  }
+  if (retention.policies != null && !Array.isArray(retention.policies)) {
+    errors.push('"retention.policies" must be an array');
+  }
+
+  (Array.isArray(retention.policies) ? retention.policies : []).forEach((raw, i) => {
+    const where = `retention.policies[${i}]${raw?.name ? ` (${raw.name})` : ''}`;
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where}: expected an object`);
+      return;
+    }
+    const problems = [];
+    const when = compileConditions(raw.when, problems);
+    let olderThan = null;
+    if (raw.olderThan != null) {
+      olderThan = parseAge(raw.olderThan);
+      if (Number.isNaN(olderThan) || olderThan < 0) problems.push('"olderThan" must be an age like "14d" or "12h"');
+    }
+    for (const p of problems) errors.push(`${where}: ${p}`);
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `policy ${i + 1}`;
+    policies.push({ name, when, olderThan });
+  });
+
+  let purgeTrashAfter = null;
+  if (retention.purgeTrashAfter != null) {
+    purgeTrashAfter = parseAge(retention.purgeTrashAfter);
+    if (Number.isNaN(purgeTrashAfter) || purgeTrashAfter < 0) {
+      errors.push('"retention.purgeTrashAfter" must be an age like "30d"');
+      purgeTrashAfter = null;
+    }
+  }
+
+  return { policies, purgeTrashAfter, errors };
+}
+
+/**
+ * The first policy a session falls under at `now`, or null. Sessions without
+ * a last-message time never satisfy olderThan.
+ */
+export function matchPolicy(session, policies, now = Date.now()) {
+  return policies.find(p => {
+    if (p.olderThan != null) {
+      const last = Date.parse(session.lastTimestamp);
+      if (Number.isNaN(last) || now - last < p.olderThan) return false;
+    }
+    return p.when.every(c => testCondition(session, c));
+  }) || null;
+}
+
+/**
+ * Apply retention to classified, metadata-merged sessions: trash what the
+ * policies select, then purge trash older than purgeTrashAfter. Returns
+ * { trashed, protected, archived, failed, purged } (lists of { id, title,
+ * project, policy | reason | error }); archived sessions a policy selects are
+ * skipped, not failed. Real runs append each action to retention.log.
+ */
+export function applyRetention(sessions, config, options = {}) {
+  return group('retention apply', () => runRetention(sessions, config, options));
+}
+
+async function runRetention(sessions, config, { dryRun = false, now = Date.now() } = {}) {
+  const result = { trashed: [], protected: [], archived: [], failed: [], purged: [] };
+  // One line per action, written once it is done: an interrupted run still
+  // leaves a record of what it did
+  const log = async (action, fields) => {
+    await mkdir(TOOL_DIR, { recursive: true });
+    await appendFile(retentionLogFile(), JSON.stringify({ at: new Date().toISOString(), action, ...fields }) + '\n', 'utf-8');
+  };
+
+  for (const session of sessions) {
+    const policy = matchPolicy(session, config.policies, now);
+    if (!policy) continue;
+    const item = { id: session.id, title: session.displayTitle || session.title, project: session.shortProject, policy: policy.name };
+    if (session.protected) {
+      result.protected.push({ ...item, reason: session.protectedReason });
+      continue;
+    }
+    if (session.archived) {
+      result.archived.push(item);
+      continue;
+    }
+    if (dryRun) {
+      result.trashed.push(item);
+      continue;
+    }
+    try {
+      await trashSession(session, `retention:${policy.name}`);
+      result.trashed.push(item);
+      await log('trash', item);
+    } catch (err) {
+      // Protected or archived since the sessions were loaded, or the file moved
+      const failed = { ...item, error: err.message };
+      if (err.code === 'EPROTECTED') result.protected.push({ ...item, reason: err.reason });
+      else if (err.code === 'EARCHIVED') result.archived.push(item);
+      else result.failed.push(failed);
+      await log(['EPROTECTED', 'EARCHIVED'].includes(err.code) ? 'skip' : 'error', failed);
+    }
+  }
+
+  if (config.purgeTrashAfter != null) {
+    const purged = i => ({ id: i.id, title: i.title, project: i.project, trashedAt: i.trashedAt });
+    const { items } = await emptyTrash(config.purgeTrashAfter / DAY, {
+      dryRun,
+      onRemove: i => log('purge', purged(i)),
+    });
+    result.purged = items.map(purged);
+  }
+
+  return result;
+}
@@ -0,0 +1,320 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * User rules file: TOOL_DIR/rules.json declares classification rules that are
+ * evaluated, in order, before the built-in tier thresholds.
+ *
+ *   {
+ *     "classify": [
+ *       { "name": "scratch", "when": { "project": "*scratch*", "messages": { "lt": 10 } },
+ *         "tier": "auto-delete", "reason": "scratch project" },
+ *       { "name": "pinned", "when": { "tag": "important" }, "tier": 4 }
+ *     ]
+ *   }
+ *
+ * The first rule whose conditions all hold sets the tier (1-4 or its label).
+ * A condition key is a session field path (`category`, `gitBranch`,
+ * `toolUsage.Bash`), or one of `project` (path, short name or slug), `tag`
+ * (user and auto tags), `title`, `size`, `duration`, `messages`, `tools` and
+ * `tool.<Name>`. Its value is either a shorthand (a glob for `project`, a
+ * regex for `title`, equality otherwise, a list for "one of") or an object of
+ * operators: eq, ne, lt, lte, gt, gte, in, glob, matches. Numbers may carry a
+ * unit: "4KB", "2MB", "30s", "5m", "1h".
+ *
+ * The same file declares auto-tag rules, added to the built-in auto-tags by
+ * deep analysis (see analyzer.setAutoTagRules):
+ *
+ *   {
+ *     "autoTag": [
+ *       { "tag": "ticket/pay", "messages": "\\bPAY-\\d+" },
+ *       { "tag": "svc/billing", "files": "*services/billing/*", "bash": "billing-cli", "min": 3 },
+ *       { "tag": "jira", "tools": "mcp__jira__*" }
+ *     ]
+ *   }
+ *
+ * `messages` (a regex over user messages, one count per match) and `bash` (a
+ * regex over Bash commands, one per command) are case-insensitive; `files`
+ * (globs over the full paths of files touched, one per file) and `tools`
+ * (globs over tool names, one per call) take a glob or a list. A rule tags the
+ * session once its counts add up to `min` (default 1).
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { TOOL_DIR } from './utils.js';
+import { TIER_LABELS, setClassificationRules } from './classifier.js';
+import { setAutoTagRules } from './analyzer.js';
+import { normalizeTag } from './tags.js';
+
+const OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'glob', 'matches'];
+const NUMERIC = ['lt', 'lte', 'gt', 'gte'];
+const AUTO_TAG_FIELDS = ['tag', 'messages', 'bash', 'files', 'tools', 'min'];
+
+const UNITS = {
+  b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3,
+  ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000,
+};
+
+let loaded = null;
+
+export function rulesFile() {
+  return join(TOOL_DIR, 'rules.json');
+}
+
+/**
+ * Parse a number that may carry a size or duration unit ("4KB", "5m").
+ * Returns NaN when it is neither.
+ */
+export function parseQuantity(value) {
+  if (typeof value === 'number') return value;
+  const m = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)?$/i);
+  if (!m) return NaN;
+  if (!m[2]) return Number(m[1]);
+  const unit = UNITS[m[2].toLowerCase()];
+  return unit ? Number(m[1]) * unit : NaN;
+}
+
+/**
+ * Glob to an anchored RegExp: `*` matches any run of characters, `?` one.
+ */
+export function globToRegExp(glob) {
+  const body = glob.split('').map(ch => {
+    if (ch === '*') return '.*';
+    if (ch === '?') return '.';
+    return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+function parseTier(value) {
+  if (Object.hasOwn(TIER_LABELS, value)) return Number(value);
+  const entry = Object.entries(TIER_LABELS).find(([, label]) => label === value);
+  return entry ? Number(entry[0]) : null;
+}
+
+// One condition key's value to a list of { key, op, value, text }
+function parseCondition(key, raw, problems) {
+  const text = v => (typeof v === 'string' ? v : JSON.stringify(v));
+  let ops;
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    ops = Object.entries(raw);
+  } else if (Array.isArray(raw)) {
+    ops = [['in', raw]];
+  } else if (typeof raw === 'string' && key === 'project') {
+    ops = [['glob', raw]];
+  } else if (typeof raw === 'string' && key === 'title') {
+    ops = [['matches', raw]];
+  } else {
+    ops = [['eq', raw]];
+  }
+
+  const conditions = [];
+  for (const [op, value] of ops) {
+    if (!OPERATORS.includes(op)) {
+      problems.push(`"${key}": unknown operator "${op}" (use ${OPERATORS.join(', ')})`);
+      continue;
+    }
+    if (NUMERIC.includes(op)) {
+      const n = parseQuantity(value);
+      if (Number.isNaN(n)) problems.push(`"${key}": "${op}" needs a number, optionally with a unit`);
+      else conditions.push({ key, op, value: n, text: text(value) });
+    } else if (op === 'in') {
+      if (!Array.isArray(value)) problems.push(`"${key}": "in" needs a list`);
+      else conditions.push({ key, op, value, text: text(value) });
+    } else if (op === 'glob' || op === 'matches') {
+      if (typeof value !== 'string') {
+        problems.push(`"${key}": "${op}" needs a string`);
+        continue;
+      }
+      try {
+        const re = op === 'glob' ? globToRegExp(value) : new RegExp(value, 'i');
+        conditions.push({ key, op, value: re, text: op === 'glob' ? value : `/${value}/` });
+      } catch (err) {
+        problems.push(`"${key}": ${err.message}`);
+      }
+    } else {
+      conditions.push({ key, op, value, text: text(value) });
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Compile a `when` object into conditions for classifier.testCondition(),
+ * pushing any problems. Also used by retention policies.
+ */
+export function compileConditions(when, problems) {
+  if (!when || typeof when !== 'object' || Array.isArray(when) || Object.keys(when).length === 0) {
+    problems.push('"when" must be an object with at least one condition');
+    return [];
+  }
+  return Object.entries(when).flatMap(([key, value]) => parseCondition(key, value, problems));
+}
+
+// One autoTag entry to { tag, min, messages, bash, files, tools, text }, or
+// null after pushing its problems
+function compileAutoTag(raw, problems) {
+  const tag = typeof raw.tag === 'string' ? normalizeTag(raw.tag) : '';
+  if (!tag) problems.push('"tag" must be a non-empty string');
+
+  const regex = (key, flags) => {
+    if (raw[key] == null) return null;
+    if (typeof raw[key] !== 'string' || raw[key] === '') {
+      problems.push(`"${key}" must be a regex string`);
+      return null;
+    }
+    try {
+      return new RegExp(raw[key], flags);
+    } catch (err) {
+      problems.push(`"${key}": ${err.message}`);
+      return null;
+    }
+  };
+  const globs = key => {
+    if (raw[key] == null) return [];
+    const list = Array.isArray(raw[key]) ? raw[key] : [raw[key]];
+    if (list.length === 0 || list.some(g => typeof g !== 'string' || g === '')) {
+      problems.push(`"${key}" must be a glob or a list of globs`);
+      return [];
+    }
+    return list.map(globToRegExp);
+  };
+
+  // 'g' to count every match in a message; a command counts once
+  const rule = { tag, min: 1, messages: regex('messages', 'gi'), bash: regex('bash', 'i'), files: globs('files'), tools: globs('tools') };
+  const keys = ['messages', 'bash', 'files', 'tools'].filter(key => raw[key] != null);
+  if (keys.length === 0) problems.push('needs at least one of "messages", "bash", "files" or "tools"');
+  rule.text = keys.map(key => {
+    const value = key === 'messages' || key === 'bash' ? `/${raw[key]}/` : [raw[key]].flat().join(', ');
+    return `${key} ${value}`;
+  }).join('; ');
+  if (raw.min != null) {
+    if (!Number.isInteger(raw.min) || raw.min < 1) problems.push('"min" must be a whole number of matches, 1 or more');
+    else rule.min = raw.min;
+  }
+  return problems.length > 0 ? null : rule;
+}
+
+/**
+ * Validate parsed rules data. Returns { rules, autoTags, errors, warnings }
+ * where rules holds the valid classification rules, in file order, with their
+ * conditions compiled, and autoTags the valid auto-tag rules. Invalid rules
+ * are reported and left out.
+ */
+export function validateRules(data) {
+  const errors = [];
+  const warnings = [];
+  const rules = [];
+
+  const autoTags = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { rules, autoTags, errors: ['expected an object with a "classify" array'], warnings };
+  }
+  if (data.classify != null && !Array.isArray(data.classify)) {
+    errors.push('"classify" must be an array');
+  }
+  if (data.autoTag != null && !Array.isArray(data.autoTag)) {
+    errors.push('"autoTag" must be an array');
+  }
+
+  const names = new Set();
+  (Array.isArray(data.classify) ? data.classify : []).forEach((raw, i) => {
+    const where = `classify[${i}]${raw?.name ? ` (${raw.name})` : ''}`;
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where}: expected an object`);
+      return;
+    }
+    const problems = [];
+    const tier = parseTier(raw.tier);
+    if (tier == null) problems.push(`"tier" must be 1-4 or one of ${Object.values(TIER_LABELS).join(', ')}`);
+    if (raw.reason != null && typeof raw.reason !== 'string') problems.push('"reason" must be a string');
+    const when = compileConditions(raw.when, problems);
+    for (const key of Object.keys(raw)) {
+      if (!['name', 'when', 'tier', 'reason'].includes(key)) warnings.push(`${where}: unknown field "${key}"`);
+    }
+    if (problems.length > 0) {
+      for (const p of problems) errors.push(`${where}: ${p}`);
+      return;
+    }
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `rule ${i + 1}`;
+    if (names.has(name)) warnings.push(`${where}: duplicate name "${name}"`);
+    names.add(name);
+    rules.push({ name, tier, reason: raw.reason || null, when });
+  });
+
+  (Array.isArray(data.autoTag) ? data.autoTag : []).forEach((raw, i) => {
+    const where = `autoTag[${i}]${typeof raw?.tag === 'string' ? ` (${raw.tag})` : ''}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(`${where}: expected an object`);
+      return;
+    }
+    const problems = [];
+    const rule = compileAutoTag(raw, problems);
+    for (const key of Object.keys(raw)) {
+      if (!AUTO_TAG_FIELDS.includes(key)) warnings.push(`${where}: unknown field "${key}"`);
+    }
+    if (!rule) {
+      for (const p of problems) errors.push(`${where}: ${p}`);
+      return;
+    }
+    autoTags.push(rule);
+  });
+
+  return { rules, autoTags, errors, warnings };
+}
+
+/**
+ * Fingerprint of the auto-tag rules, '' when there are none. Analysis results
+ * depend on them, so the scan cache is dropped when it changes.
+ */
+export function autoTagFingerprint(data) {
+  const section = data && typeof data === 'object' ? data.autoTag : null;
+  if (!Array.isArray(section) || section.length === 0) return '';
+  return createHash('sha1').update(JSON.stringify(section)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read and validate a rules file. Returns the validateRules() result plus
+ * { file, exists, fingerprint } (see autoTagFingerprint); a missing file is
+ * valid and empty.
+ */
+export async function readRulesFile(file = rulesFile()) {
+  const empty = { file, exists: true, fingerprint: '', rules: [], autoTags: [], warnings: [] };
+  let text;
+  try {
+    text = await readFile(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { ...empty, exists: false, errors: [] };
+    return { ...empty, errors: [err.message] };
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { ...empty, errors: [`invalid JSON: ${err.message}`] };
+  }
+  return { file, exists: true, fingerprint: autoTagFingerprint(data), ...validateRules(data) };
+}
+
+/**
+ * Load the user rules file once and install it for classify() and deep
+ * analysis. Problems are reported on stderr (`csesh classify` lists them);
+ * the valid rules are used regardless.
+ */
+export async function loadRules() {
+  if (loaded) return loaded;
+  loaded = await readRulesFile();
+  if (loaded.errors.length > 0) {
+    console.error(`csesh: ${loaded.file}: ${loaded.errors.length} error(s), run "csesh classify"`);
+  }
+  setClassificationRules(loaded.rules);
+  setAutoTagRules(loaded.autoTags);
+  return loaded;
+}
@@ -0,0 +1,124 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * worker_threads pool for parsing session files in parallel.
+ * Scanning thousands of sessions is CPU-bound JSON parsing; workers spread it
+ * over the available cores. Workers only parse (scanner.runScanTask): cache
+ * reads and writes stay on the main thread.
+ */
+
+import { Worker } from 'worker_threads';
+import * as os from 'os';
+import { getConfig } from './config.js';
+import { runScanTask } from './scanner.js';
+import { getUserPricing } from './utils.js';
+import { loadPricing } from './pricing.js';
+import { loadRules } from './rules.js';
+import { getAutoTagRules } from './analyzer.js';
+
+const WORKER_URL = new URL('./scan-worker.js', import.meta.url);
+
+// Below this many files, starting workers costs more than it saves
+const MIN_PARALLEL_TASKS = 8;
+const MAX_DEFAULT_WORKERS = 8;
+const IN_PROCESS_BATCH = 50;
+
+/**
+ * Default pool size: one worker per core, leaving one for the main thread.
+ */
+export function defaultConcurrency() {
+  const cores = typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+  return Math.max(1, Math.min(cores - 1, MAX_DEFAULT_WORKERS));
+}
+
+/**
+ * Resolve a pool size: explicit value, else the "scanWorkers" config key,
+ * else defaultConcurrency(). 0 or 1 means scan on the main thread.
+ */
+export async function resolveConcurrency(value = null) {
+  if (value == null || value === 'auto') {
+    value = (await getConfig()).scanWorkers;
+  }
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : defaultConcurrency();
+}
+
+/**
+ * Run scan tasks (see scanner.runScanTask) with up to `concurrency` workers.
+ * Results are returned in task order, each { summary, checkpoint } or { error }.
+ * onProgress(done, total) is called as tasks complete.
+ */
+export async function runScanTasks(tasks, { concurrency = null, onProgress = null } = {}) {
+  const size = Math.min(await resolveConcurrency(concurrency), tasks.length);
+  await Promise.all([loadPricing(), loadRules()]);
+  const results = new Array(tasks.length);
+  let done = 0;
+  const settle = (i, result) => {
+    results[i] = result;
+    done++;
+    if (onProgress) onProgress(done, tasks.length);
+  };
+
+  if (size <= 1 || tasks.length < MIN_PARALLEL_TASKS) {
+    for (let i = 0; i < tasks.length; i += IN_PROCESS_BATCH) {
+      const batch = tasks.slice(i, i + IN_PROCESS_BATCH);
+      await Promise.all(batch.map((task, j) => runScanTask(task)
+        .catch(err => ({ error: err.message }))
+        .then(result => settle(i + j, result))));
+    }
+    return results;
+  }
+
+  let next = 0;
+  let active = 0;
+  await new Promise(resolve => {
+    const startWorker = () => {
+      // Workers don't share module state: hand them the loaded pricing and
+      // auto-tag rules (compiled RegExps survive the structured clone)
+      const worker = new Worker(WORKER_URL, {
+        workerData: { pricing: getUserPricing(), autoTagRules: getAutoTagRules() },
+      });
+      let current = -1;
+      active++;
+
+      const feed = () => {
+        if (next >= tasks.length) {
+          current = -1;
+          worker.terminate();
+          return;
+        }
+        current = next++;
+        worker.postMessage(tasks[current]);
+      };
+
+      worker.on('message', result => {
+        settle(current, result);
+        feed();
+      });
+      // A crashed worker fails its current task; a replacement takes the rest
+      worker.on('error', err => {
+        if (current !== -1) settle(current, { error: err.message });
+        current = -1;
+      });
+      worker.on('exit', () => {
+        if (current !== -1) settle(current, { error: 'scan worker exited unexpectedly' });
+        active--;
+        if (next < tasks.length) startWorker();
+        else if (active === 0) resolve();
+      });
+
+      feed();
+    };
+
+    for (let i = 0; i < size; i++) startWorker();
+  });
+
+  return results;
+}
@@ -0,0 +1,27 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Scan worker entry point (see scan-pool.js): runs one scan task per message
+ * and posts back { summary, checkpoint } or { error }.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { runScanTask } from './scanner.js';
+import { setUserPricing } from './utils.js';
+import { setAutoTagRules } from './analyzer.js';
+
+setUserPricing(workerData?.pricing);
+setAutoTagRules(workerData?.autoTagRules);
+
+parentPort.on('message', async task => {
+  try {
+    parentPort.postMessage(await runScanTask(task));
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+});
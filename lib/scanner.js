@@ -5,12 +5,25 @@
  * https://github.com/ArthurPcd/csesh
  */
 
-import { readdir, stat, readFile } from 'fs/promises';
-import { join } from 'path';
+import { readdir, stat, open } from 'fs/promises';
+import { join, basename } from 'path';
 import { createReadStream } from 'fs';
+import { createGunzip } from 'zlib';
 import { createInterface } from 'readline';
-import { PROJECTS_DIR, decodeProjectSlug, extractTitle, buildSessionTitle, shortProjectName } from './utils.js';
-import { analyzeRecords } from './analyzer.js';
+import { createHash } from 'crypto';
+import { PROJECTS_DIR, decodeProjectSlug, extractTitle, buildSessionTitle, shortProjectName, buildSnippet, estimateCost, localDay } from './utils.js';
+import { createAnalysisState, analyzeRecord, finalizeAnalysis, serializeAnalysisState, restoreAnalysisState } from './analyzer.js';
+import { getCached, setCached, getCheckpoint } from './cache.js';
+import { runScanTasks } from './scan-pool.js';
+import { createConversationTree, addTreeRecord, resolveBranches } from './branches.js';
+import { loadPricing } from './pricing.js';
+
+// Bytes hashed at each end of the parsed prefix to detect rewrites
+const FINGERPRINT_BYTES = 1024;
+// Bumped when the scan state shape changes, so old checkpoints are not resumed
+const SCAN_STATE_VERSION = 6;
+// Tools that spawn a sub-agent (renamed from Task to Agent in newer Claude Code)
+const SUBAGENT_TOOLS = new Set(['Task', 'Agent']);
 
 /**
  * List all project directories.
@@ -84,38 +97,261 @@ async function readHeadTail(filePath, headCount = 30, tailCount = 10) {
 }
 
 /**
- * Read all lines of a file.
+ * Stream the lines of a file from byte `start` up to `end` (exclusive),
+ * yielding { line, end } where `end` is the byte offset just past the
+ * newline. Unlike readline this tracks byte offsets, which checkpoints need.
+ * A last line without a newline is yielded with end = null.
  */
-async function readAllLines(filePath) {
-  const content = await readFile(filePath, 'utf-8');
-  return content.split('\n').filter(l => l.trim());
+export async function* streamLines(filePath, start = 0, end = Infinity) {
+  if (start >= end) return;
+  const stream = createReadStream(filePath, { start, end: end - 1 });
+  let pending = [];
+  let pos = start;
+  try {
+    for await (const chunk of stream) {
+      let from = 0;
+      let nl;
+      while ((nl = chunk.indexOf(0x0a, from)) !== -1) {
+        const piece = chunk.subarray(from, nl);
+        const buf = pending.length ? Buffer.concat([...pending, piece]) : piece;
+        pending = [];
+        pos += buf.length + 1;
+        yield { line: buf.toString('utf-8'), end: pos };
+        from = nl + 1;
+      }
+      if (from < chunk.length) pending.push(chunk.subarray(from));
+    }
+    if (pending.length) yield { line: Buffer.concat(pending).toString('utf-8'), end: null };
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Create an empty, JSON-serializable scan state. Records are folded in with
+ * scanRecord() and turned into a summary by finalizeSummary(); a cache
+ * checkpoint stores this state to resume parsing a growing file.
+ */
+function createScanState({ analyze = false } = {}) {
+  return {
+    recordCount: 0,
+    sessionSlug: null,
+    gitBranch: null,
+    cwd: null,
+    version: null,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    userMessageCount: 0,
+    assistantMessageCount: 0,
+    tokenUsage: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+    models: [],
+    firstUserTitle: null,
+    hasUserMessage: false,
+    hasAssistantMessage: false,
+    hasProgress: false,
+    hasHookProgress: false,
+    toolUsageCounts: {},
+    firstUserKey: null,
+    compactions: 0,
+    compactPending: false,
+    latestSummary: null,
+    nativeTitle: null,
+    modelUsage: {},
+    cost: 0,
+    dailyCost: {},
+    taskCalls: {},
+    agentLinks: {},
+    analysis: analyze ? createAnalysisState() : null,
+  };
+}
+
+/**
+ * Accumulate one JSONL record into a scan state. Mutates state.
+ */
+function scanRecord(state, rec) {
+  state.recordCount++;
+  if (rec.timestamp) {
+    if (!state.firstTimestamp || rec.timestamp < state.firstTimestamp) state.firstTimestamp = rec.timestamp;
+    if (!state.lastTimestamp || rec.timestamp > state.lastTimestamp) state.lastTimestamp = rec.timestamp;
+  }
+
+  // Extract session slug from records
+  if (rec.slug && !state.sessionSlug) state.sessionSlug = rec.slug;
+
+  if (rec.gitBranch && !state.gitBranch) state.gitBranch = rec.gitBranch;
+  if (rec.cwd && !state.cwd) state.cwd = rec.cwd;
+  if (rec.version && !state.version) state.version = rec.version;
+
+  if (rec.type === 'user') {
+    state.userMessageCount++;
+    state.hasUserMessage = true;
+    if (rec.isCompactSummary) {
+      // Older Claude Code versions wrote the summary without a boundary record
+      if (!state.compactPending) state.compactions++;
+      state.compactPending = false;
+    } else if (!state.firstUserTitle && rec.message?.content) {
+      // Skip messages that are only system-reminder/hook content (no real user text)
+      if (!isSystemOnlyContent(rec.message.content)) {
+        state.firstUserTitle = extractTitle(rec.message.content);
+      }
+    }
+    if (state.firstUserKey === null) state.firstUserKey = promptKey(rec.message?.content);
+    // The tool_result answering a Task call names the agent that ran it
+    const agentId = rec.toolUseResult?.agentId;
+    if (agentId && Array.isArray(rec.message?.content)) {
+      const result = rec.message.content.find(b => b.type === 'tool_result');
+      if (result?.tool_use_id) state.agentLinks[agentId] = result.tool_use_id;
+    }
+  } else if (rec.type === 'assistant') {
+    state.assistantMessageCount++;
+    state.hasAssistantMessage = true;
+
+    const model = rec.message?.model;
+    if (model && !state.models.includes(model)) state.models.push(model);
+
+    const usage = rec.message?.usage;
+    if (usage) {
+      const tokens = usageTokens(usage);
+      // Each message is priced at its own model, so mixed-model sessions add up right
+      const cost = estimateCost(tokens, model || 'default', rec.timestamp);
+      const perModel = state.modelUsage[model || 'unknown'] ||= emptyModelUsage();
+      for (const k of Object.keys(tokens)) {
+        state.tokenUsage[k] += tokens[k];
+        perModel[k] += tokens[k];
+      }
+      perModel.messages++;
+      perModel.cost += cost;
+      state.cost += cost;
+      // Booked to the message's own day (an undated one to the latest seen),
+      // so a session spanning midnight splits across both days
+      const day = localDay(rec.timestamp || state.lastTimestamp);
+      if (day) state.dailyCost[day] = (state.dailyCost[day] || 0) + cost;
+    }
+
+    // Count tool usage for title building (lightweight — just counts names)
+    if (Array.isArray(rec.message?.content)) {
+      for (const block of rec.message.content) {
+        if (block.type === 'tool_use' && block.name) {
+          state.toolUsageCounts[block.name] = (state.toolUsageCounts[block.name] || 0) + 1;
+          if (SUBAGENT_TOOLS.has(block.name) && block.id) {
+            state.taskCalls[block.id] = {
+              description: block.input?.description || '',
+              subagentType: block.input?.subagent_type || null,
+              promptKey: promptKey(block.input?.prompt),
+            };
+          }
+        }
+      }
+    }
+  } else if (rec.type === 'summary') {
+    if (rec.summary) state.latestSummary = rec.summary;
+  } else if (rec.type === 'custom-title') {
+    // Written by /rename in Claude Code and by renameSessionSlug; last one wins
+    state.nativeTitle = rec.customTitle || null;
+  } else if (rec.type === 'system' && rec.subtype === 'compact_boundary') {
+    state.compactions++;
+    state.compactPending = true;
+  } else if (rec.type === 'progress') {
+    state.hasProgress = true;
+    if (rec.data?.type === 'hook_progress') state.hasHookProgress = true;
+    if (rec.data?.type === 'agent_progress' && rec.data.agentId && rec.parentToolUseID) {
+      state.agentLinks[rec.data.agentId] = rec.parentToolUseID;
+    }
+  }
+
+  if (state.analysis) analyzeRecord(state.analysis, rec);
+  return state;
+}
+
+/**
+ * Token counts of an API usage object, in the shape of summary.tokenUsage.
+ */
+export function usageTokens(usage) {
+  return {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheWrite: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+function emptyModelUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, messages: 0, cost: 0 };
+}
+
+/**
+ * Add per-model usage (as in summary.modelUsage) into `target`. Mutates target.
+ */
+export function addModelUsage(target, modelUsage) {
+  for (const [model, usage] of Object.entries(modelUsage || {})) {
+    const t = target[model] ||= emptyModelUsage();
+    for (const k of Object.keys(t)) t[k] += usage[k] || 0;
+  }
+  return target;
+}
+
+/**
+ * Key used to match a sub-agent transcript to the Task call that spawned it:
+ * the start of the prompt (a string, or the first text block).
+ */
+function promptKey(content) {
+  const text = typeof content === 'string'
+    ? content
+    : Array.isArray(content) ? content.find(b => b.type === 'text')?.text : null;
+  return text?.trim() ? text.trim().slice(0, 200) : null;
 }
 
 /**
- * Parse JSONL records into a session summary.
- * When analyze=true, also runs deep analysis via analyzer.js.
+ * Parse one JSONL line into the scan state (blank and unparseable lines are skipped).
  */
-function parseRecords(records, id, filePath, projectSlug, fileSize, { analyze = false } = {}) {
+function scanLine(state, line) {
+  if (!line.trim()) return;
+  let rec;
+  try { rec = JSON.parse(line); } catch { return; }
+  scanRecord(state, rec);
+}
+
+/**
+ * Build a session summary from a scan state.
+ */
+function finalizeSummary(state, id, filePath, projectSlug, fileSize) {
   const summary = {
     id,
     slug: projectSlug,
-    sessionSlug: null,
+    sessionSlug: state.sessionSlug,
     project: decodeProjectSlug(projectSlug),
     shortProject: shortProjectName(decodeProjectSlug(projectSlug)),
     filePath,
     fileSizeBytes: fileSize,
-    firstTimestamp: null,
-    lastTimestamp: null,
+    firstTimestamp: state.firstTimestamp,
+    lastTimestamp: state.lastTimestamp,
     durationMs: 0,
     title: '(no title)',
-    userMessageCount: 0,
-    assistantMessageCount: 0,
-    totalRecordCount: records.length,
-    gitBranch: null,
-    cwd: null,
-    version: null,
-    tokenUsage: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
-    models: new Set(),
+    userMessageCount: state.userMessageCount,
+    assistantMessageCount: state.assistantMessageCount,
+    totalRecordCount: state.recordCount,
+    gitBranch: state.gitBranch,
+    cwd: state.cwd,
+    version: state.version,
+    tokenUsage: { ...state.tokenUsage },
+    models: [...state.models],
+    // Per-model tokens, assistant messages and cost, each message priced at its model
+    modelUsage: addModelUsage({}, state.modelUsage),
+    estimatedCost: state.cost,
+    // Cost per local day ("YYYY-MM-DD") of the messages that incurred it
+    dailyCost: { ...state.dailyCost },
+    // Set when only the head and tail were read: counts and cost are partial
+    fastScan: false,
+    // Sub-agent transcripts (set by attachSubAgents); tokenUsage, modelUsage
+    // and estimatedCost then include theirs and ownTokenUsage holds this
+    // transcript's alone
+    subAgents: [],
+    ownTokenUsage: null,
+    compactions: state.compactions,
+    // Latest title Claude Code wrote in a `summary` record
+    summaryTitle: state.latestSummary ? extractTitle(state.latestSummary) : null,
+    // Title set with a `custom-title` record (see metadata.mergeMetadata)
+    nativeTitle: state.nativeTitle,
     category: 'empty',
     // Tier fields (set by classifier)
     tier: 0,
@@ -141,75 +377,21 @@ function parseRecords(records, id, filePath, projectSlug, fileSize, { analyze =
     analyzed: false,
   };
 
-  let firstUserMessage = null;
-  let hasUserMessage = false;
-  let hasAssistantMessage = false;
-  let hasProgress = false;
-  let hasHookProgress = false;
-  const timestamps = [];
-  const toolUsageCounts = {};
-
-  for (const rec of records) {
-    if (rec.timestamp) timestamps.push(rec.timestamp);
-
-    // Extract session slug from records
-    if (rec.slug && !summary.sessionSlug) summary.sessionSlug = rec.slug;
-
-    if (rec.gitBranch && !summary.gitBranch) summary.gitBranch = rec.gitBranch;
-    if (rec.cwd && !summary.cwd) summary.cwd = rec.cwd;
-    if (rec.version && !summary.version) summary.version = rec.version;
-
-    if (rec.type === 'user') {
-      summary.userMessageCount++;
-      hasUserMessage = true;
-      if (!firstUserMessage && rec.message?.content) {
-        // Skip messages that are only system-reminder/hook content (no real user text)
-        if (!isSystemOnlyContent(rec.message.content)) {
-          firstUserMessage = rec.message.content;
-        }
-      }
-    } else if (rec.type === 'assistant') {
-      summary.assistantMessageCount++;
-      hasAssistantMessage = true;
-
-      const usage = rec.message?.usage;
-      if (usage) {
-        summary.tokenUsage.input += usage.input_tokens || 0;
-        summary.tokenUsage.output += usage.output_tokens || 0;
-        summary.tokenUsage.cacheRead += usage.cache_read_input_tokens || 0;
-        summary.tokenUsage.cacheWrite += usage.cache_creation_input_tokens || 0;
-      }
-
-      if (rec.message?.model) summary.models.add(rec.message.model);
-
-      // Count tool usage for title building (lightweight — just counts names)
-      if (Array.isArray(rec.message?.content)) {
-        for (const block of rec.message.content) {
-          if (block.type === 'tool_use' && block.name) {
-            toolUsageCounts[block.name] = (toolUsageCounts[block.name] || 0) + 1;
-          }
-        }
-      }
-    } else if (rec.type === 'progress') {
-      hasProgress = true;
-      if (rec.data?.type === 'hook_progress') hasHookProgress = true;
-    }
-  }
-
-  if (firstUserMessage) {
-    const hasTools = Object.keys(toolUsageCounts).length > 0;
+  // Claude Code's own summary describes the whole session better than its
+  // first prompt, which after a compaction may not even be in this file
+  const baseTitle = summary.summaryTitle || state.firstUserTitle;
+  if (baseTitle) {
+    const hasTools = Object.keys(state.toolUsageCounts).length > 0;
     summary.title = hasTools
-      ? buildSessionTitle(firstUserMessage, toolUsageCounts)
-      : extractTitle(firstUserMessage);
+      ? buildSessionTitle(baseTitle, state.toolUsageCounts)
+      : baseTitle;
   }
 
-  if (timestamps.length > 0) {
-    timestamps.sort();
-    summary.firstTimestamp = timestamps[0];
-    summary.lastTimestamp = timestamps[timestamps.length - 1];
+  if (summary.firstTimestamp) {
     summary.durationMs = new Date(summary.lastTimestamp) - new Date(summary.firstTimestamp);
   }
 
+  const { hasUserMessage, hasAssistantMessage, hasProgress, hasHookProgress } = state;
   if (!hasUserMessage && !hasAssistantMessage && !hasProgress) {
     summary.category = 'empty';
   } else if (hasUserMessage || hasAssistantMessage) {
@@ -220,30 +402,34 @@ function parseRecords(records, id, filePath, projectSlug, fileSize, { analyze =
     summary.category = 'snapshot-only';
   }
 
-  summary.models = [...summary.models];
-
   // Deep analysis
-  if (analyze) {
-    const analysis = analyzeRecords(records);
-    Object.assign(summary, analysis);
+  if (state.analysis) {
+    Object.assign(summary, finalizeAnalysis(state.analysis));
     summary.analyzed = true;
   }
 
   return summary;
 }
 
+/**
+ * Build a scan state from the head and tail of a file.
+ */
+async function fastScanState(filePath) {
+  const state = createScanState();
+  for (const line of await readHeadTail(filePath, 30, 10)) scanLine(state, line);
+  return state;
+}
+
 /**
  * Fast scan: read head+tail for quick metadata extraction.
  */
 export async function fastScan(sessionFile) {
   const { id, filePath, projectSlug } = sessionFile;
   const fileInfo = await stat(filePath);
-  const lines = await readHeadTail(filePath, 30, 10);
-  const records = [];
-  for (const line of lines) {
-    try { records.push(JSON.parse(line)); } catch { /* skip */ }
-  }
-  return parseRecords(records, id, filePath, projectSlug, fileInfo.size);
+  const state = await fastScanState(filePath);
+  const summary = finalizeSummary(state, id, filePath, projectSlug, fileInfo.size);
+  summary.fastScan = true;
+  return summary;
 }
 
 /**
@@ -251,34 +437,295 @@ export async function fastScan(sessionFile) {
  * With analyze=true, also runs deep analysis.
  */
 export async function fullScan(sessionFile, { analyze = false } = {}) {
+  const { summary } = await incrementalScan(sessionFile, null, { analyze });
+  return summary;
+}
+
+/**
+ * Full scan that can resume from a checkpoint ({ version, offset, head, tail, state }).
+ * Session files are append-only while active: if the file still starts with
+ * the bytes the checkpoint saw, only lines appended after `offset` are parsed.
+ * A rewritten or truncated file (rename, restore from .bak) is rescanned from
+ * the start. Returns { summary, checkpoint } — the new checkpoint for the cache.
+ */
+export async function incrementalScan(sessionFile, checkpoint = null, { analyze = false } = {}) {
   const { id, filePath, projectSlug } = sessionFile;
   const fileInfo = await stat(filePath);
-  const lines = await readAllLines(filePath);
-  const records = [];
-  for (const line of lines) {
-    try { records.push(JSON.parse(line)); } catch { /* skip */ }
+
+  let state;
+  let offset = 0;
+  const canResume = checkpoint?.version === SCAN_STATE_VERSION &&
+    (!analyze || checkpoint.state.analysis) &&
+    await prefixMatches(filePath, checkpoint, fileInfo.size);
+  if (canResume) {
+    state = structuredClone(checkpoint.state);
+    if (state.analysis) state.analysis = restoreAnalysisState(state.analysis);
+    offset = checkpoint.offset;
+  } else {
+    state = createScanState({ analyze });
+  }
+
+  let nextOffset = offset;
+  let partial = null;
+  for await (const { line, end } of streamLines(filePath, offset, fileInfo.size)) {
+    if (end === null) {
+      partial = line;
+      break;
+    }
+    scanLine(state, line);
+    nextOffset = end;
+  }
+  const saved = state.analysis ? { ...state, analysis: serializeAnalysisState(state.analysis) } : state;
+  const next = { version: SCAN_STATE_VERSION, offset: nextOffset, ...await fingerprint(filePath, nextOffset), state: saved };
+
+  // An unterminated last line (still being written) counts for this summary
+  // but not for the checkpoint, so it is parsed again once complete
+  let final = state;
+  if (partial !== null) {
+    final = structuredClone(state);
+    scanLine(final, partial);
+  }
+
+  return {
+    summary: finalizeSummary(final, id, filePath, projectSlug, fileInfo.size),
+    checkpoint: next,
+  };
+}
+
+/**
+ * Scan a session through the cache. A fresh cache entry is returned as is;
+ * a stale entry with a checkpoint only parses appended lines; otherwise a
+ * fast scan (or a full scan with analyze=true) is run. Returns { summary, cached }.
+ */
+export async function scanSession(sessionFile, { analyze = false } = {}) {
+  const { filePath } = sessionFile;
+  const cachedData = await getCached(filePath, { requireAnalyzed: analyze });
+  if (cachedData) return { summary: cachedData, cached: true };
+
+  const { summary, checkpoint } = await runScanTask(await planScan(sessionFile, { analyze }));
+  await setCached(filePath, summary, checkpoint);
+  return { summary, cached: false };
+}
+
+/**
+ * Scan many sessions through the cache, like scanSession(). Cache misses are
+ * parsed in parallel by the worker pool (scan-pool.js). Files that fail to
+ * parse are reported and skipped. With incremental=true, files without a
+ * checkpoint get a full scan instead of a fast one so that later changes
+ * only parse appended lines (used for files that are being watched).
+ * full=true does the same and also rescans cached fast-scan summaries, for
+ * callers that need whole-file totals such as cost. A file given with
+ * `rescan: true` is rescanned even if its cache entry is fresh: the cache
+ * only checks the session file, not its sub-agent transcripts.
+ * Returns { sessions, cached, scanned }.
+ */
+export async function scanSessions(files, { analyze = false, incremental = false, full = false, concurrency = null, onProgress = null } = {}) {
+  const sessions = new Array(files.length);
+  const tasks = [];
+  const taskIndex = [];
+
+  for (let i = 0; i < files.length; i += 50) {
+    const batch = files.slice(i, i + 50);
+    const hits = await Promise.all(batch.map(f => f.rescan ? null : getCached(f.filePath, { requireAnalyzed: analyze, requireFull: full })));
+    for (let j = 0; j < batch.length; j++) {
+      if (hits[j]) {
+        sessions[i + j] = hits[j];
+      } else {
+        tasks.push(await planScan(batch[j], { analyze, incremental: incremental || full }));
+        taskIndex.push(i + j);
+      }
+    }
+  }
+
+  const results = await runScanTasks(tasks, { concurrency, onProgress });
+  let scanned = 0;
+  for (let k = 0; k < results.length; k++) {
+    const { summary, checkpoint, error } = results[k];
+    if (error) {
+      console.error(`csesh: scan error for ${tasks[k].sessionFile.filePath}: ${error}`);
+      continue;
+    }
+    await setCached(tasks[k].sessionFile.filePath, summary, checkpoint);
+    sessions[taskIndex[k]] = summary;
+    scanned++;
+  }
+
+  return {
+    sessions: sessions.filter(Boolean),
+    cached: files.length - tasks.length,
+    scanned,
+  };
+}
+
+/**
+ * Decide how to rescan a file missing from the cache: resume from its
+ * checkpoint if there is one, full scan when analysis or an incremental scan
+ * is requested, else a fast head/tail scan.
+ */
+async function planScan(sessionFile, { analyze = false, incremental = false } = {}) {
+  const checkpoint = await getCheckpoint(sessionFile.filePath);
+  if (!analyze && !incremental && !checkpoint) return { sessionFile, mode: 'fast' };
+  return {
+    sessionFile,
+    mode: 'full',
+    checkpoint,
+    analyze: analyze || !!checkpoint?.state.analysis,
+  };
+}
+
+/**
+ * Run one scan task { sessionFile, mode: 'fast'|'full', checkpoint, analyze }:
+ * scan the session, then its sub-agent transcripts (see attachSubAgents).
+ * Pure parsing with no cache access, so it can run in a scan worker.
+ * Returns { summary, checkpoint } (checkpoint is null for fast scans).
+ */
+export async function runScanTask({ sessionFile, mode = 'fast', checkpoint = null, analyze = false }) {
+  if (mode === 'fast') {
+    const { id, filePath, projectSlug } = sessionFile;
+    const fileInfo = await stat(filePath);
+    const state = await fastScanState(filePath);
+    const summary = finalizeSummary(state, id, filePath, projectSlug, fileInfo.size);
+    summary.fastScan = true;
+    await attachSubAgents(summary, state);
+    return { summary, checkpoint: null };
+  }
+  const result = await incrementalScan(sessionFile, checkpoint, { analyze });
+  result.checkpoint.subAgents = await attachSubAgents(
+    result.summary, result.checkpoint.state, checkpoint?.subAgents,
+  );
+  return result;
+}
+
+/**
+ * List sub-agent transcripts in a session's companion directory
+ * (<session>/subagents/agent-<agentId>.jsonl).
+ */
+export async function listSubAgentFiles(sessionFilePath) {
+  const dir = join(sessionFilePath.replace(/\.jsonl$/, ''), 'subagents');
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch {
+    return [];
+  }
+  return names.filter(n => n.endsWith('.jsonl')).sort().map(n => join(dir, n));
+}
+
+/**
+ * Scan a session's sub-agent transcripts and attach them to its summary as
+ * summary.subAgents, each linked to the Task tool_use that spawned it (from
+ * toolUseResult/agent_progress links, else by matching the prompt). Their
+ * tokens and models are added to the parent totals. A sub-agent spawned by
+ * another sub-agent gets parentAgentId. Transcripts are scanned incrementally
+ * from `checkpoints` (by file path); returns the new checkpoints.
+ */
+async function attachSubAgents(summary, parentState, checkpoints = {}) {
+  const files = await listSubAgentFiles(summary.filePath);
+  if (files.length === 0) return {};
+
+  const nextCheckpoints = {};
+  const agents = [];
+  for (const filePath of files) {
+    const agentId = basename(filePath, '.jsonl').replace(/^agent-/, '');
+    try {
+      const { summary: s, checkpoint } = await incrementalScan(
+        { id: agentId, filePath, projectSlug: summary.slug }, checkpoints?.[filePath] || null,
+      );
+      nextCheckpoints[filePath] = checkpoint;
+      agents.push({ agentId, filePath, summary: s, state: checkpoint.state });
+    } catch { /* removed while scanning */ }
+  }
+
+  const owners = [{ agentId: null, state: parentState }, ...agents];
+  summary.ownTokenUsage = { ...summary.tokenUsage };
+  summary.subAgents = agents.map(({ agentId, filePath, summary: s, state }) => {
+    const link = findSpawningCall(owners, agentId, state.firstUserKey);
+    const call = link ? link.owner.state.taskCalls[link.toolUseId] : null;
+    for (const k of Object.keys(summary.tokenUsage)) summary.tokenUsage[k] += s.tokenUsage[k];
+    addModelUsage(summary.modelUsage, s.modelUsage);
+    summary.estimatedCost += s.estimatedCost;
+    for (const [day, cost] of Object.entries(s.dailyCost)) {
+      summary.dailyCost[day] = (summary.dailyCost[day] || 0) + cost;
+    }
+    for (const m of s.models) if (!summary.models.includes(m)) summary.models.push(m);
+    return {
+      id: agentId,
+      filePath,
+      parentAgentId: link ? link.owner.agentId : null,
+      toolUseId: link ? link.toolUseId : null,
+      description: call?.description || '',
+      subagentType: call?.subagentType || null,
+      title: s.title,
+      firstTimestamp: s.firstTimestamp,
+      lastTimestamp: s.lastTimestamp,
+      messageCount: s.userMessageCount + s.assistantMessageCount,
+      toolCalls: Object.values(state.toolUsageCounts).reduce((a, b) => a + b, 0),
+      tokenUsage: s.tokenUsage,
+      models: s.models,
+      modelUsage: s.modelUsage,
+      estimatedCost: s.estimatedCost,
+      fileSizeBytes: s.fileSizeBytes,
+    };
+  });
+  if (summary.analyzed) summary.hasSubAgents = true;
+  return nextCheckpoints;
+}
+
+function findSpawningCall(owners, agentId, key) {
+  for (const owner of owners) {
+    const toolUseId = owner.agentId !== agentId && owner.state?.agentLinks[agentId];
+    if (toolUseId) return { owner, toolUseId };
+  }
+  if (!key) return null;
+  for (const owner of owners) {
+    if (owner.agentId === agentId || !owner.state) continue;
+    const toolUseId = Object.keys(owner.state.taskCalls).find(id => owner.state.taskCalls[id].promptKey === key);
+    if (toolUseId) return { owner, toolUseId };
+  }
+  return null;
+}
+
+/**
+ * Hash the first and last FINGERPRINT_BYTES before `offset`.
+ */
+async function fingerprint(filePath, offset) {
+  const fh = await open(filePath, 'r');
+  try {
+    const hashRange = async (start, end) => {
+      const buf = Buffer.alloc(end - start);
+      const { bytesRead } = await fh.read(buf, 0, buf.length, start);
+      return createHash('sha1').update(buf.subarray(0, bytesRead)).digest('hex');
+    };
+    return {
+      head: await hashRange(0, Math.min(FINGERPRINT_BYTES, offset)),
+      tail: await hashRange(Math.max(0, offset - FINGERPRINT_BYTES), offset),
+    };
+  } finally {
+    await fh.close();
+  }
+}
+
+async function prefixMatches(filePath, checkpoint, size) {
+  if (size < checkpoint.offset) return false;
+  try {
+    const { head, tail } = await fingerprint(filePath, checkpoint.offset);
+    return head === checkpoint.head && tail === checkpoint.tail;
+  } catch {
+    return false;
   }
-  return parseRecords(records, id, filePath, projectSlug, fileInfo.size, { analyze });
 }
 
 /**
- * Scan all sessions (fast or full).
+ * Scan all sessions (fast or full), bypassing the cache.
  */
-export async function scanAll({ projectSlug = null, mode = 'fast', analyze = false } = {}) {
+export async function scanAll({ projectSlug = null, mode = 'fast', analyze = false, concurrency = null } = {}) {
   const files = await findSessionFiles(projectSlug);
-  const scanFn = mode === 'full'
-    ? (f) => fullScan(f, { analyze })
-    : fastScan;
+  const tasks = files.map(sessionFile => ({ sessionFile, mode, analyze }));
 
-  const batchSize = 50;
   const results = [];
-  for (let i = 0; i < files.length; i += batchSize) {
-    const batch = files.slice(i, i + batchSize);
-    const batchResults = await Promise.all(batch.map(f => scanFn(f).catch(err => {
-      console.error(`csesh: scan error: ${err.message}`);
-      return null;
-    })));
-    results.push(...batchResults.filter(Boolean));
+  for (const result of await runScanTasks(tasks, { concurrency })) {
+    if (result.error) console.error(`csesh: scan error: ${result.error}`);
+    else results.push(result.summary);
   }
 
   results.sort((a, b) => {
@@ -291,38 +738,162 @@ export async function scanAll({ projectSlug = null, mode = 'fast', analyze = fal
 }
 
 /**
- * Read all messages from a session for conversation viewing.
+ * Read a page of messages from a session for conversation viewing.
  * Returns rich content blocks (text, thinking, tool_use, tool_result).
+ * `branch` selects a branch of the conversation tree (see branches.js):
+ * 0 is the main branch, 'all' every message in file order. The response
+ * lists the session's branches without their paths.
+ * The first message after a compaction carries `compaction`
+ * ({ timestamp, trigger, preTokens }); the summary message Claude Code
+ * continues from is flagged `compactSummary`.
+ * The file is streamed: only messages inside [offset, offset + limit) are
+ * built, the rest are just counted for `total`.
  */
-export async function readMessages(filePath, { offset = 0, limit = 100 } = {}) {
-  const lines = await readAllLines(filePath);
+export async function readMessages(filePath, { offset = 0, limit = 100, branch = 0 } = {}) {
+  await loadPricing();
+  let branches = [];
+  let include = null;
+  if (branch !== 'all') {
+    const tree = createConversationTree();
+    for await (const rec of streamRecords(filePath)) addTreeRecord(tree, rec);
+    branches = resolveBranches(tree);
+    // An unknown branch reads as empty rather than falling back to another
+    if (branches.length > 0) include = new Set(branches[branch]?.path);
+  }
+
   const messages = [];
-  for (const line of lines) {
-    try {
-      const rec = JSON.parse(line);
-      if (rec.type === 'user' || rec.type === 'assistant') {
-        messages.push({
+  let total = 0;
+  let compaction = null;
+  for await (const rec of streamRecords(filePath)) {
+    if (rec.type === 'system' && rec.subtype === 'compact_boundary') {
+      if (!include || !rec.logicalParentUuid || include.has(rec.logicalParentUuid)) {
+        compaction = {
+          timestamp: rec.timestamp || null,
+          trigger: rec.compactMetadata?.trigger || null,
+          preTokens: rec.compactMetadata?.preTokens || null,
+        };
+      }
+      continue;
+    }
+    if (rec.type !== 'user' && rec.type !== 'assistant') continue;
+    if (include && !include.has(rec.uuid)) continue;
+    if (rec.isCompactSummary && !compaction) {
+      compaction = { timestamp: rec.timestamp || null, trigger: null, preTokens: null };
+    }
+    if (total >= offset && messages.length < limit) {
+      const msg = toMessage(rec);
+      // The compaction marker goes before the first message after it
+      if (compaction) msg.compaction = compaction;
+      messages.push(msg);
+    }
+    compaction = null;
+    total++;
+  }
+  return {
+    total, offset, limit, branch,
+    branches: branches.map(({ path, ...rest }) => rest),
+    messages,
+  };
+}
+
+function toMessage(rec) {
+  return {
+    uuid: rec.uuid || null,
+    type: rec.type,
+    compactSummary: rec.isCompactSummary === true,
+    timestamp: rec.timestamp,
+    role: rec.message?.role,
+    model: rec.message?.model,
+    blocks: extractContentBlocks(rec.message?.content),
+    content: extractMessageContent(rec.message?.content),
+    usage: rec.message?.usage ? usageTokens(rec.message.usage) : null,
+    cost: rec.type === 'assistant' && rec.message?.usage
+      ? estimateCost(usageTokens(rec.message.usage), rec.message.model || 'default', rec.timestamp)
+      : null,
+  };
+}
+
+/**
+ * Stream parsed JSONL records one at a time, skipping blank and unparseable lines.
+ * A .gz file (an archived session) is decompressed on the fly.
+ */
+export async function* streamRecords(filePath) {
+  const file = createReadStream(filePath);
+  const stream = filePath.endsWith('.gz') ? file.pipe(createGunzip()) : file;
+  stream.setEncoding('utf-8');
+  if (stream !== file) file.on('error', err => stream.destroy(err));
+  const rl = createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch { continue; }
+      yield rec;
+    }
+  } finally {
+    rl.close();
+    stream.destroy();
+    file.destroy();
+  }
+}
+
+/**
+ * Search the conversation content of one session file (case-insensitive substring).
+ * Matches user/assistant text, tool inputs and tool results.
+ * messageIndex counts user/assistant records in file order, the same index
+ * readMessages() uses with branch 'all'.
+ * Returns { hitCount, hits: [{ messageIndex, type, kind, timestamp, snippet, highlights }] }.
+ */
+export async function searchMessages(filePath, query, { maxHits = 5 } = {}) {
+  const q = query.toLowerCase();
+  const hits = [];
+  let hitCount = 0;
+  let messageIndex = -1;
+  for await (const rec of streamRecords(filePath)) {
+    if (rec.type !== 'user' && rec.type !== 'assistant') continue;
+    messageIndex++;
+    for (const part of searchableParts(rec.message?.content)) {
+      const idx = part.text.toLowerCase().indexOf(q);
+      if (idx === -1) continue;
+      hitCount++;
+      if (hits.length < maxHits) {
+        const { text, highlights } = buildSnippet(part.text, query, idx);
+        hits.push({
+          messageIndex,
           type: rec.type,
+          kind: part.kind,
           timestamp: rec.timestamp,
-          role: rec.message?.role,
-          model: rec.message?.model,
-          blocks: extractContentBlocks(rec.message?.content),
-          content: extractMessageContent(rec.message?.content),
-          usage: rec.message?.usage ? {
-            input: rec.message.usage.input_tokens || 0,
-            output: rec.message.usage.output_tokens || 0,
-            cacheRead: rec.message.usage.cache_read_input_tokens || 0,
-          } : null,
+          snippet: text,
+          highlights,
         });
       }
-    } catch { /* skip */ }
+    }
   }
-  return {
-    total: messages.length,
-    offset,
-    limit,
-    messages: messages.slice(offset, offset + limit),
-  };
+  return { hitCount, hits };
+}
+
+/**
+ * Split message content into searchable parts: text, tool_use inputs, tool_result output.
+ * Shared with the search index so both see exactly the same text.
+ */
+export function searchableParts(content) {
+  if (!content) return [];
+  if (typeof content === 'string') return [{ kind: 'text', text: content }];
+  if (!Array.isArray(content)) return [];
+  const parts = [];
+  for (const block of content) {
+    if (block.type === 'text' && block.text) {
+      parts.push({ kind: 'text', text: block.text });
+    } else if (block.type === 'tool_use' && block.input) {
+      parts.push({ kind: 'tool_use', text: `${block.name || ''} ${JSON.stringify(block.input)}` });
+    } else if (block.type === 'tool_result') {
+      const text = typeof block.content === 'string'
+        ? block.content
+        : extractMessageContent(block.content);
+      if (text) parts.push({ kind: 'tool_result', text });
+    }
+  }
+  return parts;
 }
 
 /**
@@ -366,7 +937,7 @@ function extractContentBlocks(content) {
 /**
  * Summarize tool input for compact display.
  */
-function summarizeToolInput(toolName, input) {
+export function summarizeToolInput(toolName, input) {
   if (!input) return '';
   switch (toolName) {
     case 'Read': return input.file_path || '';
@@ -0,0 +1,254 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Persistent inverted index for conversation content search.
+ * Maps tokens to the session files containing them, so a content query only
+ * streams candidate files instead of every JSONL. Entries are refreshed
+ * incrementally with the same mtime + size check as cache.js.
+ *
+ * The index is a candidate filter: it may over-match (substring semantics are
+ * re-checked by searchMessages) but never misses a match, with one exception:
+ * alphanumeric runs longer than MAX_TOKEN_LENGTH (base64 blobs, hashes) are
+ * not indexed, so text inside them is only found by a full scan.
+ *
+ * Substring lookups go through a trigram table (trigram -> tokens holding
+ * it), so a query only checks the tokens sharing a trigram with it rather
+ * than the whole vocabulary.
+ */
+
+import { readFile, stat, unlink } from 'fs/promises';
+import { join } from 'path';
+import { TOOL_DIR } from './utils.js';
+import { withLock, writeAtomic } from './lock.js';
+import { streamRecords, searchableParts } from './scanner.js';
+
+const INDEX_VERSION = 2;
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64; // longer runs are blobs (base64, hashes) — not indexed
+const GRAM_LENGTH = 3;
+const TOKEN_RE = /[\p{L}\p{N}_]+/gu;
+
+let memoryIndex = null;
+let dirty = false;
+
+function indexFile() {
+  return join(TOOL_DIR, 'search-index.json');
+}
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, nextDoc: 0, docs: {}, postings: {}, vocab: [], grams: {} };
+}
+
+async function loadIndex() {
+  if (memoryIndex) return memoryIndex;
+  try {
+    const parsed = JSON.parse(await readFile(indexFile(), 'utf-8'));
+    memoryIndex = parsed.version === INDEX_VERSION ? parsed : emptyIndex();
+  } catch {
+    memoryIndex = emptyIndex();
+  }
+  return memoryIndex;
+}
+
+function trigrams(token) {
+  const grams = new Set();
+  for (let i = 0; i + GRAM_LENGTH <= token.length; i++) grams.add(token.slice(i, i + GRAM_LENGTH));
+  return grams;
+}
+
+// Rebuild the trigram table: vocab lists the tokens, grams maps each
+// trigram to the vocab positions of the tokens containing it
+function buildGrams(index) {
+  index.vocab = Object.keys(index.postings);
+  index.grams = {};
+  index.vocab.forEach((token, i) => {
+    for (const g of trigrams(token)) (index.grams[g] || (index.grams[g] = [])).push(i);
+  });
+}
+
+/**
+ * Drop postings that point at removed documents, rebuild the trigram table,
+ * then write to disk under the index lock.
+ */
+async function saveIndex(index) {
+  const live = new Set(Object.values(index.docs).map(d => d.n));
+  for (const [token, docs] of Object.entries(index.postings)) {
+    const kept = docs.filter(n => live.has(n));
+    if (kept.length > 0) index.postings[token] = kept;
+    else delete index.postings[token];
+  }
+  buildGrams(index);
+  memoryIndex = index;
+  await withLock(indexFile(), () => writeAtomic(indexFile(), JSON.stringify(index)));
+  dirty = false;
+}
+
+/**
+ * Split text into lowercase index tokens.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const m of String(text).toLowerCase().matchAll(TOKEN_RE)) {
+    const t = m[0];
+    if (t.length >= MIN_TOKEN_LENGTH && t.length <= MAX_TOKEN_LENGTH) tokens.push(t);
+  }
+  return tokens;
+}
+
+async function collectTokens(filePath) {
+  const tokens = new Set();
+  for await (const rec of streamRecords(filePath)) {
+    if (rec.type !== 'user' && rec.type !== 'assistant') continue;
+    for (const part of searchableParts(rec.message?.content)) {
+      for (const t of tokenize(part.text)) tokens.add(t);
+    }
+  }
+  return tokens;
+}
+
+function removeDoc(index, filePath) {
+  if (!index.docs[filePath]) return false;
+  delete index.docs[filePath];
+  dirty = true;
+  return true;
+}
+
+/**
+ * Bring the index up to date for the given session files ({ id, filePath }).
+ * Only files whose mtime or size changed are re-read. Entries for files that
+ * no longer exist on disk are removed.
+ * Returns { indexed, removed, total }.
+ */
+export async function updateIndex(files) {
+  const index = await loadIndex();
+  let indexed = 0;
+  let removed = 0;
+
+  const batchSize = 20;
+  for (let i = 0; i < files.length; i += batchSize) {
+    const batch = files.slice(i, i + batchSize);
+    await Promise.all(batch.map(async ({ id, filePath }) => {
+      let fileInfo;
+      try {
+        fileInfo = await stat(filePath);
+      } catch {
+        if (removeDoc(index, filePath)) removed++;
+        return;
+      }
+      const doc = index.docs[filePath];
+      if (doc && doc.mtime === fileInfo.mtimeMs && doc.size === fileInfo.size) return;
+
+      let tokens;
+      try {
+        tokens = await collectTokens(filePath);
+      } catch (err) {
+        console.error(`csesh: index error: ${err.message}`);
+        return;
+      }
+      removeDoc(index, filePath);
+      const n = index.nextDoc++;
+      index.docs[filePath] = { id, n, mtime: fileInfo.mtimeMs, size: fileInfo.size };
+      for (const t of tokens) {
+        (index.postings[t] || (index.postings[t] = [])).push(n);
+      }
+      dirty = true;
+      indexed++;
+    }));
+  }
+
+  // Files indexed earlier but deleted since (trashed, moved)
+  const requested = new Set(files.map(f => f.filePath));
+  for (const filePath of Object.keys(index.docs)) {
+    if (requested.has(filePath)) continue;
+    try {
+      await stat(filePath);
+    } catch {
+      if (removeDoc(index, filePath)) removed++;
+    }
+  }
+
+  if (dirty) await saveIndex(index);
+  return { indexed, removed, total: Object.keys(index.docs).length };
+}
+
+// Tokens containing qt (substring semantics: "dock" matches "docker")
+function matchingTokens(index, qt) {
+  const found = new Set();
+  if (qt.length < GRAM_LENGTH) {
+    // Shorter than a trigram: qt is a token itself, or lies inside a trigram
+    if (index.postings[qt]) found.add(qt);
+    for (const [g, ids] of Object.entries(index.grams)) {
+      if (g.includes(qt)) for (const i of ids) found.add(index.vocab[i]);
+    }
+    return found;
+  }
+  // A token containing qt holds every trigram of qt: check the rarest one's tokens
+  let rarest = null;
+  for (const g of trigrams(qt)) {
+    const ids = index.grams[g];
+    if (!ids) return found;
+    if (!rarest || ids.length < rarest.length) rarest = ids;
+  }
+  for (const i of rarest) {
+    if (index.vocab[i].includes(qt)) found.add(index.vocab[i]);
+  }
+  return found;
+}
+
+/**
+ * Find candidate files for a content query.
+ * Returns a Set of file paths, or null when the query has no indexable
+ * token (the caller must then scan every file).
+ */
+export async function queryIndex(query) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) return null;
+
+  const index = await loadIndex();
+  let candidates = null;
+
+  for (const qt of queryTokens) {
+    const docs = new Set();
+    for (const t of matchingTokens(index, qt)) {
+      for (const n of index.postings[t]) docs.add(n);
+    }
+    candidates = candidates ? new Set([...candidates].filter(n => docs.has(n))) : docs;
+    if (candidates.size === 0) break;
+  }
+
+  const paths = new Set();
+  for (const [filePath, doc] of Object.entries(index.docs)) {
+    if (candidates.has(doc.n)) paths.add(filePath);
+  }
+  return paths;
+}
+
+/**
+ * Delete the on-disk index.
+ */
+export async function clearIndex() {
+  memoryIndex = emptyIndex();
+  dirty = false;
+  try { await unlink(indexFile()); } catch { /* no index */ }
+}
+
+/**
+ * Get index stats.
+ */
+export async function indexStats() {
+  const index = await loadIndex();
+  let diskSize = 0;
+  try {
+    diskSize = (await stat(indexFile())).size;
+  } catch { /* no index file */ }
+  return {
+    files: Object.keys(index.docs).length,
+    tokens: Object.keys(index.postings).length,
+    diskSize,
+  };
+}
@@ -6,6 +6,9 @@
  */
 
 import { junkLabel } from './classifier.js';
+import { searchMessages } from './scanner.js';
+import { updateIndex, queryIndex } from './search-index.js';
+import { normalizeTag, tagMatches } from './tags.js';
 
 /**
  * Filter sessions by various criteria.
@@ -14,8 +17,9 @@ export function filterSessions(sessions, {
   project = null,
   category = null,  // 'real', 'junk', 'maybe', or raw category
   tier = null,      // 1-4
-  tag = null,       // filter by tag
+  tag = null,       // filter by tag (and the tags nested in it)
   favorite = null,  // true to show only favorites
+  archived = null,  // true: only archived sessions, false: only live ones
   from = null,
   to = null,
   query = null,
@@ -59,12 +63,12 @@ export function filterSessions(sessions, {
     filtered = filtered.filter(s => s.category === category);
   }
 
-  // Filter by tag
+  // Filter by tag, nested tags included (`client` matches `client/acme`)
   if (tag) {
-    const t = tag.toLowerCase();
+    const t = normalizeTag(tag);
     filtered = filtered.filter(s =>
-      (s.tags && s.tags.includes(t)) ||
-      (s.autoTags && s.autoTags.includes(t))
+      (s.tags && s.tags.some(st => tagMatches(st, t))) ||
+      (s.autoTags && s.autoTags.some(at => tagMatches(at, t)))
     );
   }
 
@@ -73,6 +77,11 @@ export function filterSessions(sessions, {
     filtered = filtered.filter(s => s.favorite);
   }
 
+  // Filter by archive state
+  if (archived != null) {
+    filtered = filtered.filter(s => !!s.archived === archived);
+  }
+
   // Filter by date range
   if (from) {
     const fromDate = new Date(from);
@@ -135,3 +144,42 @@ export function filterSessions(sessions, {
 
   return { total, offset, limit, sessions: filtered };
 }
+
+/**
+ * Full-text search inside conversation content (messages, tool inputs, tool results).
+ * Streams each session's JSONL in the order given — filter/sort with filterSessions() first.
+ * With useIndex=true, the on-disk token index is refreshed for changed files and
+ * only candidate sessions are streamed.
+ * Returns { total, limit, sessions } where each matching session carries
+ * hitCount and up to maxHits hits ({ messageIndex, type, kind, snippet, highlights }).
+ */
+export async function searchContent(sessions, query, { limit = 30, maxHits = 5, useIndex = false } = {}) {
+  if (!query) return { total: 0, limit, sessions: [] };
+
+  let candidates = sessions;
+  if (useIndex) {
+    await updateIndex(sessions);
+    const paths = await queryIndex(query);
+    if (paths) candidates = sessions.filter(s => paths.has(s.filePath));
+  }
+
+  const matched = [];
+  const batchSize = 20;
+  for (let i = 0; i < candidates.length; i += batchSize) {
+    const batch = candidates.slice(i, i + batchSize);
+    const results = await Promise.all(batch.map(s =>
+      searchMessages(s.filePath, query, { maxHits }).catch(err => {
+        console.error(`csesh: content search error: ${err.message}`);
+        return null;
+      })
+    ));
+    results.forEach((r, j) => {
+      if (r && r.hitCount > 0) {
+        matched.push({ ...batch[j], hitCount: r.hitCount, hits: r.hits });
+      }
+    });
+  }
+
+  const total = matched.length;
+  return { total, limit, sessions: limit > 0 ? matched.slice(0, limit) : matched };
+}
@@ -6,7 +6,33 @@
  */
 
 import { junkLabel } from './classifier.js';
-import { estimateCost, formatBytes } from './utils.js';
+import { sessionCost, formatBytes, localDay } from './utils.js';
+
+/**
+ * Aggregate per-model usage and cost over sessions, most expensive first:
+ * [{ model, sessions, messages, input, output, cacheRead, cacheWrite, cost }].
+ * Sessions without per-model usage (scanner summary.modelUsage) are counted
+ * whole under their first model.
+ */
+export function costByModel(sessions) {
+  const byModel = {};
+  for (const s of sessions) {
+    const usage = s.modelUsage || {
+      [s.models[0] || 'unknown']: { ...s.tokenUsage, messages: s.assistantMessageCount, cost: sessionCost(s) },
+    };
+    for (const [model, u] of Object.entries(usage)) {
+      const m = byModel[model] ||= { model, sessions: 0, messages: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+      m.sessions++;
+      m.messages += u.messages || 0;
+      m.input += u.input || 0;
+      m.output += u.output || 0;
+      m.cacheRead += u.cacheRead || 0;
+      m.cacheWrite += u.cacheWrite || 0;
+      m.cost += u.cost || 0;
+    }
+  }
+  return Object.values(byModel).sort((a, b) => b.cost - a.cost);
+}
 
 /**
  * Compute aggregated statistics from sessions.
@@ -61,8 +87,7 @@ export function computeStats(sessions, projectFilter = null) {
   // Estimated total cost
   let totalCost = 0;
   for (const s of filtered) {
-    const model = s.models[0] || 'default';
-    totalCost += estimateCost(s.tokenUsage, model);
+    totalCost += sessionCost(s);
   }
 
   // Messages totals
@@ -164,8 +189,7 @@ export function computeStats(sessions, projectFilter = null) {
   for (const s of filtered) {
     if (!s.firstTimestamp) continue;
     const day = s.firstTimestamp.slice(0, 10);
-    const model = s.models[0] || 'default';
-    const cost = estimateCost(s.tokenUsage, model);
+    const cost = sessionCost(s);
     costByDay[day] = (costByDay[day] || 0) + cost;
   }
 
@@ -173,10 +197,12 @@ export function computeStats(sessions, projectFilter = null) {
   const costByProject = {};
   for (const s of filtered) {
     const p = s.shortProject || 'unknown';
-    const model = s.models[0] || 'default';
-    costByProject[p] = (costByProject[p] || 0) + estimateCost(s.tokenUsage, model);
+    costByProject[p] = (costByProject[p] || 0) + sessionCost(s);
   }
 
+  // Cost and tokens by model (each assistant message priced at its model)
+  const modelCosts = costByModel(filtered);
+
   // Top files (from filesMentioned / filesTouched)
   const fileCounts = {};
   for (const s of filtered) {
@@ -224,7 +250,139 @@ export function computeStats(sessions, projectFilter = null) {
     avgCostPerSession: Math.round(avgCostPerSession * 10000) / 10000,
     costByDay,
     costByProject,
+    modelCosts,
     topFiles,
     thinkingRatio,
   };
 }
+
+/**
+ * Start of today, this week (Monday) and this month, plus the start of next
+ * month, in local time.
+ */
+export function periodBounds(now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dayOfWeek = now.getDay();
+  const mondayOffset = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+  const weekStart = new Date(today);
+  weekStart.setDate(weekStart.getDate() - mondayOffset);
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return { today, weekStart, monthStart, monthEnd };
+}
+
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * A session's cost per local day, { "YYYY-MM-DD": usd }. Summaries without
+ * per-message days (archived before they were recorded) count whole on the
+ * day of their last message.
+ */
+export function sessionDailyCost(session) {
+  if (session.dailyCost) return session.dailyCost;
+  const day = session.lastTimestamp ? localDay(session.lastTimestamp) : null;
+  return day ? { [day]: sessionCost(session) } : {};
+}
+
+/**
+ * Cost a session incurred from local midnight of `start` on.
+ */
+export function costSince(session, start) {
+  const from = localDay(start);
+  let sum = 0;
+  for (const [day, cost] of Object.entries(sessionDailyCost(session))) {
+    if (day >= from) sum += cost;
+  }
+  return sum;
+}
+
+function matchesProject(s, name) {
+  const p = name.toLowerCase();
+  return s.slug === name ||
+    s.shortProject.toLowerCase().includes(p) ||
+    s.project.toLowerCase().includes(p);
+}
+
+function checkLimits(limits, where, errors, allowed) {
+  for (const [key, value] of Object.entries(limits)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${where}: unknown period "${key}" (expected ${BUDGET_PERIODS.join(', ')})`);
+    } else if (BUDGET_PERIODS.includes(key) && value != null &&
+      (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      errors.push(`${where}.${key}: must be a positive number of USD, got ${JSON.stringify(value)}`);
+    }
+  }
+}
+
+/**
+ * Validate the "budgets" config value (see evaluateBudgets). Returns a list
+ * of errors, empty when the config is usable: limits must be positive
+ * numbers and the only keys are the periods (and "projects" at the top).
+ */
+export function validateBudgets(budgets) {
+  const errors = [];
+  if (budgets == null) return errors;
+  if (typeof budgets !== 'object' || Array.isArray(budgets)) return ['"budgets" must be an object'];
+  checkLimits(budgets, 'budgets', errors, [...BUDGET_PERIODS, 'projects']);
+  const projects = budgets.projects;
+  if (projects == null) return errors;
+  if (typeof projects !== 'object' || Array.isArray(projects)) {
+    errors.push('"budgets.projects" must be an object');
+    return errors;
+  }
+  for (const [name, limits] of Object.entries(projects)) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push(`budgets.projects.${name}: expected an object of limits`);
+    } else {
+      checkLimits(limits, `budgets.projects.${name}`, errors, BUDGET_PERIODS);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check spend against the "budgets" config:
+ *
+ *   { daily, weekly, monthly, projects: { <name>: { daily, weekly, monthly } } }
+ *
+ * Limits are USD; a project name matches like `csesh cost --project`. Each
+ * message's cost counts toward the day it was sent (sessionDailyCost), so
+ * sessions must come from full scans: fast scans only see a file's head and
+ * tail. Invalid limits are skipped; check validateBudgets() first. Returns
+ * one entry per limit set, in config order:
+ * [{ project, period, limit, spent, remaining, percent, exceeded, projected }],
+ * where project is null for global budgets and projected (monthly budgets
+ * only) extrapolates month-to-date spend to the end of the month.
+ */
+export function evaluateBudgets(sessions, budgets, now = new Date()) {
+  if (!budgets || typeof budgets !== 'object') return [];
+  const { today, weekStart, monthStart, monthEnd } = periodBounds(now);
+  const starts = { daily: today, weekly: weekStart, monthly: monthStart };
+  const monthElapsed = (now - monthStart) / (monthEnd - monthStart);
+
+  const scopes = [{ project: null, limits: budgets, sessions }];
+  const projects = budgets.projects && typeof budgets.projects === 'object' ? budgets.projects : {};
+  for (const [name, limits] of Object.entries(projects)) {
+    scopes.push({ project: name, limits: limits || {}, sessions: sessions.filter(s => matchesProject(s, name)) });
+  }
+
+  const results = [];
+  for (const scope of scopes) {
+    for (const period of BUDGET_PERIODS) {
+      const limit = scope.limits[period];
+      if (typeof limit !== 'number' || !(limit > 0) || !Number.isFinite(limit)) continue;
+      const spent = scope.sessions.reduce((sum, s) => sum + costSince(s, starts[period]), 0);
+      results.push({
+        project: scope.project,
+        period,
+        limit,
+        spent,
+        remaining: limit - spent,
+        percent: spent / limit * 100,
+        exceeded: spent > limit,
+        projected: period === 'monthly' && monthElapsed > 0 ? spent / monthElapsed : null,
+      });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,88 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Tag hierarchy. A slash nests tags: `client/acme` is a child of `client`,
+ * and filtering by `client` matches both. The tags themselves are stored
+ * flat in metadata (see the tag operations in lib/metadata.js); parents only
+ * exist through their children.
+ */
+
+export const TAG_SEPARATOR = '/';
+
+/**
+ * Canonical form of a tag: lower case, no blanks around or inside the path
+ * separators, no empty segments. Returns '' when nothing is left.
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? '')
+    .toLowerCase()
+    .split(TAG_SEPARATOR)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * Whether `tag` is `filter` or nested under it.
+ */
+export function tagMatches(tag, filter) {
+  return tag === filter || tag.startsWith(filter + TAG_SEPARATOR);
+}
+
+/**
+ * `tag` moved from under `from` to under `to`, or null if it is not in the
+ * `from` subtree.
+ */
+export function moveTag(tag, from, to) {
+  if (!tagMatches(tag, from)) return null;
+  return to + tag.slice(from.length);
+}
+
+/**
+ * Tag tree of sessions (plus extra tag names that no session carries, such
+ * as metadata's globalTags). Each node is { name, path, own, count, children }:
+ * own counts sessions tagged with exactly this path, count those tagged with
+ * it or anything below. Children are sorted by name.
+ */
+export function buildTagTree(sessions, extraTags = []) {
+  const root = { name: '', path: '', own: 0, count: 0, children: [] };
+  const nodes = new Map([['', root]]);
+
+  const node = path => {
+    if (nodes.has(path)) return nodes.get(path);
+    const cut = path.lastIndexOf(TAG_SEPARATOR);
+    const parent = node(cut < 0 ? '' : path.slice(0, cut));
+    const created = { name: path.slice(cut + 1), path, own: 0, count: 0, children: [] };
+    parent.children.push(created);
+    nodes.set(path, created);
+    return created;
+  };
+
+  for (const tag of extraTags) node(tag);
+  for (const s of sessions) {
+    const tags = s.tags || [];
+    if (tags.length === 0) continue;
+    // A session counts once per ancestor, however many of its tags sit below it
+    const counted = new Set();
+    for (const tag of tags) {
+      node(tag).own++;
+      for (let path = tag; path; path = path.slice(0, Math.max(0, path.lastIndexOf(TAG_SEPARATOR)))) {
+        if (counted.has(path)) continue;
+        counted.add(path);
+        nodes.get(path).count++;
+      }
+    }
+  }
+
+  const sort = n => {
+    n.children.sort((a, b) => a.name.localeCompare(b.name));
+    n.children.forEach(sort);
+  };
+  sort(root);
+  return root.children;
+}
@@ -0,0 +1,76 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Follow a session JSONL as Claude Code appends to it (tail -f for records).
+ * fs.watchFile polls stat() instead of relying on fs.watch events, which are
+ * unreliable for a single file across platforms and editors.
+ */
+
+import { watchFile, unwatchFile } from 'fs';
+import { stat } from 'fs/promises';
+import { streamLines } from './scanner.js';
+
+/**
+ * Call onRecord(rec) for every complete JSONL record from byte `start` on,
+ * then for each record appended later. onIdle() runs after each batch.
+ * A file that shrinks (rewritten by rename or restore) is re-read from the
+ * start, after onReset() so the caller can drop what it built from the old
+ * records. Returns { close(), ready } where ready resolves after the first batch.
+ */
+export function tailSession(filePath, { onRecord, onIdle = null, onReset = null, onError = null, start = 0, intervalMs = 500 }) {
+  let offset = start;
+  let reading = false;
+  let pending = false;
+  let closed = false;
+
+  const read = async () => {
+    if (reading) {
+      pending = true;
+      return;
+    }
+    reading = true;
+    try {
+      do {
+        pending = false;
+        const { size } = await stat(filePath);
+        if (size < offset) {
+          offset = 0;
+          if (onReset) onReset();
+        }
+        let count = 0;
+        for await (const { line, end } of streamLines(filePath, offset, size)) {
+          if (end === null || closed) break;
+          offset = end;
+          if (!line.trim()) continue;
+          let rec;
+          try { rec = JSON.parse(line); } catch { continue; }
+          onRecord(rec);
+          count++;
+        }
+        if (count > 0 && onIdle && !closed) onIdle();
+      } while (pending && !closed);
+    } catch (err) {
+      if (onError) onError(err);
+    } finally {
+      reading = false;
+    }
+  };
+
+  const ready = read();
+  watchFile(filePath, { interval: intervalMs }, (curr, prev) => {
+    if (curr.size !== prev.size || curr.mtimeMs !== prev.mtimeMs) read();
+  });
+
+  return {
+    ready,
+    close() {
+      closed = true;
+      unwatchFile(filePath);
+    },
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Undo: take back journal steps, newest first. Each entry is inverted by the
+ * module that made it, silently, so undoing is not journaled itself.
+ */
+
+import { listSteps, markUndone, silently, describeStep, describeEntry } from './journal.js';
+import { trashSession, restoreSession } from './cleanup.js';
+import { revertMetadata } from './metadata.js';
+import { revertRename } from './rename.js';
+import { archiveSession, unarchiveSession } from './archive.js';
+
+// Failures that retrying cannot fix, or that only a later change would lift
+// (protecting or archiving a session), which must not block older steps
+const FINAL_ERRORS = ['ENOENT', 'ENOTSUP', 'EPROTECTED', 'EARCHIVED'];
+
+async function invert(entry) {
+  switch (entry.op) {
+    case 'trash':
+      // The item this entry trashed, not another one with the same id
+      return restoreSession(entry.id, { trashPath: entry.trashPath });
+    case 'restore': {
+      const { item } = entry;
+      return trashSession({
+        id: entry.id,
+        filePath: entry.restoredTo,
+        title: item.title,
+        shortProject: item.project,
+        fileSizeBytes: item.fileSizeBytes,
+        junkScore: item.junkScore,
+        junkReasons: item.junkReasons,
+      }, item.reason);
+    }
+    case 'rename':
+      return revertRename(entry.id, entry);
+    case 'archive':
+      return unarchiveSession(entry.id);
+    case 'unarchive':
+      return archiveSession({ id: entry.id, filePath: entry.restoredTo, title: entry.title });
+    default: {
+      if (entry.before) return revertMetadata(entry.before);
+      const err = new Error(`Cannot undo "${entry.op}"`);
+      err.code = 'ENOTSUP';
+      throw err;
+    }
+  }
+}
+
+/**
+ * Undo the last `count` undoable steps, or exactly `step` when given. A given
+ * step must be the latest undoable one, anything else throws with code
+ * 'ESTALE' (already undone, or newer changes would be skipped). Permanent
+ * steps are passed over. Retrying cannot help an entry whose target is gone
+ * (code 'ENOENT', e.g. a trash item deleted since) or that has no inverse
+ * ('ENOTSUP'), and an entry whose session was protected or archived since
+ * ('EPROTECTED', 'EARCHIVED') is not trashed again: these fail for good, so
+ * older steps stay reachable. Any other failure leaves its step
+ * pending, with the entries that were undone recorded, and stops there: the
+ * next undo retries the rest before older steps.
+ *
+ * Returns [{ step, at, description, undone, failed, complete }]: undone
+ * lists entry descriptions, failed lists { description, error }.
+ */
+export async function undo({ count = 1, step = null } = {}) {
+  const pending = (await listSteps()).filter(s => s.undoable);
+  let targets = pending.slice(0, count);
+  if (step) {
+    if (pending[0]?.step !== step) {
+      const err = new Error('That change was already undone or newer changes were made since, see "csesh history"');
+      err.code = 'ESTALE';
+      throw err;
+    }
+    targets = [pending[0]];
+  }
+
+  const results = [];
+  for (const s of targets) {
+    const result = { step: s.step, at: s.at, description: describeStep(s), undone: [], failed: [], complete: true };
+    const done = [...s.undoneEntries];
+    for (let i = s.entries.length - 1; i >= 0; i--) {
+      const entry = s.entries[i];
+      if (entry.permanent || done.includes(i)) continue;
+      try {
+        await silently(() => invert(entry));
+        result.undone.push(describeEntry(entry));
+        done.push(i);
+      } catch (err) {
+        result.failed.push({ description: describeEntry(entry), error: err.message });
+        if (!FINAL_ERRORS.includes(err.code)) result.complete = false;
+      }
+    }
+    results.push(result);
+    if (!result.complete) {
+      if (done.length > s.undoneEntries.length) await markUndone(s.step, done.sort((a, b) => a - b));
+      break;
+    }
+    await markUndone(s.step);
+  }
+  return results;
+}
@@ -6,19 +6,54 @@
  */
 
 import { homedir } from 'os';
-import { join } from 'path';
+import { join, resolve } from 'path';
 import { rename as fsRename, stat as fsStat, mkdir as fsMkdir, readFile, writeFile } from 'fs/promises';
 
-export const CLAUDE_DIR = join(homedir(), '.claude');
-export const PROJECTS_DIR = join(CLAUDE_DIR, 'projects');
-export const TOOL_DIR = join(CLAUDE_DIR, 'tools', 'csesh');
-export const TRASH_DIR = join(TOOL_DIR, 'trash');
-export const TRASH_MANIFEST = join(TOOL_DIR, 'trash-manifest.json');
-export const CACHE_FILE = join(TOOL_DIR, 'cache.json');
+export const DEFAULT_CLAUDE_DIR = join(homedir(), '.claude');
 
-const OLD_TOOL_DIR = join(CLAUDE_DIR, 'tools', 'session-organizer');
+// Live bindings — reassigned by setClaudeDir(), importers always see the current root
+export let CLAUDE_DIR;
+export let PROJECTS_DIR;
+export let TOOL_DIR;
+export let TRASH_DIR;
+export let TRASH_MANIFEST;
+export let ARCHIVE_DIR;
+export let ARCHIVE_MANIFEST;
+export let CACHE_FILE;
+
+let OLD_TOOL_DIR;
 let migrated = false;
 
+/**
+ * Point csesh at a Claude data directory (default: ~/.claude).
+ * Re-derives every path constant from the new root. Call before any
+ * store (cache, metadata, trash) is loaded.
+ */
+export function setClaudeDir(dir) {
+  CLAUDE_DIR = resolve(expandHome(dir || DEFAULT_CLAUDE_DIR));
+  PROJECTS_DIR = join(CLAUDE_DIR, 'projects');
+  TOOL_DIR = join(CLAUDE_DIR, 'tools', 'csesh');
+  TRASH_DIR = join(TOOL_DIR, 'trash');
+  TRASH_MANIFEST = join(TOOL_DIR, 'trash-manifest.json');
+  ARCHIVE_DIR = join(TOOL_DIR, 'archive');
+  ARCHIVE_MANIFEST = join(TOOL_DIR, 'archive-manifest.json');
+  CACHE_FILE = join(TOOL_DIR, 'cache.json');
+  OLD_TOOL_DIR = join(CLAUDE_DIR, 'tools', 'session-organizer');
+  migrated = false;
+  return CLAUDE_DIR;
+}
+
+/**
+ * Expand a leading "~" to the user's home directory.
+ */
+export function expandHome(p) {
+  if (p === '~') return homedir();
+  if (p.startsWith('~/')) return join(homedir(), p.slice(2));
+  return p;
+}
+
+setClaudeDir(process.env.CSESH_CLAUDE_DIR);
+
 /**
  * Migrate data from old session-organizer directory to csesh.
  * Copies files (cache, metadata, trash-manifest) and rewrites paths.
@@ -33,13 +68,13 @@ export async function migrateFromOldDir() {
     return; // no old dir, nothing to migrate
   }
   await fsMkdir(TOOL_DIR, { recursive: true });
-  // Migrate individual files
-  const files = ['cache.json', 'metadata.json'];
-  for (const f of files) {
+  // Migrate individual files (metadata.json is later converted to metadata.jsonl)
+  const files = { 'cache.json': ['cache.json'], 'metadata.json': ['metadata.json', 'metadata.jsonl'] };
+  for (const [f, existing] of Object.entries(files)) {
     const src = join(OLD_TOOL_DIR, f);
     const dest = join(TOOL_DIR, f);
     try {
-      await fsStat(dest); // already exists, skip
+      await Promise.any(existing.map(e => fsStat(join(TOOL_DIR, e)))); // already exists, skip
     } catch {
       try {
         const data = await readFile(src, 'utf-8');
@@ -173,6 +208,30 @@ export function buildToolSuffix(toolUsage) {
   return `(${top.join(', ')})`;
 }
 
+/**
+ * Build a single-line snippet of `text` around a match of `query` at `index`.
+ * Returns { text, highlights } where highlights are [start, end) offsets of
+ * every case-insensitive occurrence of query inside the snippet.
+ */
+export function buildSnippet(text, query, index, radius = 60) {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + query.length + radius);
+  // Replace each whitespace char 1:1 so offsets stay aligned
+  const body = text.slice(start, end).replace(/\s/g, ' ');
+  const out = (start > 0 ? '…' : '') + body + (end < text.length ? '…' : '');
+  const lower = out.toLowerCase();
+  const q = query.toLowerCase();
+  const highlights = [];
+  if (q) {
+    let i = lower.indexOf(q);
+    while (i !== -1) {
+      highlights.push([i, i + q.length]);
+      i = lower.indexOf(q, i + q.length);
+    }
+  }
+  return { text: out, highlights };
+}
+
 /**
  * Format bytes to a human-readable string.
  */
@@ -205,6 +264,16 @@ export function formatDate(ts) {
   return d.toLocaleDateString('en-CA') + ' ' + d.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
 }
 
+/**
+ * Local calendar day of a timestamp as "YYYY-MM-DD", or null if unparseable.
+ */
+export function localDay(ts) {
+  const d = new Date(ts);
+  if (Number.isNaN(d.getTime())) return null;
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
 /**
  * Format a relative time (e.g. "2 hours ago").
  */
@@ -251,21 +320,100 @@ export function isJunkMessage(text) {
 
 /**
  * Estimated cost per model per million tokens (rough 2025-2026 pricing).
+ * Keys are model IDs, or patterns where `*` matches any run of characters.
+ * A user pricing file (see pricing.js) takes precedence over this table.
  */
 export const MODEL_PRICING = {
   'claude-sonnet-4-6':     { input: 3.0,  output: 15.0, cacheRead: 0.30, cacheWrite: 3.75 },
   'claude-opus-4-6':       { input: 15.0, output: 75.0, cacheRead: 1.50, cacheWrite: 18.75 },
   'claude-haiku-4-5-20251001': { input: 0.80, output: 4.0, cacheRead: 0.08, cacheWrite: 1.0 },
   'claude-sonnet-4-5-20250929': { input: 3.0,  output: 15.0, cacheRead: 0.30, cacheWrite: 3.75 },
+  // Model families, for IDs not listed above
+  'claude-opus-*':         { input: 15.0, output: 75.0, cacheRead: 1.50, cacheWrite: 18.75 },
+  'claude-sonnet-*':       { input: 3.0,  output: 15.0, cacheRead: 0.30, cacheWrite: 3.75 },
+  'claude-haiku-*':        { input: 0.80, output: 4.0, cacheRead: 0.08, cacheWrite: 1.0 },
+  // Claude 3.x IDs put the version before the family name
+  'claude-3-opus-*':       { input: 15.0, output: 75.0, cacheRead: 1.50, cacheWrite: 18.75 },
+  'claude-3-5-haiku-*':    { input: 0.80, output: 4.0, cacheRead: 0.08, cacheWrite: 1.0 },
+  'claude-3-haiku-*':      { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.30 },
   // Fallback for unknown models
   default:                 { input: 3.0,  output: 15.0, cacheRead: 0.30, cacheWrite: 3.75 },
 };
 
+// User pricing from pricing.json: { entries, default, fingerprint }, where each
+// entry is { match, input, output, cacheRead, cacheWrite, from, until }
+let userPricing = { entries: [], default: null, fingerprint: '' };
+
+/**
+ * Install user pricing (pricing.loadPricing, or workerData in scan workers).
+ */
+export function setUserPricing(pricing) {
+  userPricing = {
+    entries: pricing?.entries || [],
+    default: pricing?.default || null,
+    fingerprint: pricing?.fingerprint || '',
+  };
+}
+
+export function getUserPricing() {
+  return userPricing;
+}
+
 /**
- * Estimate cost in USD from token counts and model.
+ * Check a model ID against a pricing key: an exact ID, or a pattern with `*`.
  */
-export function estimateCost(tokenUsage, model) {
-  const pricing = MODEL_PRICING[model] || MODEL_PRICING.default;
+export function matchModel(pattern, model) {
+  if (!pattern.includes('*')) return pattern === model;
+  const re = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+  return re.test(model);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Exact IDs beat patterns; among patterns, the one with more literal characters
+// wins, so 'claude-opus-4-5*' overrides 'claude-opus-*'. Ties go to the first.
+function mostSpecific(candidates, model) {
+  let best = null;
+  let bestScore = -1;
+  for (const c of candidates) {
+    if (!matchModel(c.match, model)) continue;
+    const score = c.match.includes('*') ? c.match.replace(/\*/g, '').length : Infinity;
+    if (score > bestScore) {
+      best = c;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rates for a model at a point in time (ISO timestamp, default now): the most
+ * specific user entry in effect then, else the built-in exact ID, else the
+ * user default, else the built-in family, else MODEL_PRICING.default. A user
+ * default thus reprices every model the built-in table only knows by family.
+ */
+export function resolvePricing(model, timestamp = null) {
+  const parsed = timestamp ? Date.parse(timestamp) : NaN;
+  const at = Number.isNaN(parsed) ? Date.now() : parsed;
+  const inEffect = userPricing.entries.filter(e =>
+    (e.from == null || at >= e.from) && (e.until == null || at < e.until));
+  const user = mostSpecific(inEffect, model);
+  if (user) return user;
+  if (model !== 'default' && Object.hasOwn(MODEL_PRICING, model)) return MODEL_PRICING[model];
+  const families = Object.entries(MODEL_PRICING)
+    .filter(([key]) => key.includes('*'))
+    .map(([match, rates]) => ({ match, ...rates }));
+  return userPricing.default || (model && mostSpecific(families, model)) || MODEL_PRICING.default;
+}
+
+/**
+ * Estimate cost in USD from token counts and model, at the rates in effect
+ * at `timestamp` (ISO string; default now).
+ */
+export function estimateCost(tokenUsage, model, timestamp = null) {
+  const pricing = resolvePricing(model, timestamp);
   const perM = 1_000_000;
   const inputCost = ((tokenUsage.input || 0) / perM) * pricing.input;
   const outputCost = ((tokenUsage.output || 0) / perM) * pricing.output;
@@ -273,3 +421,13 @@ export function estimateCost(tokenUsage, model) {
   const cacheWriteCost = ((tokenUsage.cacheWrite || 0) / perM) * pricing.cacheWrite;
   return inputCost + outputCost + cacheReadCost + cacheWriteCost;
 }
+
+/**
+ * Estimated cost of a scanned session: the sum of its per-message costs,
+ * sub-agents included (scanner summary.estimatedCost). Summaries without it
+ * are priced whole at their first model.
+ */
+export function sessionCost(session) {
+  if (session.estimatedCost != null) return session.estimatedCost;
+  return estimateCost(session.tokenUsage, session.models?.[0] || 'default');
+}
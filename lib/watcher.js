@@ -0,0 +1,188 @@
+/**
+ * csesh — Claude Code session manager
+ * Copyright (c) 2025-2026 Arthur Pacaud (@ArthurPcd)
+ * Licensed under Apache-2.0
+ * https://github.com/ArthurPcd/csesh
+ */
+
+/**
+ * Filesystem watcher for session files under PROJECTS_DIR.
+ * Recursive fs.watch is not available on Linux before Node 20, so the
+ * projects dir, every project dir and every session's companion directory
+ * (for its subagents/ transcripts) get their own non-recursive watcher.
+ * watchFiles() watches single files, such as the stores other csesh
+ * processes write.
+ */
+
+import { watch, statSync, readdirSync } from 'fs';
+import { join, dirname, basename, sep } from 'path';
+import { PROJECTS_DIR } from './utils.js';
+import { listProjects } from './scanner.js';
+
+/**
+ * Watch session files and call onChange(paths) with the paths that changed,
+ * batched over `debounceMs`. Paths are .jsonl session files, sub-agent
+ * transcripts (<session>/subagents/*.jsonl), or project directories that
+ * appeared or disappeared (the caller rescans those whole).
+ * Returns { active, close() }; active is false if PROJECTS_DIR can't be watched.
+ */
+export async function watchSessions(onChange, { debounceMs = 300 } = {}) {
+  const watchers = new Map();
+  const batch = batcher(onChange, debounceMs);
+  const schedule = batch.add;
+
+  const watchDir = (dir, listener) => {
+    if (watchers.has(dir)) return true;
+    try {
+      const w = watch(dir, { persistent: false }, listener);
+      w.on('error', () => unwatchDir(dir));
+      watchers.set(dir, w);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // dir and every directory watched under it
+  const unwatchDir = (dir) => {
+    for (const [d, w] of watchers) {
+      if (d !== dir && !d.startsWith(dir + sep)) continue;
+      w.close();
+      watchers.delete(d);
+    }
+  };
+
+  const watchSubAgents = (dir) => watchDir(dir, (event, name) => {
+    if (name?.endsWith('.jsonl')) schedule(join(dir, name));
+  });
+
+  // A companion directory is watched until its subagents/ directory
+  // appears, then that one is
+  const watchCompanion = (dir) => {
+    const subagents = join(dir, 'subagents');
+    if (isDirectory(subagents)) {
+      watchSubAgents(subagents);
+      return;
+    }
+    watchDir(dir, (event, name) => {
+      if (name !== 'subagents' || !isDirectory(subagents)) return;
+      unwatchDir(dir);
+      watchSubAgents(subagents);
+      // Transcripts written before the watcher was set
+      for (const f of entries(subagents)) if (f.name.endsWith('.jsonl')) schedule(join(subagents, f.name));
+    });
+  };
+
+  const watchProject = (dir) => {
+    const watched = watchDir(dir, (event, name) => {
+      if (!name) schedule(dir);
+      else if (name.endsWith('.jsonl')) schedule(join(dir, name));
+      else if (isDirectory(join(dir, name))) watchCompanion(join(dir, name));
+      else unwatchDir(join(dir, name));
+    });
+    if (watched) for (const e of entries(dir)) if (e.isDirectory()) watchCompanion(join(dir, e.name));
+    return watched;
+  };
+
+  const active = watchDir(PROJECTS_DIR, (event, name) => {
+    if (!name) return;
+    const dir = join(PROJECTS_DIR, name);
+    if (isDirectory(dir)) watchProject(dir);
+    else unwatchDir(dir);
+    schedule(dir);
+  });
+
+  if (active) {
+    for (const project of await listProjects()) watchProject(project.dir);
+  }
+
+  return {
+    active,
+    close() {
+      batch.close();
+      for (const w of watchers.values()) w.close();
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * Watch files and call onChange(paths) with those that changed, batched
+ * like watchSessions(). Each file's directory is watched rather than the file
+ * itself, so files replaced by an atomic rename (lock.writeAtomic) or created
+ * later are still seen. Returns { active, close() }; active is false if a
+ * directory can't be watched.
+ */
+export function watchFiles(files, onChange, { debounceMs = 300 } = {}) {
+  const batch = batcher(onChange, debounceMs);
+  const byDir = new Map();
+  for (const file of files) {
+    if (!byDir.has(dirname(file))) byDir.set(dirname(file), new Set());
+    byDir.get(dirname(file)).add(basename(file));
+  }
+
+  const watchers = [];
+  let active = true;
+  for (const [dir, names] of byDir) {
+    try {
+      const w = watch(dir, { persistent: false }, (event, name) => {
+        if (name && names.has(name)) batch.add(join(dir, name));
+      });
+      w.on('error', () => w.close());
+      watchers.push(w);
+    } catch {
+      active = false;
+    }
+  }
+
+  return {
+    active,
+    close() {
+      batch.close();
+      for (const w of watchers) w.close();
+    },
+  };
+}
+
+// Collect paths and hand them to onChange once per window. The window is
+// fixed rather than sliding, so a file that is written continuously still
+// produces an update every debounceMs.
+function batcher(onChange, debounceMs) {
+  const pending = new Set();
+  let timer = null;
+  let closed = false;
+  return {
+    add(p) {
+      if (closed) return;
+      pending.add(p);
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          const paths = [...pending];
+          pending.clear();
+          onChange(paths);
+        }, debounceMs);
+      }
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+function entries(dir) {
+  try {
+    return readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+function isDirectory(p) {
+  try {
+    return statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Tests for session archiving: gzip round trip, manifest summaries and
+ * reading archived sessions in place.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, appendFile, mkdir, rm, stat } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as utils from '../lib/utils.js';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { archiveSession, unarchiveSession, listArchive, loadArchivedSessions } from '../lib/archive.js';
+import { readMessages, searchMessages } from '../lib/scanner.js';
+import { trashSession } from '../lib/cleanup.js';
+import { filterSessions } from '../lib/search.js';
+import { undo } from '../lib/undo.js';
+
+const ID = 'cccccccc-0000-4000-8000-000000000001';
+
+function record(type, i, text) {
+  return JSON.stringify({
+    type,
+    uuid: `${type}-${i}`,
+    parentUuid: i === 0 && type === 'user' ? null : type === 'user' ? `assistant-${i - 1}` : `user-${i}`,
+    sessionId: ID,
+    timestamp: `2026-01-01T10:0${i}:00Z`,
+    message: type === 'user'
+      ? { role: 'user', content: text }
+      : { role: 'assistant', model: 'claude-sonnet-4-5', content: [{ type: 'text', text }], usage: { input_tokens: 10, output_tokens: 5 } },
+  });
+}
+
+describe('Archive', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+  let filePath;
+  let content;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-archive-'));
+    setClaudeDir(tmpDir);
+    const dir = join(utils.PROJECTS_DIR, '-dev-app');
+    await mkdir(join(dir, ID, 'subagents'), { recursive: true });
+    filePath = join(dir, `${ID}.jsonl`);
+    content = [
+      record('user', 0, 'rename the gizmo module'),
+      record('assistant', 0, 'renamed gizmo to widget'),
+      record('user', 1, 'now add tests'),
+      record('assistant', 1, 'tests added'),
+    ].join('\n') + '\n';
+    await writeFile(filePath, content);
+    await writeFile(join(dir, ID, 'subagents', 'agent-a1.jsonl'), record('user', 0, 'sub-agent prompt') + '\n');
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should gzip the session and its companion directory out of projects', async () => {
+    const result = await archiveSession({ id: ID, filePath, slug: '-dev-app' });
+    assert.ok(result.archivedSizeBytes > 0);
+    assert.equal(result.fileSizeBytes, content.length + record('user', 0, 'sub-agent prompt').length + 1);
+    await assert.rejects(stat(filePath), { code: 'ENOENT' });
+    await assert.rejects(stat(join(utils.PROJECTS_DIR, '-dev-app', ID)), { code: 'ENOENT' });
+    assert.ok((await stat(join(utils.ARCHIVE_DIR, '-dev-app', `${ID}.jsonl.gz`))).isFile());
+
+    const [item] = await listArchive();
+    assert.equal(item.id, ID);
+    assert.equal(item.originalPath, join('-dev-app', `${ID}.jsonl`));
+    assert.equal(item.summary.title, 'rename the gizmo module');
+    assert.equal(item.summary.analyzed, true);
+  });
+
+  it('should load archived summaries flagged and pointing at the .gz files', async () => {
+    const [session] = await loadArchivedSessions();
+    assert.equal(session.id, ID);
+    assert.equal(session.archived, true);
+    assert.ok(session.archivedAt);
+    assert.ok(session.filePath.endsWith(`${ID}.jsonl.gz`));
+    assert.equal(session.subAgents.length, 1);
+    assert.equal(session.subAgents[0].filePath, join(utils.ARCHIVE_DIR, '-dev-app', ID, 'subagents', 'agent-a1.jsonl.gz'));
+  });
+
+  it('should read and search archived conversations directly', async () => {
+    const [session] = await loadArchivedSessions();
+    const { total, messages } = await readMessages(session.filePath);
+    assert.equal(total, 4);
+    assert.equal(messages[1].content, 'renamed gizmo to widget');
+    const { hitCount } = await searchMessages(session.filePath, 'gizmo');
+    assert.equal(hitCount, 2);
+    const sub = await readMessages(session.subAgents[0].filePath);
+    assert.equal(sub.messages[0].content, 'sub-agent prompt');
+  });
+
+  it('should filter on archive state and refuse to trash archived sessions', async () => {
+    const [session] = await loadArchivedSessions();
+    const live = { id: 'live', slug: 'x', shortProject: 'x', project: '/x' };
+    assert.deepEqual(filterSessions([session, live], { archived: true }).sessions.map(s => s.id), [ID]);
+    assert.deepEqual(filterSessions([session, live], { archived: false }).sessions.map(s => s.id), ['live']);
+    await assert.rejects(trashSession(session), { code: 'EARCHIVED' });
+    await assert.rejects(archiveSession(session), /already archived/);
+  });
+
+  it('should unarchive back to the original files', async () => {
+    const result = await unarchiveSession(ID.slice(0, 8));
+    assert.equal(result.restoredTo, filePath);
+    assert.equal(await readFile(filePath, 'utf-8'), content);
+    const agent = await readFile(join(utils.PROJECTS_DIR, '-dev-app', ID, 'subagents', 'agent-a1.jsonl'), 'utf-8');
+    assert.match(agent, /sub-agent prompt/);
+    assert.deepEqual(await listArchive(), []);
+    await assert.rejects(stat(join(utils.ARCHIVE_DIR, '-dev-app', `${ID}.jsonl.gz`)), { code: 'ENOENT' });
+    await assert.rejects(unarchiveSession(ID), /not found in archive/);
+  });
+
+  it('should refuse to unarchive over an existing file', async () => {
+    await archiveSession({ id: ID, filePath, slug: '-dev-app' });
+    await writeFile(filePath, 'new\n');
+    await assert.rejects(unarchiveSession(ID), { code: 'EEXIST' });
+    assert.equal((await listArchive()).length, 1);
+  });
+
+  it('should undo an unarchive, then the archive', async () => {
+    await writeFile(filePath, content);
+    await rm(filePath);
+    await unarchiveSession(ID);
+    const [reArchived] = await undo();
+    assert.match(reArchived.description, /^unarchive cccccccc/);
+    assert.deepEqual(reArchived.failed, []);
+    await assert.rejects(stat(filePath), { code: 'ENOENT' });
+    assert.equal((await listArchive()).length, 1);
+
+    const [unarchived] = await undo();
+    assert.match(unarchived.description, /^archive cccccccc/);
+    assert.equal(await readFile(filePath, 'utf-8'), content);
+    assert.deepEqual(await listArchive(), []);
+  });
+
+  it('should keep every item when sessions are archived at once', async () => {
+    const dir = join(utils.PROJECTS_DIR, '-dev-app');
+    const sessions = [];
+    for (let i = 2; i <= 5; i++) {
+      const id = `cccccccc-0000-4000-8000-00000000000${i}`;
+      await writeFile(join(dir, `${id}.jsonl`), content.replaceAll(ID, id));
+      sessions.push({ id, filePath: join(dir, `${id}.jsonl`), slug: '-dev-app' });
+    }
+    await Promise.all(sessions.map(s => archiveSession(s)));
+    assert.deepEqual((await listArchive()).map(i => i.id).sort(), sessions.map(s => s.id));
+  });
+
+  it('should refuse an id prefix that matches several archived sessions', async () => {
+    await assert.rejects(unarchiveSession('cccccccc'), { code: 'EAMBIGUOUS' });
+    assert.equal((await listArchive()).length, 4);
+  });
+
+  it('should leave a session written to while it was packed in place', async () => {
+    const id = 'dddddddd-0000-4000-8000-000000000001';
+    const path = join(utils.PROJECTS_DIR, '-dev-app', `${id}.jsonl`);
+    // Incompressible, so packing takes long enough to write in between
+    const lines = [];
+    for (let i = 0; i < 4000; i++) lines.push(record('user', 0, randomBytes(1024).toString('base64')));
+    await writeFile(path, lines.join('\n') + '\n');
+    const gz = join(utils.ARCHIVE_DIR, '-dev-app', `${id}.jsonl.gz`);
+
+    const archiving = archiveSession({ id, filePath: path, slug: '-dev-app' });
+    const settled = archiving.then(() => null, err => err);
+    let packing = false;
+    while (!packing) {
+      packing = await stat(gz).then(() => true, () => false);
+      if (!packing) await new Promise(r => setTimeout(r, 1));
+    }
+    await appendFile(path, record('assistant', 1, 'written meanwhile') + '\n');
+
+    const err = await settled;
+    assert.equal(err?.code, 'ESTALE');
+    assert.match(await readFile(path, 'utf-8'), /written meanwhile/);
+    assert.ok(!(await listArchive()).some(i => i.id === id));
+    await assert.rejects(stat(gz), { code: 'ENOENT' });
+  });
+});
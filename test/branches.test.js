@@ -0,0 +1,93 @@
+/**
+ * Tests for conversation tree reconstruction.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversationTree, addTreeRecord, resolveBranches } from '../lib/branches.js';
+
+function rec(type, uuid, parentUuid, text = '', extra = {}) {
+  return {
+    type, uuid, parentUuid, timestamp: `2026-03-01T10:00:0${uuid.length % 10}Z`,
+    message: { role: type, content: text },
+    ...extra,
+  };
+}
+
+function branchesOf(records) {
+  const tree = createConversationTree();
+  for (const r of records) addTreeRecord(tree, r);
+  return resolveBranches(tree);
+}
+
+describe('resolveBranches', () => {
+  it('should return a single main branch for a linear conversation', () => {
+    const branches = branchesOf([
+      rec('user', 'u1', null, 'Hello'),
+      rec('assistant', 'a1', 'u1'),
+      rec('user', 'u2', 'a1', 'More'),
+    ]);
+    assert.equal(branches.length, 1);
+    assert.deepEqual(branches[0].path, ['u1', 'a1', 'u2']);
+    assert.equal(branches[0].forkUuid, null);
+  });
+
+  it('should make the last written message the main branch', () => {
+    const branches = branchesOf([
+      rec('user', 'u1', null, 'Hello'),
+      rec('assistant', 'a1', 'u1'),
+      rec('user', 'u2', 'a1', 'First attempt'),
+      rec('assistant', 'a2', 'u2'),
+      // Edited u2: a new child of a1
+      rec('user', 'u3', 'a1', 'Second attempt'),
+      rec('assistant', 'a3', 'u3'),
+    ]);
+    assert.equal(branches.length, 2);
+    assert.deepEqual(branches[0].path, ['u1', 'a1', 'u3', 'a3']);
+    assert.deepEqual(branches[1].path, ['u1', 'a1', 'u2', 'a2']);
+    assert.equal(branches[1].forkUuid, 'a1');
+    assert.equal(branches[1].forkIndex, 2);
+    assert.equal(branches[1].preview, 'First attempt');
+  });
+
+  it('should follow links through non-message records', () => {
+    const branches = branchesOf([
+      rec('user', 'u1', null, 'Hello'),
+      { type: 'progress', uuid: 'p1', parentUuid: 'u1' },
+      rec('assistant', 'a1', 'p1'),
+      { type: 'system', uuid: 's1', parentUuid: 'a1' },
+      rec('user', 'u2', 's1', 'Next'),
+    ]);
+    assert.equal(branches.length, 1);
+    assert.deepEqual(branches[0].path, ['u1', 'a1', 'u2']);
+  });
+
+  it('should keep a compacted conversation on one branch', () => {
+    const branches = branchesOf([
+      rec('user', 'u1', null, 'Hello'),
+      rec('assistant', 'a1', 'u1'),
+      { type: 'system', subtype: 'compact_boundary', uuid: 'c1', parentUuid: null, logicalParentUuid: 'a1' },
+      rec('user', 'u2', 'c1', 'Continue'),
+    ]);
+    assert.equal(branches.length, 1);
+    assert.deepEqual(branches[0].path, ['u1', 'a1', 'u2']);
+  });
+
+  it('should ignore sidechain records and records without uuids', () => {
+    const branches = branchesOf([
+      rec('user', 'u1', null, 'Hello'),
+      rec('user', 'x1', 'u1', 'Sub-agent prompt', { isSidechain: true }),
+      rec('assistant', 'a1', 'u1'),
+      { type: 'summary', summary: 'Greeting', leafUuid: 'a1' },
+    ]);
+    assert.equal(branches.length, 1);
+    assert.deepEqual(branches[0].path, ['u1', 'a1']);
+  });
+
+  it('should return no branches when records carry no links', () => {
+    assert.deepEqual(branchesOf([
+      { type: 'user', message: { content: 'Hi' } },
+      { type: 'assistant', uuid: 'a1', message: { content: 'Hello' } },
+    ]), []);
+  });
+});
@@ -2,7 +2,7 @@
  * Tests for the 4-tier classification engine.
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   classify,
@@ -15,7 +15,10 @@ import {
   TIER_KEEP,
   TIER_LABELS,
   TIER_COLORS,
+  setClassificationRules,
+  explainClassification,
 } from '../lib/classifier.js';
+import { validateRules } from '../lib/rules.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
@@ -434,3 +437,89 @@ describe('Edge cases', () => {
     assert.equal(s.tier, TIER_AUTO_DELETE);
   });
 });
+
+// ── User rules ───────────────────────────────────────────────────────
+
+describe('User rules', () => {
+  afterEach(() => setClassificationRules([]));
+
+  function install(classify) {
+    const result = validateRules({ classify });
+    assert.deepEqual(result.errors, []);
+    setClassificationRules(result.rules);
+  }
+
+  it('should apply the first matching rule before the built-in tiers', () => {
+    install([
+      { name: 'scratch', when: { project: '*/scratch*' }, tier: 'auto-delete', reason: 'scratch project' },
+      { name: 'big', when: { size: { gt: '5KB' } }, tier: 4 },
+    ]);
+    const s = classify(makeSession({ project: '/dev/scratch-pad', durationMs: 600_000 }));
+    assert.equal(s.tier, TIER_AUTO_DELETE);
+    assert.equal(s.tierRule, 'scratch');
+    assert.deepEqual(s.junkReasons, ['scratch project']);
+
+    const other = classify(makeSession({ project: '/dev/app', durationMs: 10_000 }));
+    assert.equal(other.tier, TIER_KEEP);
+    assert.equal(other.tierRule, 'big');
+    assert.deepEqual(other.junkReasons, ['rule "big"']);
+  });
+
+  it('should fall back to the built-in tiers when no rule matches', () => {
+    install([{ name: 'never', when: { category: 'nope' }, tier: 1 }]);
+    const s = classify(makeSession({ durationMs: 600_000 }));
+    assert.equal(s.tier, TIER_KEEP);
+    assert.equal(s.tierRule, null);
+  });
+
+  it('should match tags, titles, tool counts and field paths', () => {
+    install([
+      { name: 'tagged', when: { tag: 'important', 'tool.Bash': { gte: 2 } }, tier: 4 },
+      { name: 'wip', when: { title: '^wip\\b', 'tool.Read': { lt: 1 }, 'tokenUsage.input': { gte: 1000 } }, tier: 2 },
+    ]);
+    assert.equal(classify(makeSession({ tags: ['important'], toolUsage: { Bash: 3 } })).tierRule, 'tagged');
+    assert.equal(classify(makeSession({ tags: ['important'], toolUsage: { Bash: 1 } })).tierRule, null);
+    assert.equal(classify(makeSession({ title: 'WIP: parser', toolUsage: {} })).tierRule, 'wip');
+    assert.equal(classify(makeSession({ title: 'WIP: parser', toolUsage: { Read: 1 } })).tierRule, null);
+  });
+
+  it('should match nested tags under a tag condition', () => {
+    install([
+      { name: 'billing', when: { tag: 'svc/billing' }, tier: 4 },
+      { name: 'not-svc', when: { tag: { ne: 'svc' }, title: '^keep' }, tier: 4 },
+      { name: 'svc', when: { tag: ['svc', 'infra'] }, tier: 2 },
+    ]);
+    assert.equal(classify(makeSession({ tags: ['svc/billing/invoices'] })).tierRule, 'billing');
+    assert.equal(classify(makeSession({ autoTags: ['svc/auth'] })).tierRule, 'svc');
+    assert.equal(classify(makeSession({ tags: ['svc-old'], title: 'keep me' })).tierRule, 'not-svc');
+    assert.equal(classify(makeSession({ tags: ['svc/auth'], title: 'keep me' })).tierRule, 'svc');
+  });
+
+  it('should still let a manual override win', () => {
+    install([{ name: 'all', when: { messages: { gte: 0 } }, tier: 1 }]);
+    const s = classify(makeSession({ tierOverride: TIER_KEEP }));
+    assert.equal(s.tier, TIER_KEEP);
+    assert.equal(s.autoTier, TIER_AUTO_DELETE);
+  });
+
+  it('should explain which rule fired and why the others did not', () => {
+    install([
+      { name: 'long', when: { duration: { gt: '1h' } }, tier: 4 },
+      { name: 'python', when: { language: ['python', 'rust'], messages: { lte: 4 } }, tier: 2 },
+    ]);
+    const explained = explainClassification(classify(makeSession({ language: 'python' })));
+    assert.equal(explained.rule, 'python');
+    assert.equal(explained.tier, TIER_SUGGESTED);
+    assert.equal(explained.rules[0].matched, false);
+    assert.equal(explained.rules[0].conditions[0].actual, 180_000);
+    assert.deepEqual(explained.rules[1].conditions.map(c => c.ok), [true, true]);
+    assert.equal(explained.builtIn.tier, TIER_REVIEW);
+  });
+
+  it('should name the built-in check that keeps a session', () => {
+    const explained = explainClassification(classify(makeSession({ totalToolCalls: 5 })));
+    assert.equal(explained.rule, null);
+    assert.equal(explained.tier, TIER_KEEP);
+    assert.deepEqual(explained.builtIn.reasons, ['3+ tool calls']);
+  });
+});
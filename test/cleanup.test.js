@@ -8,9 +8,12 @@
 
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtemp, writeFile, readFile, mkdir, rm, stat } from 'fs/promises';
-import { join } from 'path';
+import { mkdtemp, writeFile, readFile, mkdir, rm, stat, readdir } from 'fs/promises';
+import { join, dirname, basename } from 'path';
 import { tmpdir } from 'os';
+import { CLAUDE_DIR, PROJECTS_DIR, TRASH_DIR, TRASH_MANIFEST, setClaudeDir } from '../lib/utils.js';
+import * as cleanup from '../lib/cleanup.js';
+import { setProtected, addProtectRule, removeProtectRule, addTag, mergeMetadata } from '../lib/metadata.js';
 
 // We cannot easily swap the constants in the cleanup module since it imports
 // from utils.js. Instead, we test the logic by recreating the core functions
@@ -373,3 +376,232 @@ describe('Cleanup — manifest edge cases', () => {
     assert.equal(data.items.length, 1);
   });
 });
+
+// ── Protected sessions (real cleanup and metadata modules) ───────────
+
+describe('Cleanup — protected sessions', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  async function makeSession(id, slug = 'proj-a') {
+    const dir = join(PROJECTS_DIR, slug);
+    await mkdir(dir, { recursive: true });
+    const filePath = join(dir, `${id}.jsonl`);
+    await writeFile(filePath, '{"type":"user"}\n');
+    return { id, filePath, slug, shortProject: slug, project: `/dev/${slug}`, fileSizeBytes: 16, title: id };
+  }
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-protect-'));
+    setClaudeDir(tmpDir);
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should refuse to trash a protected session with EPROTECTED', async () => {
+    const session = await makeSession('aaaaaaaa-0001');
+    await setProtected(session.id, true);
+    await assert.rejects(cleanup.trashSession(session), err => err.code === 'EPROTECTED' && err.reason === 'protected');
+    assert.ok((await stat(session.filePath)).isFile());
+
+    await setProtected(session.id, false);
+    await cleanup.trashSession(session);
+    await assert.rejects(stat(session.filePath), { code: 'ENOENT' });
+  });
+
+  it('should protect by project and by tag', async () => {
+    const inProject = await makeSession('aaaaaaaa-0002', 'keep-me');
+    const tagged = await makeSession('aaaaaaaa-0003');
+    await addProtectRule('project', 'keep-me');
+    await addTag(tagged.id, 'Precious');
+    await addProtectRule('tag', 'precious');
+
+    await assert.rejects(cleanup.trashSession(inProject), err => err.reason === 'project "keep-me" is protected');
+    await assert.rejects(cleanup.trashSession(tagged), err => err.reason === 'tag #precious is protected');
+
+    await mergeMetadata([inProject, tagged]);
+    assert.equal(inProject.protected, true);
+    assert.equal(tagged.protectedReason, 'tag #precious is protected');
+
+    assert.equal(await removeProtectRule('tag', 'precious'), true);
+    assert.equal(await removeProtectRule('tag', 'precious'), false);
+    await cleanup.trashSession(tagged);
+  });
+
+  it('should protect tags nested under a protected tag', async () => {
+    const nested = await makeSession('aaaaaaaa-0007');
+    const lookalike = await makeSession('aaaaaaaa-0008');
+    await addTag(nested.id, 'client/acme');
+    await addTag(lookalike.id, 'clientele');
+    await addProtectRule('tag', 'client');
+
+    await assert.rejects(cleanup.trashSession(nested), err => err.reason === 'tag #client is protected');
+    await cleanup.trashSession(lookalike);
+    assert.equal(await removeProtectRule('tag', 'client'), true);
+  });
+
+  it('should not permanently delete sessions protected after trashing', async () => {
+    const session = await makeSession('aaaaaaaa-0004', 'later');
+    await cleanup.trashSession(session);
+    await addProtectRule('project', 'later');
+
+    await assert.rejects(cleanup.deleteFromTrash(session.id), { code: 'EPROTECTED' });
+    const result = await cleanup.emptyTrash(0);
+    assert.equal(result.protected, 1);
+    assert.ok((await cleanup.listTrash()).some(i => i.id === session.id));
+  });
+});
+
+// ── Trash item directories and checksums (real cleanup module) ───────
+
+describe('Cleanup — trash items', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  async function makeSession(id, slug, body = '{"type":"user"}\n') {
+    const dir = join(PROJECTS_DIR, slug);
+    await mkdir(dir, { recursive: true });
+    const filePath = join(dir, `${id}.jsonl`);
+    await writeFile(filePath, body);
+    return { id, filePath, slug, shortProject: slug, project: `/dev/${slug}`, fileSizeBytes: body.length, title: id };
+  }
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-trash-items-'));
+    setClaudeDir(tmpDir);
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep same-named files from different projects apart', async () => {
+    const a = await makeSession('dddddddd-0001', 'proj-a', '{"from":"a"}\n');
+    const b = await makeSession('dddddddd-0001', 'proj-b', '{"from":"b"}\n');
+    const ta = await cleanup.trashSession(a);
+    const tb = await cleanup.trashSession(b);
+    assert.notEqual(ta.trashPath, tb.trashPath);
+    assert.equal(await readFile(ta.trashPath, 'utf-8'), '{"from":"a"}\n');
+    assert.equal(await readFile(tb.trashPath, 'utf-8'), '{"from":"b"}\n');
+
+    const items = (await cleanup.listTrash()).filter(i => i.id === a.id);
+    assert.equal(items.length, 2);
+    assert.match(items[0].sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it('should remove the item directory on restore and allow trashing again', async () => {
+    const s = await makeSession('dddddddd-0002', 'proj-a');
+    await mkdir(s.filePath.replace('.jsonl', ''));
+    const first = await cleanup.trashSession(s);
+    await cleanup.restoreSession(s.id);
+    assert.ok((await stat(s.filePath.replace('.jsonl', ''))).isDirectory());
+    await assert.rejects(stat(dirname(first.trashPath)), { code: 'ENOENT' });
+
+    await new Promise(r => setTimeout(r, 2));
+    const second = await cleanup.trashSession(s);
+    assert.notEqual(dirname(second.trashPath), dirname(first.trashPath));
+    await cleanup.deleteFromTrash(s.id);
+    await assert.rejects(stat(dirname(second.trashPath)), { code: 'ENOENT' });
+  });
+
+  it('should refuse to restore a file that no longer matches its checksum', async () => {
+    const s = await makeSession('dddddddd-0003', 'proj-c', '{"v":1}\n');
+    const { trashPath } = await cleanup.trashSession(s);
+    await writeFile(trashPath, '{"v":2}\n');
+
+    await assert.rejects(cleanup.restoreSession(s.id), { code: 'ECHECKSUM' });
+    assert.ok((await cleanup.listTrash()).some(i => i.id === s.id));
+    await cleanup.restoreSession(s.id, { force: true });
+    assert.equal(await readFile(s.filePath, 'utf-8'), '{"v":2}\n');
+  });
+
+  it('should not overwrite a file written at the original path since', async () => {
+    const s = await makeSession('dddddddd-0006', 'proj-e', '{"v":"old"}\n');
+    await cleanup.trashSession(s);
+    await writeFile(s.filePath, '{"v":"new"}\n');
+
+    await assert.rejects(cleanup.restoreSession(s.id), { code: 'EEXIST' });
+    assert.equal(await readFile(s.filePath, 'utf-8'), '{"v":"new"}\n');
+    assert.ok((await cleanup.listTrash()).some(i => i.id === s.id));
+
+    await cleanup.restoreSession(s.id, { force: true });
+    assert.equal(await readFile(s.filePath, 'utf-8'), '{"v":"old"}\n');
+  });
+
+  it('should ask which item to restore when an id is in the trash twice', async () => {
+    const a = await makeSession('dddddddd-0007', 'proj-a', '{"from":"a"}\n');
+    const b = await makeSession('dddddddd-0007', 'proj-b', '{"from":"b"}\n');
+    await cleanup.trashSession(a);
+    const tb = await cleanup.trashSession(b);
+
+    await assert.rejects(cleanup.restoreSession(a.id), err => err.code === 'EAMBIGUOUS' && err.items.length === 2);
+    const item = (await cleanup.listTrash()).find(i => i.trashPath === tb.trashPath);
+    assert.equal(cleanup.trashItemKey(item), basename(dirname(tb.trashPath)));
+    assert.equal((await cleanup.restoreSession(cleanup.trashItemKey(item))).restoredTo, b.filePath);
+    assert.equal(await readFile(b.filePath, 'utf-8'), '{"from":"b"}\n');
+    await cleanup.deleteFromTrash(a.id);
+  });
+
+  it('should leave no item directory behind when trashing fails', async () => {
+    const s = await makeSession('dddddddd-0008', 'proj-f');
+    await rm(s.filePath);
+    const before = await readdir(TRASH_DIR);
+
+    await assert.rejects(cleanup.trashSession(s), { code: 'ENOENT' });
+    assert.deepEqual(await readdir(TRASH_DIR), before);
+  });
+
+  it('should put the session back when the manifest cannot be written', async () => {
+    const s = await makeSession('dddddddd-0009', 'proj-f', '{"keep":true}\n');
+    await mkdir(s.filePath.replace('.jsonl', ''));
+    const saved = await readFile(TRASH_MANIFEST, 'utf-8');
+    const before = await readdir(TRASH_DIR);
+    // A directory where the manifest should be makes its atomic rename fail
+    await rm(TRASH_MANIFEST);
+    await mkdir(TRASH_MANIFEST);
+    try {
+      await assert.rejects(cleanup.trashSession(s));
+    } finally {
+      await rm(TRASH_MANIFEST, { recursive: true });
+      await writeFile(TRASH_MANIFEST, saved);
+    }
+    assert.equal(await readFile(s.filePath, 'utf-8'), '{"keep":true}\n');
+    assert.ok((await stat(s.filePath.replace('.jsonl', ''))).isDirectory());
+    assert.deepEqual(await readdir(TRASH_DIR), before);
+  });
+
+  it('should drop purged items from the manifest even when a removal step fails', async () => {
+    const a = await makeSession('66666666-0001', 'purge');
+    const b = await makeSession('66666666-0002', 'purge');
+    await cleanup.trashSession(a);
+    await cleanup.trashSession(b);
+    const paths = (await cleanup.listTrash()).filter(i => i.project === 'purge').map(i => i.trashPath);
+
+    const seen = [];
+    await assert.rejects(cleanup.emptyTrash(0, {
+      onRemove: item => { seen.push(item.id); if (seen.length === 1) throw new Error('log failed'); },
+    }), /log failed/);
+    assert.ok(seen.includes(a.id) && seen.includes(b.id));
+    assert.ok(!(await cleanup.listTrash()).some(i => i.project === 'purge'));
+    for (const p of paths) await assert.rejects(stat(p), { code: 'ENOENT' });
+  });
+
+  it('should report missing and mismatched trash files', async () => {
+    const gone = await makeSession('dddddddd-0004', 'proj-d');
+    const changed = await makeSession('dddddddd-0005', 'proj-d');
+    const g = await cleanup.trashSession(gone);
+    const c = await cleanup.trashSession(changed);
+    await rm(g.trashPath);
+    await writeFile(c.trashPath, 'tampered\n');
+
+    const problems = await cleanup.verifyTrash();
+    assert.deepEqual(
+      problems.filter(p => p.id.startsWith('dddddddd-000')).map(p => [p.id, p.problem]).sort(),
+      [[gone.id, 'missing'], [changed.id, 'mismatch']],
+    );
+  });
+});
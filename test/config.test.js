@@ -0,0 +1,64 @@
+/**
+ * Tests for the config loader: the config follows the Claude directory in
+ * use, and a "claudeDir" redirect keeps the keys of the config that set it.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { getConfig, resolveClaudeDir } from '../lib/config.js';
+
+async function writeConfig(dir, config) {
+  const toolDir = join(dir, 'tools', 'csesh');
+  await mkdir(toolDir, { recursive: true });
+  await writeFile(join(toolDir, 'config.json'), JSON.stringify(config));
+}
+
+describe('getConfig', () => {
+  const originalDir = CLAUDE_DIR;
+  const originalEnv = process.env.CSESH_CLAUDE_DIR;
+  let tmpDir;
+  let home;
+  let target;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-config-'));
+    home = join(tmpDir, 'home');
+    target = join(tmpDir, 'target');
+    await writeConfig(home, { claudeDir: target, webPort: 4000, pageSize: 10 });
+    await writeConfig(target, { pageSize: 20 });
+    delete process.env.CSESH_CLAUDE_DIR;
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    if (originalEnv === undefined) delete process.env.CSESH_CLAUDE_DIR;
+    else process.env.CSESH_CLAUDE_DIR = originalEnv;
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should read the config of the directory set last', async () => {
+    setClaudeDir(target);
+    assert.equal((await getConfig()).pageSize, 20);
+    setClaudeDir(home);
+    assert.equal((await getConfig()).pageSize, 10);
+  });
+
+  it('should keep the keys of the config that named claudeDir, under the target config', async () => {
+    setClaudeDir(home);
+    assert.equal(await resolveClaudeDir(), target);
+    const config = await getConfig();
+    assert.equal(config.pageSize, 20);
+    assert.equal(config.webPort, 4000);
+    assert.equal(config.claudeDir, null);
+  });
+
+  it('should read only the target config when the flag sets the directory', async () => {
+    setClaudeDir(home);
+    await resolveClaudeDir(join(tmpDir, 'elsewhere'));
+    assert.equal((await getConfig()).webPort, 3456);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for the operation journal and undo: steps and groups, metadata,
+ * trash and rename undo, permanent operations and stale step ids.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, appendFile, mkdir, rm, stat } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as utils from '../lib/utils.js';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { group, record, listSteps, describeStep, readJournal, silently } from '../lib/journal.js';
+import { undo } from '../lib/undo.js';
+import { trashSession, restoreSession, listTrash, deleteFromTrash } from '../lib/cleanup.js';
+import { addTag, setTitle, toggleFavorite, addProtectRule, setProtected, getSessionMeta, getProtectRules, batchSetTag } from '../lib/metadata.js';
+import { renameSessionSlug } from '../lib/rename.js';
+
+describe('Journal', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  async function makeSession(id, lines = ['{"type":"user"}']) {
+    const dir = join(utils.PROJECTS_DIR, 'proj-a');
+    await mkdir(dir, { recursive: true });
+    const filePath = join(dir, `${id}.jsonl`);
+    await writeFile(filePath, lines.join('\n') + '\n');
+    return { id, filePath, slug: 'proj-a', shortProject: 'proj-a', fileSizeBytes: 16, title: `session ${id}` };
+  }
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-journal-'));
+    setClaudeDir(tmpDir);
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should record one step per change, and one per group', async () => {
+    await record('note', { id: 'aaaa' });
+    const step = await group('two notes', async s => {
+      await record('note', { id: 'bbbb' });
+      await record('note', { id: 'cccc' });
+      return s;
+    });
+    const [grouped, single] = await listSteps();
+    assert.equal(grouped.step, step);
+    assert.equal(grouped.entries.length, 2);
+    assert.equal(describeStep(grouped), 'two notes (2 changes)');
+    assert.equal(single.entries.length, 1);
+    assert.equal(describeStep(single), 'note on aaaa');
+  });
+
+  it('should undo metadata edits to their previous entries', async () => {
+    await setTitle('dddddddd-1', 'First');
+    await addTag('dddddddd-1', 'Keep');
+    await toggleFavorite('dddddddd-1');
+    await addProtectRule('tag', 'release');
+
+    const results = await undo({ count: 2 });
+    assert.deepEqual(results.map(r => r.description), ['protect tag release', 'favorite dddddddd']);
+    assert.deepEqual(results.flatMap(r => r.failed), []);
+    assert.deepEqual((await getProtectRules()).tags, []);
+    const meta = await getSessionMeta('dddddddd-1');
+    assert.ok(!meta.favorite);
+    assert.deepEqual(meta.tags, ['keep']);
+
+    await undo({ count: 2 });
+    assert.equal(await getSessionMeta('dddddddd-1'), null);
+  });
+
+  it('should undo a batch tag in one step', async () => {
+    await addTag('eeeeeeee-1', 'old');
+    await batchSetTag(['eeeeeeee-1', 'eeeeeeee-2'], 'batch');
+    const [result] = await undo();
+    assert.equal(result.undone.length, 1);
+    assert.deepEqual((await getSessionMeta('eeeeeeee-1')).tags, ['old']);
+    assert.equal(await getSessionMeta('eeeeeeee-2'), null);
+  });
+
+  it('should not journal what undo itself does', async () => {
+    const before = (await readJournal()).length;
+    await addTag('eeeeeeee-3', 'x');
+    await undo();
+    const entries = (await readJournal()).slice(before);
+    assert.deepEqual(entries.map(e => e.op), ['tag', 'undo']);
+  });
+
+  it('should restore a trashed group and re-trash a restore', async () => {
+    const a = await makeSession('ffffffff-0001');
+    const b = await makeSession('ffffffff-0002');
+    await group('cleanup', async () => {
+      await trashSession(a, 'cleanup-tier1');
+      await trashSession(b, 'cleanup-tier1');
+    });
+    const [result] = await undo();
+    assert.equal(result.description, 'cleanup (2 changes)');
+    assert.ok((await stat(a.filePath)).isFile());
+    assert.ok((await stat(b.filePath)).isFile());
+    assert.deepEqual(await listTrash(), []);
+
+    await trashSession(a, 'manual');
+    await restoreSession(a.id);
+    await undo();
+    await assert.rejects(stat(a.filePath), { code: 'ENOENT' });
+    const [item] = await listTrash();
+    assert.equal(item.id, a.id);
+    assert.equal(item.reason, 'manual');
+  });
+
+  it('should restore the item a trash step trashed when the id is in trash twice', async () => {
+    const a = await makeSession('ffffffff-0004');
+    const other = join(utils.PROJECTS_DIR, 'proj-b', 'ffffffff-0004.jsonl');
+    await mkdir(join(utils.PROJECTS_DIR, 'proj-b'), { recursive: true });
+    await writeFile(other, '{"type":"assistant"}\n');
+    await trashSession(a, 'manual');
+    await trashSession({ ...a, filePath: other, slug: 'proj-b', shortProject: 'proj-b' }, 'manual');
+
+    await undo();
+    assert.equal(await readFile(other, 'utf-8'), '{"type":"assistant"}\n');
+    await assert.rejects(stat(a.filePath), { code: 'ENOENT' });
+    await undo();
+    assert.ok((await stat(a.filePath)).isFile());
+    assert.ok(!(await listTrash()).some(i => i.id === a.id));
+  });
+
+  it('should pass over permanent steps', async () => {
+    const c = await makeSession('ffffffff-0003');
+    await addTag(c.id, 'before-delete');
+    await trashSession(c, 'manual');
+    await deleteFromTrash(c.id);
+
+    const [latest] = await listSteps();
+    assert.equal(latest.undoable, false);
+    const [result] = await undo();
+    // The delete cannot be undone, so the trash before it is next
+    assert.match(result.description, /^trash ffffffff/);
+    assert.match(result.failed[0].error, /not found in trash/);
+    const [, , tagStep] = await listSteps();
+    assert.equal(tagStep.undoable, true);
+  });
+
+  it('should not let a restore protected since block older steps', async () => {
+    const a = await makeSession('ffffffff-0007');
+    await addTag(a.id, 'older-step');
+    await trashSession(a, 'manual');
+    await restoreSession(a.id);
+    // Protected by an edit that is not journaled, so no undo lifts it first
+    await silently(() => setProtected(a.id, true));
+
+    const [result, older] = await undo({ count: 2 });
+    assert.equal(result.complete, true);
+    assert.match(result.failed[0].error, /protected/);
+    assert.ok((await stat(a.filePath)).isFile());
+    assert.match(older.description, /^trash ffffffff/);
+  });
+
+  it('should keep a partly undone step pending and retry only its failed entries', async () => {
+    const a = await makeSession('ffffffff-0005');
+    const b = await makeSession('ffffffff-0006');
+    await addTag(a.id, 'older-step');
+    await group('cleanup', async () => {
+      await trashSession(a, 'cleanup-tier1');
+      await trashSession(b, 'cleanup-tier1');
+    });
+    const trashed = (await listTrash()).find(i => i.id === b.id).trashPath;
+    const content = await readFile(trashed, 'utf-8');
+    await writeFile(trashed, 'tampered\n');
+
+    const [first, ...older] = await undo({ count: 2 });
+    assert.equal(first.complete, false);
+    assert.deepEqual(older, []);
+    assert.match(first.failed[0].error, /checksum/);
+    assert.ok((await stat(a.filePath)).isFile());
+    assert.deepEqual((await getSessionMeta(a.id)).tags, ['older-step']);
+    const [pending] = await listSteps();
+    assert.equal(pending.undoable, true);
+    assert.deepEqual(pending.undoneEntries, [0]);
+
+    await writeFile(trashed, content);
+    const [second] = await undo();
+    assert.equal(second.complete, true);
+    assert.deepEqual(second.undone, [`trash ffffffff "session ${b.id}"`]);
+    assert.ok((await stat(b.filePath)).isFile());
+    assert.equal((await listSteps())[0].undone !== null, true);
+    await undo();
+    assert.equal(await getSessionMeta(a.id), null);
+  });
+
+  it('should revert a rename in place and keep later lines', async () => {
+    const s = await makeSession('99999999-0001', [
+      JSON.stringify({ type: 'user', slug: 'old-name' }),
+      JSON.stringify({ type: 'assistant', slug: 'old-name' }),
+    ]);
+    await group('rename', async () => {
+      await renameSessionSlug(s.id, 'New Name');
+      await setTitle(s.id, 'New Name', { native: true });
+    });
+    await appendFile(s.filePath, JSON.stringify({ type: 'user', slug: 'new-name', text: 'later' }) + '\n');
+
+    await undo();
+    const lines = (await readFile(s.filePath, 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.map(l => l.slug), ['old-name', 'old-name', 'old-name']);
+    assert.ok(!lines.some(l => l.type === 'custom-title'));
+    assert.equal(lines[2].text, 'later');
+    assert.equal(await getSessionMeta(s.id), null);
+  });
+
+  it('should refuse a step that is not the latest undoable one', async () => {
+    const step = await group(null, async s => { await addTag('abababab', 'one'); return s; });
+    await addTag('abababab', 'two');
+    await assert.rejects(undo({ step }), { code: 'ESTALE' });
+    await undo();
+    const [result] = await undo({ step });
+    assert.equal(result.step, step);
+    await assert.rejects(undo({ step }), { code: 'ESTALE' });
+    assert.equal(await getSessionMeta('abababab'), null);
+  });
+
+  it('should have nothing to undo once everything is undone', async () => {
+    while ((await undo()).length > 0);
+    assert.deepEqual(await undo(), []);
+    assert.ok((await listSteps()).every(s => s.undone || !s.undoable));
+  });
+});
+
+describe('Journal compaction', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-journal-compact-'));
+    setClaudeDir(tmpDir);
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep every line appended while the journal is compacted', async () => {
+    const padding = 'x'.repeat(4000);
+    const old = Array.from({ length: 600 }, (_, i) => JSON.stringify({ at: '2026-01-01T00:00:00.000Z', step: `old-${i}`, op: 'note', padding }));
+    await mkdir(utils.TOOL_DIR, { recursive: true });
+    await writeFile(join(utils.TOOL_DIR, 'journal.jsonl'), old.join('\n') + '\n');
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => record('note', { id: `new-${i}` })));
+    const entries = await readJournal();
+    assert.equal(entries.filter(e => e.id?.startsWith('new-')).length, 20);
+    // Compacted: the oldest steps are gone
+    assert.ok(!entries.some(e => e.step === 'old-0'));
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for advisory file locks and the stores built on them: metadata,
+ * trash manifest and cache, updated from several processes at once.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, readdir, mkdir, rm } from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as utils from '../lib/utils.js';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { withLock, writeAtomic } from '../lib/lock.js';
+import { getSessionMeta, addTag } from '../lib/metadata.js';
+import { setCached, getCached, flushCache } from '../lib/cache.js';
+
+const run = promisify(execFile);
+const LIB = new URL('../lib/', import.meta.url).href;
+
+// Run an ES module snippet in a separate node process against `dir`
+function child(dir, code) {
+  return run(process.execPath, ['--input-type=module', '-e', code], {
+    env: { ...process.env, CSESH_CLAUDE_DIR: dir },
+    timeout: 60_000,
+  });
+}
+
+describe('withLock', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-lock-'));
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should run holders one at a time and release the lock', async () => {
+    const file = join(tmpDir, 'store.json');
+    const events = [];
+    const hold = name => withLock(file, async () => {
+      events.push(`${name} in`);
+      await new Promise(r => setTimeout(r, 30));
+      events.push(`${name} out`);
+    });
+    await Promise.all([hold('a'), hold('b')]);
+    assert.deepEqual(events, ['a in', 'a out', 'b in', 'b out']);
+    assert.deepEqual(await readdir(tmpDir), []);
+  });
+
+  it('should release the lock when fn throws', async () => {
+    const file = join(tmpDir, 'store.json');
+    await assert.rejects(withLock(file, async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await withLock(file, async () => 'again'), 'again');
+  });
+
+  it('should take over a lock left by a dead process', async () => {
+    const file = join(tmpDir, 'stale.json');
+    const { stdout } = await run(process.execPath, ['-e', 'console.log(process.pid)']);
+    await writeFile(`${file}.lock`, JSON.stringify({ pid: Number(stdout.trim()) }));
+    assert.equal(await withLock(file, async () => 'ok', { timeout: 500 }), 'ok');
+  });
+
+  it('should let only one waiter take over a stale lock', async () => {
+    const file = join(tmpDir, 'contended.json');
+    const { stdout } = await run(process.execPath, ['-e', 'console.log(process.pid)']);
+    let holders = 0;
+    let most = 0;
+    const hold = async i => {
+      // Staggered, so that some waiters judge the lock stale after another took it over
+      await new Promise(r => setTimeout(r, i % 4));
+      await withLock(file, async () => {
+        most = Math.max(most, ++holders);
+        await new Promise(r => setTimeout(r, 5));
+        holders--;
+      });
+    };
+    for (let round = 0; round < 10; round++) {
+      await writeFile(`${file}.lock`, JSON.stringify({ pid: Number(stdout.trim()) }));
+      await Promise.all(Array.from({ length: 8 }, (_, i) => hold(i)));
+    }
+    assert.equal(most, 1);
+    assert.deepEqual((await readdir(tmpDir)).filter(n => n.startsWith('contended')), []);
+  });
+
+  it('should not remove a lock it lost to a takeover', async () => {
+    const file = join(tmpDir, 'lost.json');
+    const theirs = JSON.stringify({ pid: process.pid, id: 'new-holder' });
+    await withLock(file, async () => {
+      // Held past STALE_MS: taken over, and now another process's lock
+      await writeFile(`${file}.lock`, theirs);
+    });
+    assert.equal(await readFile(`${file}.lock`, 'utf-8'), theirs);
+    await rm(`${file}.lock`);
+  });
+
+  it('should time out on a lock held by a live process', async () => {
+    const file = join(tmpDir, 'held.json');
+    await writeFile(`${file}.lock`, JSON.stringify({ pid: process.pid }));
+    await assert.rejects(withLock(file, async () => {}, { timeout: 100 }), { code: 'ELOCKED' });
+    await rm(`${file}.lock`);
+  });
+
+  it('should write atomically without leaving temp files', async () => {
+    const file = join(tmpDir, 'atomic.json');
+    await writeAtomic(file, '{"a":1}');
+    await writeAtomic(file, '{"a":2}');
+    assert.equal(await readFile(file, 'utf-8'), '{"a":2}');
+    assert.deepEqual(await readdir(tmpDir), ['atomic.json']);
+  });
+
+  it('should write the same file concurrently from one process', async () => {
+    const file = join(tmpDir, 'atomic.json');
+    await Promise.all(Array.from({ length: 10 }, (_, i) => writeAtomic(file, `{"a":${i}}`)));
+    assert.match(await readFile(file, 'utf-8'), /^\{"a":\d\}$/);
+    assert.deepEqual(await readdir(tmpDir), ['atomic.json']);
+  });
+});
+
+describe('Stores across processes', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-stores-'));
+    setClaudeDir(tmpDir);
+    await mkdir(join(utils.PROJECTS_DIR, 'proj'), { recursive: true });
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep every tag when processes tag concurrently', async () => {
+    const tagger = n => child(tmpDir, `
+      const { addTag } = await import('${LIB}metadata.js');
+      for (let i = 0; i < 8; i++) await addTag('s${n}', 't' + i);
+    `);
+    await Promise.all([tagger(1), tagger(2), tagger(3)]);
+    for (const n of [1, 2, 3]) {
+      assert.equal((await getSessionMeta(`s${n}`)).tags.length, 8);
+    }
+  });
+
+  it('should reload metadata changed by another process', async () => {
+    await addTag('s4', 'mine');
+    await child(tmpDir, `
+      const { addTag } = await import('${LIB}metadata.js');
+      await addTag('s4', 'theirs');
+    `);
+    assert.deepEqual((await getSessionMeta('s4')).tags, ['mine', 'theirs']);
+  });
+
+  it('should keep every trash item when processes trash concurrently', async () => {
+    const ids = ['aaaaaaaa-0001', 'aaaaaaaa-0002', 'aaaaaaaa-0003'];
+    for (const id of ids) await writeFile(join(utils.PROJECTS_DIR, 'proj', `${id}.jsonl`), '{"type":"user"}\n');
+    await Promise.all(ids.map(id => child(tmpDir, `
+      const { trashSession } = await import('${LIB}cleanup.js');
+      const { PROJECTS_DIR } = await import('${LIB}utils.js');
+      await trashSession({ id: '${id}', filePath: PROJECTS_DIR + '/proj/${id}.jsonl', title: '${id}' });
+    `)));
+    const manifest = JSON.parse(await readFile(utils.TRASH_MANIFEST, 'utf-8'));
+    assert.deepEqual(manifest.items.map(i => i.id).sort(), ids);
+  });
+
+  it('should merge cache entries saved by another process', async () => {
+    const mine = join(utils.PROJECTS_DIR, 'proj', 'mine.jsonl');
+    const theirs = join(utils.PROJECTS_DIR, 'proj', 'theirs.jsonl');
+    await writeFile(mine, '{}\n');
+    await writeFile(theirs, '{}\n');
+    await setCached(mine, { id: 'mine' });
+    await child(tmpDir, `
+      const { setCached, flushCache } = await import('${LIB}cache.js');
+      await setCached('${theirs}', { id: 'theirs' });
+      await flushCache();
+    `);
+    await flushCache();
+    const cache = JSON.parse(await readFile(utils.CACHE_FILE, 'utf-8'));
+    assert.deepEqual(Object.keys(cache.sessions).sort(), [mine, theirs]);
+    assert.deepEqual(await getCached(mine), { id: 'mine' });
+  });
+});
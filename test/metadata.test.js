@@ -125,21 +125,14 @@ async function batchSetTag(ids, tag, filePath) {
 
 function mergeMetadata(sessions, meta) {
   for (const session of sessions) {
-    const sm = meta.sessions[session.id];
-    if (sm) {
-      session.customTitle = sm.customTitle || null;
-      session.displayTitle = sm.customTitle || session.title;
-      session.tags = sm.tags || [];
-      session.favorite = sm.favorite || false;
-      session.notes = sm.notes || '';
-      if (sm.tierOverride != null) session.tierOverride = sm.tierOverride;
-    } else {
-      session.customTitle = null;
-      session.displayTitle = session.title;
-      session.tags = [];
-      session.favorite = false;
-      session.notes = '';
-    }
+    const sm = meta.sessions[session.id] || {};
+    const renamed = session.nativeTitle && session.nativeTitle !== sm.nativeTitle;
+    session.customTitle = (renamed ? session.nativeTitle : sm.customTitle) || null;
+    session.displayTitle = session.customTitle || session.title;
+    session.tags = sm.tags || [];
+    session.favorite = sm.favorite || false;
+    session.notes = sm.notes || '';
+    if (sm.tierOverride != null) session.tierOverride = sm.tierOverride;
   }
 }
 
@@ -506,6 +499,34 @@ describe('Metadata — mergeMetadata', () => {
     assert.deepEqual(sessions, []);
   });
 
+  it('should adopt a native title set outside csesh', () => {
+    const sessions = [
+      { id: 's1', title: 'Auto', nativeTitle: 'Renamed in Claude' },
+      { id: 's2', title: 'Auto', nativeTitle: 'Renamed in Claude' },
+    ];
+    const meta = {
+      version: 1, globalTags: [],
+      sessions: { s2: { customTitle: 'Old csesh title', nativeTitle: 'Older native', tags: ['x'] } },
+    };
+    mergeMetadata(sessions, meta);
+    assert.equal(sessions[0].displayTitle, 'Renamed in Claude');
+    assert.equal(sessions[1].displayTitle, 'Renamed in Claude');
+    assert.deepEqual(sessions[1].tags, ['x']);
+    // Shown, not stored
+    assert.equal(meta.sessions.s1, undefined);
+    assert.equal(meta.sessions.s2.customTitle, 'Old csesh title');
+  });
+
+  it('should keep a csesh title newer than the native title it last saw', () => {
+    const sessions = [{ id: 's1', title: 'Auto', nativeTitle: 'Synced' }];
+    const meta = {
+      version: 1, globalTags: [],
+      sessions: { s1: { customTitle: 'Set while the file was locked', nativeTitle: 'Synced' } },
+    };
+    mergeMetadata(sessions, meta);
+    assert.equal(sessions[0].displayTitle, 'Set while the file was locked');
+  });
+
   it('should handle session with no metadata match', () => {
     const sessions = [{ id: 'unknown', title: 'No Match' }];
     const meta = { version: 1, sessions: {}, globalTags: [] };
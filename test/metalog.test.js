@@ -0,0 +1,235 @@
+/**
+ * Tests for the metadata change log: folding, diffing, v1 conversion and
+ * merging, then the store built on it (migration, appends, merge and undo).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, appendFile, mkdir, rm, stat } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as utils from '../lib/utils.js';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { foldChanges, compactLog, diffViews, changesFromV1, mergeLogs, parseLog, serializeLog, emptyView } from '../lib/metalog.js';
+import { loadMetadata, setTitle, addTag, removeTag, getSessionMeta, getProtectRules, mergeMetadataStore, compactMetadata, getMetadataHistory, mergeMetadata } from '../lib/metadata.js';
+import { undo } from '../lib/undo.js';
+
+const change = (at, device, seq, field, value, session = 's1') => ({ at: `2026-01-01T00:00:0${at}.000Z`, device, seq, session, field, value });
+
+describe('Change log', () => {
+  it('should fold the latest change of each field', () => {
+    const view = foldChanges([
+      change(2, 'b', 1, 'customTitle', 'Second'),
+      change(1, 'a', 1, 'customTitle', 'First'),
+      change(1, 'a', 2, 'tag:x', true),
+      change(3, 'a', 3, 'tag:x', false),
+      change(1, 'a', 4, 'tag:y', true),
+      { at: '2026-01-01T00:00:01.000Z', device: 'a', seq: 5, field: 'protect.tag:keep', value: true },
+    ]);
+    assert.deepEqual(view.sessions.s1, { customTitle: 'Second', tags: ['y'], updatedAt: '2026-01-01T00:00:03.000Z' });
+    assert.deepEqual(view.protect.tags, ['keep']);
+  });
+
+  it('should break ties by device, then sequence', () => {
+    const a = change(1, 'a', 9, 'notes', 'from a');
+    const b = change(1, 'b', 1, 'notes', 'from b');
+    assert.equal(foldChanges([b, a]).sessions.s1.notes, 'from b');
+    assert.equal(foldChanges([a, b]).sessions.s1.notes, 'from b');
+  });
+
+  it('should drop sessions whose fields are all cleared', () => {
+    const view = foldChanges([change(1, 'a', 1, 'favorite', true), change(2, 'a', 2, 'favorite', null)]);
+    assert.deepEqual(view.sessions, {});
+  });
+
+  it('should diff views into field changes', () => {
+    const before = emptyView();
+    before.sessions.s1 = { customTitle: 'Old', tags: ['a', 'b'], updatedAt: 'x' };
+    const after = structuredClone(before);
+    after.sessions.s1.customTitle = 'New';
+    after.sessions.s1.tags = ['b', 'c'];
+    after.sessions.s2 = { favorite: true };
+    after.protect.projects.push('api');
+    assert.deepEqual(diffViews(before, after), [
+      { session: 's1', field: 'customTitle', value: 'New' },
+      { session: 's1', field: 'tag:c', value: true },
+      { session: 's1', field: 'tag:a', value: false },
+      { session: 's2', field: 'favorite', value: true },
+      { field: 'protect.project:api', value: true },
+    ]);
+    assert.deepEqual(diffViews(after, after), []);
+  });
+
+  it('should convert a v1 metadata.json to the same view', () => {
+    const meta = {
+      version: 1,
+      sessions: { s1: { customTitle: 'T', tags: ['a'], favorite: true, updatedAt: '2026-02-01T00:00:00.000Z' } },
+      globalTags: ['a'],
+      protect: { projects: ['api'], tags: [] },
+    };
+    const view = foldChanges(changesFromV1(meta, 'dev'));
+    assert.deepEqual(view.sessions, meta.sessions);
+    assert.deepEqual(view.globalTags, ['a']);
+    assert.deepEqual(view.protect, meta.protect);
+  });
+
+  it('should merge logs the same way from either side', () => {
+    const shared = change(1, 'a', 1, 'customTitle', 'Shared');
+    const ours = [shared, change(2, 'a', 2, 'customTitle', 'Ours')];
+    const theirs = [shared, change(3, 'b', 1, 'customTitle', 'Theirs')];
+    const left = mergeLogs(ours, theirs);
+    const right = mergeLogs(theirs, ours);
+    assert.equal(left.added, 1);
+    assert.equal(serializeLog(left.changes), serializeLog(right.changes));
+    assert.equal(foldChanges(left.changes).sessions.s1.customTitle, 'Theirs');
+    assert.equal(mergeLogs(left.changes, theirs).added, 0);
+  });
+
+  it('should compact to the latest change of each field, keeping clears', () => {
+    const changes = [
+      change(1, 'a', 1, 'customTitle', 'First'),
+      change(2, 'a', 2, 'favorite', true),
+      change(3, 'a', 3, 'customTitle', 'Second'),
+      change(4, 'a', 4, 'favorite', null),
+    ];
+    const compacted = compactLog(changes);
+    assert.deepEqual(compacted.map(c => c.seq), [3, 4]);
+    assert.deepEqual(foldChanges(compacted), foldChanges(changes));
+    // The kept clear still wins over an older edit merged in later
+    assert.equal(foldChanges(mergeLogs(compacted, [changes[1]]).changes).sessions.s1.favorite, undefined);
+  });
+
+  it('should skip a torn last line', () => {
+    const text = serializeLog([change(1, 'a', 1, 'notes', 'n')]) + '{"at":"2026-01';
+    assert.equal(parseLog(text).length, 1);
+  });
+});
+
+describe('Metadata store', () => {
+  const originalDir = CLAUDE_DIR;
+  const originalDevice = process.env.CSESH_DEVICE_ID;
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-metalog-'));
+    setClaudeDir(tmpDir);
+    process.env.CSESH_DEVICE_ID = 'here';
+    await mkdir(utils.TOOL_DIR, { recursive: true });
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    if (originalDevice === undefined) delete process.env.CSESH_DEVICE_ID;
+    else process.env.CSESH_DEVICE_ID = originalDevice;
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should migrate a v1 metadata.json once and keep it aside', async () => {
+    await writeFile(join(utils.TOOL_DIR, 'metadata.json'), JSON.stringify({
+      version: 1,
+      sessions: { 'aaaa-1': { customTitle: 'Legacy', tags: ['old'], updatedAt: '2026-01-01T00:00:00.000Z' } },
+      globalTags: ['old'],
+      protect: { projects: [], tags: ['keep'] },
+    }));
+    const meta = await loadMetadata();
+    assert.equal(meta.sessions['aaaa-1'].customTitle, 'Legacy');
+    assert.deepEqual((await getProtectRules()).tags, ['keep']);
+    await assert.rejects(stat(join(utils.TOOL_DIR, 'metadata.json')), { code: 'ENOENT' });
+    assert.ok((await stat(join(utils.TOOL_DIR, 'metadata.v1.json'))).isFile());
+  });
+
+  it('should append one change per edited field', async () => {
+    const file = join(utils.TOOL_DIR, 'metadata.jsonl');
+    const lines = async () => (await readFile(file, 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    const count = (await lines()).length;
+    await setTitle('aaaa-1', 'New');
+    await addTag('aaaa-1', 'fresh');
+    await removeTag('aaaa-1', 'old');
+    const added = (await lines()).slice(count);
+    assert.deepEqual(added.map(c => [c.device, c.field, c.value]), [
+      ['here', 'customTitle', 'New'],
+      ['here', 'tag:fresh', true],
+      ['here', 'globalTag:fresh', true],
+      ['here', 'tag:old', false],
+    ]);
+    assert.deepEqual((await getSessionMeta('aaaa-1')).tags, ['fresh']);
+    assert.deepEqual((await getMetadataHistory('aaaa-1')).map(c => c.field),
+      ['customTitle', 'tag:old', 'customTitle', 'tag:fresh', 'tag:old']);
+  });
+
+  it('should not lose the next change after a torn line', async () => {
+    await appendFile(join(utils.TOOL_DIR, 'metadata.jsonl'), '{"at":"2026');
+    await addTag('aaaa-2', 'after-crash');
+    assert.deepEqual((await getSessionMeta('aaaa-2')).tags, ['after-crash']);
+  });
+
+  it('should merge another store, keeping the latest edit of each field', async () => {
+    const future = new Date(Date.now() + 60_000).toISOString();
+    const past = '2025-01-01T00:00:00.000Z';
+    const other = join(tmpDir, 'other.jsonl');
+    await writeFile(other, serializeLog([
+      { at: future, device: 'there', seq: 1, session: 'aaaa-1', field: 'notes', value: 'from there' },
+      { at: past, device: 'there', seq: 2, session: 'aaaa-1', field: 'customTitle', value: 'Stale' },
+      { at: future, device: 'there', seq: 3, session: 'bbbb-1', field: 'favorite', value: true },
+    ]));
+    const result = await mergeMetadataStore(other);
+    // The stale title is older than ours: not kept
+    assert.equal(result.added, 2);
+    assert.ok(!(await readFile(join(utils.TOOL_DIR, 'metadata.jsonl'), 'utf-8')).includes('Stale'));
+    assert.deepEqual(result.sessions.sort(), ['aaaa-1', 'bbbb-1']);
+    const meta = await getSessionMeta('aaaa-1');
+    assert.equal(meta.notes, 'from there');
+    assert.equal(meta.customTitle, 'New');
+    assert.equal((await mergeMetadataStore(other)).added, 0);
+
+    // Local edits made after a merge win, even over changes dated ahead
+    await setTitle('bbbb-1', 'Mine');
+    await addTag('bbbb-1', 'later');
+    const history = await getMetadataHistory('bbbb-1');
+    assert.ok(history.at(-1).at > future);
+  });
+
+  it('should undo a merge', async () => {
+    const other = join(tmpDir, 'other-v1.json');
+    await writeFile(other, JSON.stringify({ version: 1, sessions: { 'cccc-1': { customTitle: 'Theirs' } } }));
+    assert.equal((await mergeMetadataStore(other)).added, 1);
+    assert.equal((await getSessionMeta('cccc-1')).customTitle, 'Theirs');
+    const [result] = await undo();
+    assert.match(result.description, /^merge metadata/);
+    assert.equal(await getSessionMeta('cccc-1'), null);
+  });
+
+  it('should compact the log without changing the view', async () => {
+    const file = join(utils.TOOL_DIR, 'metadata.jsonl');
+    await setTitle('dddd-1', 'One');
+    await setTitle('dddd-1', 'Two');
+    const view = await loadMetadata();
+    const lines = (await readFile(file, 'utf-8')).trim().split('\n').length;
+    const result = await compactMetadata();
+    assert.equal(result.before, lines);
+    assert.ok(result.after < result.before);
+    assert.equal((await readFile(file, 'utf-8')).trim().split('\n').length, result.after);
+    assert.deepEqual(await loadMetadata(), view);
+    assert.deepEqual(await compactMetadata(), { before: result.after, after: result.after });
+  });
+
+  it('should show a title renamed in Claude Code without writing it', async () => {
+    const file = join(utils.TOOL_DIR, 'metadata.jsonl');
+    const size = (await stat(file)).size;
+    const sessions = [{ id: 'eeee-1', title: 'Auto', nativeTitle: 'Renamed in Claude' }];
+    await mergeMetadata(sessions);
+    assert.equal(sessions[0].displayTitle, 'Renamed in Claude');
+    assert.equal((await stat(file)).size, size);
+
+    // A title set over that native title wins over it
+    await setTitle('eeee-1', 'Mine', { nativeTitle: 'Renamed in Claude' });
+    await mergeMetadata(sessions);
+    assert.equal(sessions[0].displayTitle, 'Mine');
+  });
+
+  it('should reject a file that is not a metadata store', async () => {
+    const other = join(tmpDir, 'not-metadata.json');
+    await writeFile(other, '{"items":[]}');
+    await assert.rejects(mergeMetadataStore(other), { code: 'EINVALID' });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for the user pricing file and rate resolution.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { validatePricing, readPricingFile } from '../lib/pricing.js';
+import { MODEL_PRICING, estimateCost, resolvePricing, setUserPricing, matchModel } from '../lib/utils.js';
+
+function install(models, extra = {}) {
+  const result = validatePricing({ models, ...extra });
+  assert.deepEqual(result.errors, []);
+  setUserPricing(result);
+  return result;
+}
+
+describe('matchModel', () => {
+  it('should match exact IDs and * patterns', () => {
+    assert.ok(matchModel('claude-opus-4-6', 'claude-opus-4-6'));
+    assert.ok(!matchModel('claude-opus-4', 'claude-opus-4-6'));
+    assert.ok(matchModel('claude-opus-*', 'claude-opus-4-6'));
+    assert.ok(matchModel('*-4-6', 'claude-sonnet-4-6'));
+    assert.ok(!matchModel('claude-opus-*', 'claude-sonnet-4-6'));
+  });
+
+  it('should treat regex characters literally', () => {
+    assert.ok(!matchModel('claude.opus', 'claudeXopus'));
+    assert.ok(matchModel('gpt-4.1*', 'gpt-4.1-mini'));
+  });
+});
+
+describe('resolvePricing', () => {
+  afterEach(() => setUserPricing(null));
+
+  it('should fall back to built-in model families', () => {
+    assert.equal(resolvePricing('claude-opus-4-1').input, MODEL_PRICING['claude-opus-*'].input);
+    assert.equal(resolvePricing('claude-opus-4-6'), MODEL_PRICING['claude-opus-4-6']);
+    assert.equal(resolvePricing('gpt-4o'), MODEL_PRICING.default);
+  });
+
+  it('should know the Claude 3.x naming of model families', () => {
+    assert.equal(resolvePricing('claude-3-5-haiku-20241022').input, MODEL_PRICING['claude-3-5-haiku-*'].input);
+    assert.equal(resolvePricing('claude-3-haiku-20240307').input, MODEL_PRICING['claude-3-haiku-*'].input);
+    assert.equal(resolvePricing('claude-3-opus-20240229').input, MODEL_PRICING['claude-3-opus-*'].input);
+  });
+
+  it('should prefer user entries over built-in rates', () => {
+    install([{ match: 'claude-opus-4-6', input: 5, output: 25 }]);
+    assert.equal(resolvePricing('claude-opus-4-6').input, 5);
+    assert.equal(resolvePricing('claude-opus-4-6').cacheRead, 0.5);
+    assert.equal(resolvePricing('claude-opus-4-6').cacheWrite, 6.25);
+  });
+
+  it('should pick the most specific matching entry', () => {
+    install([
+      { match: 'claude-*', input: 1, output: 1 },
+      { match: 'claude-opus-4-5*', input: 5, output: 25 },
+      { match: 'claude-opus-*', input: 15, output: 75 },
+      { match: 'claude-opus-4-5-20251101', input: 4, output: 20 },
+    ]);
+    assert.equal(resolvePricing('claude-opus-4-5-20251101').input, 4);
+    assert.equal(resolvePricing('claude-opus-4-5-20260101').input, 5);
+    assert.equal(resolvePricing('claude-opus-4-1').input, 15);
+    assert.equal(resolvePricing('claude-haiku-4-5').input, 1);
+  });
+
+  it('should apply the rates in effect at the timestamp', () => {
+    install([
+      { match: 'claude-opus-*', input: 15, output: 75, until: '2025-11-24' },
+      { match: 'claude-opus-*', input: 5, output: 25, from: '2025-11-24' },
+    ]);
+    assert.equal(resolvePricing('claude-opus-4-6', '2025-11-23T23:59:59Z').input, 15);
+    assert.equal(resolvePricing('claude-opus-4-6', '2025-11-24T00:00:00.000Z').input, 5);
+    assert.equal(resolvePricing('claude-opus-4-6').input, 5);
+  });
+
+  it('should skip entries not in effect and fall through to built-in rates', () => {
+    install([{ match: 'claude-opus-4-6', input: 1, output: 1, from: '2030-01-01' }]);
+    assert.equal(resolvePricing('claude-opus-4-6', '2026-01-01T00:00:00Z'), MODEL_PRICING['claude-opus-4-6']);
+  });
+
+  it('should use the user default for unknown models', () => {
+    install([], { default: { input: 2, output: 8 } });
+    assert.equal(resolvePricing('gpt-4o').input, 2);
+    assert.equal(resolvePricing('default').output, 8);
+    assert.equal(resolvePricing('claude-sonnet-4-6'), MODEL_PRICING['claude-sonnet-4-6']);
+  });
+
+  it('should prefer user entries and the user default over built-in families', () => {
+    install([{ match: 'claude-haiku-*', input: 1, output: 5 }], { default: { input: 2, output: 8 } });
+    assert.equal(resolvePricing('claude-haiku-4-6').input, 1);
+    assert.equal(resolvePricing('claude-opus-4-1').input, 2);
+    assert.equal(resolvePricing('claude-3-5-haiku-20241022').output, 8);
+  });
+
+  it('should price tokens with the resolved rates', () => {
+    install([{ match: 'claude-opus-*', input: 10, output: 20, from: '2026-01-01' }]);
+    const tokens = { input: 1_000_000, output: 1_000_000, cacheRead: 0, cacheWrite: 0 };
+    assert.equal(estimateCost(tokens, 'claude-opus-4-6', '2026-03-01T00:00:00Z'), 30);
+    assert.equal(estimateCost(tokens, 'claude-opus-4-6', '2025-03-01T00:00:00Z'), 90);
+  });
+});
+
+describe('validatePricing', () => {
+  it('should accept a valid file and fill in cache rates', () => {
+    const result = validatePricing({
+      models: [{ match: 'claude-opus-*', input: 15, output: 75, from: '2025-01-01', until: '2026-01-01' }],
+      default: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.entries[0].cacheRead, 1.5);
+    assert.equal(result.entries[0].from, Date.parse('2025-01-01'));
+    assert.equal(result.default.cacheWrite, 3.75);
+  });
+
+  it('should report invalid entries and keep the valid ones', () => {
+    const result = validatePricing({
+      models: [
+        { match: 'a', input: 1, output: 1 },
+        { match: '', input: 1, output: 1 },
+        { match: 'b', input: -1, output: 1 },
+        { match: 'c', input: 1 },
+        { match: 'd', input: 1, output: 1, from: 'soon' },
+        { match: 'e', input: 1, output: 1, from: '2026-01-01', until: '2025-01-01' },
+      ],
+    });
+    assert.equal(result.entries.length, 1);
+    assert.equal(result.errors.length, 5);
+    assert.ok(result.errors.some(e => e.includes('"output" is required')));
+  });
+
+  it('should warn about unknown fields and overlapping ranges', () => {
+    const result = validatePricing({
+      models: [
+        { match: 'a', input: 1, output: 1, until: '2026-01-01', note: 'x' },
+        { match: 'a', input: 2, output: 2, from: '2025-06-01' },
+        { match: 'a', input: 3, output: 3, from: '2026-01-01' },
+      ],
+    });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.warnings.length, 3);
+  });
+
+  it('should reject data that is not an object', () => {
+    assert.equal(validatePricing([]).errors.length, 1);
+    assert.equal(validatePricing({ models: {} }).errors.length, 1);
+  });
+});
+
+describe('readPricingFile', () => {
+  it('should treat a missing file as empty and report bad JSON', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'csesh-pricing-'));
+    try {
+      const missing = await readPricingFile(join(dir, 'pricing.json'));
+      assert.equal(missing.exists, false);
+      assert.deepEqual(missing.errors, []);
+
+      await writeFile(join(dir, 'pricing.json'), '{ nope');
+      const bad = await readPricingFile(join(dir, 'pricing.json'));
+      assert.equal(bad.exists, true);
+      assert.match(bad.errors[0], /invalid JSON/);
+
+      await writeFile(join(dir, 'pricing.json'), JSON.stringify({ models: [{ match: 'x', input: 1, output: 2 }] }));
+      const good = await readPricingFile(join(dir, 'pricing.json'));
+      assert.equal(good.entries.length, 1);
+      assert.notEqual(good.fingerprint, bad.fingerprint);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for retention policies: config validation, policy matching and
+ * applying them against a temp Claude directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, mkdir, rm, stat } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as utils from '../lib/utils.js';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { validateRetention, matchPolicy, applyRetention, retentionLogFile } from '../lib/retention.js';
+import { listTrash, trashSession } from '../lib/cleanup.js';
+import { setProtected } from '../lib/metadata.js';
+
+const DAY = 86_400_000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+function daysAgo(n) {
+  return new Date(NOW - n * DAY).toISOString();
+}
+
+describe('validateRetention', () => {
+  it('should accept a missing config as empty', () => {
+    assert.deepEqual(validateRetention(null), { policies: [], purgeTrashAfter: null, errors: [] });
+  });
+
+  it('should compile policies and ages', () => {
+    const config = validateRetention({
+      policies: [
+        { name: 'junk', when: { tier: 1 } },
+        { when: { project: '*scratch*', favorite: false }, olderThan: '90d' },
+      ],
+      purgeTrashAfter: 30,
+    });
+    assert.deepEqual(config.errors, []);
+    assert.equal(config.policies[0].name, 'junk');
+    assert.equal(config.policies[0].olderThan, null);
+    assert.equal(config.policies[1].name, 'policy 2');
+    assert.equal(config.policies[1].olderThan, 90 * DAY);
+    assert.equal(config.policies[1].when.length, 2);
+    assert.equal(config.purgeTrashAfter, 30 * DAY);
+  });
+
+  it('should report bad conditions and ages', () => {
+    const { errors } = validateRetention({
+      policies: [{ name: 'bad', when: {}, olderThan: 'soon' }, 'nope'],
+      purgeTrashAfter: '-1d',
+    });
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /retention\.policies\[0\] \(bad\): "when"/);
+    assert.match(errors[1], /"olderThan"/);
+    assert.match(errors[2], /policies\[1\]: expected an object/);
+    assert.match(errors[3], /purgeTrashAfter/);
+  });
+
+  it('should reject a non-object config', () => {
+    assert.equal(validateRetention([]).errors.length, 1);
+  });
+});
+
+describe('matchPolicy', () => {
+  const { policies } = validateRetention({
+    policies: [
+      { name: 'junk', when: { tier: 1 } },
+      { name: 'suggested', when: { tier: 2 }, olderThan: '14d' },
+      { name: 'scratch', when: { project: 'scratch', favorite: false }, olderThan: '90d' },
+    ],
+  });
+
+  it('should pick the first matching policy', () => {
+    assert.equal(matchPolicy({ tier: 1, lastTimestamp: daysAgo(0) }, policies, NOW).name, 'junk');
+  });
+
+  it('should apply olderThan from the last message', () => {
+    assert.equal(matchPolicy({ tier: 2, lastTimestamp: daysAgo(10) }, policies, NOW), null);
+    assert.equal(matchPolicy({ tier: 2, lastTimestamp: daysAgo(15) }, policies, NOW).name, 'suggested');
+    assert.equal(matchPolicy({ tier: 2 }, policies, NOW), null);
+  });
+
+  it('should honor favorite conditions', () => {
+    const old = { tier: 3, shortProject: 'scratch', lastTimestamp: daysAgo(100) };
+    assert.equal(matchPolicy({ ...old, favorite: false }, policies, NOW).name, 'scratch');
+    assert.equal(matchPolicy({ ...old, favorite: true }, policies, NOW), null);
+  });
+});
+
+describe('applyRetention', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  async function makeSession(id, fields = {}) {
+    const dir = join(utils.PROJECTS_DIR, 'proj-a');
+    await mkdir(dir, { recursive: true });
+    const filePath = join(dir, `${id}.jsonl`);
+    await writeFile(filePath, '{"type":"user"}\n');
+    return { id, filePath, slug: 'proj-a', shortProject: 'proj-a', fileSizeBytes: 16, title: id, lastTimestamp: daysAgo(1), ...fields };
+  }
+
+  const config = validateRetention({
+    policies: [{ name: 'junk', when: { tier: 1 } }],
+    purgeTrashAfter: '30d',
+  });
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-retention-'));
+    setClaudeDir(tmpDir);
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should only report on a dry run', async () => {
+    const junk = await makeSession('bbbbbbbb-0001', { tier: 1 });
+    const result = await applyRetention([junk], config, { dryRun: true, now: NOW });
+    assert.deepEqual(result.trashed.map(i => i.id), [junk.id]);
+    assert.ok((await stat(junk.filePath)).isFile());
+    await assert.rejects(stat(retentionLogFile()), { code: 'ENOENT' });
+  });
+
+  it('should trash matching sessions, skip protected ones and log', async () => {
+    const junk = await makeSession('bbbbbbbb-0002', { tier: 1 });
+    const kept = await makeSession('bbbbbbbb-0003', { tier: 3 });
+    const shielded = await makeSession('bbbbbbbb-0004', { tier: 1, protected: true, protectedReason: 'protected' });
+    await setProtected(shielded.id, true);
+
+    const result = await applyRetention([junk, kept, shielded], config, { now: NOW });
+    assert.deepEqual(result.trashed.map(i => i.id), [junk.id]);
+    assert.deepEqual(result.protected.map(i => i.id), [shielded.id]);
+    assert.deepEqual(result.failed, []);
+    await assert.rejects(stat(junk.filePath), { code: 'ENOENT' });
+    assert.ok((await stat(kept.filePath)).isFile());
+    assert.ok((await stat(shielded.filePath)).isFile());
+
+    const trash = await listTrash();
+    assert.equal(trash.find(i => i.id === junk.id).reason, 'retention:junk');
+
+    const log = (await readFile(retentionLogFile(), 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(log.map(e => [e.action, e.id, e.policy]), [['trash', junk.id, 'junk']]);
+  });
+
+  it('should skip archived sessions rather than fail on them', async () => {
+    const archived = await makeSession('bbbbbbbb-0006', { tier: 1, archived: true });
+    const result = await applyRetention([archived], config, { now: NOW });
+    assert.deepEqual(result.archived.map(i => i.id), [archived.id]);
+    assert.deepEqual(result.trashed, []);
+    assert.deepEqual(result.failed, []);
+    assert.ok((await stat(archived.filePath)).isFile());
+  });
+
+  it('should purge trash older than purgeTrashAfter', async () => {
+    const old = await makeSession('bbbbbbbb-0005');
+    await trashSession(old, 'manual');
+    const manifestPath = utils.TRASH_MANIFEST;
+    const manifest = JSON.parse(await readFile(manifestPath, 'utf-8'));
+    manifest.items.find(i => i.id === old.id).trashedAt = new Date(Date.now() - 40 * DAY).toISOString();
+    await writeFile(manifestPath, JSON.stringify(manifest));
+
+    const preview = await applyRetention([], config, { dryRun: true });
+    assert.deepEqual(preview.purged.map(i => i.id), [old.id]);
+    assert.ok((await listTrash()).some(i => i.id === old.id));
+
+    const result = await applyRetention([], config);
+    assert.deepEqual(result.purged.map(i => i.id), [old.id]);
+    assert.ok(!(await listTrash()).some(i => i.id === old.id));
+    const log = (await readFile(retentionLogFile(), 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(log.at(-1).action, 'purge');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for the user classification rules file.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { validateRules, readRulesFile, parseQuantity, globToRegExp, autoTagFingerprint } from '../lib/rules.js';
+import { analyzeRecords, setAutoTagRules } from '../lib/analyzer.js';
+
+describe('parseQuantity', () => {
+  it('should parse plain numbers and size or duration units', () => {
+    assert.equal(parseQuantity(42), 42);
+    assert.equal(parseQuantity('42'), 42);
+    assert.equal(parseQuantity('4KB'), 4096);
+    assert.equal(parseQuantity('1.5 mb'), 1.5 * 1024 * 1024);
+    assert.equal(parseQuantity('5m'), 300_000);
+    assert.equal(parseQuantity('30s'), 30_000);
+    assert.ok(Number.isNaN(parseQuantity('5 parsecs')));
+    assert.ok(Number.isNaN(parseQuantity(null)));
+  });
+});
+
+describe('globToRegExp', () => {
+  it('should match * and ? and treat the rest literally', () => {
+    assert.ok(globToRegExp('*/scratch*').test('/home/dev/scratch-2'));
+    assert.ok(globToRegExp('app-?').test('APP-1'));
+    assert.ok(!globToRegExp('app-?').test('app-12'));
+    assert.ok(!globToRegExp('a.b').test('axb'));
+  });
+});
+
+describe('validateRules', () => {
+  it('should compile shorthands and operators into conditions', () => {
+    const { rules, errors, warnings } = validateRules({
+      classify: [{
+        name: 'mixed',
+        when: { project: 'app*', title: '^wip', category: 'conversation', tag: ['a', 'b'], size: { gte: '4KB', lt: '1MB' } },
+        tier: 'keep',
+      }],
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+    assert.equal(rules[0].tier, 4);
+    assert.deepEqual(rules[0].when.map(c => [c.key, c.op]), [
+      ['project', 'glob'], ['title', 'matches'], ['category', 'eq'], ['tag', 'in'], ['size', 'gte'], ['size', 'lt'],
+    ]);
+    assert.equal(rules[0].when[4].value, 4096);
+  });
+
+  it('should name unnamed rules by position', () => {
+    const { rules } = validateRules({ classify: [{ when: { category: 'empty' }, tier: 1 }] });
+    assert.equal(rules[0].name, 'rule 1');
+  });
+
+  it('should report invalid rules and keep the valid ones', () => {
+    const { rules, errors } = validateRules({
+      classify: [
+        { name: 'ok', when: { category: 'empty' }, tier: 1 },
+        { name: 'no-tier', when: { category: 'empty' } },
+        { name: 'no-when', tier: 2 },
+        { name: 'bad-op', when: { size: { around: 5 } }, tier: 2 },
+        { name: 'bad-num', when: { size: { gt: 'big' } }, tier: 2 },
+        { name: 'bad-regex', when: { title: '(' }, tier: 2 },
+      ],
+    });
+    assert.deepEqual(rules.map(r => r.name), ['ok']);
+    assert.equal(errors.length, 5);
+    assert.ok(errors.some(e => e.includes('unknown operator "around"')));
+  });
+
+  it('should warn about unknown fields and duplicate names', () => {
+    const { rules, warnings } = validateRules({
+      classify: [
+        { name: 'x', when: { category: 'empty' }, tier: 1, note: 'hi' },
+        { name: 'x', when: { category: 'hook-only' }, tier: 1 },
+      ],
+    });
+    assert.equal(rules.length, 2);
+    assert.equal(warnings.length, 2);
+  });
+
+  it('should reject data that is not an object', () => {
+    assert.equal(validateRules([]).errors.length, 1);
+    assert.equal(validateRules({ classify: {} }).errors.length, 1);
+  });
+});
+
+describe('readRulesFile', () => {
+  it('should treat a missing file as empty and report bad JSON', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'csesh-rules-'));
+    try {
+      const missing = await readRulesFile(join(dir, 'rules.json'));
+      assert.equal(missing.exists, false);
+      assert.deepEqual(missing.rules, []);
+
+      await writeFile(join(dir, 'rules.json'), '{ nope');
+      const bad = await readRulesFile(join(dir, 'rules.json'));
+      assert.match(bad.errors[0], /invalid JSON/);
+
+      await writeFile(join(dir, 'rules.json'), JSON.stringify({ classify: [{ when: { tag: 'keep' }, tier: 4 }] }));
+      const good = await readRulesFile(join(dir, 'rules.json'));
+      assert.equal(good.rules.length, 1);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Auto-tag rules', () => {
+  const user = text => ({ type: 'user', message: { content: text } });
+  const tool = (name, input) => ({ type: 'assistant', message: { content: [{ type: 'tool_use', name, input }] } });
+  const tagsFor = (autoTag, records) => {
+    const { autoTags, errors } = validateRules({ autoTag });
+    assert.deepEqual(errors, []);
+    setAutoTagRules(autoTags);
+    try {
+      return analyzeRecords(records).autoTags;
+    } finally {
+      setAutoTagRules([]);
+    }
+  };
+
+  it('should compile patterns and normalize the tag', () => {
+    const { autoTags, errors } = validateRules({
+      autoTag: [{ tag: ' Svc / Billing ', messages: 'billing', files: ['*billing/*', '*.sql'], tools: 'mcp__jira__*', min: 2 }],
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(autoTags[0].tag, 'svc/billing');
+    assert.equal(autoTags[0].min, 2);
+    assert.equal(autoTags[0].files.length, 2);
+    assert.equal(autoTags[0].text, 'messages /billing/; files *billing/*, *.sql; tools mcp__jira__*');
+  });
+
+  it('should report invalid rules and keep the valid ones', () => {
+    const { autoTags, errors, warnings } = validateRules({
+      autoTag: [
+        { tag: 'ok', bash: '^kubectl' },
+        { tag: '', messages: 'x' },
+        { tag: 'no-pattern' },
+        { tag: 'bad-regex', messages: '(' },
+        { tag: 'bad-min', tools: 'x', min: 0 },
+        { tag: 'bad-glob', files: [] },
+        { tag: 'extra', tools: 'x', when: {} },
+      ],
+    });
+    assert.deepEqual(autoTags.map(r => r.tag), ['ok', 'extra']);
+    assert.equal(errors.length, 5);
+    assert.ok(errors.some(e => e.startsWith('autoTag[2] (no-pattern): needs at least one')));
+    assert.deepEqual(warnings, ['autoTag[6] (extra): unknown field "when"']);
+    assert.equal(validateRules({ autoTag: {} }).errors.length, 1);
+  });
+
+  it('should tag from messages, files, bash commands and tool calls', () => {
+    const records = [
+      user('Fix PAY-123, then pay-124 and PAY-9'),
+      tool('Edit', { file_path: '/src/services/billing/invoice.js' }),
+      tool('Bash', { command: 'kubectl get pods -n billing' }),
+      tool('Bash', { command: 'ls' }),
+      tool('mcp__jira__get_issue', { key: 'PAY-123' }),
+    ];
+    assert.deepEqual(tagsFor([
+      { tag: 'ticket/pay', messages: '\\bPAY-\\d+', min: 3 },
+      { tag: 'svc/billing', files: '*/services/billing/*' },
+      { tag: 'k8s', bash: '^kubectl\\b' },
+      { tag: 'jira', tools: 'mcp__jira__*' },
+      { tag: 'never', messages: 'nothing like this' },
+    ], records).slice(0, 4), ['ticket/pay', 'svc/billing', 'k8s', 'jira']);
+  });
+
+  it('should add up a rule\'s patterns against its threshold', () => {
+    const records = [user('deploy billing'), tool('Bash', { command: 'billing-cli sync' })];
+    assert.ok(tagsFor([{ tag: 'billing', messages: 'billing', bash: 'billing', min: 2 }], records).includes('billing'));
+    assert.ok(!tagsFor([{ tag: 'billing', messages: 'billing', bash: 'billing', min: 3 }], records).includes('billing'));
+  });
+
+  it('should keep rule tags ahead of the built-in ones', () => {
+    const records = [
+      user('test the api endpoint, test the route'),
+      tool('Edit', { file_path: '/a.js' }),
+      tool('Edit', { file_path: '/b.js' }),
+    ];
+    const tags = tagsFor([{ tag: 'mine', files: '*.js' }], records);
+    assert.equal(tags[0], 'mine');
+    assert.ok(tags.includes('javascript'));
+    assert.equal(analyzeRecords(records).autoTags.includes('mine'), false);
+  });
+
+  it('should fingerprint the auto-tag section only', () => {
+    assert.equal(autoTagFingerprint({ classify: [] }), '');
+    const a = autoTagFingerprint({ autoTag: [{ tag: 'a', messages: 'x' }] });
+    assert.match(a, /^[0-9a-f]{16}$/);
+    assert.equal(autoTagFingerprint({ classify: [{}], autoTag: [{ tag: 'a', messages: 'x' }] }), a);
+    assert.notEqual(autoTagFingerprint({ autoTag: [{ tag: 'a', messages: 'y' }] }), a);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the worker-thread scan pool.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { runScanTasks, resolveConcurrency } from '../lib/scan-pool.js';
+import { loadRules, validateRules } from '../lib/rules.js';
+import { setAutoTagRules } from '../lib/analyzer.js';
+
+function sessionLines(i) {
+  return [
+    { type: 'user', timestamp: `2026-03-01T10:${String(i).padStart(2, '0')}:00Z`, message: { role: 'user', content: `Task number ${i}` } },
+    {
+      type: 'assistant', timestamp: `2026-03-01T10:${String(i).padStart(2, '0')}:30Z`,
+      message: { role: 'assistant', model: 'claude-sonnet-4-6', content: [{ type: 'tool_use', id: `t${i}`, name: 'Bash', input: { command: 'ls' } }], usage: { input_tokens: i, output_tokens: 1 } },
+    },
+  ].map(r => JSON.stringify(r)).join('\n') + '\n';
+}
+
+describe('Scan pool — runScanTasks', () => {
+  let tmpDir;
+  let tasks;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-pool-'));
+    tasks = [];
+    for (let i = 0; i < 12; i++) {
+      const filePath = join(tmpDir, `s${i}.jsonl`);
+      await writeFile(filePath, sessionLines(i));
+      tasks.push({ sessionFile: { id: `s${i}`, projectSlug: '-tmp-pool', filePath }, mode: 'full', analyze: true });
+    }
+    tasks.push({ sessionFile: { id: 'missing', projectSlug: '-tmp-pool', filePath: join(tmpDir, 'missing.jsonl') }, mode: 'full' });
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return the same results in workers as in process', async () => {
+    const inProcess = await runScanTasks(tasks, { concurrency: 0 });
+    const progress = [];
+    const parallel = await runScanTasks(tasks, { concurrency: 2, onProgress: done => progress.push(done) });
+
+    assert.equal(parallel.length, tasks.length);
+    for (let i = 0; i < 12; i++) {
+      assert.equal(parallel[i].summary.id, `s${i}`);
+      assert.equal(parallel[i].summary.tokenUsage.input, i);
+      assert.deepEqual(parallel[i].summary, inProcess[i].summary);
+      assert.ok(parallel[i].checkpoint.offset > 0);
+    }
+    assert.equal(progress.length, tasks.length);
+  });
+
+  it('should report failed tasks without aborting the others', async () => {
+    const results = await runScanTasks(tasks, { concurrency: 2 });
+    assert.match(results[12].error, /ENOENT/);
+    assert.ok(results[11].summary);
+  });
+
+  it('should hand the auto-tag rules to the workers', async () => {
+    await loadRules();
+    setAutoTagRules(validateRules({ autoTag: [{ tag: 'shell/ls', bash: '^ls$' }] }).autoTags);
+    try {
+      const results = await runScanTasks(tasks.slice(0, 12), { concurrency: 2 });
+      assert.ok(results.every(r => r.summary.autoTags.includes('shell/ls')));
+    } finally {
+      setAutoTagRules([]);
+    }
+  });
+
+  it('should handle an empty task list', async () => {
+    assert.deepEqual(await runScanTasks([], { concurrency: 4 }), []);
+  });
+});
+
+describe('Scan pool — resolveConcurrency', () => {
+  it('should accept explicit sizes including 0', async () => {
+    assert.equal(await resolveConcurrency(3), 3);
+    assert.equal(await resolveConcurrency('2'), 2);
+    assert.equal(await resolveConcurrency(0), 0);
+  });
+
+  it('should fall back to a positive default', async () => {
+    assert.ok(await resolveConcurrency('nope') >= 1);
+  });
+});
@@ -0,0 +1,432 @@
+/**
+ * Tests for streaming and incremental session scanning.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, appendFile, readFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { fullScan, incrementalScan, readMessages, streamRecords, runScanTask, scanSessions } from '../lib/scanner.js';
+import { analyzeRecords, analyzeRecordStream } from '../lib/analyzer.js';
+import { setCached, getCheckpoint, flushCache, clearCache } from '../lib/cache.js';
+import { CLAUDE_DIR, CACHE_FILE, setClaudeDir } from '../lib/utils.js';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function userLine(uuid, text, ts) {
+  return JSON.stringify({
+    type: 'user', uuid, timestamp: ts,
+    message: { role: 'user', content: text },
+  }) + '\n';
+}
+
+function assistantLine(uuid, text, ts, tool = null) {
+  const content = [{ type: 'text', text }];
+  if (tool) content.push({ type: 'tool_use', id: `t-${uuid}`, name: tool, input: { file_path: '/src/app.js' } });
+  return JSON.stringify({
+    type: 'assistant', uuid, timestamp: ts,
+    message: {
+      role: 'assistant', model: 'claude-sonnet-4-6', content,
+      usage: { input_tokens: 100, output_tokens: 40 },
+    },
+  }) + '\n';
+}
+
+// ── incrementalScan ──────────────────────────────────────────────────
+
+describe('incrementalScan', () => {
+  let tmpDir;
+  let file;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-scan-'));
+    file = { id: 'inc-1', projectSlug: '-tmp-inc', filePath: join(tmpDir, 'inc-1.jsonl') };
+    await writeFile(file.filePath,
+      userLine('u1', 'Refactor the app module', '2026-03-01T10:00:00Z') +
+      assistantLine('a1', 'Reading it first.', '2026-03-01T10:01:00Z', 'Read'));
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should produce the same summary as fullScan', async () => {
+    const { summary } = await incrementalScan(file, null, { analyze: true });
+    assert.deepEqual(summary, await fullScan(file, { analyze: true }));
+  });
+
+  it('should resume from a checkpoint after lines are appended', async () => {
+    const first = await incrementalScan(file, null, { analyze: true });
+    await appendFile(file.filePath,
+      userLine('u2', 'Now edit it', '2026-03-01T10:05:00Z') +
+      assistantLine('a2', 'Done.', '2026-03-01T10:06:00Z', 'Edit'));
+
+    const { summary, checkpoint } = await incrementalScan(file, first.checkpoint, { analyze: true });
+    assert.ok(checkpoint.offset > first.checkpoint.offset);
+    assert.equal(summary.userMessageCount, 2);
+    assert.equal(summary.tokenUsage.output, 80);
+    assert.equal(summary.lastTimestamp, '2026-03-01T10:06:00Z');
+    assert.deepEqual(summary.toolUsage, { Read: 1, Edit: 1 });
+    assert.deepEqual(summary, await fullScan(file, { analyze: true }));
+  });
+
+  it('should not checkpoint past an unterminated last line', async () => {
+    const before = await incrementalScan(file, null);
+    const partial = userLine('u3', 'Half written', '2026-03-01T10:07:00Z').trimEnd();
+    await appendFile(file.filePath, partial);
+
+    const { summary, checkpoint } = await incrementalScan(file, before.checkpoint);
+    assert.equal(checkpoint.offset, before.checkpoint.offset);
+    assert.equal(summary.userMessageCount, 3);
+
+    await appendFile(file.filePath, '\n');
+    const done = await incrementalScan(file, checkpoint);
+    assert.equal(done.summary.userMessageCount, 3);
+    assert.ok(done.checkpoint.offset > checkpoint.offset);
+  });
+
+  it('should rescan from scratch when the file was rewritten', async () => {
+    const { checkpoint } = await incrementalScan(file, null);
+    await writeFile(file.filePath,
+      userLine('x1', 'A different conversation entirely', '2026-03-02T09:00:00Z') +
+      assistantLine('x2', 'Sure.', '2026-03-02T09:01:00Z') +
+      userLine('x3', 'Padding so the file is not shorter', '2026-03-02T09:02:00Z') +
+      userLine('x4', 'than the old checkpoint offset was', '2026-03-02T09:03:00Z'));
+
+    const { summary } = await incrementalScan(file, checkpoint);
+    assert.equal(summary.firstTimestamp, '2026-03-02T09:00:00Z');
+    assert.deepEqual(summary, await fullScan(file));
+  });
+
+  it('should rescan from scratch when the file shrank', async () => {
+    const { checkpoint } = await incrementalScan(file, null);
+    await writeFile(file.filePath, userLine('y1', 'Short', '2026-03-03T09:00:00Z'));
+
+    const { summary } = await incrementalScan(file, checkpoint);
+    assert.equal(summary.userMessageCount, 1);
+    assert.equal(summary.totalRecordCount, 1);
+  });
+});
+
+// ── Cached checkpoints ───────────────────────────────────────────────
+
+describe('cached checkpoints', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+  let file;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-ckpt-'));
+    setClaudeDir(tmpDir);
+    await mkdir(join(tmpDir, 'projects'), { recursive: true });
+    file = { id: 'ckpt-1', projectSlug: '-tmp-ckpt', filePath: join(tmpDir, 'projects', 'ckpt-1.jsonl') };
+    await writeFile(file.filePath,
+      userLine('u1', 'Edit the app', '2026-03-01T10:00:00Z') +
+      assistantLine('a1', 'Reading.', '2026-03-01T10:01:00Z', 'Read'));
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should store the files touched once and resume with them', async () => {
+    await clearCache();
+    const first = await incrementalScan(file, null, { analyze: true });
+    assert.deepEqual(first.checkpoint.state.analysis.files, ['/src/app.js']);
+    await setCached(file.filePath, first.summary, first.checkpoint);
+    await flushCache();
+
+    const stored = JSON.parse(await readFile(CACHE_FILE, 'utf-8')).sessions[file.filePath];
+    assert.deepEqual(stored.data.filesTouched, ['/src/app.js']);
+    assert.equal(stored.checkpoint.state.analysis.files, null);
+
+    await appendFile(file.filePath, userLine('u2', 'Thanks', '2026-03-01T10:02:00Z'));
+    const { summary, checkpoint } = await incrementalScan(file, await getCheckpoint(file.filePath), { analyze: true });
+    assert.ok(checkpoint.offset > first.checkpoint.offset);
+    assert.deepEqual(summary.filesTouched, ['/src/app.js']);
+    assert.equal(summary.uniqueFilesCount, 1);
+  });
+});
+
+// ── Daily cost ───────────────────────────────────────────────────────
+
+describe('daily cost', () => {
+  let tmpDir;
+  let file;
+  const at = (d, h) => new Date(2026, 2, d, h).toISOString();
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-daily-'));
+    file = { id: 'daily-1', projectSlug: '-tmp-daily', filePath: join(tmpDir, 'daily-1.jsonl') };
+    await writeFile(file.filePath,
+      userLine('u1', 'Work late', at(1, 23)) +
+      assistantLine('a1', 'Before midnight.', at(1, 23)) +
+      assistantLine('a2', 'After midnight.', at(2, 1)) +
+      assistantLine('a3', 'Still going.', at(2, 2)));
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should book each message to the local day it was sent', async () => {
+    const summary = await fullScan(file);
+    const perMessage = (100 * 3 + 40 * 15) / 1e6;
+    assert.deepEqual(Object.keys(summary.dailyCost), ['2026-03-01', '2026-03-02']);
+    assert.ok(Math.abs(summary.dailyCost['2026-03-01'] - perMessage) < 1e-9);
+    assert.ok(Math.abs(summary.dailyCost['2026-03-02'] - 2 * perMessage) < 1e-9);
+    assert.equal(summary.fastScan, false);
+  });
+
+  it('should flag fast-scan summaries as partial', async () => {
+    const { summary } = await runScanTask({ sessionFile: file, mode: 'fast' });
+    assert.equal(summary.fastScan, true);
+  });
+});
+
+// ── Streaming ────────────────────────────────────────────────────────
+
+describe('streaming reads', () => {
+  let tmpDir;
+  let file;
+  const big = 'x'.repeat(200_000);
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-stream-'));
+    file = { id: 'str-1', projectSlug: '-tmp-str', filePath: join(tmpDir, 'str-1.jsonl') };
+    let content = '';
+    for (let i = 0; i < 10; i++) {
+      const ts = `2026-03-01T10:${String(i).padStart(2, '0')}:00Z`;
+      content += i % 2 === 0
+        ? userLine(`u${i}`, `Question ${i}`, ts)
+        : assistantLine(`a${i}`, i === 5 ? big : `Answer ${i}`, ts, 'Read');
+    }
+    content += JSON.stringify({ type: 'progress', data: { type: 'hook_progress' } }) + '\n';
+    await writeFile(file.filePath, content);
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should page messages with offset and limit', async () => {
+    const page = await readMessages(file.filePath, { offset: 3, limit: 4 });
+    assert.equal(page.total, 10);
+    assert.equal(page.messages.length, 4);
+    assert.equal(page.messages[0].timestamp, '2026-03-01T10:03:00Z');
+    assert.equal(page.messages[2].content, big);
+    assert.equal(page.messages[3].content, 'Question 6');
+  });
+
+  it('should return an empty page past the end', async () => {
+    const page = await readMessages(file.filePath, { offset: 50, limit: 10 });
+    assert.equal(page.total, 10);
+    assert.deepEqual(page.messages, []);
+  });
+
+  it('should read the main branch and list alternates', async () => {
+    const branched = join(tmpDir, 'branched.jsonl');
+    const line = (type, uuid, parentUuid, text) => JSON.stringify({
+      type, uuid, parentUuid, timestamp: '2026-03-01T10:00:00Z',
+      message: { role: type, content: text },
+    }) + '\n';
+    await writeFile(branched,
+      line('user', 'u1', null, 'Start') +
+      line('assistant', 'a1', 'u1', 'Ok') +
+      line('user', 'u2', 'a1', 'Abandoned') +
+      line('user', 'u3', 'a1', 'Edited'));
+
+    const main = await readMessages(branched);
+    assert.deepEqual(main.messages.map(m => m.content), ['Start', 'Ok', 'Edited']);
+    assert.equal(main.branches.length, 2);
+    assert.equal(main.branches[1].forkUuid, 'a1');
+    assert.equal(main.branches[1].path, undefined);
+
+    const alt = await readMessages(branched, { branch: 1 });
+    assert.deepEqual(alt.messages.map(m => m.content), ['Start', 'Ok', 'Abandoned']);
+    assert.equal((await readMessages(branched, { branch: 'all' })).total, 4);
+    assert.equal((await readMessages(branched, { branch: 5 })).total, 0);
+  });
+
+  it('should parse lines longer than a read chunk', async () => {
+    const summary = await fullScan(file);
+    assert.equal(summary.totalRecordCount, 11);
+    assert.equal(summary.assistantMessageCount, 5);
+  });
+
+  it('should analyze a record stream like an array of records', async () => {
+    const records = [];
+    for await (const rec of streamRecords(file.filePath)) records.push(rec);
+    assert.deepEqual(await analyzeRecordStream(streamRecords(file.filePath)), analyzeRecords(records));
+  });
+});
+
+// ── Sub-agents ───────────────────────────────────────────────────────
+
+function taskCallLine(uuid, toolUseId, prompt, ts) {
+  return JSON.stringify({
+    type: 'assistant', uuid, timestamp: ts,
+    message: {
+      role: 'assistant', model: 'claude-opus-4-6',
+      content: [{ type: 'tool_use', id: toolUseId, name: 'Task', input: { description: `Run ${toolUseId}`, subagent_type: 'Explore', prompt } }],
+      usage: { input_tokens: 1000, output_tokens: 100 },
+    },
+  }) + '\n';
+}
+
+describe('sub-agent transcripts', () => {
+  let tmpDir;
+  let file;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-agents-'));
+    file = { id: 'parent-1', projectSlug: '-tmp-agents', filePath: join(tmpDir, 'parent-1.jsonl') };
+    await writeFile(file.filePath,
+      userLine('u1', 'Survey the codebase', '2026-03-01T10:00:00Z') +
+      taskCallLine('a1', 'toolu_1', 'Find every route handler', '2026-03-01T10:01:00Z') +
+      taskCallLine('a2', 'toolu_2', 'List the database models', '2026-03-01T10:01:00Z') +
+      JSON.stringify({
+        type: 'user', uuid: 'u2', timestamp: '2026-03-01T10:03:00Z',
+        toolUseResult: { agentId: 'aaa' },
+        message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'done' }] },
+      }) + '\n');
+
+    const dir = join(tmpDir, 'parent-1', 'subagents');
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'agent-aaa.jsonl'),
+      userLine('s1', 'Find every route handler', '2026-03-01T10:01:10Z') +
+      assistantLine('s2', 'Found three.', '2026-03-01T10:02:00Z', 'Grep'));
+    // No toolUseResult link: matched to toolu_2 by its prompt
+    await writeFile(join(dir, 'agent-bbb.jsonl'),
+      userLine('t1', 'List the database models', '2026-03-01T10:01:10Z') +
+      assistantLine('t2', 'Two models.', '2026-03-01T10:02:30Z'));
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should link each transcript to the Task call that spawned it', async () => {
+    const { summary } = await runScanTask({ sessionFile: file, mode: 'fast' });
+    const byId = Object.fromEntries(summary.subAgents.map(a => [a.id, a]));
+    assert.equal(byId.aaa.toolUseId, 'toolu_1');
+    assert.equal(byId.aaa.description, 'Run toolu_1');
+    assert.equal(byId.aaa.subagentType, 'Explore');
+    assert.equal(byId.aaa.toolCalls, 1);
+    assert.equal(byId.bbb.toolUseId, 'toolu_2');
+    assert.equal(byId.bbb.parentAgentId, null);
+  });
+
+  it('should add sub-agent tokens and models to the parent totals', async () => {
+    const { summary } = await runScanTask({ sessionFile: file, mode: 'full', analyze: true });
+    assert.equal(summary.ownTokenUsage.input, 2000);
+    assert.equal(summary.tokenUsage.input, 2200);
+    assert.equal(summary.tokenUsage.output, 280);
+    assert.deepEqual(summary.models, ['claude-opus-4-6', 'claude-sonnet-4-6']);
+    assert.equal(summary.hasSubAgents, true);
+  });
+
+  it('should price each message at its own model', async () => {
+    const { summary } = await runScanTask({ sessionFile: file, mode: 'fast' });
+    const opus = summary.modelUsage['claude-opus-4-6'];
+    const sonnet = summary.modelUsage['claude-sonnet-4-6'];
+    assert.equal(opus.messages, 2);
+    assert.equal(sonnet.input, 200);
+    assert.ok(Math.abs(opus.cost - (2000 * 15 + 200 * 75) / 1e6) < 1e-9);
+    assert.ok(Math.abs(summary.estimatedCost - opus.cost - sonnet.cost) < 1e-9);
+    assert.ok(Math.abs(summary.subAgents.find(a => a.id === 'aaa').estimatedCost - (100 * 3 + 40 * 15) / 1e6) < 1e-9);
+  });
+
+  it('should resume sub-agent checkpoints after a transcript grows', async () => {
+    const first = await runScanTask({ sessionFile: file, mode: 'full' });
+    await appendFile(join(tmpDir, 'parent-1', 'subagents', 'agent-bbb.jsonl'),
+      assistantLine('t3', 'And a third.', '2026-03-01T10:02:40Z'));
+
+    const { summary } = await runScanTask({ sessionFile: file, mode: 'full', checkpoint: first.checkpoint });
+    assert.equal(summary.tokenUsage.output, first.summary.tokenUsage.output + 40);
+    assert.equal(summary.subAgents.find(a => a.id === 'bbb').messageCount, 3);
+  });
+
+  it('should rescan a cached session flagged rescan after its sub-agents changed', async () => {
+    const originalDir = CLAUDE_DIR;
+    setClaudeDir(join(tmpDir, 'claude'));
+    try {
+      const scan = async f => (await scanSessions([f], { incremental: true, concurrency: 0 })).sessions[0];
+      const before = await scan(file);
+      await appendFile(join(tmpDir, 'parent-1', 'subagents', 'agent-aaa.jsonl'),
+        assistantLine('s3', 'One more.', '2026-03-01T10:02:50Z'));
+      // The session file itself did not change: its cache entry looks fresh
+      assert.equal((await scan(file)).tokenUsage.output, before.tokenUsage.output);
+      assert.equal((await scan({ ...file, rescan: true })).tokenUsage.output, before.tokenUsage.output + 40);
+    } finally {
+      await clearCache();
+      setClaudeDir(originalDir);
+    }
+  });
+});
+
+// ── Compaction ───────────────────────────────────────────────────────
+
+describe('compaction and summary records', () => {
+  let tmpDir;
+  let file;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-test-compact-'));
+    file = { id: 'cmp-1', projectSlug: '-tmp-cmp', filePath: join(tmpDir, 'cmp-1.jsonl') };
+    const compactSummary = (uuid, ts) => JSON.stringify({
+      type: 'user', uuid, timestamp: ts, isCompactSummary: true,
+      message: { role: 'user', content: 'This session is being continued from a previous conversation.' },
+    }) + '\n';
+    await writeFile(file.filePath,
+      JSON.stringify({ type: 'summary', summary: 'Old auth notes', leafUuid: 'x' }) + '\n' +
+      userLine('u1', 'Look at the auth code', '2026-03-01T10:00:00Z') +
+      assistantLine('a1', 'Looking.', '2026-03-01T10:01:00Z') +
+      JSON.stringify({
+        type: 'system', subtype: 'compact_boundary', uuid: 'c1', timestamp: '2026-03-01T10:02:00Z',
+        compactMetadata: { trigger: 'auto', preTokens: 150000 },
+      }) + '\n' +
+      compactSummary('u2', '2026-03-01T10:02:01Z') +
+      assistantLine('a2', 'Continuing.', '2026-03-01T10:03:00Z') +
+      // Older format: a summary message with no boundary before it
+      compactSummary('u3', '2026-03-01T10:04:00Z') +
+      JSON.stringify({ type: 'summary', summary: 'Refactor login flow', leafUuid: 'a2' }) + '\n');
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should count compactions with and without boundary records', async () => {
+    const summary = await fullScan(file);
+    assert.equal(summary.compactions, 2);
+  });
+
+  it('should read the last custom-title record as nativeTitle', async () => {
+    const titled = { ...file, filePath: join(tmpDir, 'titled.jsonl') };
+    await writeFile(titled.filePath,
+      userLine('u1', 'Hello', '2026-03-01T10:00:00Z') +
+      JSON.stringify({ type: 'custom-title', customTitle: 'First name', sessionId: 'cmp-1' }) + '\n' +
+      JSON.stringify({ type: 'custom-title', customTitle: 'Second name', sessionId: 'cmp-1' }) + '\n');
+    assert.equal((await fullScan(titled)).nativeTitle, 'Second name');
+    assert.equal((await fullScan(file)).nativeTitle, null);
+  });
+
+  it('should prefer the latest summary as the title', async () => {
+    const summary = await fullScan(file);
+    assert.equal(summary.summaryTitle, 'Refactor login flow');
+    assert.equal(summary.title, 'Refactor login flow');
+  });
+
+  it('should mark compactions on the messages that follow them', async () => {
+    const { messages, total } = await readMessages(file.filePath, { branch: 'all' });
+    assert.equal(total, 5);
+    assert.deepEqual(messages[2].compaction, { timestamp: '2026-03-01T10:02:00Z', trigger: 'auto', preTokens: 150000 });
+    assert.equal(messages[2].compactSummary, true);
+    assert.equal(messages[3].compaction, undefined);
+    assert.equal(messages[4].compaction.trigger, null);
+    assert.equal(messages[0].compactSummary, false);
+  });
+});
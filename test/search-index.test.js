@@ -0,0 +1,115 @@
+/**
+ * Tests for the persistent content search index.
+ * The index lives in TOOL_DIR, so the Claude dir is pointed at a temp tree.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, appendFile, readdir, rm, stat } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CLAUDE_DIR, TOOL_DIR, setClaudeDir } from '../lib/utils.js';
+import { tokenize, updateIndex, queryIndex, clearIndex, indexStats } from '../lib/search-index.js';
+
+function line(type, content) {
+  return JSON.stringify({ type, message: { role: type, content } }) + '\n';
+}
+
+describe('tokenize', () => {
+  it('should lowercase and split on non-word characters', () => {
+    assert.deepEqual(tokenize('Fix the Docker-build, npm_ci!'), ['fix', 'the', 'docker', 'build', 'npm_ci']);
+  });
+
+  it('should drop single characters and very long runs', () => {
+    assert.deepEqual(tokenize('a bc ' + 'x'.repeat(100)), ['bc']);
+  });
+
+  it('should keep non-ASCII letters', () => {
+    assert.deepEqual(tokenize('corrige la fonction créée'), ['corrige', 'la', 'fonction', 'créée']);
+  });
+});
+
+describe('search index — update and query', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+  let files;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-index-'));
+    setClaudeDir(tmpDir);
+    await clearIndex();
+    const a = join(tmpDir, 'a.jsonl');
+    const b = join(tmpDir, 'b.jsonl');
+    await writeFile(a, line('user', 'Deploy the payments service') +
+      line('assistant', [{ type: 'tool_use', name: 'Bash', input: { command: 'kubectl apply -f deploy.yaml' } }]));
+    await writeFile(b, line('user', 'Refactor the login form') +
+      line('user', [{ type: 'tool_result', content: 'ECONNREFUSED 127.0.0.1:5432' }]));
+    files = [{ id: 'a', filePath: a }, { id: 'b', filePath: b }];
+  });
+
+  after(async () => {
+    await clearIndex();
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should index every file on first update', async () => {
+    const result = await updateIndex(files);
+    assert.equal(result.indexed, 2);
+    assert.equal(result.total, 2);
+    const info = await stat(join(TOOL_DIR, 'search-index.json'));
+    assert.ok(info.size > 0);
+    // Written through a temp file under the lock: neither is left behind
+    assert.deepEqual((await readdir(TOOL_DIR)).filter(f => f.startsWith('search-index')), ['search-index.json']);
+  });
+
+  it('should skip unchanged files on the next update', async () => {
+    const result = await updateIndex(files);
+    assert.equal(result.indexed, 0);
+  });
+
+  it('should return candidates for words, tool inputs and tool results', async () => {
+    assert.deepEqual([...await queryIndex('payments')], [files[0].filePath]);
+    assert.deepEqual([...await queryIndex('kubectl apply')], [files[0].filePath]);
+    assert.deepEqual([...await queryIndex('econnrefused')], [files[1].filePath]);
+  });
+
+  it('should match partial words (substring semantics)', async () => {
+    assert.deepEqual([...await queryIndex('refact')], [files[1].filePath]);
+  });
+
+  it('should match inside words', async () => {
+    assert.deepEqual([...await queryIndex('connref')], [files[1].filePath]);
+    assert.deepEqual([...await queryIndex('ubect')], [files[0].filePath]);
+  });
+
+  it('should match query tokens shorter than a trigram', async () => {
+    assert.deepEqual([...await queryIndex('ym')], [files[0].filePath]);
+    assert.deepEqual([...await queryIndex('fo')], [files[1].filePath]);
+  });
+
+  it('should require every query token', async () => {
+    assert.equal((await queryIndex('payments login')).size, 0);
+  });
+
+  it('should return null when the query has no indexable token', async () => {
+    assert.equal(await queryIndex('->'), null);
+  });
+
+  it('should reindex a file that grew', async () => {
+    await appendFile(files[1].filePath, line('assistant', 'Use a connection pool'));
+    const result = await updateIndex(files);
+    assert.equal(result.indexed, 1);
+    assert.deepEqual([...await queryIndex('pool')], [files[1].filePath]);
+    assert.deepEqual([...await queryIndex('login')], [files[1].filePath]);
+  });
+
+  it('should drop files that no longer exist', async () => {
+    await rm(files[0].filePath);
+    const result = await updateIndex([files[1]]);
+    assert.equal(result.removed, 1);
+    assert.equal((await queryIndex('payments')).size, 0);
+    const stats = await indexStats();
+    assert.equal(stats.files, 1);
+  });
+});
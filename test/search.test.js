@@ -1,10 +1,13 @@
 /**
- * Tests for filterSessions search/filter logic.
+ * Tests for filterSessions search/filter logic and content search.
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { filterSessions } from '../lib/search.js';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { filterSessions, searchContent } from '../lib/search.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
@@ -223,6 +226,18 @@ describe('filterSessions — tag', () => {
     assert.equal(result.total, 1);
     assert.equal(result.sessions[0].id, 's3');
   });
+
+  it('should match nested tags under a parent', () => {
+    const sessions = [
+      makeSession({ id: 'n1', tags: ['client/acme'] }),
+      makeSession({ id: 'n2', tags: ['client/globex/infra'] }),
+      makeSession({ id: 'n3', tags: ['client'] }),
+      makeSession({ id: 'n4', tags: ['clientele'] }),
+    ];
+    assert.deepEqual(filterSessions(sessions, { tag: 'client' }).sessions.map(s => s.id).sort(), ['n1', 'n2', 'n3']);
+    assert.deepEqual(filterSessions(sessions, { tag: 'Client / Globex' }).sessions.map(s => s.id), ['n2']);
+    assert.equal(filterSessions(sessions, { tag: 'acme' }).total, 0);
+  });
 });
 
 // ── Favorite filter ──────────────────────────────────────────────────
@@ -435,3 +450,77 @@ describe('filterSessions — edge cases', () => {
     assert.equal(result.limit, 0);
   });
 });
+
+// ── searchContent ────────────────────────────────────────────────────
+
+describe('searchContent — conversation content', () => {
+  let tmpDir;
+  let sessions;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-search-'));
+    const records = [
+      { type: 'user', message: { role: 'user', content: 'Why does the payments build fail?' } },
+      { type: 'progress', data: { type: 'hook_progress' } },
+      { type: 'assistant', message: { role: 'assistant', content: [
+        { type: 'text', text: 'Let me check the Dockerfile.' },
+        { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'docker build -t payments .' } },
+      ] } },
+      { type: 'user', message: { role: 'user', content: [
+        { type: 'tool_result', tool_use_id: 't1', content: 'ERROR: npm ci exited with code 1' },
+      ] } },
+    ];
+    const a = join(tmpDir, 'a.jsonl');
+    const b = join(tmpDir, 'b.jsonl');
+    await writeFile(a, records.map(r => JSON.stringify(r)).join('\n') + '\nnot json\n');
+    await writeFile(b, JSON.stringify({ type: 'user', message: { content: 'unrelated' } }) + '\n');
+    sessions = [makeSession({ id: 'a', filePath: a }), makeSession({ id: 'b', filePath: b })];
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should match user text with the message index', async () => {
+    const result = await searchContent(sessions, 'PAYMENTS BUILD');
+    assert.equal(result.total, 1);
+    const hit = result.sessions[0].hits[0];
+    assert.equal(hit.messageIndex, 0);
+    assert.equal(hit.type, 'user');
+    assert.equal(hit.kind, 'text');
+  });
+
+  it('should match tool inputs and tool results', async () => {
+    const input = await searchContent(sessions, 'docker build -t');
+    assert.equal(input.sessions[0].hits[0].kind, 'tool_use');
+    assert.equal(input.sessions[0].hits[0].messageIndex, 1);
+
+    const output = await searchContent(sessions, 'exited with code');
+    assert.equal(output.sessions[0].hits[0].kind, 'tool_result');
+    assert.equal(output.sessions[0].hits[0].messageIndex, 2);
+  });
+
+  it('should return highlight offsets inside the snippet', async () => {
+    const result = await searchContent(sessions, 'dockerfile');
+    const hit = result.sessions[0].hits[0];
+    const [start, end] = hit.highlights[0];
+    assert.equal(hit.snippet.slice(start, end), 'Dockerfile');
+  });
+
+  it('should cap hits per session but count them all', async () => {
+    const result = await searchContent(sessions, 'payments', { maxHits: 1 });
+    assert.equal(result.sessions[0].hits.length, 1);
+    assert.equal(result.sessions[0].hitCount, 2);
+  });
+
+  it('should return nothing for an empty query or no match', async () => {
+    assert.equal((await searchContent(sessions, '')).total, 0);
+    assert.equal((await searchContent(sessions, 'kubernetes')).total, 0);
+  });
+
+  it('should skip sessions whose file is missing', async () => {
+    const missing = [makeSession({ id: 'gone', filePath: join(tmpDir, 'gone.jsonl') })];
+    const result = await searchContent(missing, 'anything');
+    assert.equal(result.total, 0);
+  });
+});
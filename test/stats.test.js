@@ -4,7 +4,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { computeStats } from '../lib/stats.js';
+import { computeStats, costByModel, periodBounds, evaluateBudgets, validateBudgets, costSince } from '../lib/stats.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
@@ -497,3 +497,134 @@ describe('computeStats — language distribution', () => {
     assert.equal(stats.languageDistribution[null], undefined);
   });
 });
+
+// ── Per-model cost ───────────────────────────────────────────────────
+
+describe('costByModel', () => {
+  it('should sum per-model usage across sessions, most expensive first', () => {
+    const sessions = makeSessions(2, i => ({
+      modelUsage: {
+        'claude-opus-4-6': { input: 100, output: 10, cacheRead: 0, cacheWrite: 0, messages: 1, cost: 2 + i },
+        'claude-haiku-4-5-20251001': { input: 50, output: 5, cacheRead: 0, cacheWrite: 0, messages: 3, cost: 0.5 },
+      },
+    }));
+    const byModel = costByModel(sessions);
+    assert.deepEqual(byModel.map(m => m.model), ['claude-opus-4-6', 'claude-haiku-4-5-20251001']);
+    assert.equal(byModel[0].cost, 5);
+    assert.equal(byModel[0].sessions, 2);
+    assert.equal(byModel[1].messages, 6);
+    assert.deepEqual(computeStats(sessions).modelCosts, byModel);
+  });
+
+  it('should count sessions without per-model usage under their first model', () => {
+    const [entry] = costByModel([makeSession()]);
+    assert.equal(entry.model, 'claude-sonnet-4-6');
+    assert.equal(entry.input, 5000);
+    assert.equal(entry.messages, 4);
+  });
+});
+
+// ── Budgets ──────────────────────────────────────────────────────────
+
+describe('periodBounds', () => {
+  it('should start the week on Monday and bound the month', () => {
+    const { today, weekStart, monthStart, monthEnd } = periodBounds(new Date(2026, 2, 15, 14, 30));
+    assert.deepEqual(today, new Date(2026, 2, 15));
+    assert.deepEqual(weekStart, new Date(2026, 2, 9));
+    assert.deepEqual(monthStart, new Date(2026, 2, 1));
+    assert.deepEqual(monthEnd, new Date(2026, 3, 1));
+  });
+});
+
+describe('evaluateBudgets', () => {
+  // Wednesday 11 March 2026, noon: day 11 of 31 is ~33% of the month
+  const now = new Date(2026, 2, 11, 12);
+  const at = (y, m, d) => new Date(y, m, d, 10).toISOString();
+  const sessions = [
+    makeSession({ slug: 'app', shortProject: 'app', project: '/dev/app', lastTimestamp: at(2026, 2, 11), estimatedCost: 4 }),
+    makeSession({ slug: 'app', shortProject: 'app', project: '/dev/app', lastTimestamp: at(2026, 2, 9), estimatedCost: 6 }),
+    makeSession({ slug: 'lib', shortProject: 'lib', project: '/dev/lib', lastTimestamp: at(2026, 2, 2), estimatedCost: 10 }),
+    makeSession({ slug: 'lib', shortProject: 'lib', project: '/dev/lib', lastTimestamp: at(2026, 1, 20), estimatedCost: 100 }),
+  ];
+
+  it('should return nothing without budgets', () => {
+    assert.deepEqual(evaluateBudgets(sessions, null, now), []);
+    assert.deepEqual(evaluateBudgets(sessions, {}, now), []);
+  });
+
+  it('should sum spend per period against global limits', () => {
+    const [daily, weekly, monthly] = evaluateBudgets(sessions, { daily: 5, weekly: 8, monthly: 50 }, now);
+    assert.equal(daily.spent, 4);
+    assert.equal(daily.exceeded, false);
+    assert.equal(daily.projected, null);
+    assert.equal(weekly.spent, 10);
+    assert.equal(weekly.exceeded, true);
+    assert.equal(weekly.remaining, -2);
+    assert.equal(monthly.spent, 20);
+    assert.equal(monthly.percent, 40);
+    assert.equal(monthly.project, null);
+  });
+
+  it('should project month-to-date spend to the end of the month', () => {
+    const [monthly] = evaluateBudgets(sessions, { monthly: 50 }, now);
+    const elapsed = (now - new Date(2026, 2, 1)) / (new Date(2026, 3, 1) - new Date(2026, 2, 1));
+    assert.ok(Math.abs(monthly.projected - 20 / elapsed) < 1e-9);
+    assert.ok(monthly.projected > 50);
+  });
+
+  it('should scope project budgets to matching sessions', () => {
+    const results = evaluateBudgets(sessions, { projects: { app: { weekly: 20 }, lib: { monthly: 5 }, none: { daily: 1 } } }, now);
+    assert.deepEqual(results.map(b => [b.project, b.period, b.spent]), [
+      ['app', 'weekly', 10],
+      ['lib', 'monthly', 10],
+      ['none', 'daily', 0],
+    ]);
+    assert.equal(results[1].exceeded, true);
+  });
+
+  it('should ignore limits that are not positive numbers', () => {
+    assert.deepEqual(evaluateBudgets(sessions, { daily: 0, weekly: '10', monthly: -1 }, now), []);
+  });
+
+  it('should count each day of a session toward its own period', () => {
+    // Started Sunday 8 March, last message Wednesday: only Mon-Wed is this week
+    const long = makeSession({
+      lastTimestamp: at(2026, 2, 11),
+      estimatedCost: 7,
+      dailyCost: { '2026-02-28': 1, '2026-03-08': 2, '2026-03-10': 3, '2026-03-11': 1 },
+    });
+    const [daily, weekly, monthly] = evaluateBudgets([long], { daily: 5, weekly: 5, monthly: 5 }, now);
+    assert.equal(daily.spent, 1);
+    assert.equal(weekly.spent, 4);
+    assert.equal(monthly.spent, 6);
+    assert.equal(costSince(long, new Date(2026, 0, 1)), 7);
+  });
+});
+
+describe('validateBudgets', () => {
+  it('should accept unset and well-formed budgets', () => {
+    assert.deepEqual(validateBudgets(null), []);
+    assert.deepEqual(validateBudgets({ daily: 5, monthly: null, projects: { app: { weekly: 2.5 } } }), []);
+  });
+
+  it('should reject non-numeric limits and unknown periods', () => {
+    const errors = validateBudgets({
+      daily: '10',
+      weekley: 20,
+      monthly: -1,
+      projects: { app: { yearly: 100, weekly: 'lots' }, lib: 5 },
+    });
+    assert.equal(errors.length, 6);
+    assert.ok(errors.some(e => e.includes('budgets.daily') && e.includes('"10"')));
+    assert.ok(errors.some(e => e.includes('unknown period "weekley"')));
+    assert.ok(errors.some(e => e.includes('budgets.monthly')));
+    assert.ok(errors.some(e => e.includes('budgets.projects.app') && e.includes('"yearly"')));
+    assert.ok(errors.some(e => e.includes('budgets.projects.app.weekly')));
+    assert.ok(errors.some(e => e.includes('budgets.projects.lib')));
+  });
+
+  it('should reject a budgets value that is not an object', () => {
+    assert.equal(validateBudgets(20).length, 1);
+    assert.equal(validateBudgets({ projects: [] }).length, 1);
+  });
+});
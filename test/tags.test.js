@@ -0,0 +1,115 @@
+/**
+ * Tests for the tag hierarchy helpers and the tag operations across all
+ * sessions: rename, merge, delete and their undo.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CLAUDE_DIR, setClaudeDir } from '../lib/utils.js';
+import { normalizeTag, tagMatches, moveTag, buildTagTree } from '../lib/tags.js';
+import { addTag, addProtectRule, getProtectRules, getSessionMeta, getAllTags, renameTag, mergeTags, deleteTag } from '../lib/metadata.js';
+import { undo } from '../lib/undo.js';
+
+describe('Tag hierarchy', () => {
+  it('should normalize case, blanks and empty segments', () => {
+    assert.equal(normalizeTag(' Client / ACME '), 'client/acme');
+    assert.equal(normalizeTag('/client//acme/'), 'client/acme');
+    assert.equal(normalizeTag(' / '), '');
+  });
+
+  it('should match a tag and the tags nested in it only', () => {
+    assert.ok(tagMatches('client', 'client'));
+    assert.ok(tagMatches('client/acme/infra', 'client'));
+    assert.ok(!tagMatches('clientele', 'client'));
+    assert.ok(!tagMatches('client', 'client/acme'));
+  });
+
+  it('should move a subtree', () => {
+    assert.equal(moveTag('client/acme', 'client', 'customer'), 'customer/acme');
+    assert.equal(moveTag('other', 'client', 'customer'), null);
+  });
+
+  it('should build a tree counting each session once per level', () => {
+    const tree = buildTagTree([
+      { tags: ['client/acme', 'client/globex'] },
+      { tags: ['client'] },
+      { tags: ['bug'] },
+    ], ['client/acme', 'later']);
+    assert.deepEqual(tree.map(n => [n.path, n.count, n.own]), [['bug', 1, 1], ['client', 2, 1], ['later', 0, 0]]);
+    assert.deepEqual(tree[1].children.map(n => [n.name, n.count]), [['acme', 1], ['globex', 1]]);
+  });
+});
+
+describe('Tag operations', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-tags-'));
+    setClaudeDir(tmpDir);
+  });
+
+  after(async () => {
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should store tags normalized and refuse empty ones', async () => {
+    await addTag('aaaa-1', 'Client / Acme');
+    assert.deepEqual((await getSessionMeta('aaaa-1')).tags, ['client/acme']);
+    await assert.rejects(addTag('aaaa-1', ' / '), { code: 'EINVALID' });
+  });
+
+  it('should rename a tag and its children everywhere, protect rules included', async () => {
+    await addTag('aaaa-2', 'client');
+    await addTag('aaaa-2', 'client/globex');
+    await addProtectRule('tag', 'client/acme');
+
+    const result = await renameTag('client', 'customer');
+    assert.equal(result.sessions, 2);
+    assert.deepEqual(result.tags, [['client/acme', 'customer/acme'], ['client', 'customer'], ['client/globex', 'customer/globex']]);
+    assert.deepEqual((await getSessionMeta('aaaa-1')).tags, ['customer/acme']);
+    assert.deepEqual((await getSessionMeta('aaaa-2')).tags, ['customer', 'customer/globex']);
+    assert.deepEqual((await getProtectRules()).tags, ['customer/acme']);
+    assert.ok(!(await getAllTags()).some(t => t.startsWith('client')));
+  });
+
+  it('should refuse to rename onto a tag in use, and merge into it instead', async () => {
+    await addTag('aaaa-3', 'acme');
+    await addTag('aaaa-1', 'acme');
+    await assert.rejects(renameTag('acme', 'customer/acme'), { code: 'EEXIST' });
+    await assert.rejects(renameTag('missing', 'other'), { code: 'ENOTAG' });
+
+    const result = await mergeTags('acme', 'customer/acme');
+    assert.equal(result.sessions, 2);
+    // aaaa-1 had both: it keeps one
+    assert.deepEqual((await getSessionMeta('aaaa-1')).tags, ['customer/acme']);
+    assert.deepEqual((await getSessionMeta('aaaa-3')).tags, ['customer/acme']);
+  });
+
+  it('should delete a subtree but keep protect rules', async () => {
+    const result = await deleteTag('customer');
+    assert.equal(result.sessions, 3);
+    assert.deepEqual(result.tags.sort(), ['customer', 'customer/acme', 'customer/globex']);
+    assert.equal(await getSessionMeta('aaaa-3'), null);
+    assert.deepEqual(await getAllTags(), []);
+    assert.deepEqual((await getProtectRules()).tags, ['customer/acme']);
+  });
+
+  it('should undo a delete, a merge and a rename', async () => {
+    await undo();
+    assert.deepEqual((await getSessionMeta('aaaa-3')).tags, ['customer/acme']);
+    assert.ok((await getAllTags()).includes('customer/globex'));
+
+    // The merge, the two tags it folded, then the rename
+    const results = await undo({ count: 4 });
+    assert.match(results.at(-1).description, /^rename tag #client to #customer/);
+    assert.deepEqual((await getSessionMeta('aaaa-1')).tags, ['client/acme']);
+    assert.deepEqual((await getSessionMeta('aaaa-2')).tags, ['client', 'client/globex']);
+    assert.deepEqual((await getProtectRules()).tags, ['client/acme']);
+    assert.ok(!(await getAllTags()).some(t => t.startsWith('customer')));
+  });
+});
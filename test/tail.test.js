@@ -0,0 +1,96 @@
+/**
+ * Tests for following a session file as it grows.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, appendFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { tailSession } from '../lib/tail.js';
+
+function rec(uuid) {
+  return JSON.stringify({ type: 'user', uuid, message: { role: 'user', content: uuid } }) + '\n';
+}
+
+// Poll until `check` passes or the timeout expires
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+describe('tailSession', () => {
+  let tmpDir;
+  let filePath;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-tail-'));
+    filePath = join(tmpDir, 'tail.jsonl');
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should replay existing records then follow appended ones', async () => {
+    await writeFile(filePath, rec('u1') + rec('u2'));
+    const seen = [];
+    let idle = 0;
+    const tail = tailSession(filePath, { onRecord: r => seen.push(r.uuid), onIdle: () => idle++, intervalMs: 20 });
+    try {
+      await tail.ready;
+      assert.deepEqual(seen, ['u1', 'u2']);
+      assert.equal(idle, 1);
+
+      await appendFile(filePath, rec('u3') + 'not json\n');
+      await waitFor(() => seen.length === 3);
+      assert.deepEqual(seen, ['u1', 'u2', 'u3']);
+    } finally {
+      tail.close();
+    }
+  });
+
+  it('should wait for a partial line to be completed', async () => {
+    await writeFile(filePath, rec('a1'));
+    const seen = [];
+    const tail = tailSession(filePath, { onRecord: r => seen.push(r.uuid), intervalMs: 20 });
+    try {
+      await tail.ready;
+      const line = rec('a2');
+      await appendFile(filePath, line.slice(0, 10));
+      await new Promise(r => setTimeout(r, 100));
+      assert.deepEqual(seen, ['a1']);
+
+      await appendFile(filePath, line.slice(10));
+      await waitFor(() => seen.length === 2);
+      assert.deepEqual(seen, ['a1', 'a2']);
+    } finally {
+      tail.close();
+    }
+  });
+
+  it('should start over when the file is rewritten shorter', async () => {
+    await writeFile(filePath, rec('b1') + rec('b2') + rec('b3'));
+    const seen = [];
+    const tail = tailSession(filePath, { onRecord: r => seen.push(r.uuid), onReset: () => seen.push('reset'), intervalMs: 20 });
+    try {
+      await tail.ready;
+      await writeFile(filePath, rec('c1'));
+      await waitFor(() => seen.length === 5);
+      assert.deepEqual(seen, ['b1', 'b2', 'b3', 'reset', 'c1']);
+    } finally {
+      tail.close();
+    }
+  });
+
+  it('should report a missing file through onError', async () => {
+    const errors = [];
+    const tail = tailSession(join(tmpDir, 'missing.jsonl'), { onRecord: () => {}, onError: e => errors.push(e.code) });
+    await tail.ready;
+    tail.close();
+    assert.deepEqual(errors, ['ENOENT']);
+  });
+});
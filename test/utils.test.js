@@ -2,8 +2,10 @@
  * Tests for utility functions: formatting, cost estimation, junk detection, etc.
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, after } from 'node:test';
 import assert from 'node:assert/strict';
+import { homedir } from 'os';
+import { join } from 'path';
 import {
   decodeProjectSlug,
   shortProjectName,
@@ -16,7 +18,18 @@ import {
   isJunkMessage,
   JUNK_PATTERNS,
   estimateCost,
+  sessionCost,
   MODEL_PRICING,
+  setClaudeDir,
+  expandHome,
+  buildSnippet,
+  DEFAULT_CLAUDE_DIR,
+  CLAUDE_DIR,
+  PROJECTS_DIR,
+  TOOL_DIR,
+  TRASH_DIR,
+  TRASH_MANIFEST,
+  CACHE_FILE,
 } from '../lib/utils.js';
 
 // ── decodeProjectSlug ────────────────────────────────────────────────
@@ -356,6 +369,13 @@ describe('estimateCost', () => {
     assert.equal(cost, MODEL_PRICING.default.input); // 3.0
   });
 
+  it('should use the per-message total in sessionCost', () => {
+    const tokenUsage = { input: 1_000_000, output: 0, cacheRead: 0, cacheWrite: 0 };
+    assert.equal(sessionCost({ models: ['claude-opus-4-6'], tokenUsage, estimatedCost: 1.25 }), 1.25);
+    // Summaries without per-message costs are priced at their first model
+    assert.equal(sessionCost({ models: ['claude-opus-4-6'], tokenUsage }), 15.0);
+  });
+
   it('should handle zero tokens', () => {
     const cost = estimateCost(
       { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
@@ -401,3 +421,72 @@ describe('MODEL_PRICING', () => {
     assert.ok(MODEL_PRICING['claude-opus-4-6'].output > MODEL_PRICING['claude-sonnet-4-6'].output);
   });
 });
+
+// ── setClaudeDir ─────────────────────────────────────────────────────
+
+describe('setClaudeDir', () => {
+  const original = CLAUDE_DIR;
+  after(() => setClaudeDir(original));
+
+  it('should re-derive all paths from the new root', () => {
+    setClaudeDir('/tmp/fixture-claude');
+    assert.equal(CLAUDE_DIR, '/tmp/fixture-claude');
+    assert.equal(PROJECTS_DIR, join('/tmp/fixture-claude', 'projects'));
+    assert.equal(TOOL_DIR, join('/tmp/fixture-claude', 'tools', 'csesh'));
+    assert.equal(TRASH_DIR, join(TOOL_DIR, 'trash'));
+    assert.equal(TRASH_MANIFEST, join(TOOL_DIR, 'trash-manifest.json'));
+    assert.equal(CACHE_FILE, join(TOOL_DIR, 'cache.json'));
+  });
+
+  it('should resolve relative paths', () => {
+    setClaudeDir('fixtures/claude');
+    assert.equal(CLAUDE_DIR, join(process.cwd(), 'fixtures', 'claude'));
+  });
+
+  it('should fall back to ~/.claude when empty', () => {
+    setClaudeDir(null);
+    assert.equal(CLAUDE_DIR, DEFAULT_CLAUDE_DIR);
+    assert.equal(DEFAULT_CLAUDE_DIR, join(homedir(), '.claude'));
+  });
+});
+
+describe('expandHome', () => {
+  it('should expand a leading ~', () => {
+    assert.equal(expandHome('~'), homedir());
+    assert.equal(expandHome('~/backup/.claude'), join(homedir(), 'backup', '.claude'));
+  });
+
+  it('should leave other paths unchanged', () => {
+    assert.equal(expandHome('/srv/claude'), '/srv/claude');
+    assert.equal(expandHome('a~b'), 'a~b');
+  });
+});
+
+// ── buildSnippet ─────────────────────────────────────────────────────
+
+describe('buildSnippet', () => {
+  it('should return short text whole with highlights', () => {
+    const { text, highlights } = buildSnippet('fix the Login bug', 'login', 8);
+    assert.equal(text, 'fix the Login bug');
+    assert.deepEqual(highlights, [[8, 13]]);
+  });
+
+  it('should add ellipses when trimming around the match', () => {
+    const long = 'a'.repeat(100) + 'needle' + 'b'.repeat(100);
+    const { text, highlights } = buildSnippet(long, 'needle', 100, 10);
+    assert.ok(text.startsWith('…'));
+    assert.ok(text.endsWith('…'));
+    assert.equal(text.slice(highlights[0][0], highlights[0][1]), 'needle');
+  });
+
+  it('should flatten newlines without shifting offsets', () => {
+    const { text, highlights } = buildSnippet('line one\nline two', 'two', 14);
+    assert.equal(text, 'line one line two');
+    assert.deepEqual(highlights, [[14, 17]]);
+  });
+
+  it('should highlight every occurrence', () => {
+    const { highlights } = buildSnippet('go go go', 'go', 0);
+    assert.equal(highlights.length, 3);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for the session file watcher.
+ * PROJECTS_DIR is pointed at a temp tree through setClaudeDir.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, appendFile, rename, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CLAUDE_DIR, PROJECTS_DIR, setClaudeDir } from '../lib/utils.js';
+import { watchSessions, watchFiles } from '../lib/watcher.js';
+
+describe('watchSessions', () => {
+  const originalDir = CLAUDE_DIR;
+  let tmpDir;
+  let projectDir;
+  let handle;
+  let waiters;
+
+  // Resolve once a batch containing `p` arrives (or fail after a timeout)
+  function changeOf(p) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`no change event for ${p}`)), 3000);
+      waiters.push({ p, resolve: (paths) => { clearTimeout(timer); resolve(paths); } });
+    });
+  }
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-watch-'));
+    setClaudeDir(tmpDir);
+    projectDir = join(PROJECTS_DIR, '-tmp-watch');
+    await mkdir(projectDir, { recursive: true });
+    await writeFile(join(projectDir, 'a.jsonl'), '{"type":"user"}\n');
+    await mkdir(join(projectDir, 'a', 'subagents'), { recursive: true });
+    await writeFile(join(projectDir, 'a', 'subagents', 'agent-x.jsonl'), '{"type":"user"}\n');
+    waiters = [];
+    handle = await watchSessions(paths => {
+      for (const w of waiters.filter(w => paths.includes(w.p))) w.resolve(paths);
+      waiters = waiters.filter(w => !paths.includes(w.p));
+    }, { debounceMs: 50 });
+  });
+
+  after(async () => {
+    handle.close();
+    setClaudeDir(originalDir);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should be active when the projects dir exists', () => {
+    assert.equal(handle.active, true);
+  });
+
+  it('should report appended session files', async () => {
+    const file = join(projectDir, 'a.jsonl');
+    const changed = changeOf(file);
+    await appendFile(file, '{"type":"assistant"}\n');
+    assert.ok((await changed).includes(file));
+  });
+
+  it('should ignore non-session files', async () => {
+    const file = join(projectDir, 'a.jsonl');
+    const changed = changeOf(file);
+    await writeFile(join(projectDir, 'notes.txt'), 'x');
+    await appendFile(file, '{"type":"user"}\n');
+    const paths = await changed;
+    assert.ok(!paths.some(p => p.endsWith('notes.txt')));
+  });
+
+  it('should report sub-agent transcripts of existing sessions', async () => {
+    const file = join(projectDir, 'a', 'subagents', 'agent-x.jsonl');
+    const changed = changeOf(file);
+    await appendFile(file, '{"type":"assistant"}\n');
+    assert.ok((await changed).includes(file));
+  });
+
+  it('should watch sub-agent transcripts of sessions that get their first one', async () => {
+    const companion = join(projectDir, 'c');
+    const sessionChanged = changeOf(join(projectDir, 'c.jsonl'));
+    await writeFile(join(projectDir, 'c.jsonl'), '{"type":"user"}\n');
+    await mkdir(companion);
+    await sessionChanged;
+    await new Promise(r => setTimeout(r, 50));
+
+    const file = join(companion, 'subagents', 'agent-y.jsonl');
+    const changed = changeOf(file);
+    await mkdir(join(companion, 'subagents'));
+    await writeFile(file, '{"type":"user"}\n');
+    assert.ok((await changed).includes(file));
+  });
+
+  it('should report and then watch new project directories', async () => {
+    const newDir = join(PROJECTS_DIR, '-tmp-new');
+    const dirChanged = changeOf(newDir);
+    await mkdir(newDir);
+    await dirChanged;
+
+    const file = join(newDir, 'b.jsonl');
+    const fileChanged = changeOf(file);
+    await writeFile(file, '{"type":"user"}\n');
+    assert.ok((await fileChanged).includes(file));
+  });
+
+  it('should be inactive when the projects dir is missing', async () => {
+    setClaudeDir(join(tmpDir, 'nope'));
+    const missing = await watchSessions(() => {});
+    setClaudeDir(tmpDir);
+    assert.equal(missing.active, false);
+    missing.close();
+  });
+});
+
+describe('watchFiles', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'csesh-watch-files-'));
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should report watched files, including atomic replacements, and nothing else', async () => {
+    const file = join(tmpDir, 'store.jsonl');
+    const batches = [];
+    let notify;
+    const handle = watchFiles([file], paths => {
+      batches.push(paths);
+      notify?.();
+    }, { debounceMs: 50 });
+    try {
+      assert.equal(handle.active, true);
+      const changed = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no change event')), 3000);
+        notify = () => { clearTimeout(timer); resolve(); };
+      });
+      await writeFile(join(tmpDir, 'other.json'), '{}');
+      await writeFile(join(tmpDir, 'store.jsonl.tmp'), 'x\n');
+      await rename(join(tmpDir, 'store.jsonl.tmp'), file);
+      await changed;
+      assert.deepEqual(batches.flat(), [file]);
+    } finally {
+      handle.close();
+    }
+  });
+
+  it('should be inactive when a directory is missing', () => {
+    const handle = watchFiles([join(tmpDir, 'nope', 'store.jsonl')], () => {});
+    assert.equal(handle.active, false);
+    handle.close();
+  });
+});
@@ -6,17 +6,25 @@
  */
 
 import { createServer } from 'http';
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFile, readdir, access, mkdir } from 'fs/promises';
+import { join, dirname, basename, sep } from 'path';
 import { fileURLToPath } from 'url';
-import { findSessionFiles, fullScan, fastScan, readMessages, listProjects } from '../lib/scanner.js';
-import { getCached, setCached, flushCache, clearCache } from '../lib/cache.js';
+import { findSessionFiles, scanSession, scanSessions, readMessages, listProjects } from '../lib/scanner.js';
+import { flushCache, clearCache } from '../lib/cache.js';
 import { classifyAll, junkLabel } from '../lib/classifier.js';
-import { filterSessions } from '../lib/search.js';
-import { computeStats } from '../lib/stats.js';
-import { trashSession, restoreSession, listTrash, deleteFromTrash } from '../lib/cleanup.js';
-import { mergeMetadata, setTitle, addTag, removeTag, toggleFavorite, setNote, setTierOverride, getAllTags, batchSetTag, loadMetadata } from '../lib/metadata.js';
+import { loadRules } from '../lib/rules.js';
+import { filterSessions, searchContent } from '../lib/search.js';
+import { computeStats, evaluateBudgets, validateBudgets } from '../lib/stats.js';
+import { trashSession, restoreSession, listTrash, deleteFromTrash, trashItemKey } from '../lib/cleanup.js';
+import { archiveSession, unarchiveSession, listArchive, loadArchivedSessions } from '../lib/archive.js';
+import { mergeMetadata, setTitle, addTag, removeTag, toggleFavorite, setNote, setTierOverride, setProtected, protectionReason, getAllTags, batchSetTag, loadMetadata, renameTag, deleteTag, metadataFile } from '../lib/metadata.js';
+import { buildTagTree } from '../lib/tags.js';
 import { renameSessionSlug } from '../lib/rename.js';
+import { group, listSteps, describeStep } from '../lib/journal.js';
+import { undo } from '../lib/undo.js';
+import { watchSessions, watchFiles } from '../lib/watcher.js';
+import { CLAUDE_DIR, DEFAULT_CLAUDE_DIR, TOOL_DIR, TRASH_MANIFEST, ARCHIVE_MANIFEST } from '../lib/utils.js';
+import { getConfig } from '../lib/config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -28,43 +36,32 @@ const MIN_ID_LENGTH = 8;
 let sessionsCache = null;
 let lastLoadTime = 0;
 const CACHE_TTL = 30_000;
+// While PROJECTS_DIR is watched, changes are applied to sessionsCache as they
+// happen, and metadata, trash or archive changes made by other processes drop
+// it; the longer TTL only guards against events the watchers missed
+const WATCHED_CACHE_TTL = 10 * 60_000;
+
+let watcher = null;
+let storeWatcher = null;
 
 async function getSessions(forceRefresh = false) {
-  if (!forceRefresh && sessionsCache && Date.now() - lastLoadTime < CACHE_TTL) {
+  const ttl = watcher?.active && storeWatcher?.active ? WATCHED_CACHE_TTL : CACHE_TTL;
+  if (!forceRefresh && sessionsCache && Date.now() - lastLoadTime < ttl) {
     return sessionsCache;
   }
 
   const files = await findSessionFiles();
-  const results = [];
-
-  for (let i = 0; i < files.length; i += 50) {
-    const batch = files.slice(i, i + 50);
-    const batchResults = await Promise.all(batch.map(async f => {
-      const cached = await getCached(f.filePath);
-      if (cached) return cached;
-      try {
-        const summary = await fastScan(f);
-        await setCached(f.filePath, summary);
-        return summary;
-      } catch (err) {
-        console.error(`csesh: scan error for ${f.filePath}: ${err.message}`);
-        return null;
-      }
-    }));
-    results.push(...batchResults.filter(Boolean));
-  }
+  const { sessions: results } = await scanSessions(files);
+  results.push(...await loadArchivedSessions());
 
   await flushCache();
-  classifyAll(results);
 
-  // Merge user metadata (titles, tags, favorites, notes)
+  // Merge user metadata (titles, tags, favorites, notes) before classifying:
+  // user rules can match on tags
   await mergeMetadata(results);
-
-  results.sort((a, b) => {
-    if (!a.lastTimestamp) return 1;
-    if (!b.lastTimestamp) return -1;
-    return new Date(b.lastTimestamp) - new Date(a.lastTimestamp);
-  });
+  await loadRules();
+  classifyAll(results);
+  sortByLastTimestamp(results);
 
   sessionsCache = results;
   lastLoadTime = Date.now();
@@ -74,6 +71,131 @@ async function getSessions(forceRefresh = false) {
 function invalidateCache() {
   sessionsCache = null;
   lastLoadTime = 0;
+  budgetsCache = null;
+}
+
+let budgetsCache = null;
+
+/**
+ * Spend against the configured budgets, as in `csesh cost`. Budgets need
+ * whole-file totals, so sessions are full-scanned here (checkpointed, so only
+ * the first load reads every file) rather than taken from the fast-scanned
+ * list. Invalid budget config yields { budgets: [], errors }.
+ */
+async function getBudgets() {
+  const { budgets } = await getConfig();
+  const errors = validateBudgets(budgets);
+  if (errors.length > 0 || !budgets) return { budgets: [], errors };
+  if (budgetsCache && Date.now() - budgetsCache.at < CACHE_TTL) return budgetsCache.result;
+
+  const { sessions } = await scanSessions(await findSessionFiles(), { full: true });
+  sessions.push(...await loadArchivedSessions());
+  await flushCache();
+  const result = { budgets: evaluateBudgets(sessions, budgets), errors };
+  budgetsCache = { at: Date.now(), result };
+  return result;
+}
+
+// Run a change as one journal step and return its id with the result, for
+// the dashboard's Undo toast
+function journaled(label, fn) {
+  return group(label, async step => ({ ...await fn(), step }));
+}
+
+// ── Live updates (Server-Sent Events) ─────────────────────────────
+
+const SSE_HEARTBEAT_MS = 25_000;
+const sseClients = new Set();
+let changeQueue = Promise.resolve();
+
+function broadcast(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of sseClients) res.write(payload);
+}
+
+function sortByLastTimestamp(sessions) {
+  sessions.sort((a, b) => {
+    if (!a.lastTimestamp) return 1;
+    if (!b.lastTimestamp) return -1;
+    return new Date(b.lastTimestamp) - new Date(a.lastTimestamp);
+  });
+}
+
+async function exists(p) {
+  try { await access(p); return true; } catch { return false; }
+}
+
+/**
+ * Rescan the session files reported by the watcher, patch sessionsCache and
+ * push session-added / session-updated / session-removed events.
+ * A project directory path stands for every session file inside it, and a
+ * sub-agent transcript for its session. Nothing to patch (or push) before
+ * the sessions were first loaded: the first load reads the changes anyway.
+ */
+async function applyFileChanges(paths) {
+  if (!sessionsCache) return;
+  const candidates = new Set();
+  // Sessions whose sub-agents changed: their own cache entry looks fresh
+  const rescan = new Set();
+  for (const p of paths) {
+    if (basename(dirname(p)) === 'subagents') {
+      const filePath = `${dirname(dirname(p))}.jsonl`;
+      candidates.add(filePath);
+      rescan.add(filePath);
+      continue;
+    }
+    if (p.endsWith('.jsonl')) {
+      candidates.add(p);
+      continue;
+    }
+    for (const s of sessionsCache) {
+      if (s.filePath.startsWith(p + sep)) candidates.add(s.filePath);
+    }
+    try {
+      for (const name of await readdir(p)) {
+        if (name.endsWith('.jsonl')) candidates.add(join(p, name));
+      }
+    } catch { /* project dir removed */ }
+  }
+
+  const changed = [];
+  const removed = [];
+  for (const filePath of candidates) {
+    if (await exists(filePath)) {
+      changed.push({
+        id: basename(filePath, '.jsonl'),
+        filePath,
+        projectSlug: basename(dirname(filePath)),
+        rescan: rescan.has(filePath),
+      });
+    } else {
+      removed.push(filePath);
+    }
+  }
+
+  const { sessions: updated } = await scanSessions(changed, { incremental: true });
+  await flushCache();
+  await mergeMetadata(updated);
+  classifyAll(updated);
+  if (!sessionsCache) return; // invalidated meanwhile
+
+  for (const session of updated) {
+    const idx = sessionsCache.findIndex(s => s.filePath === session.filePath);
+    if (idx !== -1) {
+      sessionsCache[idx] = session;
+      broadcast('session-updated', session);
+    } else {
+      sessionsCache.push(session);
+      broadcast('session-added', session);
+    }
+  }
+  for (const filePath of removed) {
+    const idx = sessionsCache.findIndex(s => s.filePath === filePath);
+    if (idx === -1) continue;
+    sessionsCache.splice(idx, 1);
+    broadcast('session-removed', { id: basename(filePath, '.jsonl') });
+  }
+  sortByLastTimestamp(sessionsCache);
 }
 
 function parseQuery(url) {
@@ -170,6 +292,20 @@ async function handleRequest(req, res) {
       return;
     }
 
+    // ── Live update stream ───────────────────────────────────────
+    if (path === '/api/events' && method === 'GET') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': corsOrigin(req),
+      });
+      res.write(`retry: 3000\nevent: hello\ndata: ${JSON.stringify({ watching: !!watcher?.active })}\n\n`);
+      sseClients.add(res);
+      req.on('close', () => sseClients.delete(res));
+      return;
+    }
+
     // ── Sessions list ────────────────────────────────────────────
     if (path === '/api/sessions' && method === 'GET') {
       const params = parseQuery(req.url);
@@ -180,6 +316,7 @@ async function handleRequest(req, res) {
         tier: params.tier || null,
         tag: params.tag || null,
         favorite: params.favorite === 'true' || null,
+        archived: params.archived === 'true' ? true : params.archived === 'false' ? false : null,
         sort: params.sort || 'date',
         query: params.q || null,
         limit: parseInt(params.limit) || 50,
@@ -203,10 +340,9 @@ async function handleRequest(req, res) {
           const files = await findSessionFiles();
           const file = files.find(f => f.id === session.id);
           if (file) {
-            const deep = await fullScan(file, { analyze: true });
-            classifyAll([deep]);
+            const { summary: deep } = await scanSession(file, { analyze: true });
             await mergeMetadata([deep]);
-            await setCached(file.filePath, deep);
+            classifyAll([deep]);
             await flushCache();
             send(deep);
             return;
@@ -228,6 +364,7 @@ async function handleRequest(req, res) {
       const messages = await readMessages(session.filePath, {
         offset: parseInt(params.offset) || 0,
         limit: parseInt(params.limit) || 200,
+        branch: params.branch === 'all' ? 'all' : parseInt(params.branch) || 0,
       });
       send(messages);
       return;
@@ -239,22 +376,35 @@ async function handleRequest(req, res) {
       const id = metaMatch[1];
       const body = await readBody(req);
       if (body.customTitle !== undefined) {
-        await setTitle(id, body.customTitle);
         // Also rename the slug in the JSONL so `claude --resume` shows the new name
-        try {
-          const result = await renameSessionSlug(id, body.customTitle);
-          send({ ok: true, slugRenamed: true, newSlug: result.newSlug, originalSlug: result.originalSlug });
-        } catch (err) {
+        let result = null;
+        let renameError = null;
+        // The native title the new one is set over (see metadata.setTitle)
+        const session = (await getSessions()).find(s => s.id === id);
+        const { step } = await journaled(`rename "${body.customTitle}"`, async () => {
+          try {
+            result = await renameSessionSlug(id, body.customTitle);
+          } catch (err) {
+            console.error('csesh: slug rename failed:', err.message);
+            renameError = err.message;
+          }
+          // Saved either way; only a written custom-title record counts as native
+          await setTitle(id, body.customTitle, { native: result !== null, nativeTitle: session?.nativeTitle });
+        });
+        if (result) {
+          send({ ok: true, slugRenamed: result.linesModified > 0, titleRecord: true, newSlug: result.newSlug, originalSlug: result.originalSlug, step });
+        } else {
           // Slug rename failed but metadata title was saved — partial success
-          console.error('csesh: slug rename failed:', err.message);
-          send({ ok: true, slugRenamed: false, error: err.message });
+          send({ ok: true, slugRenamed: false, error: renameError, step });
         }
         invalidateCache();
         return;
       }
-      if (body.notes !== undefined) await setNote(id, body.notes);
+      const { step } = await journaled(null, async () => {
+        if (body.notes !== undefined) await setNote(id, body.notes);
+      });
       invalidateCache();
-      send({ ok: true });
+      send({ ok: true, step });
       return;
     }
 
@@ -264,9 +414,9 @@ async function handleRequest(req, res) {
       const id = tagAddMatch[1];
       const body = await readBody(req);
       if (!body.tag) return send({ error: 'Missing tag' }, 400);
-      await addTag(id, body.tag);
+      const { step } = await journaled(null, () => addTag(id, body.tag));
       invalidateCache();
-      send({ ok: true });
+      send({ ok: true, step });
       return;
     }
 
@@ -275,9 +425,9 @@ async function handleRequest(req, res) {
     if (tagRemoveMatch && method === 'DELETE') {
       const id = tagRemoveMatch[1];
       const tag = decodeURIComponent(tagRemoveMatch[2]);
-      await removeTag(id, tag);
+      const { step } = await journaled(null, () => removeTag(id, tag));
       invalidateCache();
-      send({ ok: true });
+      send({ ok: true, step });
       return;
     }
 
@@ -285,9 +435,26 @@ async function handleRequest(req, res) {
     const favMatch = path.match(/^\/api\/sessions\/([a-f0-9-]+)\/favorite$/);
     if (favMatch && method === 'POST') {
       const id = favMatch[1];
-      const isFav = await toggleFavorite(id);
+      const result = await journaled(null, async () => ({ favorite: await toggleFavorite(id) }));
       invalidateCache();
-      send({ favorite: isFav });
+      send(result);
+      return;
+    }
+
+    // ── Protect / unprotect ──────────────────────────────────────
+    const protectMatch = path.match(/^\/api\/sessions\/([a-f0-9-]+)\/protect$/);
+    if (protectMatch && method === 'POST') {
+      const id = protectMatch[1];
+      const body = await readBody(req);
+      if (typeof body.protected !== 'boolean') {
+        return send({ error: 'protected must be true or false' }, 400);
+      }
+      const { step } = await journaled(null, () => setProtected(id, body.protected));
+      invalidateCache();
+      const session = (await getSessions()).find(s => s.id === id);
+      // Project and tag rules can keep a session protected after unprotecting it
+      const reason = session ? await protectionReason(session) : null;
+      send({ protected: reason != null, reason, step });
       return;
     }
 
@@ -299,9 +466,9 @@ async function handleRequest(req, res) {
       if (!body.tier || body.tier < 1 || body.tier > 4) {
         return send({ error: 'tier must be 1-4' }, 400);
       }
-      await setTierOverride(id, body.tier);
+      const { step } = await journaled(null, () => setTierOverride(id, body.tier));
       invalidateCache();
-      send({ ok: true });
+      send({ ok: true, step });
       return;
     }
 
@@ -314,6 +481,9 @@ async function handleRequest(req, res) {
       const trashItems = await listTrash();
       stats.trashedCount = trashItems.length;
       stats.trashedSize = trashItems.reduce((sum, i) => sum + (i.fileSizeBytes || 0), 0);
+      const { budgets, errors: budgetErrors } = await getBudgets();
+      stats.budgets = budgets;
+      stats.budgetErrors = budgetErrors;
       stats.version = PKG_VERSION;
       send(stats);
       return;
@@ -352,6 +522,19 @@ async function handleRequest(req, res) {
       const params = parseQuery(req.url);
       if (!params.q) return send({ error: 'Missing q parameter' }, 400);
       const sessions = await getSessions();
+      if (params.content === '1' || params.content === 'true') {
+        const { sessions: scoped } = filterSessions(sessions, {
+          project: params.project || null,
+          limit: 0,
+        });
+        const result = await searchContent(scoped, params.q, {
+          limit: parseInt(params.limit) || 30,
+          maxHits: parseInt(params.hits) || 5,
+          useIndex: params.index !== '0',
+        });
+        send(result);
+        return;
+      }
       const result = filterSessions(sessions, {
         query: params.q,
         project: params.project || null,
@@ -368,6 +551,34 @@ async function handleRequest(req, res) {
       return;
     }
 
+    // ── Tag tree ─────────────────────────────────────────────────
+    if (path === '/api/tags/tree' && method === 'GET') {
+      send(buildTagTree(await getSessions(), await getAllTags()));
+      return;
+    }
+
+    // ── Rename / merge a tag everywhere ──────────────────────────
+    const tagMoveMatch = path.match(/^\/api\/tags\/(rename|merge)$/);
+    if (tagMoveMatch && method === 'POST') {
+      const merge = tagMoveMatch[1] === 'merge';
+      const body = await readBody(req);
+      const to = merge ? body.into : body.to;
+      if (!body.from || !to) return send({ error: `Missing from or ${merge ? 'into' : 'to'}` }, 400);
+      const result = await journaled(null, () => renameTag(body.from, to, { merge }));
+      invalidateCache();
+      send({ ok: true, ...result });
+      return;
+    }
+
+    // ── Delete a tag everywhere ──────────────────────────────────
+    const tagDeleteMatch = path.match(/^\/api\/tags\/(.+)$/);
+    if (tagDeleteMatch && method === 'DELETE') {
+      const result = await journaled(null, () => deleteTag(decodeURIComponent(tagDeleteMatch[1])));
+      invalidateCache();
+      send({ ok: true, ...result });
+      return;
+    }
+
     // ── Trash a session ──────────────────────────────────────────
     const trashMatch = path.match(/^\/api\/trash\/([a-f0-9-]+)$/);
     if (trashMatch && method === 'POST') {
@@ -378,7 +589,7 @@ async function handleRequest(req, res) {
       const sessions = await getSessions();
       const session = sessions.find(s => s.id === id || s.id.startsWith(id));
       if (!session) return send({ error: 'Not found' }, 404);
-      const result = await trashSession(session, 'web');
+      const result = await journaled(null, () => trashSession(session, 'web'));
       invalidateCache();
       await clearCache();
       send(result);
@@ -394,21 +605,33 @@ async function handleRequest(req, res) {
       const sessions = await getSessions();
       let trashed = 0;
       let errors = 0;
-      for (const id of body.ids) {
-        const session = sessions.find(s => s.id === id);
-        if (session) {
-          try {
-            await trashSession(session, 'batch');
-            trashed++;
-          } catch (err) {
-            console.error(`csesh: batch trash error for ${id}: ${err.message}`);
-            errors++;
+      const refused = [];
+      const archived = [];
+      const { step } = await journaled(`trash ${body.ids.length} sessions`, async () => {
+        for (const id of body.ids) {
+          const session = sessions.find(s => s.id === id);
+          if (session) {
+            try {
+              await trashSession(session, 'batch');
+              trashed++;
+            } catch (err) {
+              if (err.code === 'EPROTECTED') {
+                refused.push({ id, reason: err.reason });
+                continue;
+              }
+              if (err.code === 'EARCHIVED') {
+                archived.push(id);
+                continue;
+              }
+              console.error(`csesh: batch trash error for ${id}: ${err.message}`);
+              errors++;
+            }
           }
         }
-      }
+      });
       invalidateCache();
       await clearCache();
-      send({ trashed, errors, total: body.ids.length });
+      send({ trashed, errors, protected: refused, archived, total: body.ids.length, step });
       return;
     }
 
@@ -418,9 +641,9 @@ async function handleRequest(req, res) {
       if (!body.ids || !body.tag) {
         return send({ error: 'Missing ids or tag' }, 400);
       }
-      await batchSetTag(body.ids, body.tag);
+      const { step } = await journaled(null, () => batchSetTag(body.ids, body.tag));
       invalidateCache();
-      send({ ok: true, tagged: body.ids.length });
+      send({ ok: true, tagged: body.ids.length, step });
       return;
     }
 
@@ -430,13 +653,20 @@ async function handleRequest(req, res) {
       if (!body.ids || !Array.isArray(body.ids)) return send({ error: 'Missing ids' }, 400);
       let deleted = 0;
       let errors = 0;
-      for (const id of body.ids) {
-        try { await deleteFromTrash(id); deleted++; } catch (err) {
-          console.error(`csesh: batch delete error for ${id}: ${err.message}`);
-          errors++;
+      const refused = [];
+      const { step } = await journaled(`delete ${body.ids.length} sessions from trash`, async () => {
+        for (const id of body.ids) {
+          try { await deleteFromTrash(id); deleted++; } catch (err) {
+            if (err.code === 'EPROTECTED') {
+              refused.push({ id, reason: err.reason });
+              continue;
+            }
+            console.error(`csesh: batch delete error for ${id}: ${err.message}`);
+            errors++;
+          }
         }
-      }
-      send({ deleted, errors, total: body.ids.length });
+      });
+      send({ deleted, errors, protected: refused, total: body.ids.length, step });
       return;
     }
 
@@ -446,15 +676,17 @@ async function handleRequest(req, res) {
       if (!body.ids || !Array.isArray(body.ids)) return send({ error: 'Missing ids' }, 400);
       let restored = 0;
       let errors = 0;
-      for (const id of body.ids) {
-        try { await restoreSession(id); restored++; } catch (err) {
-          console.error(`csesh: batch restore error for ${id}: ${err.message}`);
-          errors++;
+      const { step } = await journaled(`restore ${body.ids.length} sessions`, async () => {
+        for (const id of body.ids) {
+          try { await restoreSession(id); restored++; } catch (err) {
+            console.error(`csesh: batch restore error for ${id}: ${err.message}`);
+            errors++;
+          }
         }
-      }
+      });
       invalidateCache();
       await clearCache();
-      send({ restored, errors, total: body.ids.length });
+      send({ restored, errors, total: body.ids.length, step });
       return;
     }
 
@@ -487,17 +719,62 @@ async function handleRequest(req, res) {
     const restoreMatch = path.match(/^\/api\/restore\/([a-f0-9-]+)$/);
     if (restoreMatch && method === 'POST') {
       const id = restoreMatch[1];
-      const result = await restoreSession(id);
+      const result = await journaled(null, () => restoreSession(id));
       invalidateCache();
       await clearCache();
       send(result);
       return;
     }
 
+    // ── History / undo ───────────────────────────────────────────
+    if (path === '/api/history' && method === 'GET') {
+      const params = parseQuery(req.url);
+      const steps = (await listSteps()).slice(0, parseInt(params.limit) || 50);
+      send(steps.map(s => ({ ...s, description: describeStep(s) })));
+      return;
+    }
+
+    if (path === '/api/undo' && method === 'POST') {
+      const body = await readBody(req);
+      const results = await undo({ count: parseInt(body.count) || 1, step: body.step || null });
+      invalidateCache();
+      await clearCache();
+      send({ undone: results });
+      return;
+    }
+
+    // ── Archive / unarchive ──────────────────────────────────────
+    const archiveMatch = path.match(/^\/api\/archive\/([a-f0-9-]+)$/);
+    if (archiveMatch && method === 'POST') {
+      const id = archiveMatch[1];
+      const sessions = await getSessions();
+      const session = sessions.find(s => s.id === id || s.id.startsWith(id));
+      if (!session) return send({ error: 'Not found' }, 404);
+      const result = await journaled(null, () => archiveSession(session));
+      invalidateCache();
+      send(result);
+      return;
+    }
+
+    const unarchiveMatch = path.match(/^\/api\/unarchive\/([a-f0-9-]+)$/);
+    if (unarchiveMatch && method === 'POST') {
+      const result = await journaled(null, () => unarchiveSession(unarchiveMatch[1]));
+      invalidateCache();
+      send(result);
+      return;
+    }
+
+    if (path === '/api/archive' && method === 'GET') {
+      const items = await listArchive();
+      send(items.map(({ summary, ...item }) => ({ ...item, title: summary.title, project: summary.shortProject })));
+      return;
+    }
+
     // ── List trash ───────────────────────────────────────────────
     if (path === '/api/trash' && method === 'GET') {
       const items = await listTrash();
-      send(items);
+      // `key` picks one item where the same id was trashed more than once
+      send(items.map(i => ({ ...i, key: trashItemKey(i) })));
       return;
     }
 
@@ -508,7 +785,7 @@ async function handleRequest(req, res) {
       if (id.length < MIN_ID_LENGTH) {
         return send({ error: `ID too short for destructive operation (minimum ${MIN_ID_LENGTH} characters)` }, 400);
       }
-      const result = await deleteFromTrash(id);
+      const result = await journaled(null, () => deleteFromTrash(id));
       send(result);
       return;
     }
@@ -517,6 +794,15 @@ async function handleRequest(req, res) {
     send({ error: 'Not found' }, 404);
 
   } catch (err) {
+    // Trashing or deleting a protected session is refused, not a server error
+    if (err.code === 'EPROTECTED') return send({ error: err.message, reason: err.reason }, 403);
+    if (['EARCHIVED', 'ECHECKSUM', 'ESTALE', 'EAMBIGUOUS'].includes(err.code)) return send({ error: err.message }, 409);
+    // Tag operations: unknown tag, name taken, empty name
+    if (err.code === 'ENOTAG') return send({ error: err.message }, 404);
+    if (err.code === 'EEXIST') return send({ error: err.message }, 409);
+    if (err.code === 'EINVALID') return send({ error: err.message }, 400);
+    // Another csesh process held a store's lock for too long
+    if (err.code === 'ELOCKED') return send({ error: err.message }, 503);
     console.error('Error:', err);
     send({ error: err.message }, 500);
   }
@@ -535,7 +821,35 @@ export async function startServer(port = 3456) {
   server.listen(port, '127.0.0.1', () => {
     console.log(`\n  \u2B21 csesh dashboard`);
     console.log(`  http://localhost:${port}\n`);
+    if (CLAUDE_DIR !== DEFAULT_CLAUDE_DIR) console.log(`  Claude dir: ${CLAUDE_DIR}\n`);
     console.log(`  Press Ctrl+C to stop\n`);
   });
+
+  watcher = await watchSessions(paths => {
+    changeQueue = changeQueue
+      .then(() => applyFileChanges(paths))
+      .catch(err => console.error(`csesh: live update error: ${err.message}`));
+  });
+  // Titles, tags, trash and archive edited from the CLI or another process:
+  // the sessions are rebuilt on the next request, and clients refetch them
+  await mkdir(TOOL_DIR, { recursive: true });
+  storeWatcher = watchFiles([metadataFile(), TRASH_MANIFEST, ARCHIVE_MANIFEST], () => {
+    invalidateCache();
+    broadcast('sessions-changed', {});
+  });
+  const heartbeat = setInterval(() => {
+    for (const res of sseClients) res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  server.on('close', () => {
+    clearInterval(heartbeat);
+    watcher.close();
+    watcher = null;
+    storeWatcher.close();
+    storeWatcher = null;
+    for (const res of sseClients) res.end();
+    sseClients.clear();
+  });
   return server;
 }